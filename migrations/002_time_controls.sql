@@ -0,0 +1,5 @@
+-- Seal Chess - Time controls and server-side clocks
+
+ALTER TABLE games ADD COLUMN time_control TEXT;
+ALTER TABLE games ADD COLUMN white_time_ms INTEGER;
+ALTER TABLE games ADD COLUMN black_time_ms INTEGER;
@@ -0,0 +1,19 @@
+-- Seal Chess - Elo ratings and per-game rating history
+
+ALTER TABLE players ADD COLUMN rating INTEGER DEFAULT 1500;
+ALTER TABLE players ADD COLUMN rated_games INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS rating_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  game_id TEXT NOT NULL,
+  player_id TEXT NOT NULL,
+  rating_before INTEGER NOT NULL,
+  rating_after INTEGER NOT NULL,
+  change INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (game_id) REFERENCES games(id),
+  FOREIGN KEY (player_id) REFERENCES players(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_changes_player ON rating_changes(player_id);
+CREATE INDEX IF NOT EXISTS idx_players_rating ON players(rating DESC);
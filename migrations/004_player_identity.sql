@@ -0,0 +1,7 @@
+-- Seal Chess - Durable player identities
+-- Players are identified across games by a long-lived secret token held by
+-- the browser. Only a SHA-256 hash of the token is stored.
+
+ALTER TABLE players ADD COLUMN token_hash TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_players_token ON players(token_hash);
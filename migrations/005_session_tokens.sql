@@ -0,0 +1,6 @@
+-- Seal Chess - Per-seat session tokens
+-- Each seat in a game gets its own secret token; player IDs are public.
+-- Only SHA-256 hashes of the tokens are stored.
+
+ALTER TABLE games ADD COLUMN white_session_hash TEXT;
+ALTER TABLE games ADD COLUMN black_session_hash TEXT;
@@ -0,0 +1,7 @@
+-- Seal Chess - Data needed for full PGN export
+
+-- How the game ended (checkmate, resignation, timeout, ...)
+ALTER TABLE games ADD COLUMN termination TEXT;
+
+-- Mover's remaining clock time after each move, for [%clk] comments
+ALTER TABLE moves ADD COLUMN clock_ms INTEGER;
@@ -0,0 +1,8 @@
+-- Seal Chess - Games that start from a custom position
+
+-- Starting FEN (NULL = standard starting position)
+ALTER TABLE games ADD COLUMN initial_fen TEXT;
+
+-- Space-separated SAN moves imported from a PGN, played from initial_fen
+-- before the game began on the server
+ALTER TABLE games ADD COLUMN initial_moves TEXT;
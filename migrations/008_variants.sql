@@ -0,0 +1,6 @@
+-- Seal Chess - Chess variants
+-- Variant key ('standard' or 'chess960'). Chess960 games keep their
+-- generated start position in initial_fen, plus its number (0-959) here.
+
+ALTER TABLE games ADD COLUMN variant TEXT NOT NULL DEFAULT 'standard';
+ALTER TABLE games ADD COLUMN variant_position INTEGER;
@@ -0,0 +1,5 @@
+-- Seal Chess - Computer opponents
+-- Each bot strength level plays as one player row with bot_level set
+-- (null for humans). Bots are left off the leaderboard by default.
+
+ALTER TABLE players ADD COLUMN bot_level INTEGER;
@@ -0,0 +1,31 @@
+-- Seal Chess - Post-game analysis
+-- One report per completed game (status 'pending', 'done' or 'failed'),
+-- plus the engine's verdict on every move played on the server. Evaluations
+-- are centipawns from White's point of view, or moves to mate (negative:
+-- Black mates).
+
+CREATE TABLE IF NOT EXISTS game_analyses (
+  game_id TEXT PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'pending',
+  engine TEXT,
+  initial_eval_cp INTEGER,
+  initial_mate INTEGER,
+  white_accuracy REAL,
+  black_accuracy REAL,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME,
+  FOREIGN KEY (game_id) REFERENCES games(id)
+);
+
+CREATE TABLE IF NOT EXISTS move_analyses (
+  game_id TEXT NOT NULL,
+  move_number INTEGER NOT NULL,
+  eval_cp INTEGER,
+  mate INTEGER,
+  best_move TEXT,
+  cp_loss INTEGER NOT NULL,
+  classification TEXT,
+  PRIMARY KEY (game_id, move_number),
+  FOREIGN KEY (game_id) REFERENCES games(id)
+);
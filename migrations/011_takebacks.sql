@@ -0,0 +1,6 @@
+-- Seal Chess - Takebacks
+-- Whether a game counts for ratings, and whether players may ask to take
+-- moves back. Takebacks are only ever enabled in unrated games.
+
+ALTER TABLE games ADD COLUMN rated INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE games ADD COLUMN takebacks INTEGER NOT NULL DEFAULT 0;
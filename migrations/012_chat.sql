@@ -0,0 +1,16 @@
+-- Seal Chess - In-game chat
+-- Every message sent in a game, on the players' channel or the separate
+-- spectators' channel. sender_id is the player ID for players and null for
+-- spectators; the filtered text is what gets stored.
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  game_id TEXT NOT NULL REFERENCES games(id),
+  channel TEXT NOT NULL,
+  sender_id TEXT,
+  sender_name TEXT NOT NULL,
+  message TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_game ON chat_messages(game_id, channel, id);
@@ -0,0 +1,9 @@
+-- Seal Chess - Rematches
+-- A rematch points back at the game it follows. Every game in a run of
+-- rematches shares a series_id (the first game's id), so the match score
+-- can be added up across the series.
+
+ALTER TABLE games ADD COLUMN rematch_of TEXT REFERENCES games(id);
+ALTER TABLE games ADD COLUMN series_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_games_series ON games(series_id);
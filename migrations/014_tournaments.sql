@@ -0,0 +1,53 @@
+-- Seal Chess - Tournaments
+-- A tournament ('swiss' or 'round_robin') is 'registering' until its
+-- organizer starts it, then 'in_progress' and finally 'completed'.
+-- Participants are numbered by rating when it starts (seed 1 = highest).
+-- Each round's pairings point at the game created for them; a bye has no
+-- black player and no game, and its result is 'bye'.
+
+CREATE TABLE IF NOT EXISTS tournaments (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  format TEXT NOT NULL,
+  rounds INTEGER,
+  current_round INTEGER NOT NULL DEFAULT 0,
+  time_control TEXT,
+  variant TEXT NOT NULL DEFAULT 'standard',
+  status TEXT NOT NULL DEFAULT 'registering',
+  organizer_id TEXT NOT NULL REFERENCES players(id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME,
+  completed_at DATETIME
+);
+
+CREATE TABLE IF NOT EXISTS tournament_participants (
+  tournament_id TEXT NOT NULL REFERENCES tournaments(id),
+  player_id TEXT NOT NULL REFERENCES players(id),
+  seed INTEGER,
+  rating INTEGER NOT NULL,
+  joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tournament_id, player_id)
+);
+
+CREATE TABLE IF NOT EXISTS tournament_rounds (
+  tournament_id TEXT NOT NULL REFERENCES tournaments(id),
+  round_number INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress',
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME,
+  PRIMARY KEY (tournament_id, round_number)
+);
+
+CREATE TABLE IF NOT EXISTS tournament_pairings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tournament_id TEXT NOT NULL REFERENCES tournaments(id),
+  round_number INTEGER NOT NULL,
+  board INTEGER NOT NULL,
+  white_player_id TEXT NOT NULL REFERENCES players(id),
+  black_player_id TEXT REFERENCES players(id),
+  game_id TEXT REFERENCES games(id),
+  result TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournament_pairings_round ON tournament_pairings(tournament_id, round_number, board);
+CREATE INDEX IF NOT EXISTS idx_tournament_pairings_game ON tournament_pairings(game_id);
@@ -0,0 +1,17 @@
+-- Seal Chess - Crash recovery
+-- What a restarted server needs to pick live games up again: open draw
+-- offers and takeback requests (player IDs), when the running clock was
+-- started, and when each disconnected player forfeits (times in ms since
+-- the epoch). server_state keeps the server's heartbeat, which tells it
+-- roughly when it went down.
+
+ALTER TABLE games ADD COLUMN draw_offer_by TEXT;
+ALTER TABLE games ADD COLUMN takeback_request_by TEXT;
+ALTER TABLE games ADD COLUMN turn_started_at INTEGER;
+ALTER TABLE games ADD COLUMN white_disconnect_deadline INTEGER;
+ALTER TABLE games ADD COLUMN black_disconnect_deadline INTEGER;
+
+CREATE TABLE IF NOT EXISTS server_state (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
@@ -0,0 +1,7 @@
+-- Seal Chess - Move integrity
+-- The piece a pawn promoted to, so games can be rebuilt by replaying their
+-- moves square by square. A game whose moves don't replay to its stored
+-- position is set aside with status 'corrupted' and the reason kept.
+
+ALTER TABLE moves ADD COLUMN promotion TEXT;
+ALTER TABLE games ADD COLUMN integrity_error TEXT;
@@ -0,0 +1,20 @@
+-- Seal Chess - Several server instances
+-- What instances sharing this database use to work together: leases say
+-- which instance owns a game (or the matchmaking queue) until when, in ms
+-- since the epoch, and messages carry Socket.IO broadcasts and requests
+-- from one instance to the others. Messages are deleted after a few seconds.
+
+CREATE TABLE IF NOT EXISTS cluster_leases (
+  key TEXT PRIMARY KEY,
+  owner TEXT NOT NULL,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_cluster_leases_owner ON cluster_leases(owner);
+
+CREATE TABLE IF NOT EXISTS cluster_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  channel TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
@@ -0,0 +1,8 @@
+-- Seal Chess - One heartbeat per instance
+-- Each server instance keeps its own heartbeat in server_state, under
+-- "heartbeat:<instance ID>", and a game in progress records the instance
+-- that owns it, so whoever picks the game up after that instance went down
+-- knows when it stopped. The old shared "heartbeat" key only counts for
+-- games from before this migration.
+
+ALTER TABLE games ADD COLUMN owner_instance TEXT;
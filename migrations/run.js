@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { runMigrations } = require('../src/db/migrate');
 
 const DB_PATH = path.join(__dirname, '..', 'data', 'chess.db');
 
@@ -13,8 +14,9 @@ const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
-const migration = fs.readFileSync(path.join(__dirname, '001_initial.sql'), 'utf8');
-db.exec(migration);
+const ran = runMigrations(db);
 
-console.log('Migrations completed successfully.');
+console.log(ran.length > 0
+  ? `Applied migrations: ${ran.join(', ')}`
+  : 'Migrations completed successfully.');
 db.close();
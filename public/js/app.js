@@ -8,13 +8,27 @@
   // === STATE ===
   let socket = null;
   let gameId = null;
-  let playerId = null;
+  let sessionToken = null; // secret credential for this seat; never shared
   let myColor = null;
   let board = null;
   let currentTurn = 'white';
   let gameActive = false;
   let inQueue = false;
 
+  // Spectators have no color of their own; myColor is then just the side
+  // shown at the bottom of the board
+  let isSpectator = false;
+  let rematchOffered = false; // the opponent has offered a rematch
+  let takebacksAllowed = false;
+  let playerNames = { white: 'White', black: 'Black' };
+  let connectedState = { white: false, black: false };
+
+  // Clock state as last reported by the server, ticked down locally
+  let clockState = null;
+  let clockSyncedAt = 0;
+  let clockInterval = null;
+  const LOW_TIME_MS = 20000;
+
   // === DOM REFS ===
   const $ = (sel) => document.querySelector(sel);
   const lobbyScreen = $('#lobby-screen');
@@ -23,32 +37,55 @@
   const joinSection = $('#join-section');
   const inviteSection = $('#invite-section');
   const quickmatchSection = $('#quickmatch-section');
+  const botSection = $('#bot-section');
 
   // === INIT ===
   function init() {
     const pathMatch = window.location.pathname.match(/^\/game\/([a-zA-Z0-9-]+)/);
     const stored = loadSession();
+    const watching = new URLSearchParams(window.location.search).has('watch');
 
     if (pathMatch) {
       const urlGameId = pathMatch[1];
-      if (stored && stored.gameId === urlGameId && stored.playerId) {
-        attemptReconnect(urlGameId, stored.playerId);
+      if (watching) {
+        startSpectating(urlGameId);
+      } else if (stored && stored.gameId === urlGameId && stored.sessionToken) {
+        attemptReconnect(urlGameId, stored.sessionToken);
       } else {
         showJoinForm(urlGameId);
       }
-    } else if (stored && stored.gameId && stored.playerId) {
-      attemptReconnect(stored.gameId, stored.playerId);
+    } else if (stored && stored.gameId && stored.sessionToken) {
+      attemptReconnect(stored.gameId, stored.sessionToken);
     } else {
       showLobby();
     }
 
     bindLobbyEvents();
+    renderIdentity();
+    loadBotLevels();
+  }
+
+  // The server lists the external UCI engine as an extra level when one is configured
+  function loadBotLevels() {
+    fetch('/api/bots')
+      .then(r => r.json())
+      .then(levels => {
+        const select = $('#bot-level');
+        for (const { level, name } of levels) {
+          if (select.querySelector(`option[value="${level}"]`)) continue;
+          const option = document.createElement('option');
+          option.value = level;
+          option.textContent = name;
+          select.appendChild(option);
+        }
+      })
+      .catch(() => {});
   }
 
   // === SESSION STORAGE ===
-  function saveSession(gId, pId, color) {
+  function saveSession(gId, token, color) {
     try {
-      localStorage.setItem('seal_chess_session', JSON.stringify({ gameId: gId, playerId: pId, color }));
+      localStorage.setItem('seal_chess_session', JSON.stringify({ gameId: gId, sessionToken: token, color }));
     } catch (e) { /* ignore */ }
   }
 
@@ -67,12 +104,46 @@
     } catch (e) { /* ignore */ }
   }
 
+  // Long-lived identity: survives across games, unlike the per-game session
+  function saveIdentity(playerToken, displayName) {
+    if (!playerToken) return;
+    try {
+      localStorage.setItem('seal_chess_identity', JSON.stringify({ playerToken, displayName }));
+    } catch (e) { /* ignore */ }
+    renderIdentity();
+  }
+
+  function loadIdentity() {
+    try {
+      const data = localStorage.getItem('seal_chess_identity');
+      return data ? JSON.parse(data) : null;
+    } catch (e) { return null; }
+  }
+
+  function getPlayerToken() {
+    const id = loadIdentity();
+    return id ? id.playerToken : null;
+  }
+
+  function renderIdentity() {
+    const id = loadIdentity();
+    $('#identity-summary').textContent = id
+      ? `Playing as ${id.displayName}. Your results are saved to this profile.`
+      : 'Play a game to create your profile.';
+    $('#show-recovery-btn').style.display = id ? '' : 'none';
+    $('#recovery-code-box').style.display = 'none';
+    for (const sel of ['#quickmatch-name', '#create-name', '#bot-name', '#join-name']) {
+      if (id && !$(sel).value) $(sel).value = id.displayName;
+    }
+  }
+
   // === LOBBY ===
   function showLobby() {
     lobbyScreen.classList.add('active');
     gameScreen.classList.remove('active');
     quickmatchSection.style.display = '';
     createSection.style.display = '';
+    botSection.style.display = '';
     joinSection.style.display = 'none';
     inviteSection.style.display = 'none';
     $('#quickmatch-waiting').style.display = 'none';
@@ -85,6 +156,7 @@
     gameScreen.classList.remove('active');
     quickmatchSection.style.display = 'none';
     createSection.style.display = 'none';
+    botSection.style.display = 'none';
     joinSection.style.display = '';
     inviteSection.style.display = 'none';
 
@@ -95,13 +167,20 @@
           $('#join-game-info').textContent = 'Game not found or already completed.';
           $('#join-btn').disabled = true;
         } else if (data.status === 'waiting') {
-          $('#join-game-info').textContent = `${data.whiteName} is waiting for an opponent.`;
+          let variant = '';
+          if (data.variant === 'chess960') variant = ` (Chess960 #${data.variantPosition})`;
+          else if (data.variant === 'crazyhouse') variant = ' (Crazyhouse)';
+          $('#join-game-info').textContent = `${data.whiteName} is waiting for an opponent${variant}.`;
         } else if (data.status === 'active') {
           $('#join-game-info').textContent = 'This game is already in progress.';
           $('#join-btn').disabled = true;
+          $('#watch-game-link').href = `/game/${gId}?watch=1`;
+          $('#watch-game-link').style.display = '';
         } else {
           $('#join-game-info').textContent = 'This game has ended.';
           $('#join-btn').disabled = true;
+          $('#replay-game-link').href = `/replay/${gId}`;
+          $('#replay-game-link').style.display = '';
         }
       })
       .catch(() => {
@@ -112,6 +191,7 @@
   function showInviteScreen(gId) {
     quickmatchSection.style.display = 'none';
     createSection.style.display = 'none';
+    botSection.style.display = 'none';
     joinSection.style.display = 'none';
     inviteSection.style.display = '';
 
@@ -128,7 +208,8 @@
       inQueue = true;
       $('#quickmatch-btn').disabled = true;
       $('#quickmatch-waiting').style.display = '';
-      connectSocketForQueue(name);
+      $('#queue-info').textContent = '';
+      connectSocketForQueue(name, $('#quickmatch-time').value || null, $('#quickmatch-variant').value);
     });
 
     $('#quickmatch-name').addEventListener('keydown', (e) => {
@@ -156,15 +237,23 @@
         const res = await fetch('/api/games', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ playerName: name })
+          body: JSON.stringify({
+            playerName: name,
+            playerToken: getPlayerToken(),
+            timeControl: $('#create-time').value || null,
+            variant: $('#create-variant').value,
+            takebacks: $('#create-takebacks').checked,
+            ...startPositionField($('#create-position').value)
+          })
         });
         const data = await res.json();
         if (data.error) { alert(data.error); return; }
 
         gameId = data.gameId;
-        playerId = data.playerId;
+        sessionToken = data.sessionToken;
         myColor = data.color;
-        saveSession(gameId, playerId, myColor);
+        saveSession(gameId, sessionToken, myColor);
+        saveIdentity(data.playerToken, name);
 
         history.pushState(null, '', `/game/${gameId}`);
         showInviteScreen(gameId);
@@ -176,10 +265,62 @@
       }
     });
 
+    // A pasted starting position is sent as `fen` if it looks like one, else as `pgn`
+    function startPositionField(text) {
+      const value = text.trim();
+      if (!value) return {};
+      return /^[1-8pnbrqkPNBRQK]+(\/[1-8pnbrqkPNBRQK]+){7}\s+[wb]\b/.test(value)
+        ? { fen: value }
+        : { pgn: value };
+    }
+
     $('#create-name').addEventListener('keydown', (e) => {
       if (e.key === 'Enter') $('#create-btn').click();
     });
 
+    // === PLAY THE COMPUTER ===
+    $('#bot-btn').addEventListener('click', async () => {
+      const name = $('#bot-name').value.trim();
+      if (!name) { $('#bot-name').focus(); return; }
+
+      $('#bot-btn').disabled = true;
+      try {
+        const res = await fetch('/api/games', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            playerName: name,
+            playerToken: getPlayerToken(),
+            timeControl: $('#bot-time').value || null,
+            bot: $('#bot-level').value,
+            color: $('#bot-color').value,
+            takebacks: $('#bot-takebacks').checked
+          })
+        });
+        const data = await res.json();
+        if (data.error) { alert(data.error); return; }
+
+        gameId = data.gameId;
+        sessionToken = data.sessionToken;
+        myColor = data.color;
+        saveSession(gameId, sessionToken, myColor);
+        saveIdentity(data.playerToken, name);
+
+        // The bot is already seated, so go straight to the board
+        history.pushState(null, '', `/game/${gameId}`);
+        switchToGameScreen();
+        connectSocket();
+      } catch (e) {
+        alert('Failed to start a game against the computer. Please try again.');
+      } finally {
+        $('#bot-btn').disabled = false;
+      }
+    });
+
+    $('#bot-name').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') $('#bot-btn').click();
+    });
+
     // === JOIN GAME ===
     $('#join-btn').addEventListener('click', async () => {
       const name = $('#join-name').value.trim();
@@ -190,14 +331,15 @@
         const res = await fetch(`/api/games/${gameId}/join`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ playerName: name })
+          body: JSON.stringify({ playerName: name, playerToken: getPlayerToken() })
         });
         const data = await res.json();
         if (data.error) { alert(data.error); return; }
 
-        playerId = data.playerId;
+        sessionToken = data.sessionToken;
         myColor = data.color;
-        saveSession(gameId, playerId, myColor);
+        saveSession(gameId, sessionToken, myColor);
+        saveIdentity(data.playerToken, name);
 
         switchToGameScreen();
         connectSocket();
@@ -253,7 +395,55 @@
       $('#draw-offer-popup').style.display = 'none';
     });
 
+    $('#takeback-btn').addEventListener('click', () => {
+      socket.emit('request-takeback');
+      $('#takeback-btn').disabled = true;
+      $('#takeback-btn').textContent = 'Takeback Asked';
+    });
+
+    $('#accept-takeback-btn').addEventListener('click', () => {
+      socket.emit('accept-takeback');
+      $('#takeback-popup').style.display = 'none';
+    });
+
+    $('#decline-takeback-btn').addEventListener('click', () => {
+      socket.emit('decline-takeback');
+      $('#takeback-popup').style.display = 'none';
+    });
+
+    // Typed moves, for keyboard and screen reader users
+    $('#move-input-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!board) return;
+      const error = board.playTypedMove($('#move-input').value);
+      if (error) {
+        flashStatusError(error);
+        announce(error);
+        return;
+      }
+      $('#move-input').value = '';
+    });
+
+    $('#chat-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const text = $('#chat-input').value.trim();
+      if (!text || !socket) return;
+      socket.emit('chat-message', { text });
+      $('#chat-input').value = '';
+    });
+
+    $('#chat-mute').addEventListener('change', () => {
+      if (socket) socket.emit('mute-opponent', { muted: $('#chat-mute').checked });
+    });
+
+    $('#rematch-btn').addEventListener('click', () => {
+      socket.emit(rematchOffered ? 'accept-rematch' : 'offer-rematch');
+      $('#rematch-btn').disabled = true;
+      $('#rematch-btn').textContent = rematchOffered ? 'Starting...' : 'Rematch Offered';
+    });
+
     $('#new-game-btn').addEventListener('click', () => {
+      if (rematchOffered) socket.emit('decline-rematch');
       resetToLobby();
     });
 
@@ -262,12 +452,64 @@
     });
 
     $('#leave-game-btn').addEventListener('click', () => {
-      if (gameActive) {
+      if (gameActive && !isSpectator) {
         if (!confirm('Leave the game? You may lose by abandonment if you don\'t return.')) return;
       }
       resetToLobby();
     });
 
+    // Escape (like right-clicking the board) cancels queued premoves
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && board) board.clearPremoves();
+    });
+
+    $('#flip-board-btn').addEventListener('click', () => {
+      if (!board) return;
+      myColor = board.flip();
+      const selfCaptured = $('#self-captured').innerHTML;
+      $('#self-captured').innerHTML = $('#opponent-captured').innerHTML;
+      $('#opponent-captured').innerHTML = selfCaptured;
+      renderPlayerBars();
+      renderClocks();
+    });
+
+    // === IDENTITY / RECOVERY CODE ===
+    $('#show-recovery-btn').addEventListener('click', async () => {
+      const token = getPlayerToken();
+      if (!token) return;
+      try {
+        const res = await fetch('/api/players/me', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ playerToken: token })
+        });
+        const data = await res.json();
+        if (data.error) { alert(data.error); return; }
+        $('#recovery-code').value = data.recoveryCode;
+        $('#recovery-code-box').style.display = '';
+      } catch (e) {
+        alert('Could not load your recovery code.');
+      }
+    });
+
+    $('#restore-btn').addEventListener('click', async () => {
+      const code = $('#restore-code').value.trim();
+      if (!code) { $('#restore-code').focus(); return; }
+      try {
+        const res = await fetch('/api/players/recover', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ recoveryCode: code })
+        });
+        const data = await res.json();
+        if (data.error) { alert(data.error); return; }
+        saveIdentity(data.playerToken, data.displayName);
+        $('#restore-code').value = '';
+      } catch (e) {
+        alert('Could not restore your profile. Please try again.');
+      }
+    });
+
     document.querySelectorAll('.promotion-piece').forEach(btn => {
       btn.addEventListener('click', () => {
         const piece = btn.dataset.piece;
@@ -278,19 +520,20 @@
   }
 
   // === MATCHMAKING SOCKET ===
-  function connectSocketForQueue(playerName) {
+  function connectSocketForQueue(playerName, timeControl, variant) {
     socket = io({ transports: ['websocket', 'polling'] });
 
     socket.on('connect', () => {
-      socket.emit('join-queue', { playerName });
+      socket.emit('join-queue', { playerName, playerToken: getPlayerToken(), timeControl, variant });
     });
 
     socket.on('match-found', (data) => {
       inQueue = false;
       gameId = data.gameId;
-      playerId = data.playerId;
+      sessionToken = data.sessionToken;
       myColor = data.color;
-      saveSession(gameId, playerId, myColor);
+      saveSession(gameId, sessionToken, myColor);
+      saveIdentity(data.playerToken, playerName);
       history.pushState(null, '', `/game/${gameId}`);
 
       switchToGameScreen();
@@ -298,7 +541,12 @@
       // Register full game event handlers now
       bindGameSocketEvents(socket);
 
-      socket.emit('join-game', { gameId, playerId });
+      socket.emit('join-game', { gameId, sessionToken });
+    });
+
+    // Sent on joining and then every few seconds while waiting
+    socket.on('queue-joined', (data) => {
+      $('#queue-info').textContent = formatQueueStatus(data);
     });
 
     socket.on('queue-error', (data) => {
@@ -320,12 +568,12 @@
   }
 
   // === RECONNECT ===
-  async function attemptReconnect(gId, pId) {
+  async function attemptReconnect(gId, token) {
     try {
       const res = await fetch(`/api/games/${gId}/reconnect`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ playerId: pId })
+        body: JSON.stringify({ sessionToken: token })
       });
       const data = await res.json();
 
@@ -336,7 +584,7 @@
       }
 
       gameId = data.gameId;
-      playerId = data.playerId;
+      sessionToken = token;
       myColor = data.color;
 
       if (data.completed) {
@@ -345,7 +593,7 @@
         return;
       }
 
-      saveSession(gameId, playerId, myColor);
+      saveSession(gameId, sessionToken, myColor);
       switchToGameScreen();
       connectSocket();
     } catch (e) {
@@ -354,36 +602,93 @@
     }
   }
 
+  // === SPECTATE ===
+  function startSpectating(gId) {
+    gameId = gId;
+    isSpectator = true;
+    myColor = 'white';
+    switchToGameScreen();
+    gameScreen.classList.add('spectating');
+    $('#flip-board-btn').style.display = '';
+
+    socket = io({ transports: ['websocket', 'polling'] });
+    socket.on('connect', () => {
+      socket.emit('watch-game', { gameId, name: spectatorChatName() });
+    });
+    bindGameSocketEvents(socket);
+  }
+
   // === RESET ===
   function resetToLobby() {
-    clearSession();
+    if (!isSpectator) clearSession();
     if (socket) {
       socket.disconnect();
       socket = null;
     }
     gameId = null;
-    playerId = null;
+    sessionToken = null;
     myColor = null;
+    inQueue = false;
+    isSpectator = false;
+    clearGameView();
+    $('#flip-board-btn').style.display = 'none';
+    gameScreen.classList.remove('spectating');
+    $('#create-btn').disabled = false;
+
+    history.pushState(null, '', '/');
+    showLobby();
+  }
+
+  // Clear the board, clocks, move list and popups of the current game
+  function clearGameView() {
     board = null;
     currentTurn = 'white';
     gameActive = false;
-    inQueue = false;
+    rematchOffered = false;
+    playerNames = { white: 'White', black: 'Black' };
+    connectedState = { white: false, black: false };
     moveHistoryMoves = [];
+    playedPlies = [];
+    takebacksAllowed = false;
+    stopClocks();
+    clockState = null;
+    $('#self-clock').style.display = 'none';
+    $('#opponent-clock').style.display = 'none';
+    $('#self-clock').classList.remove('flagged');
+    $('#opponent-clock').classList.remove('flagged');
 
     $('#move-list').innerHTML = '';
+    $('#chat-messages').innerHTML = '';
+    $('#chat-error').textContent = '';
+    $('#chat-mute').checked = false;
     $('#self-captured').innerHTML = '';
     $('#opponent-captured').innerHTML = '';
+    $('#self-pocket').style.display = 'none';
+    $('#opponent-pocket').style.display = 'none';
     $('#game-over-overlay').style.display = 'none';
     $('#draw-offer-popup').style.display = 'none';
+    $('#takeback-popup').style.display = 'none';
     $('#promotion-dialog').style.display = 'none';
     $('#resign-btn').style.display = 'none';
     $('#draw-btn').style.display = 'none';
+    $('#takeback-btn').style.display = 'none';
+    $('#spectator-count').style.display = 'none';
+    $('#match-score').style.display = 'none';
+    gameScreen.classList.remove('crazyhouse');
     $('#board').innerHTML = '';
-    $('#create-name').value = '';
-    $('#create-btn').disabled = false;
+  }
 
-    history.pushState(null, '', '/');
-    showLobby();
+  // Move this socket on to the rematch of the game that just ended
+  function startRematchGame(nextGameId) {
+    clearGameView();
+    gameId = nextGameId;
+    history.pushState(null, '', `/game/${gameId}${isSpectator ? '?watch=1' : ''}`);
+    switchToGameScreen();
+    if (isSpectator) {
+      socket.emit('watch-game', { gameId, name: spectatorChatName() });
+    } else {
+      socket.emit('join-game', { gameId, sessionToken });
+    }
   }
 
   // === GAME SCREEN ===
@@ -400,6 +705,11 @@
       },
       onPromotionNeeded: () => {
         $('#promotion-dialog').style.display = '';
+        $('.promotion-piece').focus();
+      },
+      pocketEls: { top: $('#opponent-pocket'), bottom: $('#self-pocket') },
+      onDrop: (piece, square) => {
+        socket.emit('drop-piece', { piece, square });
       }
     });
   }
@@ -409,15 +719,15 @@
     socket = io({ transports: ['websocket', 'polling'] });
 
     socket.on('connect', () => {
-      if (gameId && playerId) {
-        socket.emit('join-game', { gameId, playerId });
+      if (gameId && sessionToken) {
+        socket.emit('join-game', { gameId, sessionToken });
       }
     });
 
     socket.on('reconnect', () => {
       $('#self-connection').className = 'connection-dot connected';
-      if (gameId && playerId) {
-        socket.emit('join-game', { gameId, playerId });
+      if (gameId && sessionToken) {
+        socket.emit('join-game', { gameId, sessionToken });
       }
     });
 
@@ -436,22 +746,27 @@
       board.setPosition(state.fen);
       board.setLegalMoves(state.yourColor === state.turn ? state.legalMoves : {});
       board.setInteractive(state.status === 'active' && state.yourColor === state.turn);
-
-      const isWhite = myColor === 'white';
-      $('#self-name').textContent = isWhite ? state.whiteName : state.blackName;
-      $('#opponent-name').textContent = isWhite ? state.blackName : state.whiteName;
-
-      $('#self-piece-icon').innerHTML = `<img src="/assets/pieces/${myColor}_king.svg" alt="">`;
-      const oppColor = myColor === 'white' ? 'black' : 'white';
-      $('#opponent-piece-icon').innerHTML = `<img src="/assets/pieces/${oppColor}_king.svg" alt="">`;
-
-      const selfConnected = isWhite ? state.whiteConnected : state.blackConnected;
-      const oppConnected = isWhite ? state.blackConnected : state.whiteConnected;
-      $('#self-connection').className = `connection-dot ${selfConnected ? 'connected' : ''}`;
-      $('#opponent-connection').className = `connection-dot ${oppConnected ? 'connected' : ''}`;
+      board.setPremoveColor(state.status === 'active' ? state.yourColor : null);
+      gameScreen.classList.toggle('crazyhouse', state.variant === 'crazyhouse');
+      board.setPockets(state.pockets);
+      board.setLegalDrops(state.yourColor === state.turn ? state.legalDrops : {}, state.yourColor);
+
+      playerNames = { white: state.whiteName, black: state.blackName };
+      connectedState = { white: state.whiteConnected, black: state.blackConnected };
+      renderPlayerBars();
+      updateSpectatorCount(state.spectatorCount);
+      updateMatchScore(state.match);
+      setupChatPanel(state);
 
       currentTurn = state.turn;
       gameActive = state.status === 'active';
+      takebacksAllowed = !!state.takebacks;
+      syncClock(state.clock);
+      $('#takeback-popup').style.display =
+        state.takebackRequest && !isSpectator && state.takebackRequest !== state.yourColor ? '' : 'none';
+      // An offer still open from before a reload or a server restart
+      $('#draw-offer-popup').style.display =
+        state.drawOffer && !isSpectator && state.drawOffer !== state[`${state.yourColor}PlayerId`] ? '' : 'none';
 
       updateStatusText();
       updateControls();
@@ -470,22 +785,19 @@
       lobbyScreen.classList.remove('active');
       gameScreen.classList.add('active');
 
-      const isWhite = myColor === 'white';
-      $('#self-name').textContent = isWhite ? data.whiteName : data.blackName;
-      $('#opponent-name').textContent = isWhite ? data.blackName : data.whiteName;
-
-      $('#self-piece-icon').innerHTML = `<img src="/assets/pieces/${myColor}_king.svg" alt="">`;
-      const oppColor = myColor === 'white' ? 'black' : 'white';
-      $('#opponent-piece-icon').innerHTML = `<img src="/assets/pieces/${oppColor}_king.svg" alt="">`;
-
-      $('#self-connection').className = 'connection-dot connected';
-      $('#opponent-connection').className = 'connection-dot connected';
+      playerNames = { white: data.whiteName, black: data.blackName };
+      connectedState = { white: true, black: true };
+      renderPlayerBars();
 
       gameActive = true;
-      currentTurn = 'white';
 
-      board.setPosition('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
-      sock.emit('join-game', { gameId, playerId });
+      if (isSpectator) {
+        // Watchers may arrive mid-game, so ask for the real position
+        sock.emit('watch-game', { gameId, name: spectatorChatName() });
+      } else {
+        // The game may start from a custom position, so let game-state set the board
+        sock.emit('join-game', { gameId, sessionToken });
+      }
 
       updateStatusText();
       updateControls();
@@ -496,9 +808,11 @@
       board.setLastMove(data.from, data.to);
       currentTurn = data.turn;
 
-      const isMyTurn = data.turn === myColor;
+      const isMyTurn = !isSpectator && data.turn === myColor;
       board.setLegalMoves(isMyTurn ? data.legalMoves : {});
       board.setInteractive(isMyTurn);
+      board.setPockets(data.pockets);
+      board.setLegalDrops(isMyTurn ? data.legalDrops : {}, myColor);
 
       if (data.inCheck) {
         const kingSquare = board.findKing(data.turn);
@@ -507,53 +821,140 @@
         board.clearCheck();
       }
 
-      if (data.captured) {
-        addCapturedPiece(data.captured, data.turn === 'white' ? 'black' : 'white');
+      const movedColor = data.turn === 'black' ? 'white' : 'black';
+      // Full-move number from the FEN, since custom starts needn't begin at move 1
+      const fullMove = parseInt(data.fen.split(' ')[5], 10) - (movedColor === 'black' ? 1 : 0);
+      recordPly({ fullMove, san: data.san, movedColor, captured: data.captured });
+      if (isSpectator || movedColor !== myColor) {
+        const mover = isSpectator ? playerNames[movedColor] : 'Opponent';
+        announce(`${mover}: ${describeSan(data.san)}`);
       }
 
-      addMoveToHistory(data.moveNumber, data.san, data.turn === 'black' ? 'white' : 'black');
+      // A move cancels any pending takeback request
+      $('#takeback-popup').style.display = 'none';
+      resetTakebackButton();
+      syncClock(data.clock);
       updateStatusText();
       playMoveSound(data.captured);
+      if (isMyTurn) playPremove(data.legalMoves);
     });
 
     sock.on('move-rejected', (data) => {
-      const statusEl = $('#status-text');
-      const prev = statusEl.textContent;
-      statusEl.textContent = data.error || 'Invalid move';
-      $('#game-status').style.color = 'var(--danger)';
-      setTimeout(() => {
-        statusEl.textContent = prev;
-        $('#game-status').style.color = '';
-        updateStatusText();
-      }, 1500);
+      // A rejected premove cancels the rest of the queue
+      board.clearPremoves();
+      board.setInteractive(gameActive && !isSpectator && currentTurn === myColor);
+      flashStatusError(data.error || 'Invalid move');
     });
 
     sock.on('player-connected', (data) => {
-      if (data.color !== myColor) {
-        $('#opponent-connection').className = 'connection-dot connected';
-        if (data.name) $('#opponent-name').textContent = data.name;
-      }
+      if (data.color === myColor && !isSpectator) return;
+      connectedState[data.color] = true;
+      if (data.name) playerNames[data.color] = data.name;
+      renderPlayerBars();
     });
 
     sock.on('player-disconnected', (data) => {
-      if (data.color !== myColor) {
-        $('#opponent-connection').className = 'connection-dot';
+      if (data.color === myColor && !isSpectator) return;
+      connectedState[data.color] = false;
+      renderPlayerBars();
+    });
+
+    sock.on('spectator-count', (data) => {
+      updateSpectatorCount(data.count);
+    });
+
+    // The server restarted mid-game and picked the game up where it stood
+    sock.on('game-recovered', (data) => {
+      if (isSpectator) return;
+      const seconds = Math.round(data.downtimeMs / 1000);
+      const opponent = myColor === 'white' ? 'black' : 'white';
+      const parts = [`The server restarted${seconds ? ` after being down for ${seconds}s` : ''} and your game was restored.`];
+      if (data.clock) parts.push('The clocks did not run while it was down.');
+      if (data.disconnectTimeLeft[opponent] !== null) {
+        parts.push(`Your opponent has ${Math.ceil(data.disconnectTimeLeft[opponent] / 1000)}s to reconnect.`);
       }
+      const notice = parts.join(' ');
+      appendChatMessage({ sender: 'Seal Chess', text: notice });
+      announce(notice);
     });
 
     sock.on('draw-offered', () => {
+      if (isSpectator) return;
       $('#draw-offer-popup').style.display = '';
     });
 
     sock.on('draw-declined', () => {
+      if (isSpectator) return;
       $('#draw-btn').disabled = false;
       $('#draw-btn').textContent = 'Offer Draw';
     });
 
+    sock.on('takeback-requested', () => {
+      if (isSpectator) return;
+      $('#takeback-popup').style.display = '';
+    });
+
+    sock.on('takeback-declined', () => {
+      if (isSpectator) return;
+      resetTakebackButton();
+    });
+
+    // === CHAT ===
+    sock.on('chat-history', (data) => {
+      $('#chat-messages').innerHTML = '';
+      data.messages.forEach(appendChatMessage);
+      if (data.muted !== undefined) $('#chat-mute').checked = data.muted;
+    });
+
+    sock.on('chat-message', appendChatMessage);
+
+    sock.on('chat-error', (data) => {
+      showChatError(data.message);
+    });
+
+    sock.on('chat-muted', (data) => {
+      $('#chat-mute').checked = data.muted;
+    });
+
+    sock.on('takeback', (data) => {
+      board.clearPremoves();
+      board.setPosition(data.fen);
+      if (data.lastMove) board.setLastMove(data.lastMove.from, data.lastMove.to);
+      else board.setLastMove(null, null);
+      currentTurn = data.turn;
+
+      const isMyTurn = !isSpectator && data.turn === myColor;
+      board.setLegalMoves(isMyTurn ? data.legalMoves : {});
+      board.setInteractive(isMyTurn);
+      board.setPockets(data.pockets);
+      board.setLegalDrops(isMyTurn ? data.legalDrops : {}, myColor);
+
+      if (data.inCheck) {
+        const kingSquare = board.findKing(data.turn);
+        if (kingSquare) board.setCheck(kingSquare);
+      } else {
+        board.clearCheck();
+      }
+
+      rollBackPlies(data.plies);
+      announce(data.plies === 1 ? 'Takeback: one move undone' : `Takeback: ${data.plies} moves undone`);
+      $('#takeback-popup').style.display = 'none';
+      resetTakebackButton();
+      syncClock(data.clock);
+      updateStatusText();
+    });
+
     sock.on('game-over', (data) => {
       gameActive = false;
       board.setInteractive(false);
+      board.setPremoveColor(null);
       board.setLegalMoves({});
+      board.setLegalDrops({}, null);
+      syncClock(data.clock);
+      if (data.type === 'timeout') {
+        const flaggedEl = data.flagged === myColor ? $('#self-clock') : $('#opponent-clock');
+        flaggedEl.classList.add('flagged');
+      }
 
       let title = 'Game Over';
       let message = '';
@@ -570,24 +971,91 @@
       } else if (data.type === 'resignation') {
         title = data.winner === myColor ? 'You Win! 🦭' : 'You Lose';
         message = data.winner === myColor ? 'Opponent resigned.' : 'You resigned.';
+      } else if (data.result === 'double_forfeit') {
+        title = 'Double Forfeit';
+        message = 'Both players were disconnected too long.';
       } else if (data.type === 'abandonment') {
         title = data.winner === myColor ? 'You Win! 🦭' : 'You Lose';
         message = data.winner === myColor ? 'Opponent disconnected.' : 'You were disconnected too long.';
+      } else if (data.type === 'timeout') {
+        if (data.result === 'draw') {
+          title = 'Draw';
+          message = data.flagged === myColor
+            ? 'You ran out of time, but your opponent cannot checkmate.'
+            : 'Opponent ran out of time, but you cannot checkmate.';
+        } else {
+          title = data.winner === myColor ? 'You Win! 🦭' : 'You Lose';
+          message = data.winner === myColor ? 'Opponent ran out of time.' : 'You ran out of time.';
+        }
+      }
+
+      if (isSpectator) {
+        ({ title, message } = describeResultForSpectator(data));
       }
 
       if (data.whiteName && data.blackName) {
         message += `\n${data.whiteName} vs ${data.blackName}`;
       }
 
+      if (data.match) {
+        message += `\nMatch: ${formatMatchScore(data.match)}`;
+        updateMatchScore(data.match);
+      }
+
+      if (data.ratingChanges) {
+        const colors = isSpectator ? ['white', 'black'] : [myColor];
+        for (const color of colors) {
+          const rc = data.ratingChanges[color];
+          const provisional = color === 'white' ? data.whiteProvisional : data.blackProvisional;
+          const label = isSpectator ? `${playerNames[color]}'s rating` : 'Your rating';
+          message += `\n${label}: ${rc.after}${provisional ? '?' : ''} (${formatRatingChange(rc.change)})`;
+        }
+      }
+
+      announce(`${title}. ${message.split('\n')[0]}`);
       $('#game-over-title').textContent = title;
       $('#game-over-message').textContent = message;
+      $('#download-pgn-link').href = `/api/games/${gameId}/pgn`;
+      $('#replay-link').href = `/replay/${gameId}`;
       $('#game-over-overlay').style.display = '';
+      $('#rematch-btn').style.display = isSpectator ? 'none' : '';
+      $('#rematch-btn').disabled = false;
+      $('#rematch-btn').textContent = 'Rematch';
+      $('#rematch-status').textContent = '';
 
       $('#resign-btn').style.display = 'none';
       $('#draw-btn').style.display = 'none';
       $('#draw-offer-popup').style.display = 'none';
+      $('#takeback-btn').style.display = 'none';
+      $('#takeback-popup').style.display = 'none';
 
-      clearSession();
+      if (!isSpectator) clearSession();
+    });
+
+    // === REMATCH ===
+    sock.on('rematch-offered', () => {
+      if (isSpectator) return;
+      rematchOffered = true;
+      $('#rematch-btn').disabled = false;
+      $('#rematch-btn').textContent = 'Accept Rematch';
+      $('#rematch-status').textContent = 'Your opponent wants a rematch';
+    });
+
+    sock.on('rematch-declined', (data) => {
+      if (isSpectator) return;
+      rematchOffered = false;
+      $('#rematch-btn').style.display = 'none';
+      $('#rematch-status').textContent = data.reason || 'Your opponent declined the rematch';
+    });
+
+    // Players get a seat (and session token) in the new game; watchers follow along
+    sock.on('rematch-started', (data) => {
+      if (data.sessionToken) {
+        sessionToken = data.sessionToken;
+        myColor = data.color;
+        saveSession(data.gameId, data.sessionToken, data.color);
+      }
+      startRematchGame(data.gameId);
     });
 
     sock.on('error-msg', (data) => {
@@ -595,11 +1063,78 @@
     });
 
     sock.on('disconnect', () => {
+      if (isSpectator) return;
       $('#self-connection').className = 'connection-dot';
     });
   }
 
   // === UI HELPERS ===
+  // Show an error in the status bar for a moment
+  function flashStatusError(message) {
+    $('#status-text').textContent = message;
+    $('#game-status').style.color = 'var(--danger)';
+    setTimeout(() => {
+      $('#game-status').style.color = '';
+      updateStatusText();
+    }, 1500);
+  }
+
+  // Read a message out through the screen reader live region. Clearing it
+  // first makes a repeated message (e.g. the same error twice) heard again.
+  function announce(message) {
+    const el = $('#announcer');
+    el.textContent = '';
+    setTimeout(() => { el.textContent = message; }, 50);
+  }
+
+  const PIECE_NAMES = { K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight', P: 'pawn' };
+
+  // A SAN move in plain words, e.g. "Nxe5+" -> "knight takes e5, check"
+  function describeSan(san) {
+    const suffix = san.endsWith('#') ? ', checkmate' : san.endsWith('+') ? ', check' : '';
+    const move = san.replace(/[+#]$/, '');
+    if (move === 'O-O') return `castles kingside${suffix}`;
+    if (move === 'O-O-O') return `castles queenside${suffix}`;
+    const drop = /^([PNBRQ])@([a-h][1-8])$/.exec(move);
+    if (drop) return `drops a ${PIECE_NAMES[drop[1]]} on ${drop[2]}${suffix}`;
+    const parts = /^([KQRBN])?[a-h]?[1-8]?(x?)([a-h][1-8])(?:=([QRBN]))?$/.exec(move);
+    if (!parts) return san;
+    const [, letter, capture, to, promotion] = parts;
+    const promotes = promotion ? `, promotes to ${PIECE_NAMES[promotion]}` : '';
+    return `${PIECE_NAMES[letter || 'P']} ${capture ? 'takes' : 'to'} ${to}${promotes}${suffix}`;
+  }
+
+  // Play the first queued premove now that it's our turn, if it is legal in
+  // this position; an illegal one cancels the whole queue
+  function playPremove(legalMoves) {
+    if (board.premoves.length === 0) return;
+    const premove = board.takePremove();
+    const to = premoveTarget(premove, legalMoves);
+    if (!to) {
+      board.clearPremoves();
+      return;
+    }
+    // The server decides; wait for its move-made before taking more input
+    board.setInteractive(false);
+    socket.emit('make-move', { ...premove, to });
+  }
+
+  // The legal target square for a premove, or null. Castling premoves are
+  // entered king-onto-rook or as a two-square king move, but the server lists
+  // a castle in one form only (king onto rook in Chess960, two squares in
+  // standard chess), so those match the legal castle on the same side.
+  function premoveTarget(premove, legalMoves) {
+    const { from, to } = premove;
+    const targets = legalMoves[from] || [];
+    if (targets.includes(to)) return to;
+    const king = board.pieceAt(from);
+    const twoSquares = (a, b) => Math.abs(a.charCodeAt(0) - b.charCodeAt(0)) === 2;
+    const castles = (target) => target[1] === from[1] && (board.isCastling(from, target) || twoSquares(from, target));
+    if (!king || king.type !== 'king' || !castles(to)) return null;
+    const kingside = to > from;
+    return targets.find(target => castles(target) && (target > from) === kingside) || null;
+  }
+
   function updateStatusText() {
     const statusEl = $('#status-text');
     const gameStatusEl = $('#game-status');
@@ -610,6 +1145,12 @@
       return;
     }
 
+    if (isSpectator) {
+      statusEl.textContent = `${currentTurn === 'white' ? 'White' : 'Black'} to move`;
+      gameStatusEl.className = 'game-status';
+      return;
+    }
+
     const isMyTurn = currentTurn === myColor;
     if (isMyTurn) {
       statusEl.textContent = 'Your turn';
@@ -621,12 +1162,185 @@
   }
 
   function updateControls() {
-    if (gameActive) {
+    if (gameActive && !isSpectator) {
       $('#resign-btn').style.display = '';
       $('#draw-btn').style.display = '';
+      $('#takeback-btn').style.display = takebacksAllowed ? '' : 'none';
     }
   }
 
+  function resetTakebackButton() {
+    $('#takeback-btn').disabled = false;
+    $('#takeback-btn').textContent = 'Takeback';
+  }
+
+  function renderPlayerBars() {
+    const oppColor = myColor === 'white' ? 'black' : 'white';
+    $('#self-name').textContent = playerNames[myColor];
+    $('#opponent-name').textContent = playerNames[oppColor];
+
+    $('#self-piece-icon').innerHTML = `<img src="/assets/pieces/${myColor}_king.svg" alt="">`;
+    $('#opponent-piece-icon').innerHTML = `<img src="/assets/pieces/${oppColor}_king.svg" alt="">`;
+
+    $('#self-connection').className = `connection-dot ${connectedState[myColor] ? 'connected' : ''}`;
+    $('#opponent-connection').className = `connection-dot ${connectedState[oppColor] ? 'connected' : ''}`;
+  }
+
+  // === CHAT ===
+  // Spectators chat among themselves under their saved name, if they have one
+  function spectatorChatName() {
+    const id = loadIdentity();
+    return id ? id.displayName : null;
+  }
+
+  function setupChatPanel(state) {
+    // Bots don't chat, so there is no one to talk to in a bot game
+    const vsBot = !isSpectator && !!(state.bots && (state.bots.white || state.bots.black));
+    $('#chat-panel').style.display = vsBot ? 'none' : '';
+    $('#chat-title').textContent = isSpectator ? 'Spectator Chat' : 'Chat';
+    $('#chat-mute-label').style.display = isSpectator ? 'none' : '';
+  }
+
+  function appendChatMessage(message) {
+    const list = $('#chat-messages');
+    const el = document.createElement('div');
+    el.className = `chat-message${message.color ? ` from-${message.color}` : ''}`;
+    const sender = document.createElement('span');
+    sender.className = 'chat-sender';
+    sender.textContent = message.sender;
+    const text = document.createElement('span');
+    text.textContent = message.text;
+    el.append(sender, text);
+    list.appendChild(el);
+    list.scrollTop = list.scrollHeight;
+  }
+
+  let chatErrorTimer = null;
+  function showChatError(message) {
+    $('#chat-error').textContent = message;
+    clearTimeout(chatErrorTimer);
+    chatErrorTimer = setTimeout(() => { $('#chat-error').textContent = ''; }, 4000);
+  }
+
+  // e.g. "3 players waiting · rating 1480 ± 150 · about 20s left"
+  function formatQueueStatus(status) {
+    const parts = [status.queueSize === 1 ? 'Only you waiting so far' : `${status.queueSize} players waiting`];
+    parts.push(`rating ${status.rating} ± ${status.ratingWindow}`);
+    if (status.estimatedWaitMs !== null) {
+      parts.push(status.estimatedWaitMs > 0 ? `about ${Math.ceil(status.estimatedWaitMs / 1000)}s left` : 'any moment now');
+    }
+    const others = status.pools.reduce((sum, pool) => sum + pool.players, 0) - status.queueSize;
+    if (others > 0) parts.push(`${others} in other pools`);
+    return parts.join(' · ');
+  }
+
+  // Series score, e.g. "Alice 1.5 – 0.5 Bob"
+  function formatMatchScore(match) {
+    return `${playerNames.white} ${match.white} – ${match.black} ${playerNames.black}`;
+  }
+
+  function updateMatchScore(match) {
+    const el = $('#match-score');
+    if (!match) {
+      el.style.display = 'none';
+      return;
+    }
+    el.textContent = `Match: ${formatMatchScore(match)}`;
+    el.style.display = '';
+  }
+
+  function updateSpectatorCount(count) {
+    const el = $('#spectator-count');
+    if (!count) {
+      el.style.display = 'none';
+      return;
+    }
+    el.textContent = `👀 ${count} watching`;
+    el.style.display = '';
+  }
+
+  function describeResultForSpectator(data) {
+    const winnerName = data.winner ? playerNames[data.winner] : null;
+    const loserName = data.winner ? playerNames[data.winner === 'white' ? 'black' : 'white'] : null;
+
+    if (data.result === 'draw') {
+      if (data.type === 'stalemate') return { title: 'Stalemate', message: 'The game is a draw by stalemate.' };
+      if (data.type === 'timeout') return { title: 'Draw', message: 'Time ran out, but the other side cannot checkmate.' };
+      return { title: 'Draw', message: data.reason ? `Draw by ${data.reason}.` : 'The game is a draw by agreement.' };
+    }
+    if (data.result === 'double_forfeit') {
+      return { title: 'Double Forfeit', message: 'Both players were disconnected too long.' };
+    }
+
+    const title = `${winnerName} wins`;
+    const reasons = {
+      checkmate: 'by checkmate.',
+      resignation: `— ${loserName} resigned.`,
+      abandonment: `— ${loserName} disconnected.`,
+      timeout: `— ${loserName} ran out of time.`
+    };
+    return { title, message: `${winnerName} wins ${reasons[data.type] || ''}`.trim() };
+  }
+
+  function formatRatingChange(change) {
+    return change > 0 ? `+${change}` : `${change}`;
+  }
+
+  // === CLOCKS ===
+  function syncClock(clock) {
+    if (!clock) {
+      if (!clockState) return;
+      clockState = null;
+      stopClocks();
+      $('#self-clock').style.display = 'none';
+      $('#opponent-clock').style.display = 'none';
+      return;
+    }
+    clockState = clock;
+    clockSyncedAt = performance.now();
+    $('#self-clock').style.display = '';
+    $('#opponent-clock').style.display = '';
+    renderClocks();
+
+    if (clock.running && !clockInterval) {
+      clockInterval = setInterval(renderClocks, 100);
+    } else if (!clock.running) {
+      stopClocks();
+    }
+  }
+
+  function stopClocks() {
+    if (clockInterval) {
+      clearInterval(clockInterval);
+      clockInterval = null;
+    }
+  }
+
+  function renderClocks() {
+    if (!clockState) return;
+    const elapsed = performance.now() - clockSyncedAt;
+    const oppColor = myColor === 'white' ? 'black' : 'white';
+
+    for (const [color, el] of [[myColor, $('#self-clock')], [oppColor, $('#opponent-clock')]]) {
+      const running = clockState.running === color;
+      const remaining = Math.max(0, clockState[color] - (running ? elapsed : 0));
+      el.textContent = formatClock(remaining);
+      el.classList.toggle('running', running);
+      el.classList.toggle('low-time', remaining < LOW_TIME_MS);
+    }
+  }
+
+  function formatClock(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    // Show tenths in the last ten seconds
+    if (ms < 10000) return `0:${(ms / 1000).toFixed(1).padStart(4, '0')}`;
+    const mmss = `${minutes}:${String(seconds).padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss.padStart(5, '0')}` : mmss;
+  }
+
   function addCapturedPiece(pieceType, capturedColor) {
     const isOpponentPiece = capturedColor !== myColor;
     const container = isOpponentPiece ? $('#self-captured') : $('#opponent-captured');
@@ -639,14 +1353,33 @@
   }
 
   let moveHistoryMoves = [];
+  // Every ply shown in the move list: { fullMove, san, movedColor, captured }
+  let playedPlies = [];
+
+  function recordPly(ply) {
+    playedPlies.push(ply);
+    if (ply.captured) addCapturedPiece(ply.captured, ply.movedColor === 'white' ? 'black' : 'white');
+    addMoveToHistory(ply.fullMove, ply.san, ply.movedColor);
+  }
 
-  function addMoveToHistory(moveNumber, san, movedColor) {
+  // Remove the last `count` plies from the move list and captured-piece trays
+  function rollBackPlies(count) {
+    const kept = playedPlies.slice(0, Math.max(0, playedPlies.length - count));
+    playedPlies = [];
+    moveHistoryMoves = [];
+    $('#move-list').innerHTML = '';
+    $('#self-captured').innerHTML = '';
+    $('#opponent-captured').innerHTML = '';
+    kept.forEach(recordPly);
+  }
+
+  function addMoveToHistory(fullMove, san, movedColor) {
     const moveList = $('#move-list');
 
     if (movedColor === 'white') {
       const numEl = document.createElement('span');
       numEl.className = 'move-number';
-      numEl.textContent = Math.ceil(moveNumber / 2) + '.';
+      numEl.textContent = fullMove + '.';
 
       const whiteEl = document.createElement('span');
       whiteEl.className = 'move-white';
@@ -654,8 +1387,20 @@
 
       moveList.appendChild(numEl);
       moveList.appendChild(whiteEl);
-      moveHistoryMoves.push({ number: Math.ceil(moveNumber / 2), white: san, black: null });
+      moveHistoryMoves.push({ number: fullMove, white: san, black: null });
     } else {
+      // A position with Black to move starts the list with "N..."
+      if (moveHistoryMoves.length === 0) {
+        const numEl = document.createElement('span');
+        numEl.className = 'move-number';
+        numEl.textContent = fullMove + '...';
+        const gapEl = document.createElement('span');
+        gapEl.className = 'move-white';
+        moveList.appendChild(numEl);
+        moveList.appendChild(gapEl);
+        moveHistoryMoves.push({ number: fullMove, white: null, black: null });
+      }
+
       const blackEl = document.createElement('span');
       blackEl.className = 'move-black';
       blackEl.textContent = san;
@@ -1,36 +1,87 @@
 /**
  * ChessBoard - Renders and manages the interactive chess board UI
- * Handles piece rendering, click/drag selection, legal move highlighting,
- * and board orientation based on player color.
+ * Handles piece rendering (animated, redrawing only the squares that
+ * changed), click and drag-and-drop moves (mouse, touch and pen), keyboard
+ * and typed moves, legal move highlighting, premoves, board orientation
+ * based on player color, and Crazyhouse pockets. The board is an
+ * ARIA grid: each square is a cell labelled with its piece and highlights.
  */
+
+// How far (px) the pointer must travel before a press becomes a drag
+const DRAG_THRESHOLD = 4;
+
+// How long (ms) a piece takes to slide to its new square
+const DEFAULT_ANIMATION_MS = 200;
+
 class ChessBoard {
   constructor(boardEl, options = {}) {
     this.boardEl = boardEl;
     this.onMove = options.onMove || (() => {});
     this.onPromotionNeeded = options.onPromotionNeeded || (() => {});
+    this.onDrop = options.onDrop || (() => {});
+    // Crazyhouse pocket rows: { top, bottom } elements, shown next to each side
+    this.pocketEls = options.pocketEls || null;
     this.orientation = options.orientation || 'white'; // 'white' = white at bottom
     this.interactive = options.interactive !== false;
+    // 0 turns animation off; it is also skipped when the user prefers reduced motion
+    this.animationMs = options.animationMs ?? DEFAULT_ANIMATION_MS;
 
     this.squares = [];
+    this.position = null;
+    // What is on screen: square name -> FEN piece letter
+    this.shown = new Map();
+    // The last piece dropped by drag, which is already where it belongs
+    this.droppedMove = null;
     this.selectedSquare = null;
     this.legalMoves = {};
     this.lastMove = null;
     this.checkSquare = null;
     this.pendingPromotion = null;
 
+    // Crazyhouse: pocket contents, where each pocket piece may be dropped
+    // (for dropColor's pocket only), and the pocket piece being dropped
+    this.pockets = null;
+    this.legalDrops = {};
+    this.dropColor = null;
+    this.selectedDrop = null;
+
+    // Premoves: while the board isn't interactive, premoveColor's pieces can
+    // still be moved to queue moves ({ from, to, promotion }) for later turns
+    this.premoveColor = null;
+    this.premoves = [];
+
+    // The piece being dragged ({ from, pointerId, x, y, ghost, over }), and
+    // whether to ignore the click the browser sends after a drop
+    this.drag = null;
+    this.ignoreClick = false;
+    this.onDragMove = e => this.handleDragMove(e);
+    this.onDragEnd = e => this.handleDragEnd(e);
+
+    // Index (in screen order, 0 = top left) of the square that takes keyboard focus
+    this.focusIndex = 56;
+
     this.pieceMap = {
       K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight', P: 'pawn',
       k: 'king', q: 'queen', r: 'rook', b: 'bishop', n: 'knight', p: 'pawn'
     };
 
     this.buildBoard();
+    this.updateTouchAction();
   }
 
   buildBoard() {
     this.boardEl.innerHTML = '';
+    this.shown = new Map();
+    this.boardEl.setAttribute('role', 'grid');
+    this.boardEl.setAttribute('aria-label', 'Chess board');
     this.squares = [];
 
     for (let row = 0; row < 8; row++) {
+      // Rows exist for screen readers only; the squares still lay out in the board's CSS grid
+      const rowEl = document.createElement('div');
+      rowEl.className = 'board-row';
+      rowEl.setAttribute('role', 'row');
+
       for (let col = 0; col < 8; col++) {
         const displayRow = this.orientation === 'white' ? row : 7 - row;
         const displayCol = this.orientation === 'white' ? col : 7 - col;
@@ -43,11 +94,14 @@ class ChessBoard {
         const sq = document.createElement('div');
         sq.className = `square ${isLight ? 'light' : 'dark'}`;
         sq.dataset.square = squareName;
+        sq.setAttribute('role', 'gridcell');
+        sq.tabIndex = -1;
 
         // Rank labels on left column
         if (col === 0) {
           const rl = document.createElement('span');
           rl.className = 'rank-label';
+          rl.setAttribute('aria-hidden', 'true');
           rl.textContent = rank;
           sq.appendChild(rl);
         }
@@ -56,21 +110,170 @@ class ChessBoard {
         if (row === 7) {
           const fl = document.createElement('span');
           fl.className = 'file-label';
+          fl.setAttribute('aria-hidden', 'true');
           fl.textContent = file;
           sq.appendChild(fl);
         }
 
-        sq.addEventListener('click', () => this.handleSquareClick(squareName));
-
-        this.boardEl.appendChild(sq);
+        sq.addEventListener('click', () => {
+          if (this.ignoreClick) return;
+          this.handleSquareClick(squareName);
+        });
+        sq.addEventListener('pointerdown', (e) => this.handlePointerDown(e, squareName));
+        sq.addEventListener('contextmenu', (e) => this.handleRightClick(e));
+        const index = row * 8 + col;
+        sq.addEventListener('keydown', (e) => this.handleKeyDown(e, index));
+        sq.addEventListener('focus', () => this.setFocusIndex(index));
+
+        rowEl.appendChild(sq);
         this.squares.push({ el: sq, name: squareName, row: displayRow, col: displayCol });
       }
+      this.boardEl.appendChild(rowEl);
+    }
+    this.setFocusIndex(this.focusIndex);
+    this.refreshLabels();
+  }
+
+  // === KEYBOARD & SCREEN READERS ===
+
+  // Roving focus: only one square is in the tab order at a time
+  setFocusIndex(index) {
+    const previous = this.squares[this.focusIndex];
+    if (previous) previous.el.tabIndex = -1;
+    this.focusIndex = index;
+    this.squares[index].el.tabIndex = 0;
+  }
+
+  focusSquare(index) {
+    this.setFocusIndex(index);
+    this.squares[index].el.focus();
+  }
+
+  /**
+   * Arrow keys move between squares (as they appear on screen), Home/End go
+   * to the ends of the row, and Enter or Space act like a click.
+   */
+  handleKeyDown(e, index) {
+    const row = Math.floor(index / 8);
+    const col = index % 8;
+    const steps = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    let next = null;
+    if (steps[e.key]) {
+      const [dr, dc] = steps[e.key];
+      next = Math.min(7, Math.max(0, row + dr)) * 8 + Math.min(7, Math.max(0, col + dc));
+    } else if (e.key === 'Home') {
+      next = row * 8;
+    } else if (e.key === 'End') {
+      next = row * 8 + 7;
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      this.handleSquareClick(this.squares[index].name);
+      return;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    this.focusSquare(next);
+  }
+
+  // A square's accessible name, e.g. "e4, white knight, selected"
+  describeSquare(sq) {
+    const piece = this.pieceAt(sq.name);
+    const parts = [sq.name, piece ? `${piece.color} ${piece.type}` : 'empty'];
+    const has = name => sq.el.classList.contains(name);
+    if (has('selected')) parts.push('selected');
+    if (has('legal-move') || has('legal-capture') || has('legal-castle')) parts.push('legal move');
+    if (has('premove-target')) parts.push('premove target');
+    if (has('premove')) parts.push('premove');
+    if (has('last-from') || has('last-to')) parts.push('last move');
+    if (has('in-check')) parts.push('in check');
+    return parts.join(', ');
+  }
+
+  refreshLabels() {
+    for (const sq of this.squares) {
+      sq.el.setAttribute('aria-label', this.describeSquare(sq));
+      sq.el.setAttribute('aria-selected', sq.el.classList.contains('selected') ? 'true' : 'false');
+    }
+  }
+
+  /**
+   * Play a move typed in SAN ("Nf3", "exd5", "O-O", "e8=Q", "N@f3" for a
+   * Crazyhouse drop) or coordinates ("g1f3", "e7e8q"), if it is legal.
+   * Pawns promote to a queen unless another piece is given. Returns null
+   * once the move is sent, or a message saying why it wasn't.
+   */
+  playTypedMove(text) {
+    if (!this.interactive || this.pendingPromotion) return "It's not your turn";
+    const input = (text || '').trim().replace(/[+#!?]+$/, '');
+    if (!input) return 'Type a move, e.g. Nf3 or g1f3';
+
+    const drop = /^([PNBRQ])@([a-h][1-8])$/i.exec(input);
+    if (drop) {
+      const type = drop[1].toLowerCase();
+      if (!(this.legalDrops[type] || []).includes(drop[2])) return `Can't drop ${input}`;
+      this.clearSelection();
+      this.onDrop(type, drop[2]);
+      return null;
+    }
+
+    const move = this.findTypedMove(input);
+    if (move.error) return move.error;
+    this.clearSelection();
+    this.onMove(move.from, move.to, move.promotion);
+    return null;
+  }
+
+  findTypedMove(input) {
+    const moves = Object.entries(this.legalMoves).flatMap(([from, targets]) => targets.map(to => ({ from, to })));
+    let candidates;
+    let promotion = null;
+
+    const coords = /^([a-h][1-8])-?([a-h][1-8])([qrbn])?$/i.exec(input);
+    const castle = /^([O0])-\1(-\1)?$/i.exec(input);
+    if (coords) {
+      const [from, to] = [coords[1].toLowerCase(), coords[2].toLowerCase()];
+      candidates = moves.filter(m => m.from === from && m.to === to);
+      promotion = coords[3];
+    } else if (castle) {
+      // Kingside castling goes towards the h-file, queenside towards the a-file
+      const kingside = !castle[2];
+      candidates = moves.filter(m => this.pieceAt(m.from)?.type === 'king' &&
+        (this.isCastling(m.from, m.to) || Math.abs(m.to.charCodeAt(0) - m.from.charCodeAt(0)) === 2) &&
+        (m.to > m.from) === kingside);
+    } else {
+      const san = /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/.exec(input);
+      if (!san) return { error: `"${input}" is not a move` };
+      const [, letter, file, rank, to, promo] = san;
+      const type = letter ? this.pieceMap[letter] : 'pawn';
+      candidates = moves.filter(m => m.to === to && this.pieceAt(m.from)?.type === type &&
+        !this.isCastling(m.from, m.to) && (!file || m.from[0] === file) && (!rank || m.from[1] === rank));
+      promotion = promo;
     }
+
+    if (candidates.length === 0) return { error: `${input} is not a legal move` };
+    if (candidates.length > 1) return { error: `${input} is ambiguous; add the piece's file or rank` };
+    const { from, to } = candidates[0];
+    const promotes = this.isPromotion(from, to);
+    return { from, to, promotion: promotes ? (promotion || 'q').toLowerCase() : null };
   }
 
   setOrientation(color) {
     this.orientation = color;
+    this.selectedSquare = null;
     this.buildBoard();
+    // Rebuilding drops pieces and highlights, so re-apply them
+    if (this.position) this.setPosition(this.position, { animate: false });
+    this.renderPockets();
+    this.clearHighlights();
+  }
+
+  /**
+   * Turn the board around; returns the new orientation
+   */
+  flip() {
+    this.setOrientation(this.orientation === 'white' ? 'black' : 'white');
+    return this.orientation;
   }
 
   getSquareEl(name) {
@@ -79,65 +282,289 @@ class ChessBoard {
   }
 
   /**
-   * Update the board display from a FEN string
+   * Update the board display from a FEN string. Only squares whose piece
+   * changed are touched, and pieces that moved slide to their new squares
+   * (both pieces when castling) while captured ones fade out, unless
+   * `animate` is false.
    */
-  setPosition(fen) {
-    // Clear all pieces
+  setPosition(fen, { animate = true } = {}) {
+    this.position = fen;
+    const next = this.parsePlacement(fen);
+
+    // Squares that lost their piece, and squares that gained a different one
+    const vacated = [];
+    const filled = [];
     for (const sq of this.squares) {
-      const existing = sq.el.querySelector('.piece-img');
-      if (existing) existing.remove();
+      const before = this.shown.get(sq.name);
+      const after = next.get(sq.name);
+      if (before === after) continue;
+      if (before) vacated.push({ name: sq.name, piece: before });
+      if (after) filled.push({ name: sq.name, piece: after });
+    }
+
+    const moves = this.matchMoves(vacated, filled);
+    const duration = animate ? this.animationDuration() : 0;
+    const dropped = this.droppedMove;
+    this.droppedMove = null;
+
+    // Measure before anything changes, since images are about to move between squares
+    const rects = new Map();
+    if (duration) {
+      for (const { from, to } of moves) {
+        rects.set(from, this.getSquareEl(from).getBoundingClientRect());
+        rects.set(to, this.getSquareEl(to).getBoundingClientRect());
+      }
+    }
+
+    // Lift the moving pieces off first, so that one landing where another
+    // is leaving (Chess960 castling) can't clear it away
+    const movingImgs = new Map(moves.map(({ from }) => [from, this.getSquareEl(from).querySelector('.piece-img')]));
+    for (const img of movingImgs.values()) img.remove();
+    const movedFrom = new Set(moves.map(m => m.from));
+    const movedTo = new Set(moves.map(m => m.to));
+
+    // Pieces left behind: captures (including the pawn taken en passant)
+    for (const { name } of vacated) {
+      if (movedFrom.has(name)) continue;
+      this.removePiece(name, duration);
+    }
+
+    for (const { from, to, piece } of moves) {
+      const img = movingImgs.get(from);
+      this.removePiece(to, duration);
+      this.getSquareEl(to).appendChild(img);
+      // A promoted pawn arrives as its new piece
+      if (this.shown.get(from) !== piece) this.setPieceImage(img, piece);
+
+      const skip = dropped && dropped.from === from && dropped.to === to;
+      if (duration && !skip) {
+        const a = rects.get(from);
+        const b = rects.get(to);
+        this.slide(img, a.left - b.left, a.top - b.top, duration);
+      }
     }
 
-    // Parse FEN - only need piece placement (first part)
-    const placement = fen.split(' ')[0];
-    const rows = placement.split('/');
+    for (const { name, piece } of filled) {
+      if (movedTo.has(name)) continue;
+      this.removePiece(name, 0);
+      this.placePiece(name, piece);
+    }
+
+    this.shown = next;
+    this.refreshLabels();
+  }
 
-    for (let r = 0; r < 8; r++) {
+  // Square name -> FEN piece letter, from a FEN's piece placement field
+  // (without the Crazyhouse pocket field and promoted-piece markers)
+  parsePlacement(fen) {
+    const placement = fen.split(' ')[0].replace(/\[.*\]$/, '').replace(/~/g, '');
+    const pieces = new Map();
+    placement.split('/').forEach((row, r) => {
       let col = 0;
-      for (const ch of rows[r]) {
+      for (const ch of row) {
         if (ch >= '1' && ch <= '8') {
           col += parseInt(ch);
         } else {
-          const file = String.fromCharCode(97 + col);
-          const rank = 8 - r;
-          const squareName = file + rank;
-          const color = ch === ch.toUpperCase() ? 'white' : 'black';
-          const piece = this.pieceMap[ch];
-
-          this.placePiece(squareName, color, piece);
+          pieces.set(String.fromCharCode(97 + col) + (8 - r), ch);
           col++;
         }
       }
+    });
+    return pieces;
+  }
+
+  /**
+   * Pair squares that lost a piece with squares that gained one, as moves
+   * ({ from, to, piece }): the same piece on the nearest square first, then
+   * a pawn of the same color for a promotion. Anything unpaired was captured
+   * or dropped.
+   */
+  matchMoves(vacated, filled) {
+    const distance = (a, b) => Math.max(
+      Math.abs(a.charCodeAt(0) - b.charCodeAt(0)),
+      Math.abs(Number(a[1]) - Number(b[1]))
+    );
+    const isWhite = ch => ch === ch.toUpperCase();
+    const sameColorPawn = (source, piece) => source.toLowerCase() === 'p' && isWhite(source) === isWhite(piece);
+
+    const moves = [];
+    const unused = [...vacated];
+    const pair = (matches) => {
+      for (const target of filled) {
+        if (moves.some(m => m.to === target.name)) continue;
+        let best = null;
+        for (const source of unused) {
+          if (!matches(source.piece, target.piece)) continue;
+          if (!best || distance(source.name, target.name) < distance(best.name, target.name)) best = source;
+        }
+        if (!best) continue;
+        unused.splice(unused.indexOf(best), 1);
+        moves.push({ from: best.name, to: target.name, piece: target.piece });
+      }
+    };
+    pair((source, piece) => source === piece);
+    pair(sameColorPawn);
+    return moves;
+  }
+
+  animationDuration() {
+    const reduced = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return reduced || !Element.prototype.animate ? 0 : this.animationMs;
+  }
+
+  // Slide an image in from (dx, dy) px away to where it now sits
+  slide(img, dx, dy, duration) {
+    img.classList.add('moving');
+    const animation = img.animate(
+      [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }],
+      { duration, easing: 'ease-out' }
+    );
+    animation.onfinish = animation.oncancel = () => img.classList.remove('moving');
+  }
+
+  // Take a square's piece off the board, fading it out over `duration` ms
+  removePiece(squareName, duration) {
+    const img = this.getSquareEl(squareName)?.querySelector('.piece-img');
+    if (!img) return;
+    if (!duration) {
+      img.remove();
+      return;
     }
+    // No longer counts as the square's piece while it fades
+    img.className = 'piece-fading';
+    img.animate([{ opacity: 1 }, { opacity: 0 }], { duration }).onfinish = () => img.remove();
   }
 
-  placePiece(squareName, color, piece) {
+  placePiece(squareName, piece) {
     const sqEl = this.getSquareEl(squareName);
     if (!sqEl) return;
 
     const img = document.createElement('img');
     img.className = 'piece-img';
-    img.src = `/assets/pieces/${color}_${piece}.svg`;
-    img.alt = `${color} ${piece}`;
     img.draggable = false;
+    this.setPieceImage(img, piece);
     sqEl.appendChild(img);
   }
 
+  setPieceImage(img, piece) {
+    const color = piece === piece.toUpperCase() ? 'white' : 'black';
+    img.src = `/assets/pieces/${color}_${this.pieceMap[piece]}.svg`;
+    img.alt = `${color} ${this.pieceMap[piece]}`;
+  }
+
   setLegalMoves(moves) {
     this.legalMoves = moves || {};
   }
 
   setInteractive(interactive) {
     this.interactive = interactive;
+    this.updateTouchAction();
+  }
+
+  // While pieces can be dragged, touches on the board mustn't scroll the page
+  updateTouchAction() {
+    this.boardEl.classList.toggle('touch-drag', this.interactive || !!this.premoveColor);
+  }
+
+  /**
+   * Show Crazyhouse pockets ({ white: { q, r, b, n, p }, black }); null hides them
+   */
+  setPockets(pockets) {
+    this.pockets = pockets;
+    this.renderPockets();
+  }
+
+  /**
+   * Squares each of `color`'s pocket pieces may be dropped on ({ n: ['e4', ...] })
+   */
+  setLegalDrops(drops, color) {
+    this.legalDrops = drops || {};
+    this.dropColor = color || null;
+    this.renderPockets();
+  }
+
+  renderPockets() {
+    if (!this.pocketEls) return;
+    const opposite = this.orientation === 'white' ? 'black' : 'white';
+    const rows = [[this.pocketEls.bottom, this.orientation], [this.pocketEls.top, opposite]];
+    for (const [el, color] of rows) {
+      el.innerHTML = '';
+      el.style.display = this.pockets ? '' : 'none';
+      if (!this.pockets) continue;
+
+      for (const type of ['q', 'r', 'b', 'n', 'p']) {
+        const count = this.pockets[color][type];
+        if (!count) continue;
+        const droppable = color === this.dropColor && !!this.legalDrops[type];
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'pocket-piece';
+        if (droppable && this.selectedDrop === type) btn.classList.add('selected');
+        btn.disabled = !droppable;
+        btn.dataset.piece = type;
+
+        const img = document.createElement('img');
+        img.src = `/assets/pieces/${color}_${this.pieceMap[type]}.svg`;
+        img.alt = `${color} ${this.pieceMap[type]}`;
+        img.draggable = false;
+        btn.appendChild(img);
+
+        const badge = document.createElement('span');
+        badge.className = 'pocket-count';
+        badge.textContent = count;
+        btn.appendChild(badge);
+
+        btn.addEventListener('click', () => this.handlePocketClick(type));
+        el.appendChild(btn);
+      }
+    }
+  }
+
+  handlePocketClick(type) {
+    if (!this.interactive || this.pendingPromotion) return;
+    if (this.selectedDrop === type) {
+      this.clearSelection();
+      return;
+    }
+    this.selectDrop(type);
+  }
+
+  selectDrop(type) {
+    this.clearHighlights();
+    this.selectedSquare = null;
+    this.selectedDrop = type;
+    this.renderPockets();
+
+    for (const target of this.legalDrops[type] || []) {
+      const targetEl = this.getSquareEl(target);
+      if (targetEl) targetEl.classList.add('legal-move', 'clickable');
+    }
+    this.refreshLabels();
   }
 
   handleSquareClick(squareName) {
-    if (!this.interactive) return;
+    if (!this.interactive) {
+      if (this.premoveColor) this.handlePremoveClick(squareName);
+      return;
+    }
 
     if (this.pendingPromotion) return; // Waiting for promotion choice
 
+    if (this.selectedDrop) {
+      const type = this.selectedDrop;
+      if ((this.legalDrops[type] || []).includes(squareName)) {
+        this.clearSelection();
+        this.onDrop(type, squareName);
+        return;
+      }
+      // Not a drop target - fall through, so clicking a piece selects it
+      this.clearSelection();
+    }
+
     if (this.selectedSquare) {
-      // Try to move
+      // Try to move (this comes before reselecting, so that clicking your own
+      // rook with the king selected castles, as Chess960 requires)
       const fromMoves = this.legalMoves[this.selectedSquare] || [];
       if (fromMoves.includes(squareName)) {
         // Check if this is a pawn promotion
@@ -168,15 +595,280 @@ class ChessBoard {
     }
   }
 
+  // === PREMOVES ===
+
+  /**
+   * Allow queueing premoves for `color` while the board isn't interactive;
+   * null turns premoves off and drops any queued ones.
+   */
+  setPremoveColor(color) {
+    this.premoveColor = color || null;
+    if (!this.premoveColor) this.clearPremoves();
+    this.updateTouchAction();
+  }
+
+  /**
+   * Remove and return the first queued premove (null if there is none)
+   */
+  takePremove() {
+    const premove = this.premoves.shift() || null;
+    this.clearSelection();
+    return premove;
+  }
+
+  // Drop the queued premoves and any selection
+  clearPremoves() {
+    this.premoves = [];
+    this.clearSelection();
+  }
+
+  handleRightClick(e) {
+    if (this.premoves.length === 0 && !this.selectedSquare) return;
+    e.preventDefault();
+    this.clearPremoves();
+  }
+
+  handlePremoveClick(squareName) {
+    const placement = this.premovePlacement();
+    const own = placement[squareName] && placement[squareName].color === this.premoveColor;
+
+    if (this.selectedSquare) {
+      const from = this.selectedSquare;
+      if (this.premoveTargets(from, placement).includes(squareName)) {
+        // Premoved pawns always promote to a queen
+        const piece = placement[from];
+        const lastRank = squareName[1] === '8' || squareName[1] === '1';
+        this.premoves.push({ from, to: squareName, promotion: piece.type === 'pawn' && lastRank ? 'q' : null });
+        this.clearSelection();
+        return;
+      }
+      if (own && squareName !== from) {
+        this.selectPremoveSquare(squareName, placement);
+        return;
+      }
+      this.clearSelection();
+      return;
+    }
+
+    if (own) this.selectPremoveSquare(squareName, placement);
+  }
+
+  selectPremoveSquare(squareName, placement) {
+    this.clearHighlights();
+    this.selectedSquare = squareName;
+    const sqEl = this.getSquareEl(squareName);
+    if (sqEl) sqEl.classList.add('selected');
+
+    for (const target of this.premoveTargets(squareName, placement)) {
+      const targetEl = this.getSquareEl(target);
+      if (targetEl) targetEl.classList.add('premove-target', 'clickable');
+    }
+    this.refreshLabels();
+  }
+
+  // Where the pieces stand once the queued premoves have been played
+  premovePlacement() {
+    const placement = {};
+    for (const sq of this.squares) {
+      const piece = this.pieceAt(sq.name);
+      if (piece) placement[sq.name] = piece;
+    }
+    for (const { from, to } of this.premoves) {
+      placement[to] = placement[from];
+      delete placement[from];
+    }
+    return placement;
+  }
+
+  /**
+   * Squares the piece on `from` could move to on a later turn, judged only by
+   * how it moves (other pieces may be in the way by then). The server checks
+   * each premove when it is played.
+   */
+  premoveTargets(from, placement) {
+    const piece = placement[from];
+    if (!piece) return [];
+    const file = from.charCodeAt(0) - 97;
+    const rank = parseInt(from[1]) - 1;
+    const targets = [];
+    const add = (f, r) => {
+      if (f >= 0 && f < 8 && r >= 0 && r < 8) targets.push(String.fromCharCode(97 + f) + (r + 1));
+    };
+    const slide = dirs => dirs.forEach(([df, dr]) => {
+      for (let i = 1; i < 8; i++) add(file + df * i, rank + dr * i);
+    });
+    const straight = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    const diagonal = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+    const backRank = piece.color === 'white' ? 0 : 7;
+
+    if (piece.type === 'pawn') {
+      const dir = piece.color === 'white' ? 1 : -1;
+      add(file, rank + dir);
+      if (rank === backRank + dir) add(file, rank + 2 * dir);
+      add(file - 1, rank + dir);
+      add(file + 1, rank + dir);
+    } else if (piece.type === 'knight') {
+      [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]].forEach(([df, dr]) => add(file + df, rank + dr));
+    } else if (piece.type === 'bishop') {
+      slide(diagonal);
+    } else if (piece.type === 'rook') {
+      slide(straight);
+    } else if (piece.type === 'queen') {
+      slide([...straight, ...diagonal]);
+    } else if (piece.type === 'king') {
+      [...straight, ...diagonal].forEach(([df, dr]) => add(file + df, rank + dr));
+      // Castling: two squares along the back rank, or king onto rook
+      if (rank === backRank) {
+        add(file + 2, rank);
+        add(file - 2, rank);
+        for (let f = 0; f < 8; f++) {
+          const target = String.fromCharCode(97 + f) + (rank + 1);
+          const rook = placement[target];
+          if (rook && rook.type === 'rook' && rook.color === piece.color) targets.push(target);
+        }
+      }
+    }
+
+    return targets.filter((sq) => {
+      const other = placement[sq];
+      return !other || other.color !== piece.color || (piece.type === 'king' && other.type === 'rook');
+    });
+  }
+
+  applyPremoveHighlight() {
+    for (const sq of this.squares) {
+      sq.el.classList.remove('premove');
+    }
+    for (const { from, to } of this.premoves) {
+      for (const name of [from, to]) {
+        const el = this.getSquareEl(name);
+        if (el) el.classList.add('premove');
+      }
+    }
+  }
+
+  // === DRAG AND DROP ===
+
+  // Whether the piece on a square can be picked up right now
+  canDrag(squareName) {
+    if (this.pendingPromotion || !this.pieceAt(squareName)) return false;
+    if (this.interactive) return (this.legalMoves[squareName] || []).length > 0;
+    if (!this.premoveColor) return false;
+    const piece = this.premovePlacement()[squareName];
+    return !!piece && piece.color === this.premoveColor;
+  }
+
+  // Squares the dragged piece may be dropped on
+  dragTargets(from) {
+    if (this.interactive) return this.legalMoves[from] || [];
+    return this.premoveTargets(from, this.premovePlacement());
+  }
+
+  handlePointerDown(e, squareName) {
+    if (e.button !== 0 || this.drag || !this.canDrag(squareName)) return;
+    // Keep touch from scrolling the page and mice from selecting text
+    e.preventDefault();
+    this.drag = { from: squareName, pointerId: e.pointerId, x: e.clientX, y: e.clientY, ghost: null, over: null };
+    document.addEventListener('pointermove', this.onDragMove);
+    document.addEventListener('pointerup', this.onDragEnd);
+    document.addEventListener('pointercancel', this.onDragEnd);
+  }
+
+  startDrag() {
+    const { from } = this.drag;
+    const sqEl = this.getSquareEl(from);
+    const img = sqEl.querySelector('.piece-img');
+    const size = sqEl.getBoundingClientRect().width;
+
+    const ghost = img.cloneNode();
+    ghost.className = 'drag-ghost';
+    ghost.style.width = `${size}px`;
+    ghost.style.height = `${size}px`;
+    document.body.appendChild(ghost);
+    img.classList.add('drag-origin');
+    this.drag.ghost = ghost;
+
+    // Picking a piece up selects it, the same as clicking it
+    if (this.interactive) this.selectSquare(from);
+    else this.selectPremoveSquare(from, this.premovePlacement());
+  }
+
+  handleDragMove(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    if (!drag.ghost) {
+      if (Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < DRAG_THRESHOLD) return;
+      this.startDrag();
+    }
+    drag.ghost.style.left = `${e.clientX}px`;
+    drag.ghost.style.top = `${e.clientY}px`;
+
+    const over = this.squareAtPoint(e.clientX, e.clientY);
+    if (over === drag.over) return;
+    if (drag.over) this.getSquareEl(drag.over).classList.remove('drag-over');
+    drag.over = over && this.dragTargets(drag.from).includes(over) ? over : null;
+    if (drag.over) this.getSquareEl(drag.over).classList.add('drag-over');
+  }
+
+  handleDragEnd(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    this.drag = null;
+    document.removeEventListener('pointermove', this.onDragMove);
+    document.removeEventListener('pointerup', this.onDragEnd);
+    document.removeEventListener('pointercancel', this.onDragEnd);
+    // A press that never moved far is a click, handled by the click listener
+    if (!drag.ghost) return;
+
+    drag.ghost.remove();
+    if (drag.over) this.getSquareEl(drag.over).classList.remove('drag-over');
+    const origin = this.getSquareEl(drag.from)?.querySelector('.piece-img');
+    if (origin) origin.classList.remove('drag-origin');
+
+    // The drop itself must not count as a click as well
+    this.ignoreClick = true;
+    setTimeout(() => { this.ignoreClick = false; }, 0);
+
+    const target = e.type === 'pointerup' ? this.squareAtPoint(e.clientX, e.clientY) : null;
+    if (target && target !== drag.from && this.dragTargets(drag.from).includes(target)) {
+      // Same path as clicking the target: moves, promotions and premoves.
+      // The piece is already in place, so it shouldn't slide there again.
+      this.droppedMove = { from: drag.from, to: target };
+      this.selectedSquare = drag.from;
+      this.handleSquareClick(target);
+    } else {
+      // Snap back
+      this.clearSelection();
+    }
+  }
+
+  squareAtPoint(x, y) {
+    const el = document.elementFromPoint(x, y);
+    const sq = el && el.closest('.square');
+    return sq && this.boardEl.contains(sq) ? sq.dataset.square : null;
+  }
+
+  pieceAt(squareName) {
+    const img = this.getSquareEl(squareName)?.querySelector('.piece-img');
+    if (!img) return null;
+    const [color, type] = (img.alt || '').split(' ');
+    return { color, type };
+  }
+
   isPromotion(from, to) {
-    const fromRank = parseInt(from[1]);
     const toRank = parseInt(to[1]);
-    const sqEl = this.getSquareEl(from);
-    const piece = sqEl?.querySelector('.piece-img');
-    if (!piece) return false;
-    const alt = piece.alt || '';
-    const isPawn = alt.includes('pawn');
-    return isPawn && (toRank === 8 || toRank === 1);
+    const piece = this.pieceAt(from);
+    return !!piece && piece.type === 'pawn' && (toRank === 8 || toRank === 1);
+  }
+
+  /**
+   * Castling is entered king-onto-rook: a king move onto a square holding
+   * one of its own rooks. Works for standard chess and every Chess960 setup.
+   */
+  isCastling(from, to) {
+    const king = this.pieceAt(from);
+    const rook = this.pieceAt(to);
+    return !!king && !!rook && king.type === 'king' && rook.type === 'rook' && king.color === rook.color;
   }
 
   resolvePromotion(piece) {
@@ -192,6 +884,10 @@ class ChessBoard {
 
   selectSquare(squareName) {
     this.clearHighlights();
+    if (this.selectedDrop) {
+      this.selectedDrop = null;
+      this.renderPockets();
+    }
     this.selectedSquare = squareName;
 
     const sqEl = this.getSquareEl(squareName);
@@ -203,28 +899,37 @@ class ChessBoard {
       const targetEl = this.getSquareEl(target);
       if (!targetEl) continue;
       const hasPiece = targetEl.querySelector('.piece-img');
-      targetEl.classList.add(hasPiece ? 'legal-capture' : 'legal-move');
+      if (this.isCastling(squareName, target)) targetEl.classList.add('legal-castle');
+      else targetEl.classList.add(hasPiece ? 'legal-capture' : 'legal-move');
       targetEl.classList.add('clickable');
     }
+    this.refreshLabels();
   }
 
   clearSelection() {
     this.selectedSquare = null;
+    if (this.selectedDrop) {
+      this.selectedDrop = null;
+      this.renderPockets();
+    }
     this.clearHighlights();
   }
 
   clearHighlights() {
     for (const sq of this.squares) {
-      sq.el.classList.remove('selected', 'legal-move', 'legal-capture', 'clickable');
+      sq.el.classList.remove('selected', 'legal-move', 'legal-capture', 'legal-castle', 'premove-target', 'clickable');
     }
-    // Re-apply last move and check highlights
+    // Re-apply last move, check and premove highlights
     this.applyLastMoveHighlight();
     this.applyCheckHighlight();
+    this.applyPremoveHighlight();
+    this.refreshLabels();
   }
 
   setLastMove(from, to) {
     this.lastMove = { from, to };
     this.applyLastMoveHighlight();
+    this.refreshLabels();
   }
 
   applyLastMoveHighlight() {
@@ -243,6 +948,7 @@ class ChessBoard {
   setCheck(squareName) {
     this.checkSquare = squareName;
     this.applyCheckHighlight();
+    this.refreshLabels();
   }
 
   clearCheck() {
@@ -250,6 +956,7 @@ class ChessBoard {
     for (const sq of this.squares) {
       sq.el.classList.remove('in-check');
     }
+    this.refreshLabels();
   }
 
   applyCheckHighlight() {
@@ -0,0 +1,291 @@
+/**
+ * Seal Chess - Replay page
+ * Steps through a finished game's moves (buttons, arrow keys, autoplay or
+ * the move list) and shows the engine analysis: an evaluation graph and a
+ * move list annotated with mistakes.
+ */
+(function () {
+  'use strict';
+
+  const gameId = decodeURIComponent(window.location.pathname.split('/').pop());
+  const ANALYSIS_POLL_MS = 2000;
+  const GRAPH_WIDTH = 600;
+  const GRAPH_HEIGHT = 120;
+  const GRAPH_CAP = 1000; // centipawns at the top/bottom edge
+
+  const MARKS = { inaccuracy: '?!', mistake: '?', blunder: '??' };
+  const RESULT_LABELS = { white_wins: '1-0', black_wins: '0-1', draw: '½-½', double_forfeit: '0-0' };
+
+  const $ = (sel) => document.querySelector(sel);
+
+  // Plies in order: { moveNumber, san, from, to, fen, color, fullMove, analysis }
+  let plies = [];
+  let startFen = null;
+  let current = 0; // number of plies shown on the board
+  let report = null;
+  let playerName = { white: 'White', black: 'Black' };
+  let autoplayTimer = null;
+
+  const board = new ChessBoard($('#board'), { interactive: false });
+
+  function escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  function formatEval(evaluation) {
+    if (!evaluation) return '';
+    if (evaluation.mate !== null && evaluation.mate !== undefined) {
+      if (evaluation.mate === 0) return '#';
+      return evaluation.mate > 0 ? `#${evaluation.mate}` : `#-${-evaluation.mate}`;
+    }
+    const pawns = evaluation.cp / 100;
+    return `${pawns > 0 ? '+' : ''}${pawns.toFixed(1)}`;
+  }
+
+  // === BOARD ===
+  function goTo(ply) {
+    current = Math.max(0, Math.min(plies.length, ply));
+    const move = plies[current - 1];
+    board.setPosition(move ? move.fen : startFen);
+    if (move) board.setLastMove(move.from, move.to);
+    else board.setLastMove(null, null);
+
+    document.querySelectorAll('#replay-moves .ply').forEach((el) => {
+      el.classList.toggle('current', Number(el.dataset.ply) === current);
+    });
+    const active = document.querySelector('#replay-moves .ply.current');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+    renderGraph();
+    renderPosition();
+  }
+
+  function renderPosition() {
+    $('#replay-position').textContent = plies.length ? `${current} / ${plies.length}` : '';
+    $('#replay-first').disabled = current === 0;
+    $('#replay-prev').disabled = current === 0;
+    $('#replay-next').disabled = current === plies.length;
+    $('#replay-last').disabled = current === plies.length;
+    $('#replay-play').disabled = plies.length === 0;
+  }
+
+  // Manual navigation takes over from autoplay
+  function jumpTo(ply) {
+    stopAutoplay();
+    goTo(ply);
+  }
+
+  // === AUTOPLAY ===
+  function stopAutoplay() {
+    clearInterval(autoplayTimer);
+    autoplayTimer = null;
+    $('#replay-play').textContent = '▶ Play';
+  }
+
+  function startAutoplay() {
+    clearInterval(autoplayTimer);
+    if (current >= plies.length) goTo(0);
+    $('#replay-play').textContent = '⏸ Pause';
+    autoplayTimer = setInterval(() => {
+      goTo(current + 1);
+      if (current >= plies.length) stopAutoplay();
+    }, Number($('#replay-speed').value));
+  }
+
+  function toggleAutoplay() {
+    if (autoplayTimer) stopAutoplay();
+    else startAutoplay();
+  }
+
+  function bindControls() {
+    $('#replay-first').addEventListener('click', () => jumpTo(0));
+    $('#replay-prev').addEventListener('click', () => jumpTo(current - 1));
+    $('#replay-next').addEventListener('click', () => jumpTo(current + 1));
+    $('#replay-last').addEventListener('click', () => jumpTo(plies.length));
+    $('#replay-play').addEventListener('click', toggleAutoplay);
+    // A new speed applies straight away
+    $('#replay-speed').addEventListener('change', () => {
+      if (autoplayTimer) startAutoplay();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.target.closest('input, select, textarea') || e.altKey || e.ctrlKey || e.metaKey) return;
+      // Space on a focused button already clicks it
+      if (e.key === ' ' && e.target.closest('button')) return;
+      const actions = {
+        ArrowLeft: () => jumpTo(current - 1),
+        ArrowRight: () => jumpTo(current + 1),
+        ArrowUp: () => jumpTo(0),
+        ArrowDown: () => jumpTo(plies.length),
+        Home: () => jumpTo(0),
+        End: () => jumpTo(plies.length),
+        ' ': toggleAutoplay
+      };
+      const action = actions[e.key];
+      if (!action || plies.length === 0) return;
+      e.preventDefault();
+      action();
+    });
+  }
+
+  // === MOVE LIST ===
+  function renderMoves() {
+    const list = $('#replay-moves');
+    list.innerHTML = '';
+    plies.forEach((move, i) => {
+      if (move.color === 'white' || i === 0) {
+        const num = document.createElement('span');
+        num.className = 'move-number';
+        num.textContent = move.color === 'white' ? `${move.fullMove}.` : `${move.fullMove}...`;
+        list.appendChild(num);
+        if (move.color === 'black') list.appendChild(document.createElement('span'));
+      }
+
+      const el = document.createElement('span');
+      el.className = `ply move-${move.color}`;
+      el.dataset.ply = i + 1;
+      const a = move.analysis;
+      if (a && a.classification) el.classList.add(a.classification);
+      el.innerHTML = `${escapeHtml(move.san)}${a && MARKS[a.classification] ? MARKS[a.classification] : ''}`;
+      if (a) {
+        const detail = [formatEval(a.eval)];
+        if (a.classification && a.bestMove) detail.push(`best ${a.bestMove}`);
+        el.title = detail.join(', ');
+        const evalEl = document.createElement('span');
+        evalEl.className = 'ply-eval';
+        evalEl.textContent = formatEval(a.eval);
+        el.appendChild(evalEl);
+      }
+      el.addEventListener('click', () => jumpTo(i + 1));
+      list.appendChild(el);
+    });
+  }
+
+  // === EVALUATION GRAPH ===
+  function graphY(cp) {
+    const capped = Math.max(-GRAPH_CAP, Math.min(GRAPH_CAP, cp));
+    return GRAPH_HEIGHT / 2 - (capped / GRAPH_CAP) * (GRAPH_HEIGHT / 2);
+  }
+
+  function renderGraph() {
+    const container = $('#eval-graph');
+    if (!report || plies.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+    container.style.display = '';
+
+    const evals = [report.initialEval.cp, ...plies.map(p => (p.analysis ? p.analysis.eval.cp : 0))];
+    const step = GRAPH_WIDTH / Math.max(1, evals.length - 1);
+    const points = evals.map((cp, i) => `${(i * step).toFixed(1)},${graphY(cp).toFixed(1)}`);
+    const area = `0,${GRAPH_HEIGHT} ${points.join(' ')} ${GRAPH_WIDTH},${GRAPH_HEIGHT}`;
+    const markers = plies.map((p, i) => {
+      const c = p.analysis && p.analysis.classification;
+      if (c !== 'mistake' && c !== 'blunder') return '';
+      return `<circle class="graph-${c}" cx="${((i + 1) * step).toFixed(1)}" cy="${graphY(evals[i + 1]).toFixed(1)}" r="4"></circle>`;
+    }).join('');
+    const cursorX = (current * step).toFixed(1);
+
+    container.innerHTML = `<svg viewBox="0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}" preserveAspectRatio="none">
+      <rect class="graph-black" x="0" y="0" width="${GRAPH_WIDTH}" height="${GRAPH_HEIGHT}"></rect>
+      <polygon class="graph-white" points="${area}"></polygon>
+      <line class="graph-midline" x1="0" y1="${GRAPH_HEIGHT / 2}" x2="${GRAPH_WIDTH}" y2="${GRAPH_HEIGHT / 2}"></line>
+      <line class="graph-cursor" x1="${cursorX}" y1="0" x2="${cursorX}" y2="${GRAPH_HEIGHT}"></line>
+      ${markers}
+    </svg>`;
+    container.onclick = (e) => {
+      const rect = container.getBoundingClientRect();
+      jumpTo(Math.round(((e.clientX - rect.left) / rect.width) * (evals.length - 1)));
+    };
+  }
+
+  // === ANALYSIS SUMMARY ===
+  function renderSummary() {
+    const side = (color, name) => {
+      const s = report.summary[color];
+      const accuracy = report.accuracy[color];
+      return `<div class="accuracy-side">
+        <div class="accuracy-name">${escapeHtml(name)}</div>
+        <div class="accuracy-value">${accuracy === null ? '-' : `${accuracy}%`}</div>
+        <div class="accuracy-counts">
+          <span class="inaccuracy">${s.inaccuracies} inaccuracies</span>
+          <span class="mistake">${s.mistakes} mistakes</span>
+          <span class="blunder">${s.blunders} blunders</span>
+        </div>
+      </div>`;
+    };
+    $('#analysis-summary').innerHTML = `
+      <div class="accuracy-row">${side('white', playerName.white)}${side('black', playerName.black)}</div>
+      <div class="analysis-engine">Analysis by ${escapeHtml(report.engine || 'engine')}</div>`;
+  }
+
+  function showAnalysisMessage(text) {
+    $('#analysis-summary').innerHTML = `<div class="empty-state">${escapeHtml(text)}</div>`;
+  }
+
+  async function loadAnalysis() {
+    const res = await fetch(`/api/games/${encodeURIComponent(gameId)}/analysis`);
+    const data = await res.json();
+    if (!res.ok) return showAnalysisMessage(data.error || 'Analysis unavailable');
+    if (data.status === 'pending') {
+      showAnalysisMessage('Analysing game...');
+      setTimeout(loadAnalysis, ANALYSIS_POLL_MS);
+      return;
+    }
+    if (data.status !== 'done') return showAnalysisMessage('Analysis failed');
+
+    report = data;
+    const byNumber = new Map(report.moves.map(m => [m.moveNumber, m]));
+    plies.forEach((p) => { p.analysis = byNumber.get(p.moveNumber) || null; });
+    renderSummary();
+    renderMoves();
+    goTo(current);
+  }
+
+  // === LOAD ===
+  async function load() {
+    const [gameRes, movesRes] = await Promise.all([
+      fetch(`/api/games/${encodeURIComponent(gameId)}`),
+      fetch(`/api/games/${encodeURIComponent(gameId)}/moves`)
+    ]);
+    if (!gameRes.ok) {
+      $('#replay-players').textContent = 'Game not found';
+      showAnalysisMessage('');
+      renderPosition();
+      return;
+    }
+    const game = await gameRes.json();
+    const moves = await movesRes.json();
+
+    playerName = { white: game.whiteName || 'White', black: game.blackName || 'Black' };
+    const result = RESULT_LABELS[game.result] || (game.status === 'completed' ? '' : 'in progress');
+    $('#replay-players').textContent = `${playerName.white} vs ${playerName.black}${result ? ` · ${result}` : ''}`;
+    $('#replay-pgn-link').href = `/api/games/${encodeURIComponent(gameId)}/pgn`;
+
+    startFen = game.startFen;
+    let previousFen = startFen;
+    plies = moves.map((m) => {
+      const [, turn, , , , fullMove] = previousFen.split(' ');
+      previousFen = m.fen_after;
+      return {
+        moveNumber: m.move_number,
+        san: m.san,
+        from: m.from_square === '@' ? null : m.from_square,
+        to: m.to_square,
+        fen: m.fen_after,
+        color: turn === 'w' ? 'white' : 'black',
+        fullMove: parseInt(fullMove, 10),
+        analysis: null
+      };
+    });
+
+    renderMoves();
+    goTo(plies.length);
+    loadAnalysis();
+  }
+
+  bindControls();
+  load();
+})();
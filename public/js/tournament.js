@@ -0,0 +1,322 @@
+/**
+ * Seal Chess - Tournament pages
+ * /tournaments lists tournaments and creates new ones; /tournament/:id shows
+ * one: standings, crosstable and rounds, plus joining, starting and
+ * playing. The page polls while the tournament runs.
+ */
+(function () {
+  'use strict';
+
+  const POLL_MS = 5000;
+  const FORMAT_LABELS = { swiss: 'Swiss', round_robin: 'Round robin' };
+  const VARIANT_LABELS = { standard: 'Standard', chess960: 'Chess960', crazyhouse: 'Crazyhouse' };
+  const STATUS_LABELS = { registering: 'Registering', in_progress: 'In progress', completed: 'Finished' };
+  const RESULT_LABELS = { white_wins: '1-0', black_wins: '0-1', draw: '½-½', double_forfeit: '0-0', bye: 'bye' };
+
+  const $ = (sel) => document.querySelector(sel);
+  const match = window.location.pathname.match(/^\/tournament\/([^/]+)/);
+  const tournamentId = match ? decodeURIComponent(match[1]) : null;
+
+  let me = null; // the visitor's player ID, if they have an identity
+  let pollTimer = null;
+
+  function escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = String(str);
+    return div.innerHTML;
+  }
+
+  // Scores as chess players write them: 2½, ½, 3
+  function formatPoints(points) {
+    const whole = Math.floor(points);
+    const half = points - whole >= 0.5 ? '½' : '';
+    return whole === 0 && half ? half : `${whole}${half}`;
+  }
+
+  // Sonneborn-Berger can come out in quarters, so tie-breaks stay decimal
+  function formatTiebreak(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  // === IDENTITY (shared with the game page) ===
+  function loadIdentity() {
+    try {
+      const data = localStorage.getItem('seal_chess_identity');
+      return data ? JSON.parse(data) : null;
+    } catch (e) { return null; }
+  }
+
+  function saveIdentity(playerToken, displayName) {
+    if (!playerToken) return;
+    try {
+      localStorage.setItem('seal_chess_identity', JSON.stringify({ playerToken, displayName }));
+    } catch (e) { /* ignore */ }
+  }
+
+  function getPlayerToken() {
+    const id = loadIdentity();
+    return id ? id.playerToken : null;
+  }
+
+  async function loadMe() {
+    const token = getPlayerToken();
+    if (!token) return;
+    try {
+      const res = await fetch('/api/players/me', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ playerToken: token })
+      });
+      if (res.ok) me = (await res.json()).playerId;
+    } catch (e) { /* play as a newcomer */ }
+  }
+
+  async function postJson(url, body) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  }
+
+  function describeSettings(t) {
+    const parts = [FORMAT_LABELS[t.format], VARIANT_LABELS[t.variant] || t.variant, t.timeControl || 'No clock'];
+    if (t.totalRounds) parts.push(`${t.totalRounds} rounds`);
+    return parts.join(' · ');
+  }
+
+  // === LIST VIEW ===
+  async function loadList() {
+    const container = $('#tournament-list');
+    try {
+      const res = await fetch('/api/tournaments');
+      const tournaments = await res.json();
+      if (tournaments.length === 0) {
+        container.innerHTML = '<div class="empty-state">No tournaments yet. Create the first one!</div>';
+        return;
+      }
+      container.innerHTML = tournaments.map(t => `<div class="game-card">
+        <span><a href="/tournament/${encodeURIComponent(t.id)}">${escapeHtml(t.name)}</a>
+          <span class="tournament-card-meta">${escapeHtml(describeSettings(t))} · ${t.participants} players</span></span>
+        <span class="tournament-status status-${t.status}">${STATUS_LABELS[t.status]}</span>
+      </div>`).join('');
+    } catch (e) {
+      container.innerHTML = '<div class="empty-state">Failed to load tournaments</div>';
+    }
+  }
+
+  function bindCreateForm() {
+    const identity = loadIdentity();
+    if (identity) $('#create-organizer-name').value = identity.displayName || '';
+
+    const syncRounds = () => {
+      // A round robin always has one round per opponent
+      $('#create-rounds').style.display = $('#create-format').value === 'swiss' ? '' : 'none';
+    };
+    $('#create-format').addEventListener('change', syncRounds);
+    syncRounds();
+
+    $('#create-tournament-btn').addEventListener('click', async () => {
+      $('#create-error').textContent = '';
+      const playerName = $('#create-organizer-name').value.trim();
+      try {
+        const data = await postJson('/api/tournaments', {
+          name: $('#create-tournament-name').value.trim(),
+          playerName,
+          format: $('#create-format').value,
+          rounds: Number($('#create-rounds').value),
+          timeControl: $('#create-time').value || null,
+          variant: $('#create-variant').value,
+          join: $('#create-join').checked,
+          playerToken: getPlayerToken()
+        });
+        saveIdentity(data.playerToken, playerName);
+        window.location.href = `/tournament/${encodeURIComponent(data.tournamentId)}`;
+      } catch (e) {
+        $('#create-error').textContent = e.message;
+      }
+    });
+  }
+
+  // === DETAIL VIEW ===
+  function renderHeader(t) {
+    document.title = `Seal Chess - ${t.name}`;
+    $('#tournament-title').textContent = t.name;
+    const round = t.status === 'in_progress' ? ` · Round ${t.currentRound} of ${t.totalRounds}` : '';
+    $('#tournament-meta').textContent =
+      `${describeSettings(t)} · ${STATUS_LABELS[t.status]}${round} · Organizer: ${t.organizer.name || '?'}`;
+  }
+
+  function currentPairing(t) {
+    const round = t.rounds.find(r => r.number === t.currentRound);
+    if (!round || !me) return null;
+    return round.pairings.find(p => p.gameId && !p.result &&
+      ((p.white && p.white.id === me) || (p.black && p.black.id === me))) || null;
+  }
+
+  function renderActions(t) {
+    const joined = t.participants.some(p => p.id === me);
+    $('#tournament-join').style.display = t.status === 'registering' && !joined ? '' : 'none';
+    $('#start-tournament-btn').style.display =
+      t.status === 'registering' && me === t.organizer.id ? '' : 'none';
+    $('#play-tournament-btn').style.display = t.status === 'in_progress' && currentPairing(t) ? '' : 'none';
+  }
+
+  function renderStandings(t) {
+    const tbody = $('#standings-body');
+    if (t.standings.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No players yet.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = t.standings.map(s => `<tr class="${s.playerId === me ? 'standing-me' : ''}">
+      <td class="rank rank-${s.rank}">${s.rank}</td>
+      <td>${escapeHtml(s.name)}</td>
+      <td>${s.rating}</td>
+      <td class="score">${formatPoints(s.points)}</td>
+      <td>${formatTiebreak(s.buchholz)}</td>
+      <td>${formatTiebreak(s.sonnebornBerger)}</td>
+    </tr>`).join('');
+  }
+
+  const pointsMark = points => (points === null ? '*' : formatPoints(points));
+
+  /**
+   * A round robin gets the classic grid, player against player; a Swiss
+   * gets one cell per round: the opponent's rank, the color and the score.
+   */
+  function renderCrosstable(t) {
+    const container = $('#crosstable');
+    if (t.status === 'registering') {
+      container.innerHTML = '<div class="empty-state">The crosstable fills in once the tournament starts.</div>';
+      return;
+    }
+    const rankOf = new Map(t.standings.map(s => [s.playerId, s.rank]));
+    let head;
+    let cells;
+    if (t.format === 'round_robin') {
+      head = t.standings.map(s => `<th>${s.rank}</th>`).join('');
+      cells = s => t.standings.map((other) => {
+        if (other.playerId === s.playerId) return '<td class="crosstable-self"></td>';
+        const game = s.games.find(g => g.opponentId === other.playerId);
+        return `<td>${game ? pointsMark(game.points) : ''}</td>`;
+      }).join('');
+    } else {
+      const rounds = t.rounds.map(r => r.number);
+      head = rounds.map(n => `<th>R${n}</th>`).join('');
+      cells = s => rounds.map((n) => {
+        const game = s.games.find(g => g.round === n);
+        if (!game) return '<td></td>';
+        if (!game.opponentId) return `<td title="Bye">bye ${pointsMark(game.points)}</td>`;
+        const color = game.color === 'white' ? 'w' : 'b';
+        return `<td>${rankOf.get(game.opponentId)}${color} ${pointsMark(game.points)}</td>`;
+      }).join('');
+    }
+    container.innerHTML = `<table class="leaderboard-table crosstable">
+      <thead><tr><th>#</th><th>Player</th>${head}<th>Pts</th></tr></thead>
+      <tbody>${t.standings.map(s => `<tr>
+        <td class="rank">${s.rank}</td>
+        <td>${escapeHtml(s.name)}</td>
+        ${cells(s)}
+        <td class="score">${formatPoints(s.points)}</td>
+      </tr>`).join('')}</tbody>
+    </table>`;
+  }
+
+  function renderRounds(t) {
+    const container = $('#tournament-rounds');
+    if (t.rounds.length === 0) {
+      container.innerHTML = '<div class="empty-state">No rounds paired yet.</div>';
+      return;
+    }
+    container.innerHTML = [...t.rounds].reverse().map(r => `<div class="tournament-round">
+      <h4>Round ${r.number}${r.status === 'completed' ? '' : ' (in progress)'}</h4>
+      ${r.pairings.map((p) => {
+        if (!p.black) {
+          return `<div class="game-card"><span>${escapeHtml(p.white.name)} has a bye</span></div>`;
+        }
+        const link = p.result
+          ? `<a class="pgn-link" href="/replay/${encodeURIComponent(p.gameId)}">Replay</a>`
+          : `<a class="pgn-link" href="/game/${encodeURIComponent(p.gameId)}?watch=1">Watch</a>`;
+        const resultClass = (p.result || '').replace('_', '-');
+        return `<div class="game-card">
+          <span>${p.board}. ${escapeHtml(p.white.name)} vs ${escapeHtml(p.black.name)}</span>
+          <span class="game-card-actions">${link}
+            <span class="result-badge ${resultClass}">${RESULT_LABELS[p.result] || 'playing'}</span>
+          </span>
+        </div>`;
+      }).join('')}
+    </div>`).join('');
+  }
+
+  async function loadTournament() {
+    clearTimeout(pollTimer);
+    const res = await fetch(`/api/tournaments/${encodeURIComponent(tournamentId)}`);
+    if (!res.ok) {
+      $('#tournament-title').textContent = 'Tournament not found';
+      return;
+    }
+    const t = await res.json();
+    renderHeader(t);
+    renderActions(t);
+    renderStandings(t);
+    renderCrosstable(t);
+    renderRounds(t);
+    if (t.status !== 'completed') pollTimer = setTimeout(loadTournament, POLL_MS);
+  }
+
+  async function act(action) {
+    $('#tournament-error').textContent = '';
+    try {
+      await action();
+      await loadTournament();
+    } catch (e) {
+      $('#tournament-error').textContent = e.message;
+    }
+  }
+
+  function bindActions() {
+    const identity = loadIdentity();
+    if (identity) $('#join-tournament-name').value = identity.displayName || '';
+    const base = `/api/tournaments/${encodeURIComponent(tournamentId)}`;
+
+    $('#join-tournament-btn').addEventListener('click', () => act(async () => {
+      const playerName = $('#join-tournament-name').value.trim();
+      const data = await postJson(`${base}/join`, { playerName, playerToken: getPlayerToken() });
+      saveIdentity(data.playerToken, playerName);
+      me = data.playerId;
+    }));
+
+    $('#start-tournament-btn').addEventListener('click', () => act(() =>
+      postJson(`${base}/start`, { playerToken: getPlayerToken() })));
+
+    // Hand the game page a session for this game, as if we had joined it there
+    $('#play-tournament-btn').addEventListener('click', () => act(async () => {
+      const seat = await postJson(`${base}/play`, { playerToken: getPlayerToken() });
+      try {
+        localStorage.setItem('seal_chess_session', JSON.stringify({
+          gameId: seat.gameId, sessionToken: seat.sessionToken, color: seat.color
+        }));
+      } catch (e) { /* ignore */ }
+      window.location.href = `/game/${encodeURIComponent(seat.gameId)}`;
+    }));
+  }
+
+  async function init() {
+    await loadMe();
+    if (tournamentId) {
+      $('#tournament-view').style.display = '';
+      bindActions();
+      loadTournament();
+    } else {
+      $('#tournament-list-view').style.display = '';
+      bindCreateForm();
+      loadList();
+    }
+  }
+
+  init();
+})();
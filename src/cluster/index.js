@@ -0,0 +1,156 @@
+const os = require('os');
+const crypto = require('crypto');
+const { MemoryStore, SqliteStore } = require('./store');
+const { createAdapter } = require('./io-adapter');
+
+/**
+ * Coordination between server instances. Anything that lives in one
+ * instance's memory (a game, the matchmaking queue) is owned through a lease
+ * in the shared store, and work on it is routed to its owner: route() runs
+ * a registered handler there, taking the lease first if nobody holds it.
+ * With the default in-process store there is just this one instance.
+ */
+
+// Which store the instances share: 'memory' (this process only) or 'sqlite' (the game database)
+const STORE = process.env.CLUSTER_STORE || 'memory';
+const instanceId = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+// A lease lasts this long unless its owner renews it, so an instance that
+// dies lets go of everything it owned within that time
+const LEASE_TTL_MS = 10000;
+const LEASE_RENEW_MS = 3000;
+
+// How long another instance has to answer a request, and how many times a
+// request is tried; a dead owner's lease runs out in the meantime
+const REQUEST_TIMEOUT_MS = 5000;
+const ROUTE_ATTEMPTS = 3;
+
+const handlers = new Map(); // method -> fn(payload)
+const pendingRequests = new Map(); // request ID -> { resolve, reject, timer }
+let store = null;
+let renewTimer = null;
+
+function requestChannel(id) {
+  return `instance:${id}`;
+}
+
+function getStore() {
+  if (store) return store;
+  if (STORE === 'sqlite') store = new SqliteStore(require('../db'));
+  else if (STORE === 'memory') store = new MemoryStore();
+  else throw new Error(`Unknown CLUSTER_STORE "${STORE}" (use memory or sqlite)`);
+
+  store.subscribe(requestChannel(instanceId), onMessage);
+  renewTimer = setInterval(() => {
+    store.renew(instanceId, LEASE_TTL_MS).catch(e => console.error('Renewing leases failed:', e.message));
+  }, LEASE_RENEW_MS);
+  renewTimer.unref();
+  return store;
+}
+
+// A Socket.IO adapter over the shared store
+function socketAdapter() {
+  return createAdapter(getStore());
+}
+
+// Take the lease on `key` unless another instance holds it; resolves to whether this instance owns it
+async function claim(key) {
+  return (await getStore().claim(key, instanceId, LEASE_TTL_MS)) === instanceId;
+}
+
+function release(key) {
+  return getStore().release(key, instanceId);
+}
+
+// The instance holding the lease on `key`, null if none does
+function holder(key) {
+  return getStore().holder(key);
+}
+
+// Register `fn(payload)` as something other instances can ask this one to run
+function handle(method, fn) {
+  handlers.set(method, fn);
+}
+
+async function runLocal(method, payload) {
+  const fn = handlers.get(method);
+  if (!fn) throw new Error(`No cluster handler for ${method}`);
+  return fn(payload);
+}
+
+// A request from another instance, or the answer to one of ours
+async function onMessage(message) {
+  if (message.replyTo) {
+    const request = pendingRequests.get(message.replyTo);
+    if (!request) return;
+    pendingRequests.delete(message.replyTo);
+    clearTimeout(request.timer);
+    if (message.error) request.reject(new Error(message.error));
+    else request.resolve(message.result);
+    return;
+  }
+
+  let reply;
+  try {
+    reply = { replyTo: message.id, result: (await runLocal(message.method, message.payload)) ?? null };
+  } catch (e) {
+    reply = { replyTo: message.id, error: e.message };
+  }
+  getStore().publish(requestChannel(message.from), reply)
+    .catch(e => console.error(`Answering ${message.from} failed:`, e.message));
+}
+
+function request(target, method, payload) {
+  const id = crypto.randomUUID();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingRequests.delete(id);
+      const error = new Error(`Instance ${target} did not answer ${method} in time`);
+      error.timedOut = true;
+      reject(error);
+    }, REQUEST_TIMEOUT_MS);
+    pendingRequests.set(id, { resolve, reject, timer });
+    getStore().publish(requestChannel(target), { id, from: instanceId, method, payload }).catch((e) => {
+      pendingRequests.delete(id);
+      clearTimeout(timer);
+      reject(e);
+    });
+  });
+}
+
+/**
+ * Run the `method` handler with `payload` on the instance that owns `key`,
+ * which becomes this one if no instance does. Resolves to the handler's
+ * result, which (like the payload) must survive JSON.
+ */
+async function route(key, method, payload) {
+  for (let attempt = 1; ; attempt++) {
+    const owner = await getStore().claim(key, instanceId, LEASE_TTL_MS);
+    if (owner === instanceId) return runLocal(method, payload);
+    try {
+      return await request(owner, method, payload);
+    } catch (e) {
+      if (!e.timedOut || attempt >= ROUTE_ATTEMPTS) throw e;
+    }
+  }
+}
+
+// On shutdown: give up every lease at once, so other instances can take over
+async function close() {
+  if (!store) return;
+  clearInterval(renewTimer);
+  await store.releaseAll(instanceId);
+  await store.close();
+  store = null;
+}
+
+module.exports = {
+  instanceId,
+  socketAdapter,
+  claim,
+  release,
+  holder,
+  handle,
+  route,
+  close
+};
@@ -0,0 +1,43 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+/**
+ * A Socket.IO adapter that spreads rooms over every instance sharing the
+ * store: broadcasts, socketsJoin()/socketsLeave() and fetchSockets() reach
+ * sockets wherever they are connected. Instances find each other through
+ * heartbeats on the store.
+ */
+class StoreAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, store, options) {
+    super(nsp, options);
+    this.store = store;
+    this.channel = `socket.io:${nsp.name}`;
+    this.unsubscribe = [
+      store.subscribe(this.channel, message => this.onMessage(message)),
+      store.subscribe(`${this.channel}:${this.uid}`, response => this.onResponse(response))
+    ];
+  }
+
+  async doPublish(message) {
+    await this.store.publish(this.channel, message);
+    // Offsets are only for connection state recovery, which isn't used
+    return '';
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return this.store.publish(`${this.channel}:${requesterUid}`, response);
+  }
+
+  close() {
+    super.close();
+    for (const unsubscribe of this.unsubscribe) unsubscribe();
+  }
+}
+
+// For `new Server(httpServer, { adapter: createAdapter(store) })`
+function createAdapter(store, options = {}) {
+  return function (nsp) {
+    return new StoreAdapter(nsp, store, options);
+  };
+}
+
+module.exports = { createAdapter };
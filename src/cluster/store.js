@@ -0,0 +1,151 @@
+// How often the SQLite store looks for new messages
+const POLL_MS = 20;
+// Messages only have to last until every instance has polled them
+const MESSAGE_RETENTION_MS = 10000;
+
+function addHandler(handlers, channel, handler) {
+  if (!handlers.has(channel)) handlers.set(channel, new Set());
+  handlers.get(channel).add(handler);
+  return () => handlers.get(channel)?.delete(handler);
+}
+
+// Hand a message (as JSON) to each subscriber of its channel
+function deliver(handlers, channel, payload) {
+  for (const handler of handlers.get(channel) || []) {
+    try {
+      handler(JSON.parse(payload));
+    } catch (e) {
+      console.error(`Cluster message on ${channel} failed:`, e.message);
+    }
+  }
+}
+
+/**
+ * Stores shared by the server instances. A store holds leases (which
+ * instance owns a key, such as a game, and until when) and passes messages
+ * between instances on named channels; a message reaches every subscriber
+ * of its channel, the sender's included. Every method but subscribe()
+ * returns a promise, so an adapter can sit on a network service. Messages
+ * must survive JSON.
+ *
+ * - MemoryStore: one process. A single instance, or tests that run several
+ *   in one process.
+ * - SqliteStore: the game database, shared by instances on one machine.
+ */
+class MemoryStore {
+  constructor() {
+    this.leases = new Map(); // key -> { owner, expiresAt }
+    this.handlers = new Map(); // channel -> Set of handlers
+  }
+
+  // Take the lease on `key` for `ttlMs` unless another owner holds it; resolves to the holder
+  async claim(key, owner, ttlMs, now = Date.now()) {
+    const lease = this.leases.get(key);
+    if (!lease || lease.owner === owner || lease.expiresAt <= now) {
+      this.leases.set(key, { owner, expiresAt: now + ttlMs });
+      return owner;
+    }
+    return lease.owner;
+  }
+
+  async holder(key, now = Date.now()) {
+    const lease = this.leases.get(key);
+    return lease && lease.expiresAt > now ? lease.owner : null;
+  }
+
+  // Extend every lease `owner` holds
+  async renew(owner, ttlMs, now = Date.now()) {
+    for (const lease of this.leases.values()) {
+      if (lease.owner === owner) lease.expiresAt = now + ttlMs;
+    }
+  }
+
+  async release(key, owner) {
+    if (this.leases.get(key)?.owner === owner) this.leases.delete(key);
+  }
+
+  async releaseAll(owner) {
+    for (const [key, lease] of this.leases) {
+      if (lease.owner === owner) this.leases.delete(key);
+    }
+  }
+
+  // Delivered later and as a copy, like a message from another process
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+    setImmediate(() => deliver(this.handlers, channel, payload));
+  }
+
+  // Returns a function that unsubscribes
+  subscribe(channel, handler) {
+    return addHandler(this.handlers, channel, handler);
+  }
+
+  async close() {
+    this.handlers.clear();
+  }
+}
+
+class SqliteStore {
+  // `db` is the database access layer (src/db)
+  constructor(db, pollMs = POLL_MS) {
+    this.db = db;
+    this.handlers = new Map(); // channel -> Set of handlers
+    // Only messages sent from now on
+    this.lastId = db.getLastClusterMessageId();
+    this.prunedAt = Date.now();
+    this.pollTimer = setInterval(() => this.poll(), pollMs);
+  }
+
+  async claim(key, owner, ttlMs, now = Date.now()) {
+    return this.db.claimLease(key, owner, now + ttlMs, now);
+  }
+
+  async holder(key, now = Date.now()) {
+    return this.db.getLeaseHolder(key, now);
+  }
+
+  async renew(owner, ttlMs, now = Date.now()) {
+    this.db.renewLeases(owner, now + ttlMs);
+  }
+
+  async release(key, owner) {
+    this.db.releaseLease(key, owner);
+  }
+
+  async releaseAll(owner) {
+    this.db.releaseLeases(owner);
+  }
+
+  async publish(channel, message) {
+    this.db.addClusterMessage(channel, JSON.stringify(message), Date.now());
+  }
+
+  subscribe(channel, handler) {
+    return addHandler(this.handlers, channel, handler);
+  }
+
+  poll() {
+    try {
+      for (const row of this.db.getClusterMessagesAfter(this.lastId)) {
+        this.lastId = row.id;
+        deliver(this.handlers, row.channel, row.payload);
+      }
+
+      const now = Date.now();
+      if (now - this.prunedAt >= MESSAGE_RETENTION_MS) {
+        this.prunedAt = now;
+        this.db.pruneClusterMessages(now - MESSAGE_RETENTION_MS);
+      }
+    } catch (e) {
+      console.error('Reading cluster messages failed:', e.message);
+    }
+  }
+
+  async close() {
+    clearInterval(this.pollTimer);
+    this.handlers.clear();
+  }
+}
+
+module.exports = { MemoryStore, SqliteStore };
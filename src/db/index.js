@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('./migrate');
 
 const DB_PATH = path.join(__dirname, '..', '..', 'data', 'chess.db');
 
@@ -14,25 +15,43 @@ db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
 // Auto-run migrations on startup
-const migrationPath = path.join(__dirname, '..', '..', 'migrations', '001_initial.sql');
-if (fs.existsSync(migrationPath)) {
-  const migration = fs.readFileSync(migrationPath, 'utf8');
-  db.exec(migration);
-}
+runMigrations(db);
 
 module.exports = {
-  createPlayer(id, displayName) {
-    const stmt = db.prepare('INSERT INTO players (id, display_name) VALUES (?, ?)');
-    return stmt.run(id, displayName);
+  createPlayer(id, displayName, tokenHash = null) {
+    const stmt = db.prepare('INSERT INTO players (id, display_name, token_hash) VALUES (?, ?, ?)');
+    return stmt.run(id, displayName, tokenHash);
+  },
+
+  // Bot players have fixed IDs; (re)create the row and keep its name current
+  ensureBotPlayer(id, displayName, level) {
+    db.prepare(`
+      INSERT INTO players (id, display_name, bot_level) VALUES (?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET display_name = excluded.display_name, bot_level = excluded.bot_level
+    `).run(id, displayName, level);
   },
 
   getPlayer(id) {
     return db.prepare('SELECT * FROM players WHERE id = ?').get(id);
   },
 
-  getLeaderboard(limit = 20) {
+  getPlayerByTokenHash(tokenHash) {
+    return db.prepare('SELECT * FROM players WHERE token_hash = ?').get(tokenHash);
+  },
+
+  updatePlayerName(id, displayName) {
+    const stmt = db.prepare('UPDATE players SET display_name = ? WHERE id = ?');
+    return stmt.run(displayName, id);
+  },
+
+  getLeaderboard(limit = 20, sortBy = 'points', includeBots = false) {
+    const orderBy = sortBy === 'rating'
+      ? 'rating DESC, rated_games DESC'
+      : 'score DESC, wins DESC';
+    const where = includeBots ? '' : 'WHERE bot_level IS NULL';
     return db.prepare(
-      'SELECT id, display_name, wins, losses, draws, score FROM players ORDER BY score DESC, wins DESC LIMIT ?'
+      `SELECT id, display_name, wins, losses, draws, score, rating, rated_games, bot_level
+       FROM players ${where} ORDER BY ${orderBy} LIMIT ?`
     ).all(limit);
   },
 
@@ -47,15 +66,81 @@ module.exports = {
     return stmt.run(points, playerId);
   },
 
-  createGame(id, whitePlayerId) {
-    const stmt = db.prepare('INSERT INTO games (id, white_player_id, status) VALUES (?, ?, ?)');
-    return stmt.run(id, whitePlayerId, 'waiting');
+  updatePlayerRating(playerId, rating) {
+    const stmt = db.prepare(
+      'UPDATE players SET rating = ?, rated_games = rated_games + 1 WHERE id = ?'
+    );
+    return stmt.run(rating, playerId);
+  },
+
+  recordRatingChange(gameId, playerId, before, after) {
+    const stmt = db.prepare(
+      'INSERT INTO rating_changes (game_id, player_id, rating_before, rating_after, change) VALUES (?, ?, ?, ?, ?)'
+    );
+    return stmt.run(gameId, playerId, before, after, after - before);
+  },
+
+  getRatingHistory(playerId, limit = 50) {
+    return db.prepare(`
+      SELECT rc.game_id, rc.rating_before, rc.rating_after, rc.change, rc.created_at, g.result,
+        CASE WHEN g.white_player_id = rc.player_id THEN 'white' ELSE 'black' END as color
+      FROM rating_changes rc
+      JOIN games g ON g.id = rc.game_id
+      WHERE rc.player_id = ?
+      ORDER BY rc.id DESC
+      LIMIT ?
+    `).all(playerId, limit);
+  },
+
+  createGame(id, whitePlayerId, timeControl = null, start = null) {
+    const initialMs = timeControl ? timeControl.initialMs : null;
+    const stmt = db.prepare(
+      'INSERT INTO games (id, white_player_id, status, time_control, white_time_ms, black_time_ms) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    const result = stmt.run(id, whitePlayerId, 'waiting', timeControl ? timeControl.label : null, initialMs, initialMs);
+    if (start) {
+      db.prepare(`
+        UPDATE games SET variant = ?, variant_position = ?, initial_fen = ?, initial_moves = ?, fen = ?, pgn = ?
+        WHERE id = ?
+      `).run(
+        start.variant, start.variantPosition ?? null, start.initialFen,
+        start.initialMoves.join(' ') || null, start.fen, start.pgn, id
+      );
+    }
+    return result;
+  },
+
+  setGameRules(gameId, rated, takebacks) {
+    const stmt = db.prepare('UPDATE games SET rated = ?, takebacks = ? WHERE id = ?');
+    return stmt.run(rated ? 1 : 0, takebacks ? 1 : 0, gameId);
   },
 
   getGame(id) {
     return db.prepare('SELECT * FROM games WHERE id = ?').get(id);
   },
 
+  // Record that `gameId` is a rematch of `previousId`, in the same series
+  linkRematch(previousId, gameId) {
+    db.prepare('UPDATE games SET series_id = id WHERE id = ? AND series_id IS NULL').run(previousId);
+    db.prepare(`
+      UPDATE games SET rematch_of = ?, series_id = (SELECT series_id FROM games WHERE id = ?) WHERE id = ?
+    `).run(previousId, previousId, gameId);
+  },
+
+  // The game played as a rematch of `gameId`, if any
+  getRematchId(gameId) {
+    return db.prepare('SELECT id FROM games WHERE rematch_of = ?').get(gameId)?.id || null;
+  },
+
+  // Completed games in the same rematch series as `gameId`, oldest first
+  getSeriesResults(gameId) {
+    return db.prepare(`
+      SELECT id, white_player_id, black_player_id, result FROM games
+      WHERE series_id = (SELECT series_id FROM games WHERE id = ?) AND status = 'completed'
+      ORDER BY created_at ASC, rowid ASC
+    `).all(gameId);
+  },
+
   joinGame(gameId, blackPlayerId) {
     const stmt = db.prepare(
       'UPDATE games SET black_player_id = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
@@ -70,11 +155,54 @@ module.exports = {
     return stmt.run(fen, pgn, gameId);
   },
 
-  completeGame(gameId, result) {
+  setSessionHash(gameId, color, hash) {
+    const col = color === 'white' ? 'white_session_hash' : 'black_session_hash';
+    const stmt = db.prepare(`UPDATE games SET ${col} = ? WHERE id = ?`);
+    return stmt.run(hash, gameId);
+  },
+
+  // turnStartedAt: when the running clock started (ms since the epoch), null while stopped
+  updateClocks(gameId, whiteMs, blackMs, turnStartedAt = null) {
     const stmt = db.prepare(
-      'UPDATE games SET status = ?, result = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+      'UPDATE games SET white_time_ms = ?, black_time_ms = ?, turn_started_at = ? WHERE id = ?'
     );
-    return stmt.run('completed', result, gameId);
+    return stmt.run(whiteMs, blackMs, turnStartedAt, gameId);
+  },
+
+  // The players (IDs) with an open draw offer and takeback request, or null
+  updateGameOffers(gameId, drawOfferBy, takebackRequestBy) {
+    const stmt = db.prepare('UPDATE games SET draw_offer_by = ?, takeback_request_by = ? WHERE id = ?');
+    return stmt.run(drawOfferBy, takebackRequestBy, gameId);
+  },
+
+  // When a disconnected player forfeits (ms since the epoch), or null once they're back
+  setDisconnectDeadline(gameId, color, deadline) {
+    const col = color === 'white' ? 'white_disconnect_deadline' : 'black_disconnect_deadline';
+    return db.prepare(`UPDATE games SET ${col} = ? WHERE id = ?`).run(deadline, gameId);
+  },
+
+  // The server instance that has the game in memory
+  setGameOwner(gameId, instanceId) {
+    return db.prepare('UPDATE games SET owner_instance = ? WHERE id = ?').run(instanceId, gameId);
+  },
+
+  getActiveGames() {
+    return db.prepare("SELECT * FROM games WHERE status = 'active' ORDER BY created_at ASC").all();
+  },
+
+  completeGame(gameId, result, termination = null) {
+    const stmt = db.prepare(
+      'UPDATE games SET status = ?, result = ?, termination = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    );
+    return stmt.run('completed', result, termination, gameId);
+  },
+
+  // Set aside a game that can't be rebuilt from its moves
+  flagCorruptedGame(gameId, error) {
+    const stmt = db.prepare(
+      'UPDATE games SET status = ?, integrity_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    );
+    return stmt.run('corrupted', error, gameId);
   },
 
   abandonGame(gameId) {
@@ -84,9 +212,34 @@ module.exports = {
     return stmt.run('abandoned', gameId);
   },
 
+  getPlayerGames(playerId) {
+    return db.prepare(`
+      SELECT * FROM games
+      WHERE (white_player_id = ? OR black_player_id = ?) AND status = 'completed'
+      ORDER BY created_at ASC
+    `).all(playerId, playerId);
+  },
+
+  // Colors a player had in their most recent games (started or finished), newest first
+  getRecentColors(playerId, limit = 10) {
+    return db.prepare(`
+      SELECT CASE WHEN white_player_id = ? THEN 'white' ELSE 'black' END as color FROM games
+      WHERE (white_player_id = ? OR black_player_id = ?) AND status != 'waiting'
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ?
+    `).all(playerId, playerId, playerId, limit).map(row => row.color);
+  },
+
+  getGameRatings(gameId) {
+    return db.prepare(
+      'SELECT player_id, rating_before, rating_after FROM rating_changes WHERE game_id = ?'
+    ).all(gameId);
+  },
+
   getRecentGames(limit = 20) {
     return db.prepare(`
-      SELECT g.*,
+      SELECT g.id, g.white_player_id, g.black_player_id, g.status, g.result,
+        g.pgn, g.fen, g.time_control, g.created_at, g.updated_at,
         wp.display_name as white_name,
         bp.display_name as black_name
       FROM games g
@@ -98,11 +251,18 @@ module.exports = {
     `).all(limit);
   },
 
-  recordMove(gameId, moveNumber, playerId, from, to, san, fenAfter) {
-    const stmt = db.prepare(
-      'INSERT INTO moves (game_id, move_number, player_id, from_square, to_square, san, fen_after) VALUES (?, ?, ?, ?, ?, ?, ?)'
-    );
-    return stmt.run(gameId, moveNumber, playerId, from, to, san, fenAfter);
+  recordMove(gameId, moveNumber, playerId, from, to, promotion, san, fenAfter, clockMs = null) {
+    const stmt = db.prepare(`
+      INSERT INTO moves (game_id, move_number, player_id, from_square, to_square, promotion, san, fen_after, clock_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(gameId, moveNumber, playerId, from, to, promotion, san, fenAfter, clockMs);
+  },
+
+  // Undo support: drop every move after `moveNumber`
+  deleteMovesAfter(gameId, moveNumber) {
+    const stmt = db.prepare('DELETE FROM moves WHERE game_id = ? AND move_number > ?');
+    return stmt.run(gameId, moveNumber);
   },
 
   getGameMoves(gameId) {
@@ -111,9 +271,174 @@ module.exports = {
     ).all(gameId);
   },
 
+  // Queue a game for analysis; does nothing if it already has a report
+  createAnalysis(gameId) {
+    return db.prepare('INSERT OR IGNORE INTO game_analyses (game_id) VALUES (?)').run(gameId);
+  },
+
+  getAnalysis(gameId) {
+    return db.prepare('SELECT * FROM game_analyses WHERE game_id = ?').get(gameId);
+  },
+
+  getMoveAnalyses(gameId) {
+    return db.prepare(
+      'SELECT * FROM move_analyses WHERE game_id = ? ORDER BY move_number ASC'
+    ).all(gameId);
+  },
+
+  getPendingAnalyses() {
+    return db.prepare(
+      "SELECT game_id FROM game_analyses WHERE status = 'pending' ORDER BY created_at ASC"
+    ).all().map(r => r.game_id);
+  },
+
+  saveAnalysis(gameId, report) {
+    db.transaction(() => {
+      db.prepare('DELETE FROM move_analyses WHERE game_id = ?').run(gameId);
+      const insert = db.prepare(`
+        INSERT INTO move_analyses (game_id, move_number, eval_cp, mate, best_move, cp_loss, classification)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const m of report.moves) {
+        insert.run(gameId, m.moveNumber, m.evalCp, m.mate, m.bestMove, m.cpLoss, m.classification);
+      }
+      db.prepare(`
+        UPDATE game_analyses SET status = 'done', engine = ?, initial_eval_cp = ?, initial_mate = ?,
+          white_accuracy = ?, black_accuracy = ?, error = NULL, completed_at = CURRENT_TIMESTAMP
+        WHERE game_id = ?
+      `).run(
+        report.engine, report.initialEvalCp, report.initialMate,
+        report.whiteAccuracy, report.blackAccuracy, gameId
+      );
+    })();
+  },
+
+  failAnalysis(gameId, error) {
+    return db.prepare(
+      "UPDATE game_analyses SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE game_id = ?"
+    ).run(error, gameId);
+  },
+
+  addChatMessage(gameId, channel, senderId, senderName, message) {
+    return db.prepare(`
+      INSERT INTO chat_messages (game_id, channel, sender_id, sender_name, message) VALUES (?, ?, ?, ?, ?)
+      RETURNING *
+    `).get(gameId, channel, senderId, senderName, message);
+  },
+
+  // The latest `limit` messages on a channel (all channels if null), oldest
+  // first, with the sender's color for players
+  getChatMessages(gameId, channel = null, limit = 500) {
+    return db.prepare(`
+      SELECT * FROM (
+        SELECT c.*,
+          CASE WHEN c.sender_id = g.white_player_id THEN 'white'
+               WHEN c.sender_id = g.black_player_id THEN 'black' END as color
+        FROM chat_messages c
+        JOIN games g ON g.id = c.game_id
+        WHERE c.game_id = ? AND (? IS NULL OR c.channel = ?)
+        ORDER BY c.id DESC
+        LIMIT ?
+      ) ORDER BY id ASC
+    `).all(gameId, channel, channel, limit);
+  },
+
+  createTournament({ id, name, format, rounds, timeControl, variant, organizerId }) {
+    return db.prepare(`
+      INSERT INTO tournaments (id, name, format, rounds, time_control, variant, organizer_id) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, name, format, rounds, timeControl, variant, organizerId);
+  },
+
+  getTournament(id) {
+    return db.prepare('SELECT * FROM tournaments WHERE id = ?').get(id);
+  },
+
+  listTournaments(limit = 20) {
+    return db.prepare(`
+      SELECT t.*, (SELECT COUNT(*) FROM tournament_participants p WHERE p.tournament_id = t.id) as participants
+      FROM tournaments t
+      ORDER BY t.created_at DESC, t.rowid DESC
+      LIMIT ?
+    `).all(limit);
+  },
+
+  // Numbers the participants (best first) and fixes the number of rounds
+  startTournament(id, rounds, seededPlayerIds) {
+    const seed = db.prepare('UPDATE tournament_participants SET seed = ? WHERE tournament_id = ? AND player_id = ?');
+    seededPlayerIds.forEach((playerId, i) => seed.run(i + 1, id, playerId));
+    db.prepare(`
+      UPDATE tournaments SET status = 'in_progress', rounds = ?, started_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(rounds, id);
+  },
+
+  completeTournament(id) {
+    db.prepare("UPDATE tournaments SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?").run(id);
+  },
+
+  addTournamentParticipant(tournamentId, playerId, rating) {
+    return db.prepare(
+      'INSERT OR IGNORE INTO tournament_participants (tournament_id, player_id, rating) VALUES (?, ?, ?)'
+    ).run(tournamentId, playerId, rating);
+  },
+
+  // Participants with their names, in seed order once the tournament has started
+  getTournamentParticipants(tournamentId) {
+    return db.prepare(`
+      SELECT tp.player_id, tp.seed, tp.rating, tp.joined_at, p.display_name
+      FROM tournament_participants tp
+      JOIN players p ON p.id = tp.player_id
+      WHERE tp.tournament_id = ?
+      ORDER BY tp.seed ASC, tp.rating DESC, tp.joined_at ASC
+    `).all(tournamentId);
+  },
+
+  startTournamentRound(tournamentId, roundNumber) {
+    db.prepare('INSERT INTO tournament_rounds (tournament_id, round_number) VALUES (?, ?)').run(tournamentId, roundNumber);
+    db.prepare('UPDATE tournaments SET current_round = ? WHERE id = ?').run(roundNumber, tournamentId);
+  },
+
+  completeTournamentRound(tournamentId, roundNumber) {
+    db.prepare(`
+      UPDATE tournament_rounds SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+      WHERE tournament_id = ? AND round_number = ?
+    `).run(tournamentId, roundNumber);
+  },
+
+  getTournamentRounds(tournamentId) {
+    return db.prepare(
+      'SELECT * FROM tournament_rounds WHERE tournament_id = ? ORDER BY round_number ASC'
+    ).all(tournamentId);
+  },
+
+  addTournamentPairing(tournamentId, roundNumber, board, whitePlayerId, blackPlayerId, gameId, result = null) {
+    return db.prepare(`
+      INSERT INTO tournament_pairings (tournament_id, round_number, board, white_player_id, black_player_id, game_id, result)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(tournamentId, roundNumber, board, whitePlayerId, blackPlayerId, gameId, result);
+  },
+
+  // Every pairing so far, in round and board order, with its game's status
+  getTournamentPairings(tournamentId) {
+    return db.prepare(`
+      SELECT tp.*, g.status as game_status
+      FROM tournament_pairings tp
+      LEFT JOIN games g ON g.id = tp.game_id
+      WHERE tp.tournament_id = ?
+      ORDER BY tp.round_number ASC, tp.board ASC
+    `).all(tournamentId);
+  },
+
+  getTournamentPairingByGame(gameId) {
+    return db.prepare('SELECT * FROM tournament_pairings WHERE game_id = ?').get(gameId);
+  },
+
+  setTournamentPairingResult(pairingId, result) {
+    return db.prepare('UPDATE tournament_pairings SET result = ? WHERE id = ?').run(result, pairingId);
+  },
+
   getStats() {
     const totalGames = db.prepare('SELECT COUNT(*) as count FROM games WHERE status = ?').get('completed');
-    const totalPlayers = db.prepare('SELECT COUNT(*) as count FROM players').get();
+    const totalPlayers = db.prepare('SELECT COUNT(*) as count FROM players WHERE bot_level IS NULL').get();
     const activeGames = db.prepare('SELECT COUNT(*) as count FROM games WHERE status IN (?, ?)').get('waiting', 'active');
     return {
       totalGames: totalGames.count,
@@ -122,6 +447,80 @@ module.exports = {
     };
   },
 
+  getServerState(key) {
+    return db.prepare('SELECT value FROM server_state WHERE key = ?').get(key)?.value ?? null;
+  },
+
+  setServerState(key, value) {
+    return db.prepare(`
+      INSERT INTO server_state (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `).run(key, String(value));
+  },
+
+  // Forget the heartbeats, older than `before`, of instances that own no
+  // game in progress: nobody will need to know when they stopped
+  pruneHeartbeats(before) {
+    return db.prepare(`
+      DELETE FROM server_state
+      WHERE key LIKE 'heartbeat:%' AND CAST(value AS INTEGER) < ?
+        AND substr(key, 11) NOT IN (
+          SELECT owner_instance FROM games WHERE status = 'active' AND owner_instance IS NOT NULL
+        )
+    `).run(before);
+  },
+
+  // Take the lease on `key` unless another owner holds one that hasn't
+  // expired; returns whoever holds it afterwards
+  claimLease(key, owner, expiresAt, now) {
+    return db.transaction(() => {
+      db.prepare(`
+        INSERT INTO cluster_leases (key, owner, expires_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+        WHERE cluster_leases.owner = excluded.owner OR cluster_leases.expires_at <= ?
+      `).run(key, owner, expiresAt, now);
+      return db.prepare('SELECT owner FROM cluster_leases WHERE key = ?').get(key).owner;
+    }).immediate();
+  },
+
+  getLeaseHolder(key, now) {
+    return db.prepare('SELECT owner FROM cluster_leases WHERE key = ? AND expires_at > ?').get(key, now)?.owner ?? null;
+  },
+
+  renewLeases(owner, expiresAt) {
+    return db.prepare('UPDATE cluster_leases SET expires_at = ? WHERE owner = ?').run(expiresAt, owner);
+  },
+
+  releaseLease(key, owner) {
+    return db.prepare('DELETE FROM cluster_leases WHERE key = ? AND owner = ?').run(key, owner);
+  },
+
+  releaseLeases(owner) {
+    return db.prepare('DELETE FROM cluster_leases WHERE owner = ?').run(owner);
+  },
+
+  addClusterMessage(channel, payload, createdAt) {
+    return db.prepare('INSERT INTO cluster_messages (channel, payload, created_at) VALUES (?, ?, ?)')
+      .run(channel, payload, createdAt).lastInsertRowid;
+  },
+
+  getClusterMessagesAfter(id) {
+    return db.prepare('SELECT id, channel, payload FROM cluster_messages WHERE id > ? ORDER BY id ASC').all(id);
+  },
+
+  getLastClusterMessageId() {
+    return db.prepare('SELECT MAX(id) as id FROM cluster_messages').get().id ?? 0;
+  },
+
+  pruneClusterMessages(before) {
+    return db.prepare('DELETE FROM cluster_messages WHERE created_at < ?').run(before);
+  },
+
+  // Run fn inside a single SQLite transaction; rolls back if it throws
+  transaction(fn) {
+    return db.transaction(fn)();
+  },
+
   close() {
     db.close();
   }
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+/**
+ * Apply every migrations/*.sql file that has not been recorded yet, in
+ * filename order. 001_initial.sql is idempotent and always re-run so that
+ * databases created before the tracking table existed pick it up cleanly.
+ * The whole run holds the write lock, so instances starting at the same
+ * time on one database apply each migration once.
+ */
+function runMigrations(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    name TEXT PRIMARY KEY,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  return db.transaction(() => {
+    const applied = new Set(
+      db.prepare('SELECT name FROM schema_migrations').all().map(r => r.name)
+    );
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(f => f.endsWith('.sql'))
+      .sort();
+
+    const ran = [];
+    for (const file of files) {
+      if (applied.has(file) && file !== '001_initial.sql') continue;
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      db.exec(sql);
+      db.prepare('INSERT OR IGNORE INTO schema_migrations (name) VALUES (?)').run(file);
+      if (!applied.has(file)) ran.push(file);
+    }
+    return ran;
+  }).immediate();
+}
+
+module.exports = { runMigrations };
@@ -0,0 +1,243 @@
+const { Chess } = require('chess.js');
+const db = require('../db');
+const cluster = require('../cluster');
+const { evaluatePosition } = require('./evaluate');
+const { buildStartingBoard } = require('./start-position');
+const { fromUciMove } = require('./uci');
+
+const MOVETIME_MS = parseInt(process.env.ANALYSIS_MOVETIME_MS, 10) || 300;
+
+// Evaluations are capped here (and mates count as this much), so that
+// throwing away part of a won position's advantage isn't a "blunder"
+const EVAL_CAP = 1000;
+
+// Centipawn loss thresholds, worst first
+const CLASSIFICATIONS = [
+  [300, 'blunder'],
+  [100, 'mistake'],
+  [50, 'inaccuracy']
+];
+
+// Games waiting for the analysis job, which handles one game at a time.
+// Its searches run in the background (see evaluatePosition), behind those
+// of games in progress.
+const queue = [];
+let running = null;
+let stopped = false;
+
+function classify(cpLoss) {
+  const match = CLASSIFICATIONS.find(([threshold]) => cpLoss >= threshold);
+  return match ? match[1] : null;
+}
+
+// Winning chances (0-100) for a centipawn evaluation
+function winPercent(cp) {
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
+
+// Accuracy (0-100) of a move that changed the mover's winning chances from `before` to `after`
+function moveAccuracy(before, after) {
+  const accuracy = 103.1668 * Math.exp(-0.04354 * Math.max(0, before - after)) - 3.1669;
+  return Math.min(100, Math.max(0, accuracy));
+}
+
+/**
+ * An engine score ({ cp } or { mate } for the side to move) as White sees it:
+ * { cp, mate }, where cp is capped to +/-EVAL_CAP and mate is moves to mate
+ * (negative when Black mates, 0 when the position is already mate).
+ */
+function fromWhite(score, sideToMove) {
+  const sign = sideToMove === 'w' ? 1 : -1;
+  if (score.mate !== undefined) {
+    const winning = score.mate > 0 ? sign : -sign;
+    return { cp: winning * EVAL_CAP, mate: score.mate === 0 ? 0 : score.mate * sign };
+  }
+  return { cp: Math.max(-EVAL_CAP, Math.min(EVAL_CAP, score.cp * sign)), mate: null };
+}
+
+// Evaluate one position: { cp, mate } from White's side, plus the best move in SAN
+async function evaluate(fen) {
+  const chess = new Chess(fen);
+  const side = chess.turn();
+  if (chess.isCheckmate()) return { ...fromWhite({ mate: 0 }, side), bestMove: null, engine: null };
+  if (chess.isGameOver()) return { cp: 0, mate: null, bestMove: null, engine: null };
+
+  const result = await evaluatePosition(fen, { movetime: MOVETIME_MS, background: true });
+  return {
+    ...fromWhite(result.score || { cp: 0 }, side),
+    bestMove: result.bestMove ? chess.move(fromUciMove(result.bestMove)).san : null,
+    engine: result.engine
+  };
+}
+
+// The position the moves recorded on the server start from
+function startFen(game) {
+  const initialMoves = game.initial_moves ? game.initial_moves.split(' ') : [];
+  return buildStartingBoard(game.initial_fen, initialMoves, game.variant).fen();
+}
+
+/**
+ * Evaluate the position before and after every move played on the server
+ * and work out each move's centipawn loss, its classification and both
+ * sides' accuracy.
+ */
+async function analyseGame(gameId) {
+  const game = db.getGame(gameId);
+  const moves = db.getGameMoves(gameId);
+  const fens = [startFen(game), ...moves.map(m => m.fen_after)];
+
+  const evals = [];
+  for (const fen of fens) evals.push(await evaluate(fen));
+
+  const accuracies = { w: [], b: [] };
+  const analysed = moves.map((m, i) => {
+    const color = fens[i].split(' ')[1];
+    const sign = color === 'w' ? 1 : -1;
+    const before = evals[i];
+    const after = evals[i + 1];
+    const cpLoss = m.san === before.bestMove ? 0 : Math.max(0, sign * (before.cp - after.cp));
+    accuracies[color].push(moveAccuracy(winPercent(sign * before.cp), winPercent(sign * after.cp)));
+    return {
+      moveNumber: m.move_number,
+      evalCp: after.cp,
+      mate: after.mate,
+      bestMove: before.bestMove,
+      cpLoss,
+      classification: classify(cpLoss)
+    };
+  });
+
+  const average = list => (list.length ? Math.round(list.reduce((a, b) => a + b, 0) / list.length * 10) / 10 : null);
+  return {
+    engine: evals.find(e => e.engine)?.engine || null,
+    initialEvalCp: evals[0].cp,
+    initialMate: evals[0].mate,
+    whiteAccuracy: average(accuracies.w),
+    blackAccuracy: average(accuracies.b),
+    moves: analysed
+  };
+}
+
+// The lease that makes one instance the one analysing a game
+function analysisKey(gameId) {
+  return `analysis:${gameId}`;
+}
+
+async function runQueue() {
+  if (running) return;
+  while (queue.length > 0 && !stopped) {
+    running = queue.shift();
+    const key = analysisKey(running);
+    try {
+      // Every instance picks up pending analyses when it starts; only one does each
+      if (!(await cluster.claim(key)) || db.getAnalysis(running)?.status !== 'pending') continue;
+      const report = await analyseGame(running);
+      if (!stopped) db.saveAnalysis(running, report);
+    } catch (e) {
+      // A job cut short by shutdown stays pending, to be resumed on restart
+      if (!stopped) {
+        console.error(`Analysis of game ${running} failed:`, e.message);
+        db.failAnalysis(running, e.message);
+      }
+    } finally {
+      // On shutdown the cluster gives up every lease itself
+      if (!stopped) cluster.release(key).catch(e => console.error(`Releasing ${key} failed:`, e.message));
+    }
+  }
+  running = null;
+}
+
+function isAnalysable(game) {
+  return !!game && game.status === 'completed' && (game.variant || 'standard') === 'standard';
+}
+
+/**
+ * Queue a finished standard-chess game for analysis, unless it already has
+ * a report. Returns false if the game can't be analysed.
+ */
+function requestAnalysis(gameId) {
+  const game = db.getGame(gameId);
+  if (!isAnalysable(game)) return false;
+  db.createAnalysis(gameId);
+  const row = db.getAnalysis(gameId);
+  if (row.status === 'pending' && running !== gameId && !queue.includes(gameId)) {
+    queue.push(gameId);
+    runQueue();
+  }
+  return true;
+}
+
+// Pick up games that were still waiting for analysis when the server stopped
+function resumePendingAnalyses() {
+  for (const gameId of db.getPendingAnalyses()) requestAnalysis(gameId);
+}
+
+// Stop taking jobs (at shutdown, before the database closes)
+function stopAnalyses() {
+  stopped = true;
+  queue.length = 0;
+}
+
+function summarize(moves, color) {
+  const own = moves.filter(m => m.color === color);
+  const count = type => own.filter(m => m.classification === type).length;
+  return {
+    inaccuracies: count('inaccuracy'),
+    mistakes: count('mistake'),
+    blunders: count('blunder'),
+    averageCpLoss: own.length ? Math.round(own.reduce((sum, m) => sum + m.cpLoss, 0) / own.length) : null
+  };
+}
+
+/**
+ * The stored report for a game, as returned by the API. Each move carries
+ * the evaluation after it, the engine's preferred move in the position
+ * before it, its centipawn loss and classification.
+ */
+function getReport(gameId) {
+  const row = db.getAnalysis(gameId);
+  if (!row) return null;
+  if (row.status !== 'done') return { gameId, status: row.status, error: row.error || undefined };
+
+  const initialFen = startFen(db.getGame(gameId));
+  const played = new Map(db.getGameMoves(gameId).map(m => [m.move_number, m]));
+
+  let previousFen = initialFen;
+  const moves = db.getMoveAnalyses(gameId).map((a) => {
+    const move = played.get(a.move_number);
+    const entry = {
+      moveNumber: a.move_number,
+      color: previousFen.split(' ')[1] === 'w' ? 'white' : 'black',
+      san: move.san,
+      fen: move.fen_after,
+      eval: { cp: a.eval_cp, mate: a.mate },
+      bestMove: a.best_move,
+      cpLoss: a.cp_loss,
+      classification: a.classification
+    };
+    previousFen = move.fen_after;
+    return entry;
+  });
+
+  return {
+    gameId,
+    status: 'done',
+    engine: row.engine,
+    initialFen,
+    initialEval: { cp: row.initial_eval_cp, mate: row.initial_mate },
+    accuracy: { white: row.white_accuracy, black: row.black_accuracy },
+    summary: { white: summarize(moves, 'white'), black: summarize(moves, 'black') },
+    moves
+  };
+}
+
+module.exports = {
+  requestAnalysis,
+  resumePendingAnalyses,
+  stopAnalyses,
+  getReport,
+  isAnalysable,
+  classify,
+  moveAccuracy,
+  winPercent
+};
@@ -0,0 +1,64 @@
+const db = require('../db');
+const { searchInWorker } = require('./engine-worker');
+const uci = require('./uci');
+
+// Strength levels: search depth (plies), thinking time, and how many
+// centipawns of random preference each root move gets. The last level is
+// the external UCI engine, available only when one is configured.
+const BOT_LEVELS = {
+  1: { name: 'Pup', maxDepth: 1, timeMs: 300, noise: 200 },
+  2: { name: 'Harbor Seal', maxDepth: 2, timeMs: 500, noise: 60 },
+  3: { name: 'Walrus', maxDepth: 4, timeMs: 1000, noise: 15 },
+  4: { name: 'Orca', maxDepth: 64, timeMs: 2500, noise: 0 },
+  5: { name: 'UCI Engine', uci: true }
+};
+const UCI_LEVEL = 5;
+
+// Never plan to spend more than this share of the remaining clock on one move
+const CLOCK_SHARE = 1 / 40;
+const MIN_THINK_MS = 50;
+
+/**
+ * Normalize a bot level from a request. Returns null if it isn't one that
+ * can play here.
+ */
+function parseBotLevel(value) {
+  const level = Number(value);
+  if (!BOT_LEVELS[level]) return null;
+  if (level === UCI_LEVEL && !uci.isConfigured()) return null;
+  return level;
+}
+
+function botName(level) {
+  return `${BOT_LEVELS[level].name} (bot)`;
+}
+
+/**
+ * Each level plays as one fixed player row, created on first use.
+ */
+function ensureBotPlayer(level) {
+  const id = `bot-${level}`;
+  db.ensureBotPlayer(id, botName(level), level);
+  return id;
+}
+
+function thinkingTime(timeMs, clockMs) {
+  return clockMs === null ? timeMs : Math.min(timeMs, Math.max(MIN_THINK_MS, clockMs * CLOCK_SHARE));
+}
+
+/**
+ * Search for the bot's move off the main thread (in a worker, or in the UCI
+ * engine's own process). Resolves with { from, to, promotion }; `clockMs`
+ * (remaining time, if timed) caps the budget.
+ */
+async function chooseMove(fen, level, clockMs = null) {
+  if (BOT_LEVELS[level].uci) {
+    const movetime = thinkingTime(uci.getConfig().movetimeMs, clockMs);
+    const { bestMove } = await uci.getPool().search({ fen, movetime });
+    return uci.fromUciMove(bestMove);
+  }
+  const { maxDepth, timeMs, noise } = BOT_LEVELS[level];
+  return searchInWorker(fen, { maxDepth, timeMs: thinkingTime(timeMs, clockMs), noise });
+}
+
+module.exports = { BOT_LEVELS, UCI_LEVEL, parseBotLevel, botName, ensureBotPlayer, chooseMove };
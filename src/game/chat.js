@@ -0,0 +1,82 @@
+// Chat limits: message length, and how many messages one socket may send
+// per window before it has to wait
+const MAX_MESSAGE_LENGTH = 300;
+const RATE_LIMIT_COUNT = 5;
+const RATE_LIMIT_WINDOW_MS = 10000;
+
+const CHANNELS = ['players', 'spectators'];
+
+// Masked by default; CHAT_BLOCKED_WORDS (comma-separated) replaces the list,
+// and setting it to an empty string turns the filter off
+const DEFAULT_BLOCKED_WORDS = ['fuck', 'fucking', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'retard'];
+
+function blockedWordsFromEnv(env = process.env) {
+  if (env.CHAT_BLOCKED_WORDS === undefined) return DEFAULT_BLOCKED_WORDS;
+  return env.CHAT_BLOCKED_WORDS.split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+}
+
+const BLOCKED_WORDS = blockedWordsFromEnv();
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace each blocked word (whole words, any case) with asterisks.
+ */
+function filterWords(text, words = BLOCKED_WORDS) {
+  if (words.length === 0) return text;
+  const pattern = new RegExp(`\\b(?:${words.map(escapeRegExp).join('|')})\\b`, 'gi');
+  return text.replace(pattern, match => '*'.repeat(match.length));
+}
+
+/**
+ * Validate and filter a chat message. Returns { text } or { error }.
+ */
+function cleanMessage(value) {
+  if (typeof value !== 'string') return { error: 'Message must be text' };
+  // Control characters (newlines included) would only garble the chat box
+  const text = value.replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+  if (!text) return { error: 'Message is empty' };
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Message is too long (max ${MAX_MESSAGE_LENGTH} characters)` };
+  }
+  return { text: filterWords(text) };
+}
+
+/**
+ * A sliding-window limiter for one socket: allow() is true if another
+ * message may be sent now, and records it.
+ */
+function createRateLimiter(count = RATE_LIMIT_COUNT, windowMs = RATE_LIMIT_WINDOW_MS) {
+  const sent = [];
+  return {
+    allow(now = Date.now()) {
+      while (sent.length && now - sent[0] >= windowMs) sent.shift();
+      if (sent.length >= count) return false;
+      sent.push(now);
+      return true;
+    }
+  };
+}
+
+// A stored message as sent to clients
+function toClientMessage(row) {
+  return {
+    channel: row.channel,
+    sender: row.sender_name,
+    color: row.color || null,
+    text: row.message,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  CHANNELS,
+  blockedWordsFromEnv,
+  filterWords,
+  cleanMessage,
+  createRateLimiter,
+  toClientMessage
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { Chess } = require('chess.js');
+const { FILES, pieceMap, placementFrom, withField } = require('./fen-utils');
+const { MoveHistory } = require('./move-history');
+
+const POSITION_COUNT = 960;
+const STANDARD_POSITION = 518;
+
+// Knight placements on the five squares left after bishops and queen (Scharnagl)
+const KNIGHT_TABLE = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+
+// Where king and rook end up after castling, whatever the start position
+const CASTLE_TARGETS = {
+  k: { king: 'g', rook: 'f', san: 'O-O' },
+  q: { king: 'c', rook: 'd', san: 'O-O-O' }
+};
+
+function isValidPosition(n) {
+  return Number.isInteger(n) && n >= 0 && n < POSITION_COUNT;
+}
+
+function randomPosition() {
+  return crypto.randomInt(POSITION_COUNT);
+}
+
+/**
+ * Back rank (black's pieces, a-file first) for a Chess960 position number.
+ * 518 is the standard setup.
+ */
+function backRank(n) {
+  const rank = new Array(8).fill(null);
+  const empty = () => rank.map((p, i) => (p ? null : i)).filter(i => i !== null);
+
+  rank[(n % 4) * 2 + 1] = 'b';
+  n = Math.floor(n / 4);
+  rank[(n % 4) * 2] = 'b';
+  n = Math.floor(n / 4);
+  rank[empty()[n % 6]] = 'q';
+  n = Math.floor(n / 6);
+  const free = empty();
+  for (const i of KNIGHT_TABLE[n]) rank[free[i]] = 'n';
+  const [queenRook, king, kingRook] = empty();
+  rank[queenRook] = 'r';
+  rank[king] = 'k';
+  rank[kingRook] = 'r';
+  return rank.join('');
+}
+
+function startingFen(n) {
+  const pieces = backRank(n);
+  return `${pieces}/pppppppp/8/8/8/8/PPPPPPPP/${pieces.toUpperCase()} w KQkq - 0 1`;
+}
+
+function backRankOf(color) {
+  return color === 'w' ? '1' : '8';
+}
+
+function squareOf(file, color) {
+  return FILES[file] + backRankOf(color);
+}
+
+/**
+ * Chess with Chess960 castling. chess.js only knows e-file kings and
+ * corner rooks, so it is always given "-" for castling rights; this class
+ * tracks which rooks may still castle and generates, validates and plays
+ * castling itself. Castling is entered king-onto-rook ({ from: king square,
+ * to: rook square }) or as O-O / O-O-O.
+ *
+ * Playing a castle reloads the position, which clears chess.js's move
+ * history, so the board keeps its own for history() and pgn() and cannot
+ * undo. A castle can never be undone on the board, so no earlier position
+ * can repeat and repetition detection is unaffected.
+ */
+class Chess960 extends Chess {
+  constructor(fen) {
+    super(withField(fen, 2, '-'));
+    this.castlingRooks = this.parseCastling(fen.split(' ')[2]);
+    this.moveHistory = new MoveHistory(this);
+  }
+
+  // Accepts X-FEN (KQkq) and Shredder-FEN (file letters) castling fields
+  parseCastling(field) {
+    const rooks = { w: { k: null, q: null }, b: { k: null, q: null } };
+    if (field === '-') return rooks;
+    for (const ch of field) {
+      const color = ch === ch.toUpperCase() ? 'w' : 'b';
+      const kingFile = this.kingFile(color);
+      if (kingFile === null) continue;
+      const rookFiles = this.rookFiles(color);
+      const letter = ch.toLowerCase();
+      let file;
+      if (letter === 'k') file = rookFiles.filter(f => f > kingFile).pop();
+      else if (letter === 'q') file = rookFiles.find(f => f < kingFile);
+      else file = FILES.indexOf(letter);
+      if (file === undefined || !rookFiles.includes(file)) continue;
+      rooks[color][file > kingFile ? 'k' : 'q'] = squareOf(file, color);
+    }
+    return rooks;
+  }
+
+  kingFile(color) {
+    const square = this.findPiece({ type: 'k', color })[0];
+    return square && square[1] === backRankOf(color) ? FILES.indexOf(square[0]) : null;
+  }
+
+  rookFiles(color) {
+    return this.findPiece({ type: 'r', color })
+      .filter(sq => sq[1] === backRankOf(color))
+      .map(sq => FILES.indexOf(sq[0]))
+      .sort((a, b) => a - b);
+  }
+
+  // X-FEN: K/Q for the outermost rook on that side, the rook's file otherwise
+  castlingField() {
+    let field = '';
+    for (const color of ['w', 'b']) {
+      const rookFiles = this.rookFiles(color);
+      for (const side of ['k', 'q']) {
+        const square = this.castlingRooks[color][side];
+        if (!square) continue;
+        const file = FILES.indexOf(square[0]);
+        const outermost = side === 'k' ? file === rookFiles[rookFiles.length - 1] : file === rookFiles[0];
+        const letter = outermost ? side : square[0];
+        field += color === 'w' ? letter.toUpperCase() : letter;
+      }
+    }
+    return field || '-';
+  }
+
+  fen(options) {
+    const fields = super.fen(options).split(' ');
+    fields[2] = this.castlingField();
+    return fields.join(' ');
+  }
+
+  isThreefoldRepetition() {
+    return this.moveHistory.isThreefoldRepetition();
+  }
+
+  isStalemate() {
+    return !this.inCheck() && this.moves().length === 0;
+  }
+
+  /**
+   * Castles available to the side to move: [{ side, king, rook, kingTo, rookTo }]
+   */
+  castlingMoves() {
+    const us = this.turn();
+    const them = us === 'w' ? 'b' : 'w';
+    const kingFile = this.kingFile(us);
+    if (kingFile === null || this.inCheck()) return [];
+
+    const castles = [];
+    for (const side of ['k', 'q']) {
+      const rook = this.castlingRooks[us][side];
+      if (!rook) continue;
+      const rookFile = FILES.indexOf(rook[0]);
+      const kingToFile = FILES.indexOf(CASTLE_TARGETS[side].king);
+      const rookToFile = FILES.indexOf(CASTLE_TARGETS[side].rook);
+
+      // Every square either piece crosses must be empty, apart from the two castling pieces
+      const lo = Math.min(kingFile, rookFile, kingToFile, rookToFile);
+      const hi = Math.max(kingFile, rookFile, kingToFile, rookToFile);
+      let clear = true;
+      for (let f = lo; f <= hi; f++) {
+        if (f !== kingFile && f !== rookFile && this.get(squareOf(f, us))) clear = false;
+      }
+      if (!clear) continue;
+
+      // The king may not pass through or land on an attacked square
+      const scratch = this.withoutPieces([squareOf(kingFile, us), rook]);
+      const step = kingToFile >= kingFile ? 1 : -1;
+      let safe = true;
+      for (let f = kingFile; ; f += step) {
+        if (scratch.isAttacked(squareOf(f, us), them)) safe = false;
+        if (f === kingToFile) break;
+      }
+      if (!safe) continue;
+
+      castles.push({
+        side,
+        king: squareOf(kingFile, us),
+        rook,
+        kingTo: squareOf(kingToFile, us),
+        rookTo: squareOf(rookToFile, us)
+      });
+    }
+    return castles;
+  }
+
+  // Plain chess.js position with some squares emptied, for attack tests
+  withoutPieces(squares) {
+    const pieces = pieceMap(this);
+    for (const sq of squares) delete pieces[sq];
+    const fields = super.fen().split(' ');
+    return new Chess([placementFrom(pieces), fields[1], '-', '-', '0', '1'].join(' '), { skipValidation: true });
+  }
+
+  // FEN after playing a castle, with the mover's castling rights removed
+  castledFen(castle) {
+    const us = this.turn();
+    const pieces = pieceMap(this);
+    delete pieces[castle.king];
+    delete pieces[castle.rook];
+    pieces[castle.kingTo] = us === 'w' ? 'K' : 'k';
+    pieces[castle.rookTo] = us === 'w' ? 'R' : 'r';
+
+    const [, , , , halfMoves, moveNumber] = super.fen().split(' ');
+    const saved = this.castlingRooks[us];
+    this.castlingRooks[us] = { k: null, q: null };
+    const castling = this.castlingField();
+    this.castlingRooks[us] = saved;
+
+    return [
+      placementFrom(pieces),
+      us === 'w' ? 'b' : 'w',
+      castling,
+      '-',
+      parseInt(halfMoves, 10) + 1,
+      us === 'b' ? parseInt(moveNumber, 10) + 1 : moveNumber
+    ].join(' ');
+  }
+
+  castleMove(castle) {
+    const after = this.castledFen(castle);
+    const next = new Chess(withField(after, 2, '-'));
+    const suffix = next.isCheckmate() ? '#' : next.inCheck() ? '+' : '';
+    return {
+      color: this.turn(),
+      from: castle.king,
+      to: castle.rook,
+      piece: 'k',
+      san: CASTLE_TARGETS[castle.side].san + suffix,
+      lan: castle.king + castle.rook,
+      before: this.fen(),
+      after,
+      flags: castle.side
+    };
+  }
+
+  moves({ verbose = false, square = undefined, piece = undefined } = {}) {
+    const moves = super.moves({ verbose, square, piece });
+    if (piece && piece !== 'k') return moves;
+    for (const castle of this.castlingMoves()) {
+      if (square && square !== castle.king) continue;
+      const move = this.castleMove(castle);
+      moves.push(verbose ? move : move.san);
+    }
+    return moves;
+  }
+
+  // Match a move argument against the available castles
+  findCastle(move) {
+    const castles = this.castlingMoves();
+    if (typeof move === 'string') {
+      const san = move.replace(/[+#]$/, '').replace(/0/g, 'O');
+      return castles.find(c => CASTLE_TARGETS[c.side].san === san) || null;
+    }
+    if (!move) return null;
+    return castles.find(c => c.king === move.from && c.rook === move.to) || null;
+  }
+
+  move(move, options) {
+    const castle = this.findCastle(move);
+    if (castle) {
+      const played = this.castleMove(castle);
+      this.load(withField(played.after, 2, '-'));
+      this.castlingRooks[played.color] = { k: null, q: null };
+      this.moveHistory.add(played);
+      return played;
+    }
+
+    const played = super.move(move, options);
+    const us = played.color;
+    const them = us === 'w' ? 'b' : 'w';
+    if (played.piece === 'k') this.castlingRooks[us] = { k: null, q: null };
+    for (const side of ['k', 'q']) {
+      if (this.castlingRooks[us][side] === played.from) this.castlingRooks[us][side] = null;
+      if (this.castlingRooks[them][side] === played.to) this.castlingRooks[them][side] = null;
+    }
+    this.moveHistory.add(played);
+    return played;
+  }
+
+  history(options) {
+    return this.moveHistory.history(options);
+  }
+
+  pgn(options) {
+    return this.moveHistory.pgn(options);
+  }
+
+  undo() {
+    throw new Error('Chess960 boards cannot undo: replay the moves instead');
+  }
+}
+
+module.exports = {
+  Chess960,
+  POSITION_COUNT,
+  STANDARD_POSITION,
+  isValidPosition,
+  randomPosition,
+  backRank,
+  startingFen
+};
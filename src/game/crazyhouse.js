@@ -0,0 +1,279 @@
+const { Chess, SQUARES } = require('chess.js');
+const { pieceMap, placementFrom, withField } = require('./fen-utils');
+const { MoveHistory } = require('./move-history');
+
+const POCKET_PIECES = ['q', 'r', 'b', 'n', 'p'];
+const DROP_SAN = /^([PNBRQ])@([a-h][1-8])[+#]?$/;
+
+function emptyPockets() {
+  return {
+    w: { q: 0, r: 0, b: 0, n: 0, p: 0 },
+    b: { q: 0, r: 0, b: 0, n: 0, p: 0 }
+  };
+}
+
+/**
+ * Split a Crazyhouse placement field ("rnb...R~NBR[Qp]") into the plain
+ * placement chess.js understands, the pockets, and the promoted squares.
+ */
+function parsePlacement(field) {
+  const match = field.match(/^([^[]*)(?:\[([QRBNPqrbnp]*)\])?$/);
+  if (!match) throw new Error('Invalid Crazyhouse FEN');
+
+  const pockets = emptyPockets();
+  for (const ch of match[2] || '') {
+    pockets[ch === ch.toUpperCase() ? 'w' : 'b'][ch.toLowerCase()]++;
+  }
+
+  const promoted = new Set();
+  let placement = '';
+  let rank = 8;
+  let file = 0;
+  for (const ch of match[1]) {
+    if (ch === '~') {
+      promoted.add('abcdefgh'[file - 1] + rank);
+      continue;
+    }
+    placement += ch;
+    if (ch === '/') {
+      rank--;
+      file = 0;
+    } else {
+      file += /\d/.test(ch) ? parseInt(ch, 10) : 1;
+    }
+  }
+  return { placement, pockets, promoted };
+}
+
+/**
+ * Chess with Crazyhouse drops. Captured pieces go to the capturer's pocket
+ * (promoted pieces revert to pawns) and may be dropped onto any empty square
+ * instead of moving, except pawns onto the first or last rank. A drop must
+ * not leave the dropping side in check, so in check it has to block.
+ *
+ * FENs carry the pockets in brackets after the placement and mark promoted
+ * pieces with "~", e.g. "r1bqkbnr/.../R~NBQKBNR[Np] w KQkq - 0 5".
+ * Drops are entered as { drop: 'n', to: 'f3' } or in SAN as "N@f3".
+ *
+ * Playing a drop reloads the position, which clears chess.js's own move
+ * history, so the board keeps its own (see MoveHistory), where repetitions are
+ * counted with the pockets; it cannot undo.
+ */
+class Crazyhouse extends Chess {
+  constructor(fen) {
+    super(fen);
+    this.moveHistory = new MoveHistory(this);
+  }
+
+  load(fen, options = {}) {
+    const { placement, pockets, promoted } = parsePlacement(fen.split(' ')[0]);
+    super.load(withField(fen, 0, placement), options);
+    this.pockets = pockets;
+    this.promoted = promoted;
+  }
+
+  pocketField() {
+    let field = '';
+    for (const color of ['w', 'b']) {
+      for (const type of POCKET_PIECES) {
+        const letter = color === 'w' ? type.toUpperCase() : type;
+        field += letter.repeat(this.pockets[color][type]);
+      }
+    }
+    return `[${field}]`;
+  }
+
+  fen(options) {
+    const placement = placementFrom(pieceMap(this), sq => (this.promoted.has(sq) ? '~' : ''));
+    return withField(super.fen(options), 0, placement + this.pocketField());
+  }
+
+  getPockets() {
+    return {
+      white: { ...this.pockets.w },
+      black: { ...this.pockets.b }
+    };
+  }
+
+  isThreefoldRepetition() {
+    return this.moveHistory.isThreefoldRepetition();
+  }
+
+  // Captured material never leaves the game, so it can always be used to mate
+  isInsufficientMaterial() {
+    return false;
+  }
+
+  isCheckmate() {
+    return this.inCheck() && super.moves().length === 0 && !this.hasLegalDrop();
+  }
+
+  isStalemate() {
+    return !this.inCheck() && super.moves().length === 0 && !this.hasLegalDrop();
+  }
+
+  // The board without pockets, to try drops on with put() and remove()
+  scratchBoard() {
+    return new Chess(super.fen(), { skipValidation: true });
+  }
+
+  // Would dropping this piece here leave the side to move in check?
+  dropLeavesCheck(type, square, scratch = this.scratchBoard()) {
+    scratch.put({ type, color: this.turn() }, square);
+    const inCheck = scratch.inCheck();
+    scratch.remove(square);
+    return inCheck;
+  }
+
+  // Would dropping this piece here check the opponent? Only the dropped
+  // piece itself can give the check.
+  dropGivesCheck(type, square, scratch = this.scratchBoard()) {
+    const us = this.turn();
+    const [king] = scratch.findPiece({ type: 'k', color: us === 'w' ? 'b' : 'w' });
+    if (!king) return false;
+    scratch.put({ type, color: us }, square);
+    const check = scratch.isAttacked(king, us);
+    scratch.remove(square);
+    return check;
+  }
+
+  /**
+   * Squares the side to move can drop a piece of this type on.
+   */
+  dropSquares(type) {
+    const us = this.turn();
+    if (!this.pockets[us][type]) return [];
+    const scratch = this.inCheck() ? this.scratchBoard() : null;
+    return SQUARES.filter(sq =>
+      !this.get(sq) &&
+      !(type === 'p' && (sq[1] === '1' || sq[1] === '8')) &&
+      !(scratch && this.dropLeavesCheck(type, sq, scratch))
+    );
+  }
+
+  /**
+   * Legal drops for the side to move, by piece type: { n: ['e4', ...], ... }
+   */
+  legalDrops() {
+    const drops = {};
+    for (const type of POCKET_PIECES) {
+      const squares = this.dropSquares(type);
+      if (squares.length > 0) drops[type] = squares;
+    }
+    return drops;
+  }
+
+  hasLegalDrop() {
+    return POCKET_PIECES.some(type => this.dropSquares(type).length > 0);
+  }
+
+  // What every drop from this position needs: a board to try it on, the pieces and the FEN
+  dropContext() {
+    return { scratch: this.scratchBoard(), pieces: pieceMap(this), before: this.fen() };
+  }
+
+  // FEN (with pockets) after dropping a piece; `pieces` is the current piece map
+  droppedFen(type, square, pieces = pieceMap(this)) {
+    const us = this.turn();
+    pieces = { ...pieces, [square]: us === 'w' ? type.toUpperCase() : type };
+
+    this.pockets[us][type]--;
+    const pocket = this.pocketField();
+    this.pockets[us][type]++;
+
+    const [, , castling, , halfMoves, moveNumber] = super.fen().split(' ');
+    return [
+      placementFrom(pieces, sq => (this.promoted.has(sq) ? '~' : '')) + pocket,
+      us === 'w' ? 'b' : 'w',
+      castling,
+      '-',
+      parseInt(halfMoves, 10) + 1,
+      us === 'b' ? parseInt(moveNumber, 10) + 1 : moveNumber
+    ].join(' ');
+  }
+
+  dropMove(type, square, context = this.dropContext()) {
+    const after = this.droppedFen(type, square, context.pieces);
+    // Only a checking drop can mate, so only those get the full test
+    let suffix = '';
+    if (this.dropGivesCheck(type, square, context.scratch)) suffix = new Crazyhouse(after).isCheckmate() ? '#' : '+';
+    const lan = `${type.toUpperCase()}@${square}`;
+    return {
+      color: this.turn(),
+      from: null,
+      to: square,
+      piece: type,
+      drop: type,
+      san: lan + suffix,
+      lan,
+      before: context.before,
+      after,
+      flags: 'd'
+    };
+  }
+
+  // `drops: false` leaves the drops out, for callers that list them with legalDrops()
+  moves({ verbose = false, square = undefined, piece = undefined, drops = true } = {}) {
+    const moves = super.moves({ verbose, square, piece });
+    if (square || !drops) return moves;
+    const context = this.dropContext();
+    for (const [type, squares] of Object.entries(this.legalDrops())) {
+      if (piece && piece !== type) continue;
+      for (const sq of squares) {
+        const move = this.dropMove(type, sq, context);
+        moves.push(verbose ? move : move.san);
+      }
+    }
+    return moves;
+  }
+
+  // { piece, square } if the move argument is a drop, otherwise null
+  parseDrop(move) {
+    if (typeof move === 'string') {
+      const match = move.match(DROP_SAN);
+      return match ? { piece: match[1].toLowerCase(), square: match[2] } : null;
+    }
+    if (move && move.drop) {
+      return { piece: String(move.drop).toLowerCase(), square: move.to };
+    }
+    return null;
+  }
+
+  move(move, options) {
+    const drop = this.parseDrop(move);
+    if (drop) {
+      if (!POCKET_PIECES.includes(drop.piece) || !this.dropSquares(drop.piece).includes(drop.square)) {
+        throw new Error(`Invalid drop: ${JSON.stringify(move)}`);
+      }
+      const played = this.dropMove(drop.piece, drop.square);
+      this.load(played.after, { skipValidation: true });
+      this.moveHistory.add(played);
+      return played;
+    }
+
+    const played = super.move(move, options);
+    if (played.captured) {
+      // En passant never captures a promoted piece
+      const promotedVictim = !played.isEnPassant() && this.promoted.has(played.to);
+      this.pockets[played.color][promotedVictim ? 'p' : played.captured]++;
+    }
+    this.promoted.delete(played.to);
+    if (this.promoted.delete(played.from) || played.promotion) this.promoted.add(played.to);
+    this.moveHistory.add(played);
+    return played;
+  }
+
+  history(options) {
+    return this.moveHistory.history(options);
+  }
+
+  pgn(options) {
+    return this.moveHistory.pgn(options);
+  }
+
+  undo() {
+    throw new Error('Crazyhouse boards cannot undo: replay the moves instead');
+  }
+}
+
+module.exports = { Crazyhouse };
@@ -0,0 +1,80 @@
+const path = require('path');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const { search } = require('./engine');
+const { takeNextSearch } = require('./search-queue');
+
+const DEFAULT_POOL_SIZE = 2;
+
+// Inside a worker: run each search we are sent and report back
+if (!isMainThread) {
+  parentPort.on('message', ({ fen, options }) => {
+    try {
+      parentPort.postMessage({ result: search(fen, options) });
+    } catch (e) {
+      parentPort.postMessage({ error: e.message });
+    }
+  });
+}
+
+/**
+ * Up to ENGINE_WORKERS worker threads, started on first use and kept for
+ * the next searches, each running one search at a time. Searches beyond
+ * that wait for a free worker, in the order takeNextSearch() gives; a
+ * worker that dies fails its search and is replaced on the next one.
+ */
+const poolSize = parseInt(process.env.ENGINE_WORKERS, 10) || DEFAULT_POOL_SIZE;
+const workers = []; // { worker, job }, job being the search it is running
+const waiting = []; // { fen, options, background, resolve, reject }
+
+function startWorker() {
+  const entry = { worker: new Worker(path.join(__dirname, 'engine-worker.js')), job: null };
+  // Idle workers don't keep the process alive
+  entry.worker.unref();
+  entry.worker.on('message', ({ result, error }) => {
+    const { job } = entry;
+    entry.job = null;
+    entry.worker.unref();
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+    runWaiting();
+  });
+  entry.worker.on('error', e => dropWorker(entry, e));
+  entry.worker.on('exit', code => dropWorker(entry, new Error(`Engine worker exited with code ${code}`)));
+  workers.push(entry);
+  return entry;
+}
+
+function dropWorker(entry, error) {
+  const index = workers.indexOf(entry);
+  if (index === -1) return;
+  workers.splice(index, 1);
+  if (entry.job) entry.job.reject(error);
+  entry.job = null;
+  runWaiting();
+}
+
+// Hand waiting searches to free workers, starting workers up to the pool size
+function runWaiting() {
+  for (;;) {
+    const free = workers.filter(w => !w.job).length + poolSize - workers.length;
+    const job = takeNextSearch(waiting, free, poolSize);
+    if (!job) return;
+    const entry = workers.find(w => !w.job) || startWorker();
+    entry.job = job;
+    entry.worker.ref();
+    entry.worker.postMessage({ fen: entry.job.fen, options: entry.job.options });
+  }
+}
+
+/**
+ * Run an engine search (see engine.search) in a worker thread, so games and
+ * sockets stay responsive while it thinks.
+ */
+function searchInWorker(fen, options, { background = false } = {}) {
+  return new Promise((resolve, reject) => {
+    waiting.push({ fen, options, background, resolve, reject });
+    runWaiting();
+  });
+}
+
+module.exports = { searchInWorker };
@@ -0,0 +1,353 @@
+const { Chess } = require('chess.js');
+
+/*
+ * Alpha-beta search for the built-in bot.
+ *
+ * Searching through chess.js's public move()/undo() builds SAN and re-validates
+ * every move, which is roughly fifty times slower than its internal move
+ * generator. The search therefore drives chess.js's internal _moves(),
+ * _makeMove() and _undoMove() (the same ones its own public methods use) and
+ * reads the 0x88 board and Zobrist hash directly. That is why chess.js is
+ * pinned to an exact version, and the tests check these internals are still
+ * there. Only standard chess is supported: variant boards implement their
+ * special moves on top of the public API, which this bypasses.
+ */
+
+const MATE = 100000;
+const INFINITY = 1000000;
+const MAX_PLY = 64;
+const TIME_CHECK_INTERVAL = 1024;
+const MAX_TABLE_SIZE = 200000;
+
+// chess.js move flag bits
+const CAPTURE = 2 | 8;
+const PROMOTION = 16;
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+// Game phase weights; 24 = all minor and major pieces on the board
+const PHASE_WEIGHTS = { p: 0, n: 1, b: 1, r: 2, q: 4, k: 0 };
+const TOTAL_PHASE = 24;
+
+const TT_EXACT = 0;
+const TT_LOWER = 1;
+const TT_UPPER = 2;
+
+// Piece-square tables from White's point of view, a8 first
+const PST = {
+  p: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+    5, 5, 10, 25, 25, 10, 5, 5,
+    0, 0, 0, 20, 20, 0, 0, 0,
+    5, -5, -10, 0, 0, -10, -5, 5,
+    5, 10, 10, -20, -20, 10, 10, 5,
+    0, 0, 0, 0, 0, 0, 0, 0
+  ],
+  n: [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20, 0, 0, 0, 0, -20, -40,
+    -30, 0, 10, 15, 15, 10, 0, -30,
+    -30, 5, 15, 20, 20, 15, 5, -30,
+    -30, 0, 15, 20, 20, 15, 0, -30,
+    -30, 5, 10, 15, 15, 10, 5, -30,
+    -40, -20, 0, 5, 5, 0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50
+  ],
+  b: [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 10, 10, 5, 0, -10,
+    -10, 5, 5, 10, 10, 5, 5, -10,
+    -10, 0, 10, 10, 10, 10, 0, -10,
+    -10, 10, 10, 10, 10, 10, 10, -10,
+    -10, 5, 0, 0, 0, 0, 5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20
+  ],
+  r: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    5, 10, 10, 10, 10, 10, 10, 5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    0, 0, 0, 5, 5, 0, 0, 0
+  ],
+  q: [
+    -20, -10, -10, -5, -5, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5,
+    0, 0, 5, 5, 5, 5, 0, -5,
+    -10, 5, 5, 5, 5, 5, 0, -10,
+    -10, 0, 5, 0, 0, 0, 0, -10,
+    -20, -10, -10, -5, -5, -10, -10, -20
+  ],
+  // King: shelter behind the pawns in the middlegame...
+  k: [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20
+  ],
+  // ...and head for the centre once the heavy pieces are gone
+  kEnd: [
+    -50, -40, -30, -20, -20, -30, -40, -50,
+    -30, -20, -10, 0, 0, -10, -20, -30,
+    -30, -10, 20, 30, 30, 20, -10, -30,
+    -30, -10, 30, 40, 40, 30, -10, -30,
+    -30, -10, 30, 40, 40, 30, -10, -30,
+    -30, -10, 20, 30, 30, 20, -10, -30,
+    -30, -30, 0, 0, 0, 0, -30, -30,
+    -50, -30, -30, -30, -30, -30, -30, -50
+  ]
+};
+
+const BISHOP_PAIR = 30;
+
+// Thrown to unwind the search when the time budget runs out
+class SearchTimeout extends Error {}
+
+function squareName(i) {
+  return 'abcdefgh'[i & 7] + (8 - (i >> 4));
+}
+
+function moveKey(m) {
+  return `${m.from}-${m.to}-${m.promotion || ''}`;
+}
+
+/**
+ * Static evaluation in centipawns from the side to move's point of view:
+ * material, piece-square tables (king tapered between middlegame and
+ * endgame by the material left) and the bishop pair.
+ */
+function evaluate(chess) {
+  const board = chess._board;
+  let mg = 0;
+  let eg = 0;
+  let phase = 0;
+  const bishops = { w: 0, b: 0 };
+
+  for (let i = 0; i < 128; i++) {
+    if (i & 0x88) {
+      i += 7;
+      continue;
+    }
+    const piece = board[i];
+    if (!piece) continue;
+
+    const sign = piece.color === 'w' ? 1 : -1;
+    const row = i >> 4;
+    const index = (piece.color === 'w' ? row : 7 - row) * 8 + (i & 7);
+    phase += PHASE_WEIGHTS[piece.type];
+    if (piece.type === 'b') bishops[piece.color]++;
+
+    if (piece.type === 'k') {
+      mg += sign * PST.k[index];
+      eg += sign * PST.kEnd[index];
+    } else {
+      const value = PIECE_VALUES[piece.type] + PST[piece.type][index];
+      mg += sign * value;
+      eg += sign * value;
+    }
+  }
+
+  const mgWeight = Math.min(phase, TOTAL_PHASE);
+  let score = Math.round((mg * mgWeight + eg * (TOTAL_PHASE - mgWeight)) / TOTAL_PHASE);
+  if (bishops.w >= 2) score += BISHOP_PAIR;
+  if (bishops.b >= 2) score -= BISHOP_PAIR;
+  return chess._turn === 'w' ? score : -score;
+}
+
+class Search {
+  constructor(fen, { maxDepth = MAX_PLY, timeMs = 1000, noise = 0 } = {}) {
+    this.chess = new Chess(fen);
+    this.maxDepth = Math.min(maxDepth, MAX_PLY);
+    this.deadline = Date.now() + timeMs;
+    this.nodes = 0;
+    this.table = new Map();
+    this.killers = [];
+    // Hashes of the positions on the current line, for repetition draws
+    this.path = [this.chess._hash];
+
+    // Weaker levels prefer some root moves at random, the same way throughout one search
+    this.noise = noise;
+    this.rootNoise = new Map();
+  }
+
+  checkTime() {
+    if (++this.nodes % TIME_CHECK_INTERVAL === 0 && Date.now() > this.deadline) {
+      throw new SearchTimeout();
+    }
+  }
+
+  // Transposition table move first, then captures by MVV-LVA, killers, the rest
+  orderMoves(moves, ply, bestKey) {
+    const killers = this.killers[ply] || [];
+    const scored = moves.map(m => {
+      const key = moveKey(m);
+      let score = 0;
+      if (key === bestKey) score = 1000000;
+      else if (m.flags & CAPTURE) score = 100000 + PIECE_VALUES[m.captured || 'p'] * 10 - PIECE_VALUES[m.piece];
+      else if (m.flags & PROMOTION) score = 90000 + PIECE_VALUES[m.promotion];
+      else if (killers.includes(key)) score = 80000;
+      return { m, key, score };
+    });
+    scored.sort((a, b) => b.score - a.score);
+    return scored;
+  }
+
+  storeKiller(ply, key) {
+    const killers = this.killers[ply] || (this.killers[ply] = []);
+    if (killers[0] === key) return;
+    killers.unshift(key);
+    killers.length = Math.min(killers.length, 2);
+  }
+
+  store(hash, depth, score, flag, bestKey) {
+    if (this.table.size >= MAX_TABLE_SIZE) this.table.clear();
+    this.table.set(hash, { depth, score, flag, bestKey });
+  }
+
+  // Captures only, until the position is quiet, so exchanges aren't cut off halfway
+  quiesce(alpha, beta, ply) {
+    this.checkTime();
+    const standPat = evaluate(this.chess);
+    if (standPat >= beta) return beta;
+    if (standPat > alpha) alpha = standPat;
+    if (ply >= MAX_PLY) return alpha;
+
+    const captures = this.chess._moves({ legal: true }).filter(m => m.flags & (CAPTURE | PROMOTION));
+    for (const { m } of this.orderMoves(captures, ply, null)) {
+      this.chess._makeMove(m);
+      const score = -this.quiesce(-beta, -alpha, ply + 1);
+      this.chess._undoMove();
+      if (score >= beta) return beta;
+      if (score > alpha) alpha = score;
+    }
+    return alpha;
+  }
+
+  negamax(depth, alpha, beta, ply) {
+    this.checkTime();
+    const chess = this.chess;
+    const hash = chess._hash;
+
+    if (ply > 0) {
+      if (chess._halfMoves >= 100) return 0;
+      if (this.path.lastIndexOf(hash, -2) !== -1) return 0;
+    }
+
+    const inCheck = chess.inCheck();
+    if (inCheck && ply < MAX_PLY) depth++;
+    if (depth <= 0) return this.quiesce(alpha, beta, ply);
+
+    const entry = this.table.get(hash);
+    if (entry && ply > 0 && entry.depth >= depth) {
+      if (entry.flag === TT_EXACT) return entry.score;
+      if (entry.flag === TT_LOWER && entry.score >= beta) return entry.score;
+      if (entry.flag === TT_UPPER && entry.score <= alpha) return entry.score;
+    }
+
+    const moves = chess._moves({ legal: true });
+    if (moves.length === 0) return inCheck ? -MATE + ply : 0;
+
+    const startAlpha = alpha;
+    let best = -INFINITY;
+    let bestKey = null;
+    for (const { m, key } of this.orderMoves(moves, ply, entry && entry.bestKey)) {
+      chess._makeMove(m);
+      this.path.push(chess._hash);
+      let score;
+      try {
+        score = -this.negamax(depth - 1, -beta, -alpha, ply + 1);
+      } finally {
+        this.path.pop();
+        chess._undoMove();
+      }
+      if (ply === 0) score += this.rootBias(key);
+
+      if (score > best) {
+        best = score;
+        bestKey = key;
+        if (ply === 0) this.iterationBest = m;
+      }
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) {
+        if (!(m.flags & CAPTURE)) this.storeKiller(ply, key);
+        break;
+      }
+    }
+
+    const flag = best <= startAlpha ? TT_UPPER : best >= beta ? TT_LOWER : TT_EXACT;
+    this.store(hash, depth, best, flag, bestKey);
+    return best;
+  }
+
+  rootBias(key) {
+    if (!this.noise) return 0;
+    if (!this.rootNoise.has(key)) {
+      this.rootNoise.set(key, Math.round((Math.random() * 2 - 1) * this.noise));
+    }
+    return this.rootNoise.get(key);
+  }
+
+  /**
+   * Deepen one ply at a time until maxDepth or the time budget is reached.
+   * A search cut short by the clock is thrown away, except that the first
+   * iteration always completes so there is a move to play.
+   */
+  run() {
+    const moves = this.chess._moves({ legal: true });
+    if (moves.length === 0) return null;
+
+    let best = null;
+    let depth = 0;
+    for (let d = 1; d <= this.maxDepth; d++) {
+      this.iterationBest = null;
+      try {
+        const score = this.negamax(d, -INFINITY, INFINITY, 0);
+        best = { move: this.iterationBest, score };
+        depth = d;
+      } catch (e) {
+        if (!(e instanceof SearchTimeout)) throw e;
+        if (best) break;
+        // Not even depth 1 finished: give it a little more time
+        this.deadline = Infinity;
+        d--;
+        continue;
+      }
+      // A forced mate has been found; searching deeper won't change the move
+      if (Math.abs(best.score) >= MATE - MAX_PLY) break;
+      if (Date.now() > this.deadline) break;
+    }
+
+    const move = best.move || moves[0];
+    return {
+      from: squareName(move.from),
+      to: squareName(move.to),
+      promotion: move.promotion || undefined,
+      score: best.score,
+      depth,
+      nodes: this.nodes
+    };
+  }
+}
+
+/**
+ * Best move for the side to move in a standard chess position, as
+ * { from, to, promotion, score, depth, nodes }, or null if there is none.
+ * Options: maxDepth (plies), timeMs (budget) and noise (centipawns of random
+ * preference per root move, to weaken the play).
+ */
+function search(fen, options = {}) {
+  return new Search(fen, options).run();
+}
+
+module.exports = { search, evaluate, MATE };
@@ -0,0 +1,48 @@
+const { MATE } = require('./engine');
+const { searchInWorker } = require('./engine-worker');
+const uci = require('./uci');
+
+const BUILTIN_ENGINE = 'Seal Chess built-in';
+const MAX_MATE_PLY = 64;
+
+// Built-in scores near MATE mean "mate in (MATE - |score|) plies"; report moves, as UCI does
+function builtinScore(score) {
+  if (Math.abs(score) < MATE - MAX_MATE_PLY) return { cp: score };
+  const moves = Math.ceil((MATE - Math.abs(score)) / 2);
+  return { mate: score > 0 ? moves : -moves };
+}
+
+/**
+ * Evaluate a standard chess position with the configured UCI engine, or
+ * the built-in engine when there is none. Searches for `movetime` ms, or
+ * to `depth` plies; `background` searches wait for the ones of games in
+ * progress (see UciPool and engine-worker). Resolves with { bestMove (UCI
+ * notation, null if the game is over), score ({ cp } or { mate }, from the
+ * side to move's point of view), depth, pv, engine }.
+ */
+async function evaluatePosition(fen, { movetime = null, depth = null, background = false } = {}) {
+  const pool = uci.getPool();
+  if (pool) {
+    const result = await pool.search({ fen, movetime: movetime || uci.getConfig().movetimeMs, depth }, { background });
+    return {
+      bestMove: result.bestMove,
+      score: result.info.score || null,
+      depth: result.info.depth ?? null,
+      pv: result.info.pv || (result.bestMove ? [result.bestMove] : []),
+      engine: result.engine || 'UCI engine'
+    };
+  }
+
+  const result = await searchInWorker(fen, { maxDepth: depth || undefined, timeMs: movetime || 1000 }, { background });
+  if (!result) return { bestMove: null, score: null, depth: 0, pv: [], engine: BUILTIN_ENGINE };
+  const bestMove = result.from + result.to + (result.promotion || '');
+  return {
+    bestMove,
+    score: builtinScore(result.score),
+    depth: result.depth,
+    pv: [bestMove],
+    engine: BUILTIN_ENGINE
+  };
+}
+
+module.exports = { evaluatePosition };
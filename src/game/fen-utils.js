@@ -0,0 +1,43 @@
+const FILES = 'abcdefgh';
+
+// { square: 'P' | 'k' | ... } for every occupied square of a chess.js board
+function pieceMap(chess) {
+  const pieces = {};
+  for (const row of chess.board()) {
+    for (const sq of row) {
+      if (sq) pieces[sq.square] = sq.color === 'w' ? sq.type.toUpperCase() : sq.type;
+    }
+  }
+  return pieces;
+}
+
+// Piece placement field of a FEN from a piece map. `suffix(square)` can
+// append a marker after a piece (Crazyhouse marks promoted pieces with "~").
+function placementFrom(pieces, suffix = () => '') {
+  const rows = [];
+  for (let rank = 8; rank >= 1; rank--) {
+    let row = '';
+    let gap = 0;
+    for (const file of FILES) {
+      const square = file + rank;
+      const piece = pieces[square];
+      if (piece) {
+        row += (gap || '') + piece + suffix(square);
+        gap = 0;
+      } else {
+        gap++;
+      }
+    }
+    rows.push(row + (gap || ''));
+  }
+  return rows.join('/');
+}
+
+// Replace one space-separated FEN field
+function withField(fen, index, value) {
+  const fields = fen.split(' ');
+  fields[index] = value;
+  return fields.join(' ');
+}
+
+module.exports = { FILES, pieceMap, placementFrom, withField };
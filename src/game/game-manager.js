@@ -1,9 +1,79 @@
+const crypto = require('crypto');
 const { Chess } = require('chess.js');
 const db = require('../db');
 const { v4: uuidv4 } = require('uuid');
+const { parseTimeControl } = require('./time-control');
+const { calculateRatingChanges } = require('./rating');
+const identity = require('./identity');
+const { buildStartingBoard } = require('./start-position');
+const { randomPosition, startingFen } = require('./chess960');
+const bot = require('./bot');
+const analysis = require('./analysis');
+const cluster = require('../cluster');
 
 const activeGames = new Map();
 
+const CORRUPTED_GAME_ERROR = 'This game could not be restored: its stored moves do not match its position';
+
+// How often each instance notes that it is alive, so that whoever picks up
+// its games after a crash knows roughly when it went down
+const HEARTBEAT_MS = 5000;
+// Heartbeats of instances with no game left to pick up are dropped once this old
+const STALE_HEARTBEAT_MS = 60000;
+let heartbeatTimer = null;
+
+// Match a session token's hash against a game's { white, black } token hashes
+function colorForSessionHash(sessionHashes, tokenHash) {
+  if (typeof tokenHash !== 'string' || !/^[0-9a-f]{64}$/.test(tokenHash)) return null;
+  const hash = Buffer.from(tokenHash, 'hex');
+  for (const color of ['white', 'black']) {
+    const stored = sessionHashes[color];
+    if (stored && crypto.timingSafeEqual(hash, Buffer.from(stored, 'hex'))) return color;
+  }
+  return null;
+}
+
+function colorForSession(sessionHashes, token) {
+  if (typeof token !== 'string' || !token) return null;
+  return colorForSessionHash(sessionHashes, identity.hashToken(token));
+}
+
+// The lease that makes an instance a game's owner
+function gameKey(gameId) {
+  return `game:${gameId}`;
+}
+
+function heartbeatKey(instanceId) {
+  return `heartbeat:${instanceId}`;
+}
+
+// When the instance that owned a game was last seen alive (ms since the
+// epoch), null if unknown. Games from before instances had their own
+// heartbeat go by the one the server used to share.
+function lastHeartbeat(ownerInstance) {
+  const value = db.getServerState(ownerInstance ? heartbeatKey(ownerInstance) : 'heartbeat');
+  return value === null ? null : Number(value);
+}
+
+/**
+ * Keep a game in memory once this instance holds its lease, and resolve to
+ * it: this instance owns it from then on. If a request loaded the game
+ * while the lease was being claimed, that copy is kept and returned
+ * instead. Rejects if another instance owns the game, since two owners
+ * would each play it on their own copy; requests for a game reach its
+ * owner through atOwner(), so this only happens in a race.
+ */
+async function track(game) {
+  if (!(await cluster.claim(gameKey(game.gameId)))) {
+    throw new Error(`Game ${game.gameId} is owned by another instance`);
+  }
+  const loaded = activeGames.get(game.gameId);
+  if (loaded) return loaded;
+  activeGames.set(game.gameId, game);
+  db.setGameOwner(game.gameId, cluster.instanceId);
+  return game;
+}
+
 class GameInstance {
   constructor(gameId, whitePlayerId) {
     this.gameId = gameId;
@@ -17,8 +87,192 @@ class GameInstance {
     this.moveCount = 0;
     this.status = 'waiting';
     this.drawOffer = null;
+    this.takebackRequest = null;
+    // After the game: the player offering a rematch, and the rematch's id once agreed
+    this.rematchOffer = null;
+    this.rematchGameId = null;
+    this.ratingChanges = null;
+    // Rated games count for Elo; takebacks are only allowed in unrated ones
+    this.rated = true;
+    this.takebacks = false;
     this.disconnectTimers = {};
+    // When each disconnected player forfeits (ms since the epoch), null while connected
+    this.disconnectDeadlines = { white: null, black: null };
+    // Set when the game was picked up again after a server restart: { downtimeMs,
+    // restoredAt, notified (the colors told about it) }
+    this.recovery = null;
     this.gameReadySent = false;
+    this.spectators = new Set();
+    // Whether each player has muted the other's chat messages
+    this.chatMuted = { white: false, black: false };
+    // Bot strength level per seat (null = human), and whether a bot search is running
+    this.bots = { white: null, black: null };
+    this.botThinking = false;
+    // Hashes of the secret per-seat session tokens; player IDs are public
+    this.sessionHashes = { white: null, black: null };
+
+    // Custom start (null initialFen = standard position). startPly counts the
+    // moves imported from a PGN, which are part of the game but weren't played here.
+    this.variant = 'standard';
+    this.variantPosition = null;
+    this.initialFen = null;
+    this.initialMoves = [];
+    this.startPly = 0;
+
+    // Clock state (null timeControl = untimed game)
+    this.timeControl = null;
+    this.clock = null;
+    this.turnStartedAt = null;
+    this.flagTimer = null;
+  }
+
+  setStartPosition({ variant = 'standard', variantPosition = null, initialFen = null, initialMoves = [] }) {
+    this.variant = variant;
+    this.variantPosition = variantPosition;
+    this.initialFen = initialFen;
+    this.initialMoves = initialMoves;
+    this.startPly = initialMoves.length;
+    this.chess = buildStartingBoard(initialFen, initialMoves, variant);
+    this.moveCount = this.startPly;
+  }
+
+  setRules({ rated = true, takebacks = false } = {}) {
+    this.rated = rated;
+    this.takebacks = takebacks && !rated;
+  }
+
+  setTimeControl(timeControl, whiteMs, blackMs) {
+    this.timeControl = timeControl;
+    if (!timeControl) {
+      this.clock = null;
+      return;
+    }
+    this.clock = {
+      white: whiteMs ?? timeControl.initialMs,
+      black: blackMs ?? timeControl.initialMs
+    };
+    // The clock starts with the first move played on the server
+    this.turnStartedAt = this.status === 'active' && this.moveCount > this.startPly ? Date.now() : null;
+  }
+
+  isClockRunning() {
+    return !!this.timeControl && this.status === 'active' && this.turnStartedAt !== null;
+  }
+
+  getClock() {
+    if (!this.timeControl) return null;
+    const running = this.isClockRunning() ? (this.chess.turn() === 'w' ? 'white' : 'black') : null;
+    const elapsed = running ? Date.now() - this.turnStartedAt : 0;
+    return {
+      white: Math.max(0, this.clock.white - (running === 'white' ? elapsed : 0)),
+      black: Math.max(0, this.clock.black - (running === 'black' ? elapsed : 0)),
+      running,
+      timeControl: this.timeControl.label,
+      increment: this.timeControl.incrementMs
+    };
+  }
+
+  /**
+   * Charge the side to move for the time spent since their turn began.
+   */
+  stopClock() {
+    if (!this.isClockRunning()) return;
+    const color = this.chess.turn() === 'w' ? 'white' : 'black';
+    this.clock[color] = Math.max(0, this.clock[color] - (Date.now() - this.turnStartedAt));
+    this.turnStartedAt = null;
+  }
+
+  /**
+   * End the game if the side to move has run out of time.
+   */
+  checkFlag() {
+    const clock = this.getClock();
+    if (!clock || !clock.running || clock[clock.running] > 0) return null;
+    return this.flagFall(clock.running);
+  }
+
+  flagFall(color) {
+    const winner = color === 'white' ? 'black' : 'white';
+    if (!this.hasMatingMaterial(winner)) {
+      this.endGame('draw', 'timeout vs insufficient material');
+      return { type: 'timeout', flagged: color, reason: 'timeout vs insufficient material', result: 'draw' };
+    }
+    const result = winner === 'white' ? 'white_wins' : 'black_wins';
+    this.endGame(result, 'timeout');
+    return { type: 'timeout', flagged: color, winner, result };
+  }
+
+  /**
+   * Whether `color` could still checkmate by some series of legal moves,
+   * helped by the opponent (FIDE 6.9), which decides a flag fall. Pawns,
+   * rooks and queens can mate, and so can a knight with another minor piece
+   * or bishops on both square colors. A lone knight needs an enemy pawn or
+   * piece other than a queen (which would take it) to hem the king in, and
+   * bishops all on one square color need an enemy pawn or piece that can
+   * stand on the other color. A lone king never mates.
+   */
+  hasMatingMaterial(color) {
+    const material = this.material();
+    const ours = material[color];
+    const theirs = material[color === 'white' ? 'black' : 'white'];
+    if (ours.p || ours.r || ours.q) return true;
+    if (ours.n + ours.bishopColors.size >= 2) return true;
+    if (ours.n === 1) return theirs.p + theirs.n + theirs.b + theirs.r > 0;
+    if (ours.bishopColors.size === 0) return false;
+    const [shade] = ours.bishopColors;
+    return theirs.p + theirs.n + theirs.r + theirs.q > 0 || [...theirs.bishopColors].some(c => c !== shade);
+  }
+
+  /**
+   * Each side's pieces besides the king: { white, black }, each with counts
+   * by type (p, n, b, r, q) and the square colors its bishops stand on. In
+   * Crazyhouse the pockets count too, and a bishop in one can be dropped on
+   * either color.
+   */
+  material() {
+    const material = {};
+    const pockets = this.getPockets();
+    for (const color of ['white', 'black']) {
+      const pocket = pockets ? pockets[color] : {};
+      material[color] = { p: 0, n: 0, b: 0, r: 0, q: 0, ...pocket, bishopColors: new Set(pocket.b ? [0, 1] : []) };
+    }
+    const board = this.chess.board();
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const sq = board[rank][file];
+        if (!sq || sq.type === 'k') continue;
+        const side = material[sq.color === 'w' ? 'white' : 'black'];
+        side[sq.type]++;
+        if (sq.type === 'b') side.bishopColors.add((rank + file) % 2);
+      }
+    }
+    return material;
+  }
+
+  /**
+   * Issue a new secret session token for a seat. Only its hash is kept.
+   */
+  issueSession(color) {
+    const token = identity.generateToken();
+    this.sessionHashes[color] = identity.hashToken(token);
+    db.setSessionHash(this.gameId, color, this.sessionHashes[color]);
+    return token;
+  }
+
+  /**
+   * Return the color whose session token this is, or null.
+   */
+  getColorForSession(token) {
+    return colorForSession(this.sessionHashes, token);
+  }
+
+  // The same for a token already hashed, as sockets keep it
+  getColorForSessionHash(tokenHash) {
+    return colorForSessionHash(this.sessionHashes, tokenHash);
+  }
+
+  getPlayerId(color) {
+    return color === 'white' ? this.whitePlayerId : this.blackPlayerId;
   }
 
   getPlayerColor(playerId) {
@@ -27,6 +281,24 @@ class GameInstance {
     return null;
   }
 
+  /**
+   * Seat a bot. Bots are always connected.
+   */
+  setBot(color, level) {
+    this.bots[color] = level;
+    this[`${color}Connected`] = true;
+  }
+
+  hasBot() {
+    return !!(this.bots.white || this.bots.black);
+  }
+
+  // Level of the bot to move, or null if it's a human's turn or the game is over
+  botToMove() {
+    if (this.status !== 'active') return null;
+    return this.bots[this.chess.turn() === 'w' ? 'white' : 'black'];
+  }
+
   isPlayerTurn(playerId) {
     const turn = this.chess.turn();
     if (turn === 'w' && playerId === this.whitePlayerId) return true;
@@ -35,6 +307,22 @@ class GameInstance {
   }
 
   makeMove(playerId, from, to, promotion) {
+    const moveObj = { from, to };
+    if (promotion) moveObj.promotion = promotion;
+    return this.playMove(playerId, moveObj);
+  }
+
+  /**
+   * Drop a piece from the mover's pocket (Crazyhouse only).
+   */
+  dropPiece(playerId, piece, square) {
+    if (this.variant !== 'crazyhouse') {
+      return { success: false, error: 'Drops are only allowed in Crazyhouse' };
+    }
+    return this.playMove(playerId, { drop: piece, to: square });
+  }
+
+  playMove(playerId, moveObj) {
     if (!this.isPlayerTurn(playerId)) {
       return { success: false, error: 'Not your turn' };
     }
@@ -42,20 +330,39 @@ class GameInstance {
       return { success: false, error: 'Game is not active' };
     }
 
-    try {
-      const moveObj = { from, to };
-      if (promotion) moveObj.promotion = promotion;
+    const flag = this.checkFlag();
+    if (flag) {
+      return { success: false, error: 'Time expired', gameResult: flag };
+    }
 
+    try {
       const move = this.chess.move(moveObj);
       if (!move) {
         return { success: false, error: 'Illegal move' };
       }
 
+      const hadOffer = !!(this.drawOffer || this.takebackRequest);
       this.moveCount++;
       this.drawOffer = null;
+      this.takebackRequest = null;
+
+      const mover = move.color === 'w' ? 'white' : 'black';
+      if (this.timeControl) {
+        if (this.turnStartedAt !== null) {
+          this.clock[mover] = Math.max(0, this.clock[mover] - (Date.now() - this.turnStartedAt));
+        }
+        this.clock[mover] += this.timeControl.incrementMs;
+        this.turnStartedAt = Date.now();
+      }
 
-      db.recordMove(this.gameId, this.moveCount, playerId, from, to, move.san, this.chess.fen());
+      // Drops have no origin square; they are stored with '@' in its place
+      db.recordMove(
+        this.gameId, this.moveCount, playerId, move.from || '@', move.to, move.promotion || null, move.san,
+        this.chess.fen(), this.clock ? this.clock[mover] : null
+      );
       db.updateGameState(this.gameId, this.chess.fen(), this.chess.pgn());
+      if (this.clock) db.updateClocks(this.gameId, this.clock.white, this.clock.black, this.turnStartedAt);
+      if (hadOffer) this.saveOffers();
 
       const gameResult = this.checkGameEnd();
 
@@ -66,7 +373,8 @@ class GameInstance {
         pgn: this.chess.pgn(),
         gameResult,
         inCheck: this.chess.inCheck(),
-        moveNumber: this.moveCount
+        moveNumber: this.moveCount,
+        clock: this.getClock()
       };
     } catch (e) {
       return { success: false, error: 'Invalid move' };
@@ -77,37 +385,73 @@ class GameInstance {
     if (this.chess.isCheckmate()) {
       const winner = this.chess.turn() === 'w' ? 'black' : 'white';
       const result = winner === 'white' ? 'white_wins' : 'black_wins';
-      this.endGame(result);
+      this.endGame(result, 'checkmate');
       return { type: 'checkmate', winner, result };
     }
     if (this.chess.isStalemate()) {
-      this.endGame('draw');
+      this.endGame('draw', 'stalemate');
       return { type: 'stalemate', result: 'draw' };
     }
     if (this.chess.isDraw()) {
-      this.endGame('draw');
       let reason = 'fifty-move rule';
       if (this.chess.isThreefoldRepetition()) reason = 'threefold repetition';
       if (this.chess.isInsufficientMaterial()) reason = 'insufficient material';
+      this.endGame('draw', reason);
       return { type: 'draw', reason, result: 'draw' };
     }
     return null;
   }
 
-  endGame(result) {
+  /**
+   * Finish the game. `termination` says how it ended ('checkmate',
+   * 'resignation', 'timeout', ...) and is kept for PGN export.
+   */
+  endGame(result, termination = null) {
+    this.stopClock();
+    clearTimeout(this.flagTimer);
+    this.flagTimer = null;
     this.status = 'completed';
-    db.completeGame(this.gameId, result);
-
-    if (result === 'white_wins') {
-      db.updatePlayerStats(this.whitePlayerId, 'win');
-      db.updatePlayerStats(this.blackPlayerId, 'loss');
-    } else if (result === 'black_wins') {
-      db.updatePlayerStats(this.blackPlayerId, 'win');
-      db.updatePlayerStats(this.whitePlayerId, 'loss');
-    } else if (result === 'draw') {
-      db.updatePlayerStats(this.whitePlayerId, 'draw');
-      db.updatePlayerStats(this.blackPlayerId, 'draw');
-    }
+
+    // Result, points and ratings are committed together or not at all
+    db.transaction(() => {
+      db.completeGame(this.gameId, result, termination);
+      if (this.clock) db.updateClocks(this.gameId, this.clock.white, this.clock.black);
+
+      if (result === 'white_wins') {
+        db.updatePlayerStats(this.whitePlayerId, 'win');
+        db.updatePlayerStats(this.blackPlayerId, 'loss');
+      } else if (result === 'black_wins') {
+        db.updatePlayerStats(this.blackPlayerId, 'win');
+        db.updatePlayerStats(this.whitePlayerId, 'loss');
+      } else if (result === 'draw') {
+        db.updatePlayerStats(this.whitePlayerId, 'draw');
+        db.updatePlayerStats(this.blackPlayerId, 'draw');
+      }
+
+      this.ratingChanges = this.updateRatings(result);
+    });
+
+    analysis.requestAnalysis(this.gameId);
+  }
+
+  // Bot games are practice: recorded, but never rated. Neither is a game
+  // forfeited by both players, which wasn't played
+  updateRatings(result) {
+    if (this.hasBot() || !this.rated || result === 'double_forfeit') return null;
+    const white = db.getPlayer(this.whitePlayerId);
+    const black = this.blackPlayerId ? db.getPlayer(this.blackPlayerId) : null;
+    if (!white || !black) return null;
+
+    const changes = calculateRatingChanges(
+      { rating: white.rating, ratedGames: white.rated_games },
+      { rating: black.rating, ratedGames: black.rated_games },
+      result
+    );
+    db.updatePlayerRating(white.id, changes.white.after);
+    db.updatePlayerRating(black.id, changes.black.after);
+    db.recordRatingChange(this.gameId, white.id, changes.white.before, changes.white.after);
+    db.recordRatingChange(this.gameId, black.id, changes.black.before, changes.black.after);
+    return changes;
   }
 
   resign(playerId) {
@@ -115,29 +459,136 @@ class GameInstance {
     const color = this.getPlayerColor(playerId);
     if (!color) return null;
     const result = color === 'white' ? 'black_wins' : 'white_wins';
-    this.endGame(result);
+    this.endGame(result, 'resignation');
     return { type: 'resignation', winner: color === 'white' ? 'black' : 'white', result };
   }
 
+  // Keep open offers in the DB, so that a restart doesn't lose them
+  saveOffers() {
+    db.updateGameOffers(this.gameId, this.drawOffer, this.takebackRequest);
+  }
+
   offerDraw(playerId) {
     if (this.status !== 'active') return null;
     if (this.drawOffer === playerId) return null;
     this.drawOffer = playerId;
+    this.saveOffers();
     return { offeredBy: this.getPlayerColor(playerId) };
   }
 
   acceptDraw(playerId) {
     if (!this.drawOffer || this.drawOffer === playerId) return null;
-    this.endGame('draw');
+    this.endGame('draw', 'agreement');
     return { type: 'draw_agreed', result: 'draw' };
   }
 
   declineDraw(playerId) {
     if (!this.drawOffer || this.drawOffer === playerId) return null;
     this.drawOffer = null;
+    this.saveOffers();
     return { declined: true };
   }
 
+  /**
+   * How many plies a takeback for this player would undo: their last move,
+   * plus the opponent's reply if there is one. 0 if they have no move played
+   * on the server to take back.
+   */
+  takebackPlies(playerId) {
+    const plies = this.isPlayerTurn(playerId) ? 2 : 1;
+    return this.moveCount - this.startPly >= plies ? plies : 0;
+  }
+
+  requestTakeback(playerId) {
+    if (this.status !== 'active' || !this.takebacks) return null;
+    if (this.takebackRequest === playerId || !this.takebackPlies(playerId)) return null;
+    this.takebackRequest = playerId;
+    this.saveOffers();
+    return { requestedBy: this.getPlayerColor(playerId) };
+  }
+
+  acceptTakeback(playerId) {
+    if (this.status !== 'active' || !this.takebackRequest || this.takebackRequest === playerId) return null;
+    const requester = this.takebackRequest;
+    const plies = this.takebackPlies(requester);
+    this.takebackRequest = null;
+    if (!plies) {
+      this.saveOffers();
+      return null;
+    }
+    this.undoMoves(plies);
+    return { requestedBy: this.getPlayerColor(requester), plies };
+  }
+
+  declineTakeback(playerId) {
+    if (!this.takebackRequest || this.takebackRequest === playerId) return null;
+    this.takebackRequest = null;
+    this.saveOffers();
+    return { declined: true };
+  }
+
+  offerRematch(playerId) {
+    if (this.status !== 'completed' || this.rematchGameId) return null;
+    if (!this.getPlayerColor(playerId) || this.rematchOffer === playerId) return null;
+    this.rematchOffer = playerId;
+    return { offeredBy: this.getPlayerColor(playerId) };
+  }
+
+  // True if the opponent had offered a rematch; the caller then starts it
+  acceptRematch(playerId) {
+    if (this.status !== 'completed' || this.rematchGameId) return false;
+    if (!this.rematchOffer || this.rematchOffer === playerId || !this.getPlayerColor(playerId)) return false;
+    this.rematchOffer = null;
+    return true;
+  }
+
+  declineRematch(playerId) {
+    if (!this.rematchOffer || this.rematchOffer === playerId) return null;
+    this.rematchOffer = null;
+    return { declined: true };
+  }
+
+  /**
+   * Take back the last `plies` moves. The board is rebuilt by replaying the
+   * remaining moves, since the variant boards can't undo. Both clocks keep
+   * their current times, and the side now to move is on the clock.
+   */
+  undoMoves(plies) {
+    this.stopClock();
+    const keep = this.moveCount - plies;
+    const remaining = db.getGameMoves(this.gameId).filter(m => m.move_number <= keep);
+    this.replayMoves(remaining);
+    this.moveCount = keep;
+    this.drawOffer = null;
+    this.turnStartedAt = this.timeControl && keep > this.startPly ? Date.now() : null;
+
+    db.transaction(() => {
+      db.deleteMovesAfter(this.gameId, keep);
+      db.updateGameState(this.gameId, this.chess.fen(), this.chess.pgn());
+      if (this.clock) db.updateClocks(this.gameId, this.clock.white, this.clock.black, this.turnStartedAt);
+      db.updateGameOffers(this.gameId, null, null);
+    });
+  }
+
+  /**
+   * Set up the board at the starting position and play the stored moves
+   * (rows of the moves table) again. Returns null, or what went wrong: a
+   * move that won't play, or one that leads somewhere other than the
+   * position stored with it.
+   */
+  replayMoves(moves) {
+    this.chess = buildStartingBoard(this.initialFen, this.initialMoves, this.variant);
+    for (const m of moves) {
+      let played = null;
+      try {
+        played = this.chess.move(storedMove(m));
+      } catch (e) { /* reported below */ }
+      if (!played) return `move ${m.move_number} (${m.san}) cannot be played`;
+      if (this.chess.fen() !== m.fen_after) return `move ${m.move_number} (${m.san}) leads to a different position than stored`;
+    }
+    return null;
+  }
+
   getState() {
     return {
       gameId: this.gameId,
@@ -153,12 +604,23 @@ class GameInstance {
       blackConnected: this.blackConnected,
       moveCount: this.moveCount,
       drawOffer: this.drawOffer,
-      legalMoves: this.getLegalMoves()
+      rated: this.rated,
+      takebacks: this.takebacks,
+      takebackRequest: this.takebackRequest ? this.getPlayerColor(this.takebackRequest) : null,
+      variant: this.variant,
+      variantPosition: this.variantPosition,
+      bots: { ...this.bots },
+      spectatorCount: this.spectators.size,
+      clock: this.getClock(),
+      legalMoves: this.getLegalMoves(),
+      pockets: this.getPockets(),
+      legalDrops: this.getLegalDrops()
     };
   }
 
   getLegalMoves() {
-    const moves = this.chess.moves({ verbose: true });
+    // Crazyhouse drops are listed apart, by getLegalDrops()
+    const moves = this.chess.moves({ verbose: true, drops: false });
     const grouped = {};
     for (const m of moves) {
       if (!grouped[m.from]) grouped[m.from] = [];
@@ -166,93 +628,423 @@ class GameInstance {
     }
     return grouped;
   }
+
+  // Crazyhouse pockets ({ white: { q, r, b, n, p }, black }), null in other variants
+  getPockets() {
+    return this.variant === 'crazyhouse' ? this.chess.getPockets() : null;
+  }
+
+  // Squares each pocket piece can be dropped on ({ n: ['e4', ...] }), null in other variants
+  getLegalDrops() {
+    return this.variant === 'crazyhouse' ? this.chess.legalDrops() : null;
+  }
+}
+
+// Replay a stored move by its squares; drops by the piece dropped
+function storedMove(m) {
+  if (m.from_square === '@') return { drop: m.san[0].toLowerCase(), to: m.to_square };
+  // Moves stored before promotions had their own column carry the piece in the SAN only
+  const promotion = m.promotion || (m.san.match(/=([QRBN])/) || [])[1];
+  const move = { from: m.from_square, to: m.to_square };
+  if (promotion) move.promotion = promotion.toLowerCase();
+  return move;
+}
+
+/**
+ * Restore the time control and remaining clock times of a game loaded from
+ * the DB. The side to move is charged for the time they had used by
+ * `stoppedAt`, when the server stopped; any time since then is not counted.
+ */
+function restoreClock(game, dbGame, stoppedAt = Date.now()) {
+  if (!dbGame.time_control) return;
+  game.setTimeControl(parseTimeControl(dbGame.time_control), dbGame.white_time_ms, dbGame.black_time_ms);
+  if (game.turnStartedAt !== null && dbGame.turn_started_at) {
+    game.turnStartedAt = Date.now() - Math.max(0, stoppedAt - dbGame.turn_started_at);
+  }
+}
+
+/**
+ * Rebuild an in-memory game from its DB row (e.g. after a server restart),
+ * replaying its moves so the history is complete. `stoppedAt` is when the
+ * server that last ran it went down. A game whose moves don't replay to the
+ * position stored for it is flagged as corrupted rather than carried on from
+ * a board nobody played; that resolves to null.
+ */
+async function restoreGame(dbGame, stoppedAt = Date.now()) {
+  const game = new GameInstance(dbGame.id, dbGame.white_player_id);
+  game.blackPlayerId = dbGame.black_player_id;
+  game.setStartPosition({
+    variant: dbGame.variant,
+    variantPosition: dbGame.variant_position,
+    initialFen: dbGame.initial_fen,
+    initialMoves: dbGame.initial_moves ? dbGame.initial_moves.split(' ') : []
+  });
+  const moves = db.getGameMoves(dbGame.id);
+  let problem = game.replayMoves(moves);
+  if (!problem && dbGame.fen && game.chess.fen() !== dbGame.fen) {
+    problem = 'the moves lead to a different position than the game\'s';
+  }
+  if (problem) {
+    db.flagCorruptedGame(dbGame.id, problem);
+    console.error(`Game ${dbGame.id} is corrupted and was set aside: ${problem}`);
+    return null;
+  }
+  game.moveCount = game.startPly + moves.length;
+  game.status = dbGame.status;
+  game.drawOffer = dbGame.draw_offer_by;
+  game.takebackRequest = dbGame.takeback_request_by;
+  game.disconnectDeadlines = { white: dbGame.white_disconnect_deadline, black: dbGame.black_disconnect_deadline };
+  game.setRules({ rated: !!dbGame.rated, takebacks: !!dbGame.takebacks });
+  for (const color of ['white', 'black']) {
+    const playerId = game.getPlayerId(color);
+    const player = playerId ? db.getPlayer(playerId) : null;
+    if (player && player.bot_level) game.setBot(color, player.bot_level);
+  }
+  game.sessionHashes = { white: dbGame.white_session_hash, black: dbGame.black_session_hash };
+  restoreClock(game, dbGame, stoppedAt);
+  return track(game);
+}
+
+/**
+ * Starting position for a new game: a Chess960 setup (the given position
+ * number, or a random one), the usual setup for other variants, a custom
+ * FEN/PGN start, or null for standard chess.
+ */
+function resolveStart(options) {
+  if (options.variant === 'chess960') {
+    const position = options.variantPosition ?? randomPosition();
+    return { variant: 'chess960', variantPosition: position, initialFen: startingFen(position), initialMoves: [] };
+  }
+  if (options.variant && options.variant !== 'standard') {
+    return { variant: options.variant, variantPosition: null, initialFen: null, initialMoves: [] };
+  }
+  return options.startPosition ? { variant: 'standard', ...options.startPosition } : null;
+}
+
+// Create the in-memory game and its DB row, set up from its starting position
+function createGameRecord(gameId, whiteId, timeControl, options) {
+  const start = resolveStart(options);
+  const game = new GameInstance(gameId, whiteId);
+  if (start) game.setStartPosition(start);
+  game.setRules({ rated: options.rated ?? true, takebacks: !!options.takebacks });
+  db.createGame(gameId, whiteId, timeControl, start && {
+    ...start,
+    fen: game.chess.fen(),
+    pgn: game.chess.pgn()
+  });
+  db.setGameRules(gameId, game.rated, game.takebacks);
+  return game;
 }
 
 const gameManager = {
-  createGame(playerName) {
-    const playerId = uuidv4();
+  async createGame(playerName, options = {}) {
+    const timeControl = options.timeControl || null;
+    const { playerId, playerToken } = identity.resolvePlayer(playerName, options.playerToken);
     const gameId = uuidv4().substring(0, 8);
-    db.createPlayer(playerId, playerName);
-    db.createGame(gameId, playerId);
-    const game = new GameInstance(gameId, playerId);
-    activeGames.set(gameId, game);
-    return { gameId, playerId, color: 'white' };
+    const game = createGameRecord(gameId, playerId, timeControl, options);
+    game.setTimeControl(timeControl);
+    await track(game);
+    const sessionToken = game.issueSession('white');
+    return {
+      gameId, playerId, sessionToken, playerToken, color: 'white',
+      timeControl: timeControl?.label || null,
+      variant: game.variant,
+      variantPosition: game.variantPosition,
+      rated: game.rated,
+      takebacks: game.takebacks,
+      fen: game.chess.fen()
+    };
   },
 
-  joinGame(gameId, playerName) {
+  async joinGame(gameId, playerName, options = {}) {
     let game = activeGames.get(gameId);
     if (!game) {
       const dbGame = db.getGame(gameId);
       if (!dbGame) return { error: 'Game not found' };
       if (dbGame.status === 'completed') return { error: 'Game already completed' };
       if (dbGame.status === 'active' && dbGame.black_player_id) return { error: 'Game is full' };
-      game = new GameInstance(gameId, dbGame.white_player_id);
-      if (dbGame.fen) game.chess = new Chess(dbGame.fen);
-      game.status = dbGame.status;
-      activeGames.set(gameId, game);
+      game = dbGame.status === 'corrupted' ? null : await restoreGame(dbGame);
+      if (!game) return { error: CORRUPTED_GAME_ERROR };
     }
     if (game.status !== 'waiting') return { error: 'Game already started or completed' };
     if (game.blackPlayerId) return { error: 'Game is full' };
 
-    const playerId = uuidv4();
-    db.createPlayer(playerId, playerName);
+    const known = identity.findPlayerByToken(options.playerToken);
+    if (known && known.id === game.whitePlayerId) return { error: 'You cannot play against yourself' };
+
+    const { playerId, playerToken } = identity.resolvePlayer(playerName, options.playerToken);
     game.blackPlayerId = playerId;
     game.status = 'active';
     db.joinGame(gameId, playerId);
-    return { gameId, playerId, color: 'black' };
+    const sessionToken = game.issueSession('black');
+    return {
+      gameId, playerId, sessionToken, playerToken, color: 'black',
+      timeControl: game.timeControl?.label || null,
+      variant: game.variant
+    };
   },
 
-  reconnectToGame(gameId, playerId) {
+  async reconnectToGame(gameId, sessionToken) {
     let game = activeGames.get(gameId);
     if (!game) {
       const dbGame = db.getGame(gameId);
       if (!dbGame) return { error: 'Game not found' };
       if (dbGame.status === 'completed') {
+        const color = colorForSession(
+          { white: dbGame.white_session_hash, black: dbGame.black_session_hash },
+          sessionToken
+        );
+        if (!color) return { error: 'You are not in this game' };
         return {
-          gameId, playerId,
-          color: playerId === dbGame.white_player_id ? 'white' : 'black',
+          gameId,
+          playerId: color === 'white' ? dbGame.white_player_id : dbGame.black_player_id,
+          color,
           completed: true, result: dbGame.result, fen: dbGame.fen
         };
       }
-      game = new GameInstance(gameId, dbGame.white_player_id);
-      game.blackPlayerId = dbGame.black_player_id;
-      if (dbGame.fen) game.chess = new Chess(dbGame.fen);
-      game.status = dbGame.status;
-      const moves = db.getGameMoves(gameId);
-      game.moveCount = moves.length;
-      activeGames.set(gameId, game);
+      game = dbGame.status === 'corrupted' ? null : await restoreGame(dbGame);
+      if (!game) return { error: CORRUPTED_GAME_ERROR };
     }
-    const color = game.getPlayerColor(playerId);
+    const color = game.getColorForSession(sessionToken);
     if (!color) return { error: 'You are not in this game' };
-    return { gameId, playerId, color, reconnected: true };
+    return { gameId, playerId: game.getPlayerId(color), color, reconnected: true };
   },
 
   // Create a game between two already-named players (for matchmaking)
-  createMatchedGame(whiteName, blackName) {
-    const whiteId = uuidv4();
-    const blackId = uuidv4();
+  async createMatchedGame(whiteName, blackName, options = {}) {
+    const timeControl = options.timeControl || null;
+    const white = identity.resolvePlayer(whiteName, options.whiteToken);
+    const black = identity.resolvePlayer(blackName, options.blackToken);
+    const whiteId = white.playerId;
+    const blackId = black.playerId;
+    const gameId = uuidv4().substring(0, 8);
+
+    const game = createGameRecord(gameId, whiteId, timeControl, options);
+    game.blackPlayerId = blackId;
+    game.status = 'active';
+    game.setTimeControl(timeControl);
+    await track(game);
+    db.joinGame(gameId, blackId);
+
+    return {
+      gameId,
+      whitePlayerId: whiteId,
+      blackPlayerId: blackId,
+      whiteSession: game.issueSession('white'),
+      blackSession: game.issueSession('black'),
+      whiteToken: white.playerToken,
+      blackToken: black.playerToken
+    };
+  },
+
+  /**
+   * Create a tournament game between two existing players. It is active at
+   * once, but only in the DB, so it can be part of the transaction that
+   * pairs its round; the tournament has it loaded once that commits. Each
+   * player gets a session token by asking with issueSeat().
+   */
+  createTournamentGame(whiteId, blackId, options = {}) {
+    const timeControl = options.timeControl || null;
     const gameId = uuidv4().substring(0, 8);
+    createGameRecord(gameId, whiteId, timeControl, { variant: options.variant, rated: true });
+    db.joinGame(gameId, blackId);
+    return gameId;
+  },
+
+  /**
+   * Issue a player a fresh session token for their seat in an unfinished
+   * game (replacing any earlier one). Returns null if they aren't in it.
+   */
+  async issueSeat(gameId, playerId) {
+    const game = await this.loadGame(gameId);
+    const color = game && game.status !== 'completed' ? game.getPlayerColor(playerId) : null;
+    if (!color) return null;
+    return { gameId, playerId, color, sessionToken: game.issueSession(color) };
+  },
 
-    db.createPlayer(whiteId, whiteName);
-    db.createPlayer(blackId, blackName);
-    db.createGame(gameId, whiteId);
+  /**
+   * Start a game against a bot of the given level, with the human playing
+   * `color`. The game is active at once; the bot moves via the socket handler.
+   */
+  async createBotGame(playerName, options = {}) {
+    const timeControl = options.timeControl || null;
+    const { playerId, playerToken } = identity.resolvePlayer(playerName, options.playerToken);
+    const botId = bot.ensureBotPlayer(options.level);
+    const color = options.color;
+    const botColor = color === 'white' ? 'black' : 'white';
+    const [whiteId, blackId] = color === 'white' ? [playerId, botId] : [botId, playerId];
+    const gameId = uuidv4().substring(0, 8);
+
+    const game = createGameRecord(gameId, whiteId, timeControl, { ...options, rated: false });
+    game.blackPlayerId = blackId;
+    game.status = 'active';
+    game.setBot(botColor, options.level);
+    game.setTimeControl(timeControl);
+    await track(game);
+    db.joinGame(gameId, blackId);
+
+    const sessionToken = game.issueSession(color);
+    return {
+      gameId, playerId, sessionToken, playerToken, color,
+      timeControl: timeControl?.label || null,
+      variant: game.variant,
+      bot: { level: options.level, name: bot.botName(options.level), color: botColor },
+      takebacks: game.takebacks,
+      fen: game.chess.fen()
+    };
+  },
+
+  /**
+   * Start a rematch of a finished game: the same players (and bot) with
+   * colors swapped, and the same time control, variant, starting position
+   * and rules. The two games are linked as one series. Returns the new
+   * game and a session token for each human seat.
+   */
+  async createRematch(previous) {
+    const gameId = uuidv4().substring(0, 8);
+    const whiteId = previous.blackPlayerId;
+    const blackId = previous.whitePlayerId;
+    const timeControl = previous.timeControl || null;
 
-    const game = new GameInstance(gameId, whiteId);
+    const game = createGameRecord(gameId, whiteId, timeControl, {
+      variant: previous.variant,
+      variantPosition: previous.variantPosition,
+      startPosition: previous.initialFen
+        ? { initialFen: previous.initialFen, initialMoves: previous.initialMoves }
+        : null,
+      rated: previous.rated,
+      takebacks: previous.takebacks
+    });
     game.blackPlayerId = blackId;
     game.status = 'active';
-    activeGames.set(gameId, game);
+    if (previous.bots.black) game.setBot('white', previous.bots.black);
+    if (previous.bots.white) game.setBot('black', previous.bots.white);
+    game.setTimeControl(timeControl);
+    // Set first, so that no second rematch is agreed while the lease is claimed
+    previous.rematchGameId = gameId;
+    await track(game);
     db.joinGame(gameId, blackId);
+    db.linkRematch(previous.gameId, gameId);
 
-    return { gameId, whitePlayerId: whiteId, blackPlayerId: blackId };
+    const sessions = {
+      white: game.bots.white ? null : game.issueSession('white'),
+      black: game.bots.black ? null : game.issueSession('black')
+    };
+    return { game, sessions };
+  },
+
+  /**
+   * Score of the rematch series a game belongs to, counting finished games
+   * only: { games, white, black }, with the points of the players seated
+   * as White and Black in this game. Null for a game that isn't part of one.
+   */
+  getMatchScore(gameId) {
+    const dbGame = db.getGame(gameId);
+    if (!dbGame || !dbGame.series_id) return null;
+    const points = { [dbGame.white_player_id]: 0, [dbGame.black_player_id]: 0 };
+    const results = db.getSeriesResults(gameId);
+    for (const g of results) {
+      if (g.result === 'white_wins') points[g.white_player_id] += 1;
+      else if (g.result === 'black_wins') points[g.black_player_id] += 1;
+      else if (g.result === 'draw') {
+        points[g.white_player_id] += 0.5;
+        points[g.black_player_id] += 0.5;
+      }
+    }
+    return {
+      games: results.length,
+      white: points[dbGame.white_player_id],
+      black: points[dbGame.black_player_id]
+    };
   },
 
   getGame(gameId) {
     return activeGames.get(gameId);
   },
 
+  // Like getGame, but rebuilds an unfinished game from the DB if it isn't in memory
+  async loadGame(gameId) {
+    const game = activeGames.get(gameId);
+    if (game) return game;
+    const dbGame = db.getGame(gameId);
+    if (!dbGame || dbGame.status === 'completed' || dbGame.status === 'corrupted') return null;
+    return restoreGame(dbGame);
+  },
+
   removeGame(gameId) {
     activeGames.delete(gameId);
+    cluster.release(gameKey(gameId)).catch(e => console.error(`Releasing game ${gameId} failed:`, e.message));
+  },
+
+  /**
+   * Register `fn(payload)` as an operation on a game (payload.gameId) that
+   * runs on the instance owning it; see atOwner(). An instance that ends up
+   * owning a game it hasn't loaded (it doesn't exist, or is over) lets it go.
+   */
+  onOwner(method, fn) {
+    cluster.handle(method, async (payload) => {
+      try {
+        return await fn(payload);
+      } finally {
+        if (!activeGames.has(payload.gameId)) await cluster.release(gameKey(payload.gameId));
+      }
+    });
+  },
+
+  // Run an onOwner() operation on the game's owner, which becomes this
+  // instance if no instance owns the game
+  atOwner(gameId, method, payload = {}) {
+    return cluster.route(gameKey(gameId), method, { ...payload, gameId });
+  },
+
+  /**
+   * Load every game in progress that no instance owns: at startup, and
+   * then those of instances that went down. Each one's downtime runs from
+   * the last heartbeat of the instance that owned it. Resolves to the
+   * games, each with its `recovery` set (corrupted games are left out); the
+   * caller restarts their timers.
+   */
+  async restoreActiveGames(now = Date.now()) {
+    const games = [];
+    for (const dbGame of db.getActiveGames()) {
+      if (activeGames.has(dbGame.id) || !(await cluster.claim(gameKey(dbGame.id)))) continue;
+      // A player's request may have loaded it while the claim was under way
+      if (activeGames.has(dbGame.id)) continue;
+      const lastSeen = lastHeartbeat(dbGame.owner_instance) || now;
+      const downtimeMs = Math.max(0, now - lastSeen);
+      const game = await restoreGame(dbGame, lastSeen);
+      if (!game) {
+        await cluster.release(gameKey(dbGame.id));
+        continue;
+      }
+      game.recovery = { downtimeMs, restoredAt: now, notified: new Set() };
+      games.push(game);
+    }
+    db.pruneHeartbeats(now - STALE_HEARTBEAT_MS);
+    return games;
+  },
+
+  startHeartbeat() {
+    const key = heartbeatKey(cluster.instanceId);
+    clearInterval(heartbeatTimer);
+    db.setServerState(key, Date.now());
+    heartbeatTimer = setInterval(() => db.setServerState(key, Date.now()), HEARTBEAT_MS);
+    heartbeatTimer.unref();
+  },
+
+  // On a clean shutdown: the last heartbeat is the moment the instance stopped
+  stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    db.setServerState(heartbeatKey(cluster.instanceId), Date.now());
   }
 };
 
+// Seat operations the HTTP API runs on a game's owner
+gameManager.onOwner('joinGame', ({ gameId, playerName, playerToken }) =>
+  gameManager.joinGame(gameId, playerName, { playerToken }));
+gameManager.onOwner('reconnectToGame', ({ gameId, sessionToken }) =>
+  gameManager.reconnectToGame(gameId, sessionToken));
+gameManager.onOwner('issueSeat', ({ gameId, playerId }) => gameManager.issueSeat(gameId, playerId));
+
 module.exports = gameManager;
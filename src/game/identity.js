@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+
+// Player tokens are 20 random bytes in base32 (32 chars). The same string,
+// split into groups of four, doubles as the human-readable recovery code.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOKEN_PATTERN = /^[A-Z2-7]{32}$/;
+
+function generateToken() {
+  const bytes = crypto.randomBytes(20);
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  return out;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isValidToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+function toRecoveryCode(token) {
+  return token.match(/.{4}/g).join('-');
+}
+
+/**
+ * Normalize a recovery code as typed by a user back into a token.
+ * Returns null if it can't be a valid code.
+ */
+function parseRecoveryCode(code) {
+  if (!code || typeof code !== 'string') return null;
+  const token = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return isValidToken(token) ? token : null;
+}
+
+function findPlayerByToken(token) {
+  if (!isValidToken(token)) return null;
+  return db.getPlayerByTokenHash(hashToken(token)) || null;
+}
+
+/**
+ * Return the player behind a known token (renaming them if they picked a new
+ * display name), or create a fresh player with a newly issued token.
+ * Unknown tokens are never adopted: the server always mints its own.
+ */
+function resolvePlayer(displayName, token) {
+  const existing = findPlayerByToken(token);
+  if (existing) {
+    if (existing.display_name !== displayName) db.updatePlayerName(existing.id, displayName);
+    return { playerId: existing.id, playerToken: token };
+  }
+
+  const playerId = uuidv4();
+  const playerToken = generateToken();
+  db.createPlayer(playerId, displayName, hashToken(playerToken));
+  return { playerId, playerToken };
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  isValidToken,
+  toRecoveryCode,
+  parseRecoveryCode,
+  findPlayerByToken,
+  resolvePlayer
+};
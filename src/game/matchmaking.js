@@ -0,0 +1,213 @@
+const db = require('../db');
+const identity = require('./identity');
+const { DEFAULT_RATING } = require('./rating');
+
+// Players are paired when their ratings are at most this far apart, a
+// window that widens the longer either of them has waited
+const RATING_WINDOW_BASE = 100;
+const RATING_WINDOW_GROWTH_PER_SECOND = 10;
+
+// Two players who just played each other wait this long for someone else
+// before being paired again; after that the pairing is forgotten
+const REPEAT_PAIRING_GRACE_MS = 30000;
+
+// Recent games looked at to balance colors
+const COLOR_HISTORY_GAMES = 10;
+
+// Recent waits per pool that the wait estimate averages, and the pools
+// (the most recently paired in) that keep them
+const WAIT_SAMPLES = 20;
+const MAX_WAIT_POOLS = 100;
+
+function poolKey(variant, timeControl) {
+  return `${variant}:${timeControl || 'untimed'}`;
+}
+
+/**
+ * A queue entry for a player looking for a game: who they are (players
+ * without a known token count as new, unrated players), their rating, and
+ * how many more games they recently played as White than as Black.
+ */
+function createEntry({ socketId, playerName, playerToken, timeControl, variant }, now = Date.now()) {
+  const player = identity.findPlayerByToken(playerToken);
+  const colors = player ? db.getRecentColors(player.id, COLOR_HISTORY_GAMES) : [];
+  return {
+    socketId,
+    playerName,
+    playerToken: playerToken || null,
+    playerId: player ? player.id : null,
+    rating: player ? player.rating : DEFAULT_RATING,
+    colorBalance: colors.filter(c => c === 'white').length - colors.filter(c => c === 'black').length,
+    timeControl,
+    variant,
+    joinedAt: now
+  };
+}
+
+/**
+ * Players waiting for a game, in separate pools per variant and time
+ * control. match() pairs whoever can be paired; call it whenever someone
+ * joins and periodically, since rating windows widen as players wait.
+ */
+class Matchmaker {
+  constructor() {
+    this.pools = new Map(); // pool key -> entries, longest waiting first
+    this.lastOpponent = new Map(); // player ID -> { opponentId, at } of their last match
+    this.waits = new Map(); // pool key -> recent waits in ms
+  }
+
+  has(socketId) {
+    return this.find(socketId) !== null;
+  }
+
+  find(socketId) {
+    for (const pool of this.pools.values()) {
+      const entry = pool.find(e => e.socketId === socketId);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  add(entry) {
+    const key = poolKey(entry.variant, entry.timeControl);
+    if (!this.pools.has(key)) this.pools.set(key, []);
+    this.pools.get(key).push(entry);
+  }
+
+  // Take a socket out of the queue; returns its entry, or null if it wasn't queued
+  remove(socketId) {
+    for (const [key, pool] of this.pools) {
+      const index = pool.findIndex(e => e.socketId === socketId);
+      if (index === -1) continue;
+      const [entry] = pool.splice(index, 1);
+      if (pool.length === 0) this.pools.delete(key);
+      return entry;
+    }
+    return null;
+  }
+
+  entries() {
+    return [...this.pools.values()].flat();
+  }
+
+  ratingWindow(entry, now = Date.now()) {
+    return RATING_WINDOW_BASE + Math.floor((now - entry.joinedAt) / 1000) * RATING_WINDOW_GROWTH_PER_SECOND;
+  }
+
+  canPair(a, b, now = Date.now()) {
+    // The same identity queued from two tabs
+    if (a.playerToken && a.playerToken === b.playerToken) return false;
+
+    const allowed = Math.max(this.ratingWindow(a, now), this.ratingWindow(b, now));
+    if (Math.abs(a.rating - b.rating) > allowed) return false;
+
+    if (a.playerId && this.lastOpponent.get(a.playerId)?.opponentId === b.playerId) {
+      const longestWait = now - Math.min(a.joinedAt, b.joinedAt);
+      if (longestWait < REPEAT_PAIRING_GRACE_MS) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Pair everyone who can be paired: each player, longest waiting first,
+   * gets the closest-rated eligible opponent in their pool. Returns
+   * [{ white, black }] with the pairs already out of the queue.
+   */
+  match(now = Date.now()) {
+    this.forgetOpponents(now);
+    const pairs = [];
+    for (const [key, pool] of this.pools) {
+      for (let i = 0; i < pool.length; i++) {
+        const player = pool[i];
+        let best = null;
+        for (const other of pool.slice(i + 1)) {
+          if (!this.canPair(player, other, now)) continue;
+          if (!best || Math.abs(other.rating - player.rating) < Math.abs(best.rating - player.rating)) best = other;
+        }
+        if (!best) continue;
+
+        pool.splice(pool.indexOf(best), 1);
+        pool.splice(i, 1);
+        i--;
+        this.recordPairing(key, player, best, now);
+        pairs.push(this.assignColors(player, best));
+      }
+      if (pool.length === 0) this.pools.delete(key);
+    }
+    return pairs;
+  }
+
+  // Remember who just played whom. Called once the game exists, since
+  // players new to the server only get their IDs then.
+  recordOpponents(whitePlayerId, blackPlayerId, now = Date.now()) {
+    this.lastOpponent.set(whitePlayerId, { opponentId: blackPlayerId, at: now });
+    this.lastOpponent.set(blackPlayerId, { opponentId: whitePlayerId, at: now });
+  }
+
+  // Drop pairings older than the grace period, which no longer hold anyone back
+  forgetOpponents(now) {
+    for (const [playerId, { at }] of this.lastOpponent) {
+      if (now - at >= REPEAT_PAIRING_GRACE_MS) this.lastOpponent.delete(playerId);
+    }
+  }
+
+  recordPairing(key, a, b, now) {
+    const waits = this.waits.get(key) || [];
+    waits.push(now - a.joinedAt, now - b.joinedAt);
+    // Reinserted so the map runs from least to most recently paired pool
+    this.waits.delete(key);
+    this.waits.set(key, waits.slice(-WAIT_SAMPLES));
+    if (this.waits.size > MAX_WAIT_POOLS) this.waits.delete(this.waits.keys().next().value);
+  }
+
+  // White goes to whoever has recently had White less often; a tie is a coin toss
+  assignColors(a, b) {
+    if (a.colorBalance === b.colorBalance) {
+      return Math.random() < 0.5 ? { white: a, black: b } : { white: b, black: a };
+    }
+    return a.colorBalance < b.colorBalance ? { white: a, black: b } : { white: b, black: a };
+  }
+
+  // Roughly how much longer (ms) a player who has waited `waited` ms will
+  // wait, from recent waits in the pool; null with no history to go on
+  estimatedWait(key, waited) {
+    const waits = this.waits.get(key);
+    if (!waits || waits.length === 0) return null;
+    const average = waits.reduce((sum, w) => sum + w, 0) / waits.length;
+    return Math.max(0, Math.round(average - waited));
+  }
+
+  poolSizes() {
+    return [...this.pools.values()].map(pool => ({
+      variant: pool[0].variant,
+      timeControl: pool[0].timeControl,
+      players: pool.length
+    }));
+  }
+
+  // Where a queued player stands, as sent in 'queue-joined' updates
+  status(entry, now = Date.now()) {
+    const key = poolKey(entry.variant, entry.timeControl);
+    const waited = now - entry.joinedAt;
+    return {
+      queueSize: (this.pools.get(key) || []).length,
+      timeControl: entry.timeControl,
+      variant: entry.variant,
+      rating: entry.rating,
+      ratingWindow: this.ratingWindow(entry, now),
+      waitedMs: waited,
+      estimatedWaitMs: this.estimatedWait(key, waited),
+      pools: this.poolSizes()
+    };
+  }
+}
+
+module.exports = {
+  Matchmaker,
+  createEntry,
+  poolKey,
+  RATING_WINDOW_BASE,
+  RATING_WINDOW_GROWTH_PER_SECOND,
+  REPEAT_PAIRING_GRACE_MS,
+  MAX_WAIT_POOLS
+};
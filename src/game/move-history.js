@@ -0,0 +1,62 @@
+/**
+ * Move history for the variant boards. They play the moves chess.js can't
+ * (Chess960 castles, Crazyhouse drops) by loading the position after them,
+ * and chess.js forgets its history on every load, so the boards keep their
+ * own list of played moves and answer history(), pgn() and
+ * isThreefoldRepetition() from it.
+ */
+class MoveHistory {
+  // `board` is the board as set up, before any move; its PGN tags are kept,
+  // with the start position in the variant's own FEN
+  constructor(board) {
+    this.board = board;
+    this.moves = [];
+    this.headers = board.getHeaders();
+    if (this.headers.FEN) this.headers.FEN = board.fen();
+    this.positionCounts = new Map();
+    this.countPosition();
+  }
+
+  // `move` has just been played on the board
+  add(move) {
+    this.moves.push(move);
+    this.countPosition();
+  }
+
+  // A position is the board's FEN up to the en passant square: with the
+  // variant's own castling field, and Crazyhouse's pockets after the placement
+  positionKey() {
+    return this.board.fen().split(' ').slice(0, 4).join(' ');
+  }
+
+  countPosition() {
+    const key = this.positionKey();
+    this.positionCounts.set(key, (this.positionCounts.get(key) || 0) + 1);
+  }
+
+  isThreefoldRepetition() {
+    return (this.positionCounts.get(this.positionKey()) || 0) >= 3;
+  }
+
+  // As chess.js's history(): SAN strings, or the verbose moves
+  history({ verbose = false } = {}) {
+    return verbose ? [...this.moves] : this.moves.map(m => m.san);
+  }
+
+  // As chess.js's pgn() without wrapping: the tags, then the movetext on one line
+  pgn({ newline = '\n' } = {}) {
+    const tags = Object.entries(this.headers).map(([key, value]) => `[${key} "${value}"]${newline}`);
+    const tokens = [];
+    for (const move of this.moves) {
+      const moveNumber = move.before.split(' ')[5];
+      if (move.color === 'w') tokens.push(`${moveNumber}.`);
+      else if (tokens.length === 0) tokens.push(`${moveNumber}. ...`);
+      tokens.push(move.san);
+    }
+    const separator = tags.length > 0 && tokens.length > 0 ? newline : '';
+    const movetext = [tokens.join(' '), this.headers.Result || '*'].join(' ');
+    return tags.join('') + separator + movetext;
+  }
+}
+
+module.exports = { MoveHistory };
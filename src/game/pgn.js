@@ -0,0 +1,154 @@
+const { DEFAULT_POSITION } = require('chess.js');
+const db = require('../db');
+const { parseTimeControl } = require('./time-control');
+const { variantName } = require('./variants');
+
+// PGN has no result for a game forfeited by both players: it exports as '*'
+const RESULT_TOKENS = {
+  white_wins: '1-0',
+  black_wins: '0-1',
+  draw: '1/2-1/2'
+};
+
+// PGN Termination tag value for each way a game can end
+const TERMINATION_TAGS = {
+  'timeout': 'Time forfeit',
+  'timeout vs insufficient material': 'Time forfeit',
+  'abandonment': 'Abandoned'
+};
+
+const MAX_LINE_LENGTH = 79;
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function pgnDate(timestamp) {
+  if (!timestamp) return '????.??.??';
+  return timestamp.substring(0, 10).replace(/-/g, '.');
+}
+
+// "3+2" (minutes) -> "180+2" (seconds), as PGN expects
+function pgnTimeControl(label) {
+  const tc = parseTimeControl(label);
+  if (!tc) return '-';
+  const base = tc.initialMs / 1000;
+  return tc.incrementMs ? `${base}+${tc.incrementMs / 1000}` : `${base}`;
+}
+
+// [%clk H:MM:SS] clock comment
+function clockComment(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const sec = totalSeconds % 60;
+  return `{[%clk ${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}]}`;
+}
+
+function describeTermination(termination, result) {
+  if (!termination) return null;
+  const winner = result === 'white_wins' ? 'White' : 'Black';
+  switch (termination) {
+    case 'checkmate': return `${winner} wins by checkmate.`;
+    case 'resignation': return `${winner} wins by resignation.`;
+    case 'timeout': return `${winner} wins on time.`;
+    case 'abandonment': return `${winner} wins, opponent abandoned the game.`;
+    case 'agreement': return 'Draw by agreement.';
+    case 'timeout vs insufficient material': return 'Draw: time ran out, opponent cannot checkmate.';
+    default: return `Draw by ${termination}.`;
+  }
+}
+
+// Join movetext tokens into lines no longer than MAX_LINE_LENGTH
+function wrapMovetext(tokens) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+/**
+ * Build a PGN with the Seven Tag Roster plus termination, time control and
+ * rating tags, and a [%clk] comment after every move of a timed game.
+ * Variant games get a Variant tag; games from a custom or Chess960 position
+ * get SetUp/FEN tags and include any moves imported with that position.
+ * Games against a bot say which side was the program.
+ */
+function buildGamePgn(dbGame, options = {}) {
+  const white = dbGame.white_player_id ? db.getPlayer(dbGame.white_player_id) : null;
+  const black = dbGame.black_player_id ? db.getPlayer(dbGame.black_player_id) : null;
+  const moves = db.getGameMoves(dbGame.id);
+  const ratings = db.getGameRatings(dbGame.id);
+  const resultToken = (dbGame.status === 'completed' && RESULT_TOKENS[dbGame.result]) || '*';
+
+  const tags = [
+    ['Event', 'Seal Chess game'],
+    ['Site', options.site ? `${options.site}/game/${dbGame.id}` : 'Seal Chess'],
+    ['Date', pgnDate(dbGame.created_at)],
+    ['Round', '-'],
+    ['White', white?.display_name || '?'],
+    ['Black', black?.display_name || '?'],
+    ['Result', resultToken]
+  ];
+
+  if (dbGame.variant && dbGame.variant !== 'standard') {
+    tags.push(['Variant', variantName(dbGame.variant)]);
+  }
+  if (dbGame.initial_fen) {
+    tags.push(['SetUp', '1']);
+    tags.push(['FEN', dbGame.initial_fen]);
+  }
+
+  if (white?.bot_level || black?.bot_level) {
+    tags.push(['WhiteType', white?.bot_level ? 'program' : 'human']);
+    tags.push(['BlackType', black?.bot_level ? 'program' : 'human']);
+  }
+
+  const whiteRating = ratings.find(r => r.player_id === dbGame.white_player_id);
+  const blackRating = ratings.find(r => r.player_id === dbGame.black_player_id);
+  if (whiteRating) tags.push(['WhiteElo', whiteRating.rating_before]);
+  if (blackRating) tags.push(['BlackElo', blackRating.rating_before]);
+
+  tags.push(['TimeControl', pgnTimeControl(dbGame.time_control)]);
+  tags.push(['Termination', resultToken === '*'
+    ? 'Unterminated'
+    : TERMINATION_TAGS[dbGame.termination] || 'Normal']);
+
+  // Number moves from the starting position, which may have Black to move
+  const [, sideToMove, , , , startMove] = (dbGame.initial_fen || DEFAULT_POSITION).split(' ');
+  const plyOffset = sideToMove === 'b' ? 1 : 0;
+  const imported = dbGame.initial_moves ? dbGame.initial_moves.split(' ').map(san => ({ san })) : [];
+
+  const tokens = [];
+  let afterComment = false;
+  [...imported, ...moves].forEach((m, i) => {
+    const ply = i + plyOffset;
+    const fullMove = parseInt(startMove, 10) + Math.floor(ply / 2);
+    if (ply % 2 === 0) tokens.push(`${fullMove}.`);
+    else if (i === 0 || afterComment) tokens.push(`${fullMove}...`);
+    tokens.push(m.san);
+    afterComment = m.clock_ms !== null && m.clock_ms !== undefined;
+    if (afterComment) tokens.push(clockComment(m.clock_ms));
+  });
+
+  const description = describeTermination(dbGame.termination, dbGame.result);
+  if (description && resultToken !== '*') tokens.push(`{${description}}`);
+  tokens.push(resultToken);
+
+  const header = tags.map(([name, value]) => `[${name} "${escapeTag(value)}"]`).join('\n');
+  return `${header}\n\n${wrapMovetext(tokens)}\n`;
+}
+
+module.exports = {
+  RESULT_TOKENS,
+  buildGamePgn,
+  pgnTimeControl
+};
@@ -0,0 +1,51 @@
+// Elo ratings with a K-factor that shrinks as a player gains experience
+// (FIDE-style: 40 while new, 20 for established players, 10 at the top).
+const DEFAULT_RATING = 1500;
+const PROVISIONAL_GAMES = 10;
+const NEW_PLAYER_GAMES = 30;
+const MASTER_RATING = 2400;
+const MIN_RATING = 100;
+
+function isProvisional(ratedGames) {
+  return ratedGames < PROVISIONAL_GAMES;
+}
+
+function kFactor(rating, ratedGames) {
+  if (ratedGames < NEW_PLAYER_GAMES) return 40;
+  if (rating >= MASTER_RATING) return 10;
+  return 20;
+}
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Compute both players' new ratings after a game.
+ * `white`/`black` are { rating, ratedGames }; result is 'white_wins' | 'black_wins' | 'draw'.
+ * Returns { white: { before, after, change }, black: { ... } }.
+ */
+function calculateRatingChanges(white, black, result) {
+  const whiteScore = result === 'white_wins' ? 1 : result === 'black_wins' ? 0 : 0.5;
+
+  function update(player, opponent, score) {
+    const k = kFactor(player.rating, player.ratedGames);
+    const delta = Math.round(k * (score - expectedScore(player.rating, opponent.rating)));
+    const after = Math.max(MIN_RATING, player.rating + delta);
+    return { before: player.rating, after, change: after - player.rating };
+  }
+
+  return {
+    white: update(white, black, whiteScore),
+    black: update(black, white, 1 - whiteScore)
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  PROVISIONAL_GAMES,
+  isProvisional,
+  kFactor,
+  expectedScore,
+  calculateRatingChanges
+};
@@ -0,0 +1,18 @@
+/**
+ * Which waiting search the built-in engine's workers and the UCI engine
+ * pool run next. Background searches (post-game analysis) go after the
+ * others, and don't take the last free worker or engine unless the pool
+ * only has one, so games in progress never wait for them.
+ *
+ * `waiting` holds { background, ... } in arrival order; the search picked is
+ * removed from it. `free` is how many workers or engines are free, counting
+ * those not started yet. Returns null if nothing may start.
+ */
+function takeNextSearch(waiting, free, poolSize) {
+  if (free === 0) return null;
+  let index = waiting.findIndex(w => !w.background);
+  if (index === -1 && waiting.length > 0 && (free > 1 || poolSize === 1)) index = 0;
+  return index === -1 ? null : waiting.splice(index, 1)[0];
+}
+
+module.exports = { takeNextSearch };
@@ -1,10 +1,42 @@
 const gameManager = require('./game-manager');
 const db = require('../db');
+const cluster = require('../cluster');
+const identity = require('./identity');
+const { parseTimeControl } = require('./time-control');
+const { isProvisional } = require('./rating');
+const { parseVariant } = require('./variants');
+const bot = require('./bot');
+const chat = require('./chat');
+const { Matchmaker, createEntry } = require('./matchmaking');
+const tournament = require('./tournament');
 
 const DISCONNECT_TIMEOUT = 60000;
-
-// Matchmaking queue: [{ socketId, playerName }]
-const matchmakingQueue = [];
+// Grace period so the flag timer fires just after the clock reaches zero
+const FLAG_CHECK_MARGIN = 50;
+// How long a finished game stays loaded, for rematch offers, before it is
+// dropped from memory and its lease let go
+const FINISHED_GAME_KEEP_MS = parseInt(process.env.FINISHED_GAME_KEEP_MS, 10) || 300000;
+
+// How often waiting players are re-matched (their rating windows widen)
+// and sent an update on the queue
+const MATCHMAKING_TICK_MS = 2000;
+
+// The instance holding this lease keeps the matchmaking queue
+const MATCHMAKER_KEY = 'matchmaker';
+// Queued sockets are in this room, on whichever instance they are connected
+// to, with their queue entries in socket.data, so that the queue can be
+// rebuilt if the instance keeping it goes down
+const QUEUE_ROOM = 'matchmaking-queue';
+
+// How often each instance looks for games in progress that no instance
+// runs any more, because the one that had them went down
+const TAKEOVER_SWEEP_MS = 5000;
+
+const matchmaker = new Matchmaker();
+let matchmakingTimer = null;
+let queueRestored = null;
+let takeoverTimer = null;
+let sweeping = false;
 
 function sanitizeName(name) {
   if (!name || typeof name !== 'string') return null;
@@ -13,234 +45,940 @@ function sanitizeName(name) {
   return cleaned.length > 0 ? cleaned : null;
 }
 
-function setupSocketHandlers(io) {
-  io.on('connection', (socket) => {
-    let currentGameId = null;
-    let currentPlayerId = null;
+function emitGameOver(io, game, result) {
+  const whitePlayer = db.getPlayer(game.whitePlayerId);
+  const blackPlayer = db.getPlayer(game.blackPlayerId);
+  io.to(game.gameId).emit('game-over', {
+    ...result,
+    whiteName: whitePlayer?.display_name,
+    blackName: blackPlayer?.display_name,
+    whiteScore: whitePlayer?.score,
+    blackScore: blackPlayer?.score,
+    whiteRating: whitePlayer?.rating,
+    blackRating: blackPlayer?.rating,
+    whiteProvisional: whitePlayer ? isProvisional(whitePlayer.rated_games) : null,
+    blackProvisional: blackPlayer ? isProvisional(blackPlayer.rated_games) : null,
+    ratingChanges: game.ratingChanges,
+    match: gameManager.getMatchScore(game.gameId),
+    clock: game.getClock()
+  });
 
-    // === MATCHMAKING ===
-    socket.on('join-queue', ({ playerName }) => {
-      const name = sanitizeName(playerName);
-      if (!name) {
-        socket.emit('queue-error', { message: 'Invalid player name (letters, numbers, max 30 chars)' });
-        return;
-      }
+  // A tournament game may finish its round, pairing the next one
+  try {
+    tournament.recordGameResult(game.gameId);
+  } catch (e) {
+    console.error(`Tournament update after game ${game.gameId} failed:`, e.message);
+  }
+
+  setTimeout(() => gameManager.removeGame(game.gameId), FINISHED_GAME_KEEP_MS);
+}
+
+/**
+ * Arm a timer that ends the game when the side to move runs out of time.
+ * Re-armed after every move; endGame clears it.
+ */
+function scheduleFlagCheck(io, game) {
+  clearTimeout(game.flagTimer);
+  game.flagTimer = null;
+  const clock = game.getClock();
+  if (!clock || !clock.running) return;
+
+  game.flagTimer = setTimeout(() => {
+    game.flagTimer = null;
+    const result = game.checkFlag();
+    if (result) {
+      emitGameOver(io, game, result);
+    } else {
+      scheduleFlagCheck(io, game);
+    }
+  }, clock[clock.running] + FLAG_CHECK_MARGIN);
+}
 
-      // Prevent duplicate queue entries for this socket
-      if (matchmakingQueue.find(p => p.socketId === socket.id)) return;
+/**
+ * Start the clock on a disconnected player: if they aren't back by
+ * `deadline` (ms since the epoch) they lose by abandonment, unless their
+ * opponent's time away has run out by then too, which forfeits the game
+ * for both (0-0). The deadline is kept in the DB so it outlives a restart.
+ */
+function armDisconnectTimer(io, game, color, deadline) {
+  const playerId = game.getPlayerId(color);
+  clearTimeout(game.disconnectTimers[playerId]);
+  game.disconnectDeadlines[color] = deadline;
+  db.setDisconnectDeadline(game.gameId, color, deadline);
+
+  game.disconnectTimers[playerId] = setTimeout(() => {
+    delete game.disconnectTimers[playerId];
+    if (game.status !== 'active') return;
+    const winner = color === 'white' ? 'black' : 'white';
+    const opponentDeadline = game.disconnectDeadlines[winner];
+    if (opponentDeadline !== null && opponentDeadline <= deadline) {
+      game.endGame('double_forfeit', 'abandonment');
+      emitGameOver(io, game, {
+        type: 'abandonment', result: 'double_forfeit',
+        message: 'Both players disconnected'
+      });
+      return;
+    }
+    const result = color === 'white' ? 'black_wins' : 'white_wins';
+    game.endGame(result, 'abandonment');
+    emitGameOver(io, game, {
+      type: 'abandonment', winner, result,
+      message: `${color} player disconnected`
+    });
+  }, Math.max(0, deadline - Date.now()));
+}
 
-      matchmakingQueue.push({ socketId: socket.id, playerName: name });
-      socket.emit('queue-joined', { queueSize: matchmakingQueue.length });
+function clearDisconnectTimer(game, color) {
+  const playerId = game.getPlayerId(color);
+  clearTimeout(game.disconnectTimers[playerId]);
+  delete game.disconnectTimers[playerId];
+  if (game.disconnectDeadlines[color] === null) return;
+  game.disconnectDeadlines[color] = null;
+  db.setDisconnectDeadline(game.gameId, color, null);
+}
 
-      // Try to pair
-      if (matchmakingQueue.length >= 2) {
-        const [white, black] = matchmakingQueue.splice(0, 2);
-        const { gameId, whitePlayerId, blackPlayerId } = gameManager.createMatchedGame(
-          white.playerName,
-          black.playerName
-        );
+// What a player coming back after a restart is told: how long the server
+// was down, what is still pending, and how long anyone still away has left
+function recoveryNotice(game) {
+  const now = Date.now();
+  const timeLeft = color => (game.disconnectDeadlines[color] === null
+    ? null
+    : Math.max(0, game.disconnectDeadlines[color] - now));
+  return {
+    downtimeMs: game.recovery.downtimeMs,
+    restoredAt: game.recovery.restoredAt,
+    moveCount: game.moveCount,
+    drawOffer: game.drawOffer ? game.getPlayerColor(game.drawOffer) : null,
+    takebackRequest: game.takebackRequest ? game.getPlayerColor(game.takebackRequest) : null,
+    disconnectTimeLeft: { white: timeLeft('white'), black: timeLeft('black') },
+    clock: game.getClock()
+  };
+}
 
-        const wSocket = io.sockets.sockets.get(white.socketId);
-        const bSocket = io.sockets.sockets.get(black.socketId);
+/**
+ * Start the timers of a game this instance just loaded from the DB. Each
+ * player not connected gets the usual time to come back, except those who
+ * had already left, who keep what was left of theirs, moved on by
+ * `downtimeMs` (time nobody could play). Clocks run again and a bot on move
+ * starts thinking.
+ */
+function resumeGame(io, game, downtimeMs) {
+  if (game.status !== 'active') return;
+  const now = Date.now();
+  for (const color of ['white', 'black']) {
+    if (game.bots[color]) continue;
+    if (game[`${color}Connected`]) {
+      clearDisconnectTimer(game, color);
+      continue;
+    }
+    // The downtime is measured from the last heartbeat, so can run a little long
+    const saved = game.disconnectDeadlines[color];
+    const deadline = now + DISCONNECT_TIMEOUT;
+    armDisconnectTimer(io, game, color, saved ? Math.min(saved + downtimeMs, deadline) : deadline);
+  }
+  scheduleFlagCheck(io, game);
+  playBotMove(io, game);
+}
 
-        if (wSocket) {
-          wSocket.emit('match-found', { gameId, playerId: whitePlayerId, color: 'white' });
-        }
-        if (bSocket) {
-          bSocket.emit('match-found', { gameId, playerId: blackPlayerId, color: 'black' });
-        }
+// Find who is in a game's rooms on any instance: its players' sockets and
+// its spectators, for a game this instance has just taken over
+async function findConnections(io, game) {
+  for (const remote of await io.in(game.gameId).fetchSockets()) {
+    const { gameId, playerId, spectator } = remote.data;
+    if (gameId !== game.gameId) continue;
+    if (spectator) {
+      game.spectators.add(remote.id);
+      continue;
+    }
+    const color = game.getPlayerColor(playerId);
+    if (color) {
+      game[`${color}SocketId`] = remote.id;
+      game[`${color}Connected`] = true;
+    }
+  }
+}
+
+/**
+ * The first time this instance keeps the matchmaking queue, it may be
+ * taking it over from one that went down: every socket still waiting,
+ * wherever it is connected, is queued again with its original entry.
+ */
+function restoreQueue(io) {
+  if (!queueRestored) {
+    queueRestored = io.in(QUEUE_ROOM).fetchSockets().then((remotes) => {
+      for (const remote of remotes) {
+        const entry = remote.data.queueEntry;
+        if (entry && !matchmaker.has(remote.id)) matchmaker.add(createEntry(entry, entry.joinedAt));
       }
     });
+    // Try again next time if an instance didn't answer
+    queueRestored.catch(() => { queueRestored = null; });
+  }
+  return queueRestored;
+}
 
-    socket.on('leave-queue', () => {
-      const idx = matchmakingQueue.findIndex(p => p.socketId === socket.id);
-      if (idx !== -1) matchmakingQueue.splice(idx, 1);
-    });
+// Have the queue taken over if this instance has sockets waiting in it and
+// no instance keeps it any more
+async function takeOverQueue(io) {
+  if (!io.of('/').adapter.rooms.get(QUEUE_ROOM)?.size) return;
+  if (await cluster.holder(MATCHMAKER_KEY)) return;
+  await cluster.route(MATCHMAKER_KEY, 'restore-queue', {});
+}
 
-    // === GAME ===
-    socket.on('join-game', ({ gameId, playerId }) => {
-      const game = gameManager.getGame(gameId);
-      if (!game) {
-        socket.emit('error-msg', { message: 'Game not found' });
-        return;
-      }
+// Pick up every game in progress that no instance owns, with its players
+// wherever they are connected, and start its timers
+async function takeOverGames(io) {
+  const games = await gameManager.restoreActiveGames(Date.now());
+  for (const game of games) {
+    // Failing that, every player counts as away and has the usual time to come back
+    await findConnections(io, game)
+      .catch(e => console.error(`Finding the players of game ${game.gameId} failed:`, e.message));
+    resumeGame(io, game, game.recovery.downtimeMs);
+  }
+  return games;
+}
 
-      const color = game.getPlayerColor(playerId);
-      if (!color) {
-        socket.emit('error-msg', { message: 'Not a player in this game' });
-        return;
-      }
+/**
+ * After a restart, pick up every game that was in progress and that no
+ * other instance owns. Nobody is connected to a restarted server, but the
+ * players may still be on other instances. From then on, games left by
+ * an instance that goes down are taken over the same way, without waiting
+ * for one of their players to turn up.
+ */
+async function resumeActiveGames(io) {
+  const games = await takeOverGames(io);
+  gameManager.startHeartbeat();
+  if (games.length > 0) console.log(`Restored ${games.length} game(s) in progress`);
+
+  clearInterval(takeoverTimer);
+  takeoverTimer = setInterval(() => {
+    if (sweeping) return;
+    sweeping = true;
+    takeOverGames(io)
+      .then((taken) => {
+        if (taken.length > 0) console.log(`Took over ${taken.length} game(s) from a stopped instance`);
+      })
+      .catch(e => console.error('Taking over games failed:', e.message))
+      .then(() => takeOverQueue(io))
+      .catch(e => console.error('Taking over the matchmaking queue failed:', e.message))
+      .finally(() => { sweeping = false; });
+  }, TAKEOVER_SWEEP_MS);
+  takeoverTimer.unref();
+  return games;
+}
 
-      currentGameId = gameId;
-      currentPlayerId = playerId;
-      socket.join(gameId);
+// On shutdown: stop taking over other instances' games
+function stopTakeovers() {
+  clearInterval(takeoverTimer);
+  takeoverTimer = null;
+}
 
-      if (color === 'white') {
-        game.whiteSocketId = socket.id;
-        game.whiteConnected = true;
-      } else {
-        game.blackSocketId = socket.id;
-        game.blackConnected = true;
-      }
+// A game for a socket event: in memory, or an unfinished one nobody has
+// loaded, e.g. because the instance that had it went down, taken over here
+async function loadForSocket(io, gameId) {
+  const loaded = gameManager.getGame(gameId);
+  if (loaded) return loaded;
+  const game = await gameManager.loadGame(gameId);
+  if (game) {
+    await findConnections(io, game);
+    resumeGame(io, game, 0);
+  }
+  return game;
+}
 
-      if (game.disconnectTimers[playerId]) {
-        clearTimeout(game.disconnectTimers[playerId]);
-        delete game.disconnectTimers[playerId];
-      }
+/**
+ * Tell the room about a move that was just played, then end the game or
+ * hand the turn on (starting the flag timer, or the bot's search).
+ */
+function broadcastMove(io, game, result) {
+  io.to(game.gameId).emit('move-made', {
+    from: result.move.from || null,
+    to: result.move.to,
+    promotion: result.move.promotion,
+    drop: result.move.drop || null,
+    san: result.move.san,
+    fen: result.fen,
+    turn: game.chess.turn() === 'w' ? 'white' : 'black',
+    inCheck: result.inCheck,
+    moveNumber: result.moveNumber,
+    captured: result.move.captured || null,
+    piece: result.move.piece,
+    clock: result.clock,
+    legalMoves: game.getLegalMoves(),
+    pockets: game.getPockets(),
+    legalDrops: game.getLegalDrops()
+  });
 
-      const whitePlayer = db.getPlayer(game.whitePlayerId);
-      const blackPlayer = game.blackPlayerId ? db.getPlayer(game.blackPlayerId) : null;
+  if (result.gameResult) {
+    emitGameOver(io, game, result.gameResult);
+  } else {
+    scheduleFlagCheck(io, game);
+    playBotMove(io, game);
+  }
+}
 
-      socket.emit('game-state', {
-        ...game.getState(),
-        whiteName: whitePlayer?.display_name || 'Waiting...',
-        blackName: blackPlayer?.display_name || 'Waiting...',
-        yourColor: color
-      });
+/**
+ * If a bot is to move, search in the background and play its move through
+ * the same makeMove path as a human's.
+ */
+async function playBotMove(io, game) {
+  const level = game.botToMove();
+  if (!level || game.botThinking) return;
+
+  game.botThinking = true;
+  const fen = game.chess.fen();
+  const color = game.chess.turn() === 'w' ? 'white' : 'black';
+  const clock = game.getClock();
+  let choice;
+  try {
+    choice = await bot.chooseMove(fen, level, clock ? clock[color] : null);
+  } catch (e) {
+    console.error(`Bot search failed in game ${game.gameId}:`, e.message);
+    const moves = game.chess.moves({ verbose: true });
+    choice = moves[Math.floor(Math.random() * moves.length)];
+  } finally {
+    game.botThinking = false;
+  }
+
+  // The game may have ended (resignation, flag, abandonment) while the bot was thinking
+  if (!choice || game.botToMove() !== level) return;
+  // ...or a takeback may have changed the position, so think again
+  if (game.chess.fen() !== fen) {
+    playBotMove(io, game);
+    return;
+  }
+  const result = game.makeMove(game.getPlayerId(color), choice.from, choice.to, choice.promotion);
+  if (result.success) {
+    broadcastMove(io, game, result);
+  } else if (result.gameResult) {
+    emitGameOver(io, game, result.gameResult);
+  }
+}
 
-      socket.to(gameId).emit('player-connected', {
-        color,
-        name: color === 'white' ? whitePlayer?.display_name : blackPlayer?.display_name
-      });
+/**
+ * Tell the room that moves were taken back, with the position they go back
+ * to, then restart the flag timer (or the bot, if it is now to move).
+ */
+function broadcastTakeback(io, game, result) {
+  const lastMove = db.getGameMoves(game.gameId).pop();
+  io.to(game.gameId).emit('takeback', {
+    ...result,
+    fen: game.chess.fen(),
+    turn: game.chess.turn() === 'w' ? 'white' : 'black',
+    inCheck: game.chess.inCheck(),
+    moveNumber: game.moveCount,
+    lastMove: lastMove ? { from: lastMove.from_square === '@' ? null : lastMove.from_square, to: lastMove.to_square } : null,
+    clock: game.getClock(),
+    legalMoves: game.getLegalMoves(),
+    pockets: game.getPockets(),
+    legalDrops: game.getLegalDrops()
+  });
+  scheduleFlagCheck(io, game);
+  playBotMove(io, game);
+}
 
-      if (game.whiteConnected && game.blackConnected && game.status === 'active' && !game.gameReadySent) {
-        game.gameReadySent = true;
-        io.to(gameId).emit('game-ready', {
-          whiteName: whitePlayer?.display_name,
-          blackName: blackPlayer?.display_name
-        });
-      }
+// Spectators chat in their own room, which the players never join
+function spectatorRoom(gameId) {
+  return `${gameId}:spectators`;
+}
+
+// How many earlier messages a socket gets when it joins a game
+const CHAT_HISTORY_LIMIT = 100;
+
+function emitChatHistory(socket, gameId, channel, extra = {}) {
+  const messages = db.getChatMessages(gameId, channel, CHAT_HISTORY_LIMIT).map(chat.toClientMessage);
+  socket.emit('chat-history', { channel, messages, ...extra });
+}
+
+/**
+ * Start the agreed rematch of a finished game. Each connected player gets
+ * their seat in the new game ('rematch-started' with a fresh session token)
+ * and joins it like any other game; spectators are pointed at it too.
+ */
+async function startRematch(io, previous) {
+  const { game, sessions } = await gameManager.createRematch(previous);
+  for (const oldColor of ['white', 'black']) {
+    const socketId = previous[`${oldColor}SocketId`];
+    const color = oldColor === 'white' ? 'black' : 'white';
+    if (socketId && sessions[color]) {
+      io.to(socketId).emit('rematch-started', { gameId: game.gameId, sessionToken: sessions[color], color });
+    }
+  }
+  io.to(spectatorRoom(previous.gameId)).emit('rematch-started', { gameId: game.gameId });
+}
+
+function emitSpectatorCount(io, game) {
+  io.to(game.gameId).emit('spectator-count', { count: game.spectators.size });
+}
+
+async function startMatchedGame(io, { white, black }) {
+  const {
+    gameId, whitePlayerId, blackPlayerId, whiteSession, blackSession, whiteToken, blackToken
+  } = await gameManager.createMatchedGame(
+    white.playerName,
+    black.playerName,
+    {
+      timeControl: white.timeControl ? parseTimeControl(white.timeControl) : null,
+      variant: white.variant,
+      whiteToken: white.playerToken,
+      blackToken: black.playerToken
+    }
+  );
+
+  matchmaker.recordOpponents(whitePlayerId, blackPlayerId);
+  io.in([white.socketId, black.socketId]).socketsLeave(QUEUE_ROOM);
+
+  // The players may be connected to other instances
+  io.to(white.socketId).emit('match-found', {
+    gameId, playerId: whitePlayerId, sessionToken: whiteSession, playerToken: whiteToken, color: 'white'
+  });
+  io.to(black.socketId).emit('match-found', {
+    gameId, playerId: blackPlayerId, sessionToken: blackSession, playerToken: blackToken, color: 'black'
+  });
+}
+
+/**
+ * Pair whoever can be paired, then tell everyone still waiting where they
+ * stand. Runs on every change to the queue and on a timer while anyone is
+ * waiting, on the instance that keeps the queue.
+ */
+function runMatchmaking(io) {
+  for (const pair of matchmaker.match()) {
+    startMatchedGame(io, pair).catch(e => console.error('Starting a matched game failed:', e.message));
+  }
+
+  const now = Date.now();
+  for (const entry of matchmaker.entries()) {
+    io.to(entry.socketId).emit('queue-joined', matchmaker.status(entry, now));
+  }
+
+  const waiting = matchmaker.entries().length > 0;
+  if (waiting && !matchmakingTimer) {
+    matchmakingTimer = setInterval(() => runMatchmaking(io), MATCHMAKING_TICK_MS);
+    matchmakingTimer.unref();
+  } else if (!waiting && matchmakingTimer) {
+    clearInterval(matchmakingTimer);
+    matchmakingTimer = null;
+  }
+}
+
+// A socket connected to another instance, reached through the adapter:
+// the part of the Socket API the game events use
+function remoteClient(io, socketId) {
+  return {
+    id: socketId,
+    emit: (event, data) => io.to(socketId).emit(event, data),
+    to: room => io.to(room).except(socketId),
+    join: room => io.in(socketId).socketsJoin(room),
+    leave: room => io.in(socketId).socketsLeave(room)
+  };
+}
+
+function clientFor(io, socketId) {
+  return io.sockets.sockets.get(socketId) || remoteClient(io, socketId);
+}
+
+// Re-check the socket's session on every game event instead of trusting the
+// join once; returns null if it no longer holds a seat
+function authorizedSeat(session) {
+  if (!session.gameId || !session.sessionHash) return null;
+  const game = gameManager.getGame(session.gameId);
+  if (!game) return null;
+  const color = game.getColorForSessionHash(session.sessionHash);
+  if (!color) return null;
+  return { game, color, playerId: game.getPlayerId(color) };
+}
+
+// Play a move or drop for the socket's seat and broadcast it to the room
+function playForSeat(io, client, session, play) {
+  if (session.spectator) {
+    client.emit('move-rejected', { error: 'Spectators cannot move' });
+    return;
+  }
+  const seat = authorizedSeat(session);
+  if (!seat) return;
+  const { game } = seat;
+
+  const result = play(game, seat.playerId);
+  if (!result.success) {
+    client.emit('move-rejected', { error: result.error });
+    if (result.gameResult) {
+      emitGameOver(io, game, result.gameResult);
+    }
+    return;
+  }
+
+  broadcastMove(io, game, result);
+}
+
+/**
+ * What each game event does, run on the instance that owns the game as
+ * handler(io, client, session, data). `client` is the socket, wherever it
+ * is connected; `session` is its state ({ gameId, playerId, sessionHash,
+ * spectator, spectatorName }), which a handler updates in place.
+ */
+const gameEvents = {
+  async 'join-game'(io, client, session, { gameId, sessionHash }) {
+    if (session.spectator) return;
+    const game = await loadForSocket(io, gameId);
+    if (!game) {
+      client.emit('error-msg', { message: 'Game not found' });
+      return;
+    }
+
+    const color = game.getColorForSessionHash(sessionHash);
+    if (!color) {
+      client.emit('error-msg', { message: 'Not a player in this game' });
+      return;
+    }
+    const playerId = game.getPlayerId(color);
+
+    session.gameId = gameId;
+    session.playerId = playerId;
+    session.sessionHash = sessionHash;
+    client.join(gameId);
+
+    game[`${color}SocketId`] = client.id;
+    game[`${color}Connected`] = true;
+
+    clearDisconnectTimer(game, color);
+
+    const whitePlayer = db.getPlayer(game.whitePlayerId);
+    const blackPlayer = game.blackPlayerId ? db.getPlayer(game.blackPlayerId) : null;
+
+    client.emit('game-state', {
+      ...game.getState(),
+      whiteName: whitePlayer?.display_name || 'Waiting...',
+      blackName: blackPlayer?.display_name || 'Waiting...',
+      yourColor: color,
+      match: gameManager.getMatchScore(gameId)
     });
+    emitChatHistory(client, gameId, 'players', { muted: game.chatMuted[color] });
 
-    socket.on('make-move', ({ from, to, promotion }) => {
-      if (!currentGameId || !currentPlayerId) return;
-      const game = gameManager.getGame(currentGameId);
-      if (!game) return;
+    // First time back since a restart: say what happened to the game
+    if (game.recovery && !game.recovery.notified.has(color)) {
+      game.recovery.notified.add(color);
+      client.emit('game-recovered', recoveryNotice(game));
+    }
 
-      const result = game.makeMove(currentPlayerId, from, to, promotion);
-      if (!result.success) {
-        socket.emit('move-rejected', { error: result.error });
-        return;
+    client.to(gameId).emit('player-connected', {
+      color,
+      name: color === 'white' ? whitePlayer?.display_name : blackPlayer?.display_name
+    });
+
+    if (game.status === 'active' && !game.flagTimer) {
+      scheduleFlagCheck(io, game);
+    }
+
+    if (game.whiteConnected && game.blackConnected && game.status === 'active' && !game.gameReadySent) {
+      game.gameReadySent = true;
+      io.to(gameId).emit('game-ready', {
+        whiteName: whitePlayer?.display_name,
+        blackName: blackPlayer?.display_name
+      });
+    }
+
+    // A bot playing White, or on move when the game was restored, starts thinking
+    playBotMove(io, game);
+  },
+
+  // === SPECTATORS ===
+  // Watchers join the game room read-only: they receive the same broadcasts
+  // as the players, but never get a playerId so every game action is ignored.
+  async 'watch-game'(io, client, session, { gameId, name }) {
+    if (session.playerId) return;
+    const game = await loadForSocket(io, gameId);
+    if (!game) {
+      client.emit('error-msg', { message: 'Game not found or already finished' });
+      return;
+    }
+
+    session.gameId = gameId;
+    session.spectator = true;
+    session.spectatorName = sanitizeName(name) || 'Spectator';
+    client.join(gameId);
+    client.join(spectatorRoom(gameId));
+    game.spectators.add(client.id);
+
+    const whitePlayer = db.getPlayer(game.whitePlayerId);
+    const blackPlayer = game.blackPlayerId ? db.getPlayer(game.blackPlayerId) : null;
+
+    client.emit('game-state', {
+      ...game.getState(),
+      whiteName: whitePlayer?.display_name || 'Waiting...',
+      blackName: blackPlayer?.display_name || 'Waiting...',
+      yourColor: null,
+      spectator: true,
+      match: gameManager.getMatchScore(gameId)
+    });
+    emitChatHistory(client, gameId, 'spectators');
+    emitSpectatorCount(io, game);
+  },
+
+  // A socket follows one game at a time; moving on to another (a rematch)
+  // leaves the old game's rooms. `session` is the state it had in that game.
+  'leave-game'(io, client, session) {
+    client.leave(session.gameId);
+    if (!session.spectator) return;
+    client.leave(spectatorRoom(session.gameId));
+    const watched = gameManager.getGame(session.gameId);
+    if (watched && watched.spectators.delete(client.id)) emitSpectatorCount(io, watched);
+  },
+
+  'make-move'(io, client, session, { from, to, promotion }) {
+    playForSeat(io, client, session, (game, playerId) => game.makeMove(playerId, from, to, promotion));
+  },
+
+  // Crazyhouse: drop a piece from the pocket ({ piece: 'n', square: 'f3' })
+  'drop-piece'(io, client, session, { piece, square }) {
+    playForSeat(io, client, session, (game, playerId) => game.dropPiece(playerId, piece, square));
+  },
+
+  resign(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    const { game } = seat;
+    const result = game.resign(seat.playerId);
+    if (result) {
+      emitGameOver(io, game, result);
+    }
+  },
+
+  'offer-draw'(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    const { game } = seat;
+    const result = game.offerDraw(seat.playerId);
+    if (!result) return;
+    const opponent = seat.color === 'white' ? 'black' : 'white';
+    if (game.bots[opponent]) {
+      // Bots play on
+      game.declineDraw(game.getPlayerId(opponent));
+      client.emit('draw-declined');
+    } else {
+      client.to(session.gameId).emit('draw-offered', result);
+    }
+  },
+
+  'accept-draw'(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    const { game } = seat;
+    const result = game.acceptDraw(seat.playerId);
+    if (result) {
+      emitGameOver(io, game, result);
+    }
+  },
+
+  'decline-draw'(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    const { game } = seat;
+    const result = game.declineDraw(seat.playerId);
+    if (result) {
+      client.to(session.gameId).emit('draw-declined');
+    }
+  },
+
+  // === TAKEBACKS ===
+  'request-takeback'(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    const { game } = seat;
+    const result = game.requestTakeback(seat.playerId);
+    if (!result) {
+      client.emit('takeback-declined', { reason: 'Takeback not available' });
+      return;
+    }
+    const opponent = seat.color === 'white' ? 'black' : 'white';
+    if (game.bots[opponent]) {
+      // Bots always agree
+      broadcastTakeback(io, game, game.acceptTakeback(game.getPlayerId(opponent)));
+    } else {
+      client.to(session.gameId).emit('takeback-requested', result);
+    }
+  },
+
+  'accept-takeback'(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    const { game } = seat;
+    const result = game.acceptTakeback(seat.playerId);
+    if (result) broadcastTakeback(io, game, result);
+  },
+
+  'decline-takeback'(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    const { game } = seat;
+    const result = game.declineTakeback(seat.playerId);
+    if (result) {
+      client.to(session.gameId).emit('takeback-declined', {});
+    }
+  },
+
+  // === REMATCH ===
+  async 'offer-rematch'(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) {
+      // The finished game may already have been unloaded
+      client.emit('rematch-declined', { reason: 'Rematch not available' });
+      return;
+    }
+    const { game } = seat;
+    const opponent = seat.color === 'white' ? 'black' : 'white';
+    // Offering back when the opponent already has counts as accepting
+    if (game.acceptRematch(seat.playerId)) {
+      await startRematch(io, game);
+      return;
+    }
+    const result = game.offerRematch(seat.playerId);
+    if (!result) {
+      client.emit('rematch-declined', { reason: 'Rematch not available' });
+      return;
+    }
+    if (game.bots[opponent]) {
+      // Bots are always up for another game
+      game.acceptRematch(game.getPlayerId(opponent));
+      await startRematch(io, game);
+    } else {
+      client.to(session.gameId).emit('rematch-offered', result);
+    }
+  },
+
+  async 'accept-rematch'(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    if (seat.game.acceptRematch(seat.playerId)) await startRematch(io, seat.game);
+  },
+
+  'decline-rematch'(io, client, session) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    const result = seat.game.declineRematch(seat.playerId);
+    if (result) {
+      client.to(session.gameId).emit('rematch-declined', {});
+    }
+  },
+
+  // === CHAT ===
+  // Players talk on a private channel sent straight to the two seats;
+  // spectators get their own room, so they can't whisper to the players.
+  // The rate limit is checked where the socket is connected.
+  'chat-message'(io, client, session, { text }) {
+    if (!session.gameId) return;
+    const cleaned = chat.cleanMessage(text);
+    if (cleaned.error) {
+      client.emit('chat-error', { message: cleaned.error });
+      return;
+    }
+
+    if (session.spectator) {
+      const row = db.addChatMessage(session.gameId, 'spectators', null, session.spectatorName, cleaned.text);
+      io.to(spectatorRoom(session.gameId)).emit('chat-message', chat.toClientMessage(row));
+      return;
+    }
+
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    const { game, color } = seat;
+    const sender = db.getPlayer(seat.playerId);
+    const row = db.addChatMessage(game.gameId, 'players', seat.playerId, sender?.display_name || color, cleaned.text);
+    const message = chat.toClientMessage({ ...row, color });
+    client.emit('chat-message', message);
+
+    // Muted messages are still logged, just not delivered
+    const opponent = color === 'white' ? 'black' : 'white';
+    const opponentSocketId = game[`${opponent}SocketId`];
+    if (opponentSocketId && !game.chatMuted[opponent]) {
+      io.to(opponentSocketId).emit('chat-message', message);
+    }
+  },
+
+  'mute-opponent'(io, client, session, { muted }) {
+    const seat = authorizedSeat(session);
+    if (!seat) return;
+    seat.game.chatMuted[seat.color] = muted === true;
+    client.emit('chat-muted', { muted: muted === true });
+  },
+
+  disconnect(io, client, session) {
+    if (session.spectator) {
+      const watched = gameManager.getGame(session.gameId);
+      if (watched && watched.spectators.delete(client.id)) {
+        emitSpectatorCount(io, watched);
       }
+      return;
+    }
+
+    if (!session.gameId || !session.playerId) return;
+    const game = gameManager.getGame(session.gameId);
+    if (!game) return;
+
+    // The player may be back already on a new connection: a dropped one can
+    // take a while to notice, and may have been on another instance
+    const color = game.getPlayerColor(session.playerId);
+    if (game[`${color}SocketId`] !== client.id) return;
+    game[`${color}Connected`] = false;
+    game[`${color}SocketId`] = null;
+
+    client.to(session.gameId).emit('player-disconnected', { color });
+
+    if (game.status === 'active') {
+      armDisconnectTimer(io, game, color, Date.now() + DISCONNECT_TIMEOUT);
+    }
+  }
+};
+
+// Run a game event for a socket; resolves to the socket's updated state
+async function runGameEvent(io, { socketId, session, event, data }) {
+  const handler = gameEvents[event];
+  if (handler) await handler(io, clientFor(io, socketId), session, data || {});
+  return session;
+}
+
+function setupSocketHandlers(io) {
+  gameManager.onOwner('game-event', payload => runGameEvent(io, payload));
+
+  // A tournament game just paired: load it unless it is already, so each
+  // player who doesn't turn up loses by abandonment like one who left
+  gameManager.onOwner('start-game', async ({ gameId }) => {
+    const loaded = gameManager.getGame(gameId);
+    if (loaded) resumeGame(io, loaded, 0);
+    else await loadForSocket(io, gameId);
+    return null;
+  });
+
+  // The matchmaking queue, on the instance that keeps it
+  cluster.handle('join-queue', async (entry) => {
+    await restoreQueue(io);
+    // Prevent duplicate queue entries for a socket
+    if (!matchmaker.has(entry.socketId)) matchmaker.add(createEntry(entry, entry.joinedAt));
+    runMatchmaking(io);
+  });
 
-      io.to(currentGameId).emit('move-made', {
-        from, to, promotion,
-        san: result.move.san,
-        fen: result.fen,
-        turn: game.chess.turn() === 'w' ? 'white' : 'black',
-        inCheck: result.inCheck,
-        moveNumber: result.moveNumber,
-        captured: result.move.captured || null,
-        piece: result.move.piece,
-        legalMoves: game.getLegalMoves()
+  cluster.handle('leave-queue', async ({ socketId }) => {
+    await restoreQueue(io);
+    if (matchmaker.remove(socketId)) runMatchmaking(io);
+  });
+
+  cluster.handle('restore-queue', async () => {
+    await restoreQueue(io);
+    runMatchmaking(io);
+  });
+
+  io.on('connection', (socket) => {
+    // The socket's state in its game (see gameEvents), kept in socket.data
+    // so that the instance owning a game can find who is in it
+    Object.assign(socket.data, {
+      gameId: null, playerId: null, sessionHash: null, spectator: false, spectatorName: null, queueEntry: null
+    });
+    let queued = false;
+    const chatLimiter = chat.createRateLimiter();
+
+    // The socket's events are handled one at a time, in the order they came
+    let pending = Promise.resolve();
+    function enqueue(event, task) {
+      pending = pending.then(task).catch((e) => {
+        console.error(`Handling ${event} from ${socket.id} failed:`, e.message);
+        socket.emit('error-msg', { message: 'The server could not handle that, please try again' });
+      });
+    }
+
+    // Run a game event on the instance that owns the game (by default the
+    // one the socket is in once earlier events are done), and keep the state
+    // it hands back
+    function dispatch(event, data = {}, target) {
+      enqueue(event, async () => {
+        const previous = { ...socket.data };
+        const gameId = target === undefined ? previous.gameId : target;
+        const payload = { socketId: socket.id, session: { ...previous }, event, data };
+        const session = typeof gameId === 'string' && gameId
+          ? await gameManager.atOwner(gameId, 'game-event', payload)
+          : await runGameEvent(io, payload);
+        Object.assign(socket.data, session);
+
+        if (previous.gameId && previous.gameId !== socket.data.gameId) {
+          await gameManager.atOwner(previous.gameId, 'game-event', {
+            socketId: socket.id, session: previous, event: 'leave-game', data: {}
+          });
+        }
       });
+    }
 
-      if (result.gameResult) {
-        const whitePlayer = db.getPlayer(game.whitePlayerId);
-        const blackPlayer = db.getPlayer(game.blackPlayerId);
-        io.to(currentGameId).emit('game-over', {
-          ...result.gameResult,
-          whiteScore: whitePlayer.score,
-          blackScore: blackPlayer.score,
-          whiteName: whitePlayer.display_name,
-          blackName: blackPlayer.display_name
-        });
-        setTimeout(() => gameManager.removeGame(currentGameId), 300000);
+    // === MATCHMAKING ===
+    socket.on('join-queue', ({ playerName, playerToken, timeControl, variant } = {}) => {
+      const name = sanitizeName(playerName);
+      if (!name) {
+        socket.emit('queue-error', { message: 'Invalid player name (letters, numbers, max 30 chars)' });
+        return;
       }
+      const tc = timeControl ? parseTimeControl(timeControl) : null;
+      if (timeControl && !tc) {
+        socket.emit('queue-error', { message: 'Invalid time control (use minutes+increment, e.g. 10+0)' });
+        return;
+      }
+      const tcLabel = tc ? tc.label : null;
+      const queueVariant = parseVariant(variant);
+      if (!queueVariant) {
+        socket.emit('queue-error', { message: 'Unknown variant (use standard, chess960 or crazyhouse)' });
+        return;
+      }
+
+      queued = true;
+      socket.data.queueEntry = {
+        socketId: socket.id,
+        playerName: name,
+        playerToken: typeof playerToken === 'string' ? playerToken : null,
+        timeControl: tcLabel,
+        variant: queueVariant,
+        joinedAt: Date.now()
+      };
+      socket.join(QUEUE_ROOM);
+      enqueue('join-queue', () => cluster.route(MATCHMAKER_KEY, 'join-queue', socket.data.queueEntry));
     });
 
-    socket.on('resign', () => {
-      if (!currentGameId || !currentPlayerId) return;
-      const game = gameManager.getGame(currentGameId);
-      if (!game) return;
-      const result = game.resign(currentPlayerId);
-      if (result) {
-        const whitePlayer = db.getPlayer(game.whitePlayerId);
-        const blackPlayer = db.getPlayer(game.blackPlayerId);
-        io.to(currentGameId).emit('game-over', {
-          ...result,
-          whiteName: whitePlayer.display_name,
-          blackName: blackPlayer.display_name,
-          whiteScore: whitePlayer.score,
-          blackScore: blackPlayer.score
-        });
-      }
+    socket.on('leave-queue', () => {
+      queued = false;
+      socket.data.queueEntry = null;
+      socket.leave(QUEUE_ROOM);
+      enqueue('leave-queue', () => cluster.route(MATCHMAKER_KEY, 'leave-queue', { socketId: socket.id }));
     });
 
-    socket.on('offer-draw', () => {
-      if (!currentGameId || !currentPlayerId) return;
-      const game = gameManager.getGame(currentGameId);
-      if (!game) return;
-      const result = game.offerDraw(currentPlayerId);
-      if (result) {
-        socket.to(currentGameId).emit('draw-offered', result);
-      }
+    // === GAME ===
+    // Sockets keep the hash of their session token, never the token itself
+    socket.on('join-game', ({ gameId, sessionToken } = {}) => {
+      const sessionHash = typeof sessionToken === 'string' && sessionToken ? identity.hashToken(sessionToken) : null;
+      dispatch('join-game', { gameId, sessionHash }, gameId);
     });
 
-    socket.on('accept-draw', () => {
-      if (!currentGameId || !currentPlayerId) return;
-      const game = gameManager.getGame(currentGameId);
-      if (!game) return;
-      const result = game.acceptDraw(currentPlayerId);
-      if (result) {
-        const whitePlayer = db.getPlayer(game.whitePlayerId);
-        const blackPlayer = db.getPlayer(game.blackPlayerId);
-        io.to(currentGameId).emit('game-over', {
-          ...result,
-          whiteName: whitePlayer.display_name,
-          blackName: blackPlayer.display_name,
-          whiteScore: whitePlayer.score,
-          blackScore: blackPlayer.score
-        });
-      }
+    socket.on('watch-game', ({ gameId, name } = {}) => {
+      dispatch('watch-game', { gameId, name }, gameId);
     });
 
-    socket.on('decline-draw', () => {
-      if (!currentGameId || !currentPlayerId) return;
-      const game = gameManager.getGame(currentGameId);
-      if (!game) return;
-      const result = game.declineDraw(currentPlayerId);
-      if (result) {
-        socket.to(currentGameId).emit('draw-declined');
+    for (const event of [
+      'make-move', 'drop-piece', 'resign', 'offer-draw', 'accept-draw', 'decline-draw',
+      'request-takeback', 'accept-takeback', 'decline-takeback',
+      'offer-rematch', 'accept-rematch', 'decline-rematch', 'mute-opponent'
+    ]) {
+      socket.on(event, data => dispatch(event, data));
+    }
+
+    socket.on('chat-message', (data) => {
+      if (!socket.data.gameId) return;
+      if (!chatLimiter.allow()) {
+        socket.emit('chat-error', { message: 'You are sending messages too fast' });
+        return;
       }
+      dispatch('chat-message', data);
     });
 
     socket.on('disconnect', () => {
       // Remove from matchmaking queue if applicable
-      const qIdx = matchmakingQueue.findIndex(p => p.socketId === socket.id);
-      if (qIdx !== -1) matchmakingQueue.splice(qIdx, 1);
-
-      if (!currentGameId || !currentPlayerId) return;
-      const game = gameManager.getGame(currentGameId);
-      if (!game) return;
-
-      const color = game.getPlayerColor(currentPlayerId);
-      if (color === 'white') {
-        game.whiteConnected = false;
-        game.whiteSocketId = null;
-      } else {
-        game.blackConnected = false;
-        game.blackSocketId = null;
-      }
-
-      socket.to(currentGameId).emit('player-disconnected', { color });
-
-      if (game.status === 'active') {
-        game.disconnectTimers[currentPlayerId] = setTimeout(() => {
-          if (game.status === 'active') {
-            const abandonColor = game.getPlayerColor(currentPlayerId);
-            const winner = abandonColor === 'white' ? 'black' : 'white';
-            const result = abandonColor === 'white' ? 'black_wins' : 'white_wins';
-            game.endGame(result);
-            io.to(currentGameId).emit('game-over', {
-              type: 'abandonment', winner, result,
-              message: `${abandonColor} player disconnected`
-            });
-          }
-        }, DISCONNECT_TIMEOUT);
-      }
+      if (queued) enqueue('leave-queue', () => cluster.route(MATCHMAKER_KEY, 'leave-queue', { socketId: socket.id }));
+      dispatch('disconnect');
     });
   });
 }
 
-module.exports = { setupSocketHandlers };
+module.exports = { setupSocketHandlers, resumeActiveGames, stopTakeovers };
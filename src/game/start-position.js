@@ -0,0 +1,81 @@
+const { Chess, DEFAULT_POSITION, validateFen } = require('chess.js');
+const { createBoard } = require('./variants');
+
+const MAX_FEN_LENGTH = 100;
+const MAX_PGN_LENGTH = 20000;
+
+// chess.js accepts positions where the side that just moved is still in
+// check; such a position can never arise in a real game.
+function opponentInCheck(fen) {
+  const fields = fen.split(' ');
+  fields[1] = fields[1] === 'w' ? 'b' : 'w';
+  fields[3] = '-';
+  return new Chess(fields.join(' ')).inCheck();
+}
+
+function checkPlayable(chess) {
+  if (opponentInCheck(chess.fen())) return 'The side not to move is in check';
+  if (chess.isGameOver()) return 'The position is already decided';
+  return null;
+}
+
+function fromFen(fen) {
+  if (typeof fen !== 'string' || fen.length > MAX_FEN_LENGTH) return { error: 'Invalid FEN' };
+  const normalized = fen.trim().replace(/\s+/g, ' ');
+  const validation = validateFen(normalized);
+  if (!validation.ok) return { error: validation.error };
+
+  const chess = new Chess(normalized);
+  const error = checkPlayable(chess);
+  if (error) return { error };
+  return { initialFen: chess.fen(), initialMoves: [] };
+}
+
+function fromPgn(pgn) {
+  if (typeof pgn !== 'string' || pgn.length > MAX_PGN_LENGTH) return { error: 'Invalid PGN' };
+  const chess = new Chess();
+  try {
+    chess.loadPgn(pgn);
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  const history = chess.history({ verbose: true });
+  const error = checkPlayable(chess);
+  if (error) return { error };
+  return {
+    initialFen: history.length > 0 ? history[0].before : chess.fen(),
+    initialMoves: history.map(m => m.san)
+  };
+}
+
+/**
+ * Validate an optional custom start from a request body ({ fen } or { pgn }).
+ * Returns null for the standard start, { error } if it can't be played, or
+ * { initialFen, initialMoves } where initialMoves are the PGN's moves (SAN)
+ * leading from initialFen (null = standard position) to the position the
+ * game continues from.
+ */
+function parseStartPosition({ fen, pgn } = {}) {
+  if (fen && pgn) return { error: 'Give either a FEN or a PGN, not both' };
+  if (!fen && !pgn) return null;
+  const start = fen ? fromFen(fen) : fromPgn(pgn);
+  if (start.error) return start;
+  if (start.initialFen === DEFAULT_POSITION) {
+    if (start.initialMoves.length === 0) return null;
+    start.initialFen = null;
+  }
+  return start;
+}
+
+/**
+ * Build a board for the variant at the position a custom-start game
+ * continues from, keeping the imported moves as history.
+ */
+function buildStartingBoard(initialFen, initialMoves = [], variant = 'standard') {
+  const chess = createBoard(variant, initialFen || DEFAULT_POSITION);
+  for (const san of initialMoves) chess.move(san);
+  return chess;
+}
+
+module.exports = { parseStartPosition, buildStartingBoard };
@@ -0,0 +1,29 @@
+// Time controls are written "minutes+increment", e.g. "3+2" or "15+10".
+// Minutes may be fractional down to a quarter (bullet "0.25+0" is 15 seconds).
+const TIME_CONTROL_PATTERN = /^(\d{1,3}(?:\.\d{1,2})?)\+(\d{1,2})$/;
+const MIN_INITIAL_MS = 15 * 1000;
+const MAX_INITIAL_MS = 180 * 60 * 1000;
+const MAX_INCREMENT_MS = 60 * 1000;
+
+/**
+ * Parse a time control string into milliseconds.
+ * Returns null if the value is malformed or out of range.
+ */
+function parseTimeControl(value) {
+  if (!value || typeof value !== 'string') return null;
+  const match = value.trim().match(TIME_CONTROL_PATTERN);
+  if (!match) return null;
+
+  const initialMs = Math.round(parseFloat(match[1]) * 60 * 1000);
+  const incrementMs = parseInt(match[2], 10) * 1000;
+  if (initialMs < MIN_INITIAL_MS || initialMs > MAX_INITIAL_MS) return null;
+  if (incrementMs > MAX_INCREMENT_MS) return null;
+
+  return {
+    label: `${parseFloat(match[1])}+${parseInt(match[2], 10)}`,
+    initialMs,
+    incrementMs
+  };
+}
+
+module.exports = { parseTimeControl };
@@ -0,0 +1,263 @@
+/**
+ * Tournament pairing: Berger tables for round robins and the Dutch system
+ * for Swiss events. Pure functions over player records; the tournament
+ * module loads the history and stores the result.
+ */
+
+// Give up on a pairing search after this many steps and fall back to the
+// next, looser one, so that a hopeless round can't hang the server
+const SWISS_SEARCH_LIMIT = 20000;
+
+// Candidate pairings of one score group compared for color and float quality
+const BRACKET_CANDIDATES = 30;
+
+/**
+ * The Berger table for `count` players, as rounds of [white, black] seat
+ * indexes (0 = seed 1). With an odd count the extra seat is the bye, shown
+ * as null. Round 1 is 1-n, 2-(n-1), ...; the last seat alternates colors on
+ * board 1 and everyone else rotates n/2 places each round.
+ */
+function roundRobinSchedule(count) {
+  const n = count % 2 === 0 ? count : count + 1;
+  const half = n / 2;
+  const last = n - 1;
+  const seatOrNull = i => (i < count ? i : null);
+  const rounds = [];
+  for (let k = 0; k < n - 1; k++) {
+    const seat = j => (k * half + j) % last;
+    const pairs = [k % 2 === 0 ? [seat(0), last] : [last, seat(0)]];
+    for (let j = 1; j < half; j++) pairs.push([seat(j), seat(last - j)]);
+    rounds.push(pairs.map(([white, black]) => [seatOrNull(white), seatOrNull(black)]));
+  }
+  return rounds;
+}
+
+const other = color => (color === 'white' ? 'black' : 'white');
+
+/**
+ * A player's color preference from the colors of the games they played:
+ * absolute (3) after two in a row or a difference of two, strong (2) with
+ * a difference of one, mild (1) to alternate, none (0) before any game.
+ */
+function colorPreference(colors) {
+  if (colors.length === 0) return { color: null, strength: 0 };
+  const diff = colors.filter(c => c === 'white').length - colors.filter(c => c === 'black').length;
+  const last = colors[colors.length - 1];
+  const twice = colors.length > 1 && colors[colors.length - 2] === last;
+  if (diff > 1 || (twice && last === 'white')) return { color: 'black', strength: 3 };
+  if (diff < -1 || (twice && last === 'black')) return { color: 'white', strength: 3 };
+  if (diff !== 0) return { color: diff > 0 ? 'black' : 'white', strength: 2 };
+  return { color: other(last), strength: 1 };
+}
+
+/**
+ * Colors for a pairing under the Dutch rules: both players get their wish
+ * when they want different colors; otherwise the stronger wish wins, then
+ * the one the most recent round where they differed points to, then the
+ * higher-ranked player. Returns { white, black, conflict } (conflict: a
+ * wish went unmet), or null when both absolutely need the same color.
+ */
+function allocateColors(a, b) {
+  const pa = colorPreference(a.colors);
+  const pb = colorPreference(b.colors);
+  const higher = a.rank < b.rank ? a : b;
+  const give = (player, color, conflict) => (color === 'white'
+    ? { white: player, black: player === a ? b : a, conflict }
+    : { white: player === a ? b : a, black: player, conflict });
+
+  // Before any games: the top half alternates colors, starting with White
+  if (!pa.color && !pb.color) return give(higher, higher.rank % 2 === 1 ? 'white' : 'black', false);
+  if (pa.color !== pb.color) {
+    return pa.color ? give(a, pa.color, false) : give(b, pb.color, false);
+  }
+  if (pa.strength === 3 && pb.strength === 3) return null;
+  if (pa.strength !== pb.strength) {
+    return give(pa.strength > pb.strength ? a : b, pa.color, true);
+  }
+  for (let i = 1; i <= Math.min(a.colors.length, b.colors.length); i++) {
+    const ca = a.colors[a.colors.length - i];
+    const cb = b.colors[b.colors.length - i];
+    if (ca !== cb) return give(a, other(ca), true);
+  }
+  return give(higher, pa.color, true);
+}
+
+function canMeet(a, b) {
+  return !a.opponents.includes(b.id) && allocateColors(a, b) !== null;
+}
+
+const lastFloat = p => (p.floats.length ? p.floats[p.floats.length - 1] : null);
+
+// How well a bracket's pairing keeps to the Dutch quality rules (lower is better)
+function pairingCost(pairs, floaters) {
+  let cost = 0;
+  for (const [a, b] of pairs) {
+    if (allocateColors(a, b).conflict) cost += 1;
+    // The lower player floats up (and the upper one down) between score groups
+    if (a.score !== b.score) {
+      const [up, down] = a.score < b.score ? [a, b] : [b, a];
+      if (lastFloat(up) === 'up') cost += 4;
+      if (lastFloat(down) === 'down') cost += 4;
+    }
+  }
+  for (const p of floaters) if (lastFloat(p) === 'down') cost += 4;
+  return cost;
+}
+
+// Every way (best first) to pick `count` players from a bracket to float down:
+// lowest-ranked first, avoiding players who floated down last round
+function* floaterChoices(bracket, count) {
+  if (count === 0) {
+    yield [];
+    return;
+  }
+  const fromBottom = [...bracket].reverse();
+  const order = [
+    ...fromBottom.filter(p => lastFloat(p) !== 'down'),
+    ...fromBottom.filter(p => lastFloat(p) === 'down')
+  ];
+  function* choose(start, chosen) {
+    if (chosen.length === count) {
+      yield chosen;
+      return;
+    }
+    for (let i = start; i < order.length; i++) yield* choose(i + 1, [...chosen, order[i]]);
+  }
+  yield* choose(0, []);
+}
+
+/**
+ * Dutch pairings of the players left after floaters are taken out: the top
+ * half (S1) meets the bottom half (S2) in order, with S2 transposed as far
+ * as needed to avoid repeat games and color clashes.
+ */
+function* dutchMatchings(players, budget) {
+  const half = players.length / 2;
+  const s1 = players.slice(0, half);
+  const s2 = players.slice(half);
+  const used = new Set();
+  function* extend(i, pairs) {
+    if (--budget.left < 0) return;
+    if (i === s1.length) {
+      yield pairs;
+      return;
+    }
+    for (const candidate of s2) {
+      if (used.has(candidate) || !canMeet(s1[i], candidate)) continue;
+      used.add(candidate);
+      yield* extend(i + 1, [...pairs, [s1[i], candidate]]);
+      used.delete(candidate);
+    }
+  }
+  yield* extend(0, []);
+}
+
+/**
+ * Ways to pair one score bracket (players floated down from above come
+ * first), best first: as many pairs as possible, with the fewest color
+ * clashes and repeated floats. Yields { pairs, floaters }. The last bracket
+ * must pair everyone.
+ */
+function* bracketPairings(bracket, isLast, budget) {
+  for (let pairCount = Math.floor(bracket.length / 2); pairCount >= 0; pairCount--) {
+    if (isLast && pairCount * 2 !== bracket.length) return;
+    const options = [];
+    for (const floaters of floaterChoices(bracket, bracket.length - pairCount * 2)) {
+      const staying = bracket.filter(p => !floaters.includes(p));
+      for (const pairs of dutchMatchings(staying, budget)) {
+        options.push({ pairs, floaters, cost: pairingCost(pairs, floaters) });
+        if (options.length >= BRACKET_CANDIDATES) break;
+      }
+      if (options.length >= BRACKET_CANDIDATES || budget.left < 0) break;
+    }
+    options.sort((x, y) => x.cost - y.cost);
+    yield* options;
+    if (budget.left < 0) return;
+  }
+}
+
+const byStanding = (a, b) => b.score - a.score || a.rank - b.rank;
+const leader = ({ white, black }) => (byStanding(white, black) < 0 ? white : black);
+
+function pairGroups(groups, floaters, budget) {
+  if (groups.length === 0) return floaters.length === 0 ? [] : null;
+  const bracket = [...floaters, ...groups[0]].sort(byStanding);
+  const rest = groups.slice(1);
+  for (const option of bracketPairings(bracket, rest.length === 0, budget)) {
+    const below = pairGroups(rest, option.floaters, budget);
+    if (below) return [...option.pairs, ...below];
+    if (budget.left < 0) return null;
+  }
+  return null;
+}
+
+// Top-down pairing of players who pass `allowed`, for rounds the Dutch search gives up on
+function pairTopDown(players, allowed, budget = { left: SWISS_SEARCH_LIMIT }) {
+  if (players.length === 0) return [];
+  if (--budget.left < 0) return null;
+  const [first, ...rest] = players;
+  for (const candidate of rest) {
+    if (!allowed(first, candidate)) continue;
+    const below = pairTopDown(rest.filter(p => p !== candidate), allowed, budget);
+    if (below) return [[first, candidate], ...below];
+  }
+  return null;
+}
+
+const isNewPairing = (a, b) => !a.opponents.includes(b.id);
+
+function pairEveryone(players) {
+  const sorted = [...players].sort(byStanding);
+  const groups = [];
+  for (const p of sorted) {
+    const group = groups[groups.length - 1];
+    if (group && group[0].score === p.score) group.push(p);
+    else groups.push([p]);
+  }
+  return pairGroups(groups, [], { left: SWISS_SEARCH_LIMIT });
+}
+
+/**
+ * Pair a Swiss round. Players are { id, rank, score, opponents (IDs),
+ * colors (of the games they played, in order), hadBye, floats ('up', 'down'
+ * or null per earlier round) }, where rank is the starting rank (1 = best).
+ * With an odd number of players the lowest-placed player who hasn't had a
+ * bye gets one. Absolute color wishes are only broken, and repeat games
+ * only allowed, when nothing else works.
+ * Returns { pairings: [{ white, black }] (IDs, top board first), bye }.
+ */
+function pairSwiss(players) {
+  let bye = null;
+  let pairs = null;
+  if (players.length % 2 === 1) {
+    const fromBottom = [...players].sort(byStanding).reverse();
+    const candidates = [...fromBottom.filter(p => !p.hadBye), ...fromBottom.filter(p => p.hadBye)];
+    for (const candidate of candidates) {
+      pairs = pairEveryone(players.filter(p => p !== candidate));
+      if (pairs) {
+        bye = candidate;
+        break;
+      }
+    }
+    if (!bye) bye = candidates[0];
+  } else {
+    pairs = pairEveryone(players);
+  }
+
+  const remaining = players.filter(p => p !== bye).sort(byStanding);
+  // Color rules give way first, then (only when everyone has met) repeat games
+  if (!pairs) pairs = pairTopDown(remaining, isNewPairing) || pairTopDown(remaining, () => true);
+
+  const pairings = pairs
+    .map(([a, b]) => allocateColors(a, b) || { white: a.rank < b.rank ? a : b, black: a.rank < b.rank ? b : a })
+    .sort((x, y) => byStanding(leader(x), leader(y)))
+    .map(({ white, black }) => ({ white: white.id, black: black.id }));
+  return { pairings, bye: bye ? bye.id : null };
+}
+
+module.exports = {
+  roundRobinSchedule,
+  colorPreference,
+  allocateColors,
+  pairSwiss
+};
@@ -0,0 +1,313 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const identity = require('./identity');
+const gameManager = require('./game-manager');
+const { parseTimeControl } = require('./time-control');
+const { roundRobinSchedule, pairSwiss } = require('./tournament-pairing');
+
+const FORMATS = ['swiss', 'round_robin'];
+const MAX_PLAYERS = 64;
+const MAX_SWISS_ROUNDS = 20;
+
+// Points for White and Black per game result
+const RESULT_POINTS = { white_wins: [1, 0], black_wins: [0, 1], draw: [0.5, 0.5], double_forfeit: [0, 0] };
+// A Swiss bye scores as a win; sitting a round-robin round out scores nothing
+const BYE_POINTS = { swiss: 1, round_robin: 0 };
+
+/**
+ * Create a tournament run by `organizerName` (their profile, or a new one),
+ * who also plays in it if `join` is set. Returns { tournamentId, playerId,
+ * playerToken } for the organizer.
+ */
+function createTournament({ name, format, rounds, timeControl, variant, organizerName, playerToken, join }) {
+  const organizer = identity.resolvePlayer(organizerName, playerToken);
+  const tournamentId = uuidv4().substring(0, 8);
+  db.createTournament({
+    id: tournamentId,
+    name,
+    format,
+    rounds: format === 'swiss' ? rounds : null,
+    timeControl: timeControl ? timeControl.label : null,
+    variant,
+    organizerId: organizer.playerId
+  });
+  if (join) db.addTournamentParticipant(tournamentId, organizer.playerId, db.getPlayer(organizer.playerId).rating);
+  return { tournamentId, playerId: organizer.playerId, playerToken: organizer.playerToken };
+}
+
+function joinTournament(tournamentId, playerName, playerToken) {
+  const tournament = db.getTournament(tournamentId);
+  if (!tournament) return { error: 'Tournament not found' };
+  if (tournament.status !== 'registering') return { error: 'Registration is closed' };
+  if (db.getTournamentParticipants(tournamentId).length >= MAX_PLAYERS) return { error: 'Tournament is full' };
+
+  const player = identity.resolvePlayer(playerName, playerToken);
+  db.addTournamentParticipant(tournamentId, player.playerId, db.getPlayer(player.playerId).rating);
+  return { tournamentId, playerId: player.playerId, playerToken: player.playerToken };
+}
+
+/**
+ * Close registration and pair the first round. Only the organizer may.
+ * Players are seeded by rating; a round robin gets one round per opponent.
+ */
+function startTournament(tournamentId, playerToken) {
+  const tournament = db.getTournament(tournamentId);
+  if (!tournament) return { error: 'Tournament not found' };
+  const player = identity.findPlayerByToken(playerToken);
+  if (!player || player.id !== tournament.organizer_id) return { error: 'Only the organizer can start the tournament' };
+  if (tournament.status !== 'registering') return { error: 'Tournament has already started' };
+  const participants = db.getTournamentParticipants(tournamentId);
+  if (participants.length < 2) return { error: 'A tournament needs at least 2 players' };
+
+  const rounds = tournament.format === 'round_robin'
+    ? roundRobinSchedule(participants.length).length
+    : tournament.rounds;
+  const gameIds = db.transaction(() => {
+    db.startTournament(tournamentId, rounds, participants.map(p => p.player_id));
+    return startRound(tournamentId, 1);
+  });
+  startGames(gameIds);
+  return { tournamentId, round: 1 };
+}
+
+// Once a round's pairings are saved: have its games loaded by their owners,
+// which start the no-show deadlines of the players (see the socket handler)
+function startGames(gameIds) {
+  for (const gameId of gameIds) {
+    gameManager.atOwner(gameId, 'start-game')
+      .catch(e => console.error(`Starting tournament game ${gameId} failed:`, e.message));
+  }
+}
+
+/**
+ * Each player's Swiss history from the pairings so far: score, opponents,
+ * colors, whether they had a bye, and who floated up or down each round
+ * (met someone on a different score).
+ */
+function swissPlayers(participants, pairings) {
+  const players = new Map(participants.map(p => [p.player_id, {
+    id: p.player_id, rank: p.seed, score: 0, opponents: [], colors: [], hadBye: false, floats: []
+  }]));
+
+  const roundNumbers = [...new Set(pairings.map(p => p.round_number))];
+  for (const round of roundNumbers) {
+    const inRound = pairings.filter(p => p.round_number === round);
+    const before = new Map([...players.values()].map(p => [p.id, p.score]));
+    for (const p of players.values()) p.floats.push(null);
+
+    for (const pairing of inRound) {
+      const white = players.get(pairing.white_player_id);
+      if (!pairing.black_player_id) {
+        white.hadBye = true;
+        white.score += BYE_POINTS.swiss;
+        continue;
+      }
+      const black = players.get(pairing.black_player_id);
+      white.opponents.push(black.id);
+      black.opponents.push(white.id);
+      white.colors.push('white');
+      black.colors.push('black');
+      if (before.get(white.id) !== before.get(black.id)) {
+        const [up, down] = before.get(white.id) < before.get(black.id) ? [white, black] : [black, white];
+        up.floats[up.floats.length - 1] = 'up';
+        down.floats[down.floats.length - 1] = 'down';
+      }
+      const [whitePoints, blackPoints] = RESULT_POINTS[pairing.result] || [0, 0];
+      white.score += whitePoints;
+      black.score += blackPoints;
+    }
+  }
+  return [...players.values()];
+}
+
+// Pair a round and create its games, returning their IDs; byes are scored straight away
+function startRound(tournamentId, roundNumber) {
+  const tournament = db.getTournament(tournamentId);
+  const participants = db.getTournamentParticipants(tournamentId);
+
+  let pairings;
+  let bye = null;
+  if (tournament.format === 'round_robin') {
+    const seats = roundRobinSchedule(participants.length)[roundNumber - 1];
+    const idAt = seat => (seat === null ? null : participants[seat].player_id);
+    pairings = seats.filter(([w, b]) => w !== null && b !== null).map(([w, b]) => ({ white: idAt(w), black: idAt(b) }));
+    const sitting = seats.find(([w, b]) => w === null || b === null);
+    if (sitting) bye = idAt(sitting[0] ?? sitting[1]);
+  } else {
+    ({ pairings, bye } = pairSwiss(swissPlayers(participants, db.getTournamentPairings(tournamentId))));
+  }
+
+  const timeControl = tournament.time_control ? parseTimeControl(tournament.time_control) : null;
+  db.startTournamentRound(tournamentId, roundNumber);
+  const gameIds = pairings.map(({ white, black }, i) => {
+    const gameId = gameManager.createTournamentGame(white, black, { timeControl, variant: tournament.variant });
+    db.addTournamentPairing(tournamentId, roundNumber, i + 1, white, black, gameId);
+    return gameId;
+  });
+  if (bye) db.addTournamentPairing(tournamentId, roundNumber, pairings.length + 1, bye, null, null, 'bye');
+  return gameIds;
+}
+
+// Move on once every game of the current round is over: pair the next round,
+// or finish. Returns the IDs of the games it created.
+function advance(tournamentId) {
+  const tournament = db.getTournament(tournamentId);
+  if (tournament.status !== 'in_progress') return [];
+  const round = tournament.current_round;
+  const pending = db.getTournamentPairings(tournamentId).filter(p => p.round_number === round && !p.result);
+  if (pending.length > 0) return [];
+
+  db.completeTournamentRound(tournamentId, round);
+  if (round < tournament.rounds) return startRound(tournamentId, round + 1);
+  db.completeTournament(tournamentId);
+  return [];
+}
+
+/**
+ * Record a finished game's result if it was a tournament game, pairing the
+ * next round when it was the last one in its round. Returns the tournament
+ * ID, or null for other games.
+ */
+function recordGameResult(gameId) {
+  const pairing = db.getTournamentPairingByGame(gameId);
+  const game = db.getGame(gameId);
+  if (!pairing || pairing.result || !game || game.status !== 'completed') return null;
+  const gameIds = db.transaction(() => {
+    db.setTournamentPairingResult(pairing.id, game.result);
+    return advance(pairing.tournament_id);
+  });
+  startGames(gameIds);
+  return pairing.tournament_id;
+}
+
+/**
+ * A session for the player's game in the current round: { gameId,
+ * playerId, color, sessionToken }. Each call issues a new session token,
+ * on the instance that owns the game.
+ */
+async function playerGame(tournamentId, playerToken) {
+  const tournament = db.getTournament(tournamentId);
+  if (!tournament) return { error: 'Tournament not found' };
+  const player = identity.findPlayerByToken(playerToken);
+  if (!player) return { error: 'Unknown player token' };
+  const pairing = db.getTournamentPairings(tournamentId).find(p =>
+    p.round_number === tournament.current_round && p.game_id && !p.result &&
+    (p.white_player_id === player.id || p.black_player_id === player.id)
+  );
+  const seat = pairing && await gameManager.atOwner(pairing.game_id, 'issueSeat', { playerId: player.id });
+  if (!seat) return { error: 'You have no game to play in this round' };
+  return seat;
+}
+
+/**
+ * Standings from finished games and byes, best first. Ties are broken by
+ * Buchholz (the sum of the opponents' scores) and then Sonneborn-Berger
+ * (the scores of beaten opponents plus half those of drawn ones) in a
+ * Swiss, the other way round in a round robin, and then by seed. Each entry
+ * lists the player's games: { round, opponentId, color, points }, with
+ * points null while the game is on.
+ */
+function getStandings(tournament, participants, pairings) {
+  const rows = new Map(participants.map(p => [p.player_id, {
+    playerId: p.player_id, name: p.display_name, rating: p.rating, seed: p.seed, points: 0, games: []
+  }]));
+
+  for (const pairing of pairings) {
+    const white = rows.get(pairing.white_player_id);
+    if (!pairing.black_player_id) {
+      white.points += BYE_POINTS[tournament.format];
+      white.games.push({ round: pairing.round_number, opponentId: null, color: null, points: BYE_POINTS[tournament.format] });
+      continue;
+    }
+    const black = rows.get(pairing.black_player_id);
+    const [whitePoints, blackPoints] = RESULT_POINTS[pairing.result] || [null, null];
+    white.games.push({ round: pairing.round_number, opponentId: black.playerId, color: 'white', points: whitePoints });
+    black.games.push({ round: pairing.round_number, opponentId: white.playerId, color: 'black', points: blackPoints });
+    white.points += whitePoints || 0;
+    black.points += blackPoints || 0;
+  }
+
+  for (const row of rows.values()) {
+    const played = row.games.filter(g => g.opponentId && g.points !== null);
+    row.buchholz = played.reduce((sum, g) => sum + rows.get(g.opponentId).points, 0);
+    row.sonnebornBerger = played.reduce((sum, g) => sum + g.points * rows.get(g.opponentId).points, 0);
+  }
+
+  const tiebreaks = tournament.format === 'swiss' ? ['buchholz', 'sonnebornBerger'] : ['sonnebornBerger', 'buchholz'];
+  return [...rows.values()]
+    .sort((a, b) => b.points - a.points ||
+      b[tiebreaks[0]] - a[tiebreaks[0]] ||
+      b[tiebreaks[1]] - a[tiebreaks[1]] ||
+      (a.seed ?? Infinity) - (b.seed ?? Infinity) ||
+      b.rating - a.rating)
+    .map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+/**
+ * Everything the tournament page shows: settings, participants, standings
+ * (which double as the crosstable) and every round's pairings with their
+ * games. Null if there is no such tournament.
+ */
+function getTournament(tournamentId) {
+  const tournament = db.getTournament(tournamentId);
+  if (!tournament) return null;
+  const participants = db.getTournamentParticipants(tournamentId);
+  const pairings = db.getTournamentPairings(tournamentId);
+  const names = new Map(participants.map(p => [p.player_id, p.display_name]));
+  const playerRef = id => (id ? { id, name: names.get(id) } : null);
+
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    totalRounds: tournament.rounds,
+    currentRound: tournament.current_round,
+    timeControl: tournament.time_control,
+    variant: tournament.variant,
+    organizer: { id: tournament.organizer_id, name: db.getPlayer(tournament.organizer_id)?.display_name },
+    createdAt: tournament.created_at,
+    participants: participants.map(p => ({ id: p.player_id, name: p.display_name, rating: p.rating, seed: p.seed })),
+    standings: getStandings(tournament, participants, pairings),
+    rounds: db.getTournamentRounds(tournamentId).map(r => ({
+      number: r.round_number,
+      status: r.status,
+      pairings: pairings.filter(p => p.round_number === r.round_number).map(p => ({
+        board: p.board,
+        white: playerRef(p.white_player_id),
+        black: playerRef(p.black_player_id),
+        gameId: p.game_id,
+        gameStatus: p.game_status || null,
+        result: p.result
+      }))
+    }))
+  };
+}
+
+function listTournaments(limit = 20) {
+  return db.listTournaments(limit).map(t => ({
+    id: t.id,
+    name: t.name,
+    format: t.format,
+    status: t.status,
+    totalRounds: t.rounds,
+    currentRound: t.current_round,
+    timeControl: t.time_control,
+    variant: t.variant,
+    participants: t.participants,
+    createdAt: t.created_at
+  }));
+}
+
+module.exports = {
+  FORMATS,
+  MAX_SWISS_ROUNDS,
+  createTournament,
+  joinTournament,
+  startTournament,
+  recordGameResult,
+  playerGame,
+  getTournament,
+  listTournaments,
+  getStandings
+};
@@ -0,0 +1,361 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { takeNextSearch } = require('./search-queue');
+
+const HANDSHAKE_TIMEOUT_MS = 10000;
+// How long past its budget a search may run before it is stopped, and how
+// long a stopped engine gets to answer before it is killed
+const SEARCH_GRACE_MS = 2000;
+const STOP_GRACE_MS = 1000;
+const QUIT_GRACE_MS = 500;
+
+const DEFAULT_POOL_SIZE = 2;
+const DEFAULT_MOVETIME_MS = 1000;
+
+// `info` fields that take one value; "score" and "pv"/"string" are handled separately
+const INFO_NUMBERS = ['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time', 'hashfull', 'tbhits', 'currmovenumber'];
+
+/**
+ * Parse a UCI "info" line into { depth, score: { cp } | { mate }, pv: [...], ... }.
+ * Unknown fields are skipped.
+ */
+function parseInfo(line) {
+  const tokens = line.trim().split(/\s+/);
+  const info = {};
+  for (let i = 1; i < tokens.length; i++) {
+    const key = tokens[i];
+    if (INFO_NUMBERS.includes(key)) {
+      info[key] = parseInt(tokens[++i], 10);
+    } else if (key === 'currmove') {
+      info.currmove = tokens[++i];
+    } else if (key === 'score') {
+      const type = tokens[++i];
+      const value = parseInt(tokens[++i], 10);
+      info.score = type === 'mate' ? { mate: value } : { cp: value };
+      if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') info.score.bound = tokens[++i];
+    } else if (key === 'pv') {
+      info.pv = tokens.slice(i + 1);
+      break;
+    } else if (key === 'string') {
+      info.string = tokens.slice(i + 1).join(' ');
+      break;
+    }
+  }
+  return info;
+}
+
+/**
+ * Parse "bestmove e2e4 ponder e7e5" into { bestMove, ponder }. An engine
+ * with no legal move answers "(none)" or "0000"; bestMove is then null.
+ */
+function parseBestMove(line) {
+  const tokens = line.trim().split(/\s+/);
+  const move = tokens[1];
+  const ponderAt = tokens.indexOf('ponder');
+  return {
+    bestMove: move && move !== '(none)' && move !== '0000' ? move : null,
+    ponder: ponderAt !== -1 ? tokens[ponderAt + 1] || null : null
+  };
+}
+
+// "e7e8q" -> { from: 'e7', to: 'e8', promotion: 'q' }
+function fromUciMove(move) {
+  if (!move) return null;
+  return { from: move.slice(0, 2), to: move.slice(2, 4), promotion: move[4] || undefined };
+}
+
+/**
+ * One UCI engine process. Call start() once, then go() for each search; an
+ * engine runs one search at a time. If the process dies or stops answering
+ * it is marked `exited` and every later call fails.
+ */
+class UciEngine {
+  constructor({ path, args = [], options = {} }) {
+    this.path = path;
+    this.args = args;
+    this.options = options;
+    this.name = null;
+    this.process = null;
+    this.exited = false;
+    this.busy = false;
+    this.waiter = null;
+    this.lastInfo = null;
+  }
+
+  async start() {
+    this.process = spawn(this.path, this.args, { stdio: ['pipe', 'pipe', 'ignore'] });
+    this.process.on('error', (err) => this.handleExit(err));
+    this.process.on('exit', (code) => this.handleExit(new Error(`Engine exited with code ${code}`)));
+    // Writing to an engine that has just died must not crash the server
+    this.process.stdin.on('error', () => {});
+    readline.createInterface({ input: this.process.stdout }).on('line', line => this.handleLine(line));
+
+    this.send('uci');
+    await this.waitFor(line => line === 'uciok', HANDSHAKE_TIMEOUT_MS);
+    for (const [name, value] of Object.entries(this.options)) {
+      this.send(`setoption name ${name} value ${value}`);
+    }
+    await this.ready();
+    return this;
+  }
+
+  send(command) {
+    if (!this.exited) this.process.stdin.write(`${command}\n`);
+  }
+
+  handleLine(line) {
+    line = line.trim();
+    if (line.startsWith('id name ')) {
+      this.name = line.slice('id name '.length);
+    } else if (line.startsWith('info ')) {
+      const info = parseInfo(line);
+      // Only the main line counts when the engine reports several (MultiPV)
+      if ((info.score || info.pv) && (info.multipv === undefined || info.multipv === 1)) {
+        this.lastInfo = { ...this.lastInfo, ...info };
+      }
+    }
+
+    const waiter = this.waiter;
+    if (waiter && waiter.predicate(line)) {
+      this.waiter = null;
+      clearTimeout(waiter.timer);
+      waiter.resolve(line);
+    }
+  }
+
+  handleExit(err) {
+    if (this.exited) return;
+    this.exited = true;
+    const waiter = this.waiter;
+    if (waiter) {
+      this.waiter = null;
+      clearTimeout(waiter.timer);
+      waiter.reject(err);
+    }
+  }
+
+  // Resolve with the first line matching predicate; reject on timeout or exit
+  waitFor(predicate, timeoutMs) {
+    if (this.exited) return Promise.reject(new Error('Engine is not running'));
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiter = null;
+        reject(new Error('Engine did not respond in time'));
+      }, timeoutMs);
+      this.waiter = { predicate, resolve, reject, timer };
+    });
+  }
+
+  ready() {
+    this.send('isready');
+    return this.waitFor(line => line === 'readyok', HANDSHAKE_TIMEOUT_MS);
+  }
+
+  /**
+   * Search a position ({ fen, moves }, moves in UCI notation) for `movetime`
+   * ms or to `depth` plies. Resolves with { bestMove, ponder, info, engine },
+   * where info is the engine's last report (depth, score, pv, ...).
+   */
+  async go({ fen, moves = [], movetime = DEFAULT_MOVETIME_MS, depth = null }) {
+    if (this.busy) throw new Error('Engine is already searching');
+    this.busy = true;
+    try {
+      this.send(`position fen ${fen}${moves.length ? ` moves ${moves.join(' ')}` : ''}`);
+      await this.ready();
+
+      this.lastInfo = null;
+      this.send(depth ? `go depth ${depth}` : `go movetime ${movetime}`);
+      const isBestMove = line => line.startsWith('bestmove');
+      let line;
+      try {
+        line = await this.waitFor(isBestMove, (depth ? HANDSHAKE_TIMEOUT_MS : movetime) + SEARCH_GRACE_MS);
+      } catch (e) {
+        if (this.exited) throw e;
+        this.send('stop');
+        try {
+          line = await this.waitFor(isBestMove, STOP_GRACE_MS);
+        } catch (stopError) {
+          this.kill();
+          throw stopError;
+        }
+      }
+      return { ...parseBestMove(line), info: this.lastInfo || {}, engine: this.name };
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  kill() {
+    if (this.process && !this.exited) this.process.kill();
+    this.handleExit(new Error('Engine was killed'));
+  }
+
+  // Ask the engine to quit, and kill it if it doesn't
+  quit() {
+    if (this.exited) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.kill();
+        resolve();
+      }, QUIT_GRACE_MS);
+      this.process.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.send('quit');
+    });
+  }
+}
+
+/**
+ * Up to `size` engine processes, started on first use and shared by all
+ * searches. Searches beyond that wait for a free engine, in the order
+ * takeNextSearch() gives; an engine that dies is dropped and replaced on the
+ * next request.
+ */
+class UciPool {
+  constructor(config, size = DEFAULT_POOL_SIZE) {
+    this.config = config;
+    this.size = size;
+    this.engines = [];
+    this.idle = [];
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  // Idle engines plus the ones that may still be started
+  freeCount() {
+    return this.idle.length + this.size - this.engines.length;
+  }
+
+  async acquire(background = false) {
+    if (this.closed) throw new Error('Engine pool is closed');
+    // Background searches leave the last free engine to games (see takeNextSearch)
+    if (background && this.size > 1 && this.freeCount() <= 1) {
+      return new Promise((resolve, reject) => this.waiting.push({ resolve, reject, background }));
+    }
+    // Idle engines may have died since they were last used
+    let idle;
+    while ((idle = this.idle.pop())) {
+      if (!idle.exited) return idle;
+      this.remove(idle);
+    }
+    if (this.engines.length >= this.size) {
+      return new Promise((resolve, reject) => this.waiting.push({ resolve, reject, background }));
+    }
+
+    const engine = new UciEngine(this.config);
+    this.engines.push(engine);
+    try {
+      return await engine.start();
+    } catch (e) {
+      engine.kill();
+      this.remove(engine);
+      throw e;
+    }
+  }
+
+  // The waiting search a freed engine goes to, out of `free` free ones
+  nextWaiting(free) {
+    return takeNextSearch(this.waiting, free, this.size);
+  }
+
+  release(engine) {
+    if (engine.exited || this.closed) {
+      this.remove(engine);
+      // The freed slot goes to the next waiting search, on a fresh engine
+      const next = this.nextWaiting(this.freeCount());
+      if (next) this.acquire(next.background).then(next.resolve, next.reject);
+      return;
+    }
+    const next = this.nextWaiting(this.freeCount() + 1);
+    if (next) next.resolve(engine);
+    else this.idle.push(engine);
+  }
+
+  remove(engine) {
+    this.engines = this.engines.filter(e => e !== engine);
+    this.idle = this.idle.filter(e => e !== engine);
+  }
+
+  /**
+   * Run one search on a pooled engine (see UciEngine#go); `background` for
+   * searches that can wait.
+   */
+  async search(params, { background = false } = {}) {
+    const engine = await this.acquire(background);
+    try {
+      return await engine.go(params);
+    } finally {
+      this.release(engine);
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    for (const waiter of this.waiting.splice(0)) waiter.reject(new Error('Engine pool is closed'));
+    await Promise.all(this.engines.map(engine => engine.quit()));
+    this.engines = [];
+    this.idle = [];
+  }
+}
+
+/**
+ * Engine settings from the environment; null when no engine is configured.
+ * UCI_ENGINE_OPTIONS is "Name=value" pairs separated by semicolons, since
+ * UCI option names may contain spaces.
+ */
+function configFromEnv(env = process.env) {
+  if (!env.UCI_ENGINE_PATH) return null;
+  const options = {};
+  for (const pair of (env.UCI_ENGINE_OPTIONS || '').split(';')) {
+    const eq = pair.indexOf('=');
+    if (eq > 0) options[pair.slice(0, eq).trim()] = pair.slice(eq + 1).trim();
+  }
+  return {
+    path: env.UCI_ENGINE_PATH,
+    args: env.UCI_ENGINE_ARGS ? env.UCI_ENGINE_ARGS.split(/\s+/).filter(Boolean) : [],
+    options,
+    poolSize: parseInt(env.UCI_POOL_SIZE, 10) || DEFAULT_POOL_SIZE,
+    movetimeMs: parseInt(env.UCI_MOVETIME_MS, 10) || DEFAULT_MOVETIME_MS
+  };
+}
+
+let sharedConfig;
+let sharedPool = null;
+
+function getConfig() {
+  if (sharedConfig === undefined) sharedConfig = configFromEnv();
+  return sharedConfig;
+}
+
+function isConfigured() {
+  return getConfig() !== null;
+}
+
+// The server-wide engine pool, or null if no engine is configured
+function getPool() {
+  const config = getConfig();
+  if (!config) return null;
+  if (!sharedPool) sharedPool = new UciPool(config, config.poolSize);
+  return sharedPool;
+}
+
+function closePool() {
+  const pool = sharedPool;
+  sharedPool = null;
+  return pool ? pool.close() : Promise.resolve();
+}
+
+module.exports = {
+  parseInfo,
+  parseBestMove,
+  fromUciMove,
+  UciEngine,
+  UciPool,
+  configFromEnv,
+  getConfig,
+  isConfigured,
+  getPool,
+  closePool
+};
@@ -0,0 +1,31 @@
+const { Chess } = require('chess.js');
+const { Chess960 } = require('./chess960');
+const { Crazyhouse } = require('./crazyhouse');
+
+const VARIANTS = {
+  standard: { name: 'Standard', board: fen => new Chess(fen) },
+  chess960: { name: 'Chess960', board: fen => new Chess960(fen) },
+  crazyhouse: { name: 'Crazyhouse', board: fen => new Crazyhouse(fen) }
+};
+
+/**
+ * Normalize a variant from a request; missing means standard.
+ * Returns null for unknown variants.
+ */
+function parseVariant(value) {
+  if (value === undefined || value === null || value === '') return 'standard';
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase();
+  return VARIANTS[key] ? key : null;
+}
+
+function variantName(variant) {
+  return VARIANTS[variant || 'standard'].name;
+}
+
+// A chess.js-compatible board for the variant, at the given FEN
+function createBoard(variant, fen) {
+  return VARIANTS[variant || 'standard'].board(fen);
+}
+
+module.exports = { parseVariant, variantName, createBoard };
@@ -2,6 +2,22 @@ const express = require('express');
 const router = express.Router();
 const gameManager = require('../game/game-manager');
 const db = require('../db');
+const { parseTimeControl } = require('../game/time-control');
+const { isProvisional } = require('../game/rating');
+const identity = require('../game/identity');
+const { buildGamePgn } = require('../game/pgn');
+const { parseStartPosition, buildStartingBoard } = require('../game/start-position');
+const { parseVariant } = require('../game/variants');
+const { isValidPosition } = require('../game/chess960');
+const { BOT_LEVELS, parseBotLevel } = require('../game/bot');
+const { evaluatePosition } = require('../game/evaluate');
+const { fromUciMove } = require('../game/uci');
+const analysis = require('../game/analysis');
+const chat = require('../game/chat');
+const tournament = require('../game/tournament');
+const { Chess, validateFen } = require('chess.js');
+
+const SEAT_COLORS = ['white', 'black'];
 
 function sanitizeName(name) {
   if (!name || typeof name !== 'string') return null;
@@ -10,27 +26,75 @@ function sanitizeName(name) {
   return cleaned.length > 0 ? cleaned : null;
 }
 
-router.post('/games', (req, res) => {
+router.post('/games', async (req, res) => {
   const playerName = sanitizeName(req.body.playerName);
   if (!playerName) {
     return res.status(400).json({ error: 'Valid player name required (letters, numbers, max 30 chars)' });
   }
+  const timeControl = req.body.timeControl ? parseTimeControl(req.body.timeControl) : null;
+  if (req.body.timeControl && !timeControl) {
+    return res.status(400).json({ error: 'Invalid time control (use minutes+increment, e.g. 10+0)' });
+  }
+  const variant = parseVariant(req.body.variant);
+  if (!variant) return res.status(400).json({ error: 'Unknown variant (use standard, chess960 or crazyhouse)' });
+
+  let variantPosition = null;
+  if (req.body.position !== undefined && req.body.position !== null && req.body.position !== '') {
+    variantPosition = Number(req.body.position);
+    if (variant !== 'chess960' || !isValidPosition(variantPosition)) {
+      return res.status(400).json({ error: 'Start position number must be 0-959 and is only used for chess960' });
+    }
+  }
+
+  const startPosition = parseStartPosition({ fen: req.body.fen, pgn: req.body.pgn });
+  if (startPosition && variant !== 'standard') {
+    return res.status(400).json({ error: 'A FEN or PGN start is only supported for standard chess' });
+  }
+  if (startPosition && startPosition.error) {
+    return res.status(400).json({ error: `Invalid starting position: ${startPosition.error}` });
+  }
+
+  // Playing the computer: `bot` is its strength level, `color` the side the player takes
+  let bot = null;
+  let color = null;
+  if (req.body.bot !== undefined && req.body.bot !== null && req.body.bot !== '') {
+    bot = parseBotLevel(req.body.bot);
+    if (!bot) return res.status(400).json({ error: 'Bot level must be 1-4 (or 5 for the UCI engine, if configured)' });
+    if (variant !== 'standard') return res.status(400).json({ error: 'Bots only play standard chess' });
+    color = req.body.color || 'random';
+    if (color === 'random') color = SEAT_COLORS[Math.floor(Math.random() * 2)];
+    if (!SEAT_COLORS.includes(color)) {
+      return res.status(400).json({ error: 'Color must be white, black or random' });
+    }
+  }
+  // Takebacks make a game unrated unless `rated` is asked for, which is refused
+  const takebacks = req.body.takebacks === true;
+  const rated = !bot && (req.body.rated === undefined ? !takebacks : req.body.rated === true);
+  if (rated && takebacks) {
+    return res.status(400).json({ error: 'Takebacks are only allowed in unrated games' });
+  }
   try {
-    const result = gameManager.createGame(playerName);
+    const options = {
+      timeControl, variant, variantPosition, startPosition, rated, takebacks, playerToken: req.body.playerToken
+    };
+    const result = bot
+      ? await gameManager.createBotGame(playerName, { ...options, level: bot, color })
+      : await gameManager.createGame(playerName, options);
     res.json(result);
   } catch (e) {
     res.status(500).json({ error: 'Failed to create game' });
   }
 });
 
-router.post('/games/:gameId/join', (req, res) => {
+router.post('/games/:gameId/join', async (req, res) => {
   const { gameId } = req.params;
   const playerName = sanitizeName(req.body.playerName);
   if (!playerName) {
     return res.status(400).json({ error: 'Valid player name required (letters, numbers, max 30 chars)' });
   }
   try {
-    const result = gameManager.joinGame(gameId, playerName);
+    // The instance that owns the game seats the player
+    const result = await gameManager.atOwner(gameId, 'joinGame', { playerName, playerToken: req.body.playerToken });
     if (result.error) return res.status(400).json(result);
     res.json(result);
   } catch (e) {
@@ -38,12 +102,12 @@ router.post('/games/:gameId/join', (req, res) => {
   }
 });
 
-router.post('/games/:gameId/reconnect', (req, res) => {
+router.post('/games/:gameId/reconnect', async (req, res) => {
   const { gameId } = req.params;
-  const { playerId } = req.body;
-  if (!playerId) return res.status(400).json({ error: 'Player ID required' });
+  const { sessionToken } = req.body;
+  if (!sessionToken) return res.status(400).json({ error: 'Session token required' });
   try {
-    const result = gameManager.reconnectToGame(gameId, playerId);
+    const result = await gameManager.atOwner(gameId, 'reconnectToGame', { sessionToken });
     if (result.error) return res.status(400).json(result);
     res.json(result);
   } catch (e) {
@@ -60,8 +124,25 @@ router.get('/games/:gameId', (req, res) => {
     id: dbGame.id,
     status: dbGame.status,
     result: dbGame.result,
+    // Why the game was set aside, when its moves didn't replay ('corrupted' status)
+    integrityError: dbGame.integrity_error,
+    timeControl: dbGame.time_control,
+    variant: dbGame.variant,
+    variantPosition: dbGame.variant_position,
+    initialFen: dbGame.initial_fen,
+    // Where the recorded moves start: initialFen after any imported PGN moves
+    startFen: buildStartingBoard(
+      dbGame.initial_fen, dbGame.initial_moves ? dbGame.initial_moves.split(' ') : [], dbGame.variant
+    ).fen(),
     whiteName: whitePlayer?.display_name,
     blackName: blackPlayer?.display_name,
+    bots: { white: whitePlayer?.bot_level ?? null, black: blackPlayer?.bot_level ?? null },
+    rated: !!dbGame.rated,
+    takebacks: !!dbGame.takebacks,
+    // Rematch links, and the series score for the players as seated in this game
+    rematchOf: dbGame.rematch_of,
+    rematchId: db.getRematchId(dbGame.id),
+    match: gameManager.getMatchScore(dbGame.id),
     createdAt: dbGame.created_at
   });
 });
@@ -71,9 +152,212 @@ router.get('/games/:gameId/moves', (req, res) => {
   res.json(moves);
 });
 
+function sendPgn(res, filename, pgn) {
+  res.set('Content-Type', 'application/x-chess-pgn; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(pgn);
+}
+
+function siteOf(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+router.get('/games/:gameId/pgn', (req, res) => {
+  const dbGame = db.getGame(req.params.gameId);
+  if (!dbGame) return res.status(404).json({ error: 'Game not found' });
+  sendPgn(res, `seal-chess-${dbGame.id}.pgn`, buildGamePgn(dbGame, { site: siteOf(req) }));
+});
+
+// Engine analysis of a finished game; 202 while the job is still running
+router.get('/games/:gameId/analysis', (req, res) => {
+  const dbGame = db.getGame(req.params.gameId);
+  if (!dbGame) return res.status(404).json({ error: 'Game not found' });
+  if (dbGame.status !== 'completed') return res.status(409).json({ error: 'Game is not finished yet' });
+  if (!analysis.isAnalysable(dbGame)) {
+    return res.status(400).json({ error: 'Analysis is only available for standard chess' });
+  }
+
+  // Games finished before analysis existed are queued on first request
+  analysis.requestAnalysis(dbGame.id);
+  const report = analysis.getReport(dbGame.id);
+  res.status(report.status === 'pending' ? 202 : 200).json(report);
+});
+
+// Chat log of a finished game: the players' channel and the spectators' channel
+router.get('/games/:gameId/chat', (req, res) => {
+  const dbGame = db.getGame(req.params.gameId);
+  if (!dbGame) return res.status(404).json({ error: 'Game not found' });
+  if (dbGame.status !== 'completed') return res.status(409).json({ error: 'Game is not finished yet' });
+
+  const log = channel => db.getChatMessages(dbGame.id, channel).map(chat.toClientMessage);
+  res.json({ gameId: dbGame.id, players: log('players'), spectators: log('spectators') });
+});
+
+// Bot levels that can be played here (the UCI engine only when configured)
+router.get('/bots', (req, res) => {
+  res.json(Object.keys(BOT_LEVELS)
+    .filter(level => parseBotLevel(level))
+    .map(level => ({ level: Number(level), name: BOT_LEVELS[level].name })));
+});
+
+const MAX_EVAL_MOVETIME_MS = 5000;
+const MAX_EVAL_DEPTH = 30;
+
+// Evaluate a standard chess position with the UCI engine (or the built-in one)
+router.post('/evaluate', async (req, res) => {
+  const fen = typeof req.body.fen === 'string' ? req.body.fen.trim().replace(/\s+/g, ' ') : '';
+  if (!validateFen(fen).ok) return res.status(400).json({ error: 'Valid FEN required' });
+  const movetime = req.body.movetime ? parseInt(req.body.movetime, 10) : null;
+  if (movetime !== null && !(movetime > 0 && movetime <= MAX_EVAL_MOVETIME_MS)) {
+    return res.status(400).json({ error: `movetime must be 1-${MAX_EVAL_MOVETIME_MS} ms` });
+  }
+  const depth = req.body.depth ? parseInt(req.body.depth, 10) : null;
+  if (depth !== null && !(depth > 0 && depth <= MAX_EVAL_DEPTH)) {
+    return res.status(400).json({ error: `depth must be 1-${MAX_EVAL_DEPTH}` });
+  }
+
+  try {
+    const result = await evaluatePosition(fen, { movetime, depth });
+    const bestMoveSan = result.bestMove ? new Chess(fen).move(fromUciMove(result.bestMove)).san : null;
+    res.json({ fen, ...result, bestMoveSan });
+  } catch (e) {
+    res.status(503).json({ error: 'Engine unavailable' });
+  }
+});
+
 router.get('/leaderboard', (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-  res.json(db.getLeaderboard(limit));
+  const sortBy = req.query.sort === 'rating' ? 'rating' : 'points';
+  const includeBots = req.query.bots === '1';
+  const players = db.getLeaderboard(limit, sortBy, includeBots).map(p => ({
+    ...p,
+    provisional: isProvisional(p.rated_games)
+  }));
+  res.json(players);
+});
+
+function profileOf(player) {
+  return {
+    playerId: player.id,
+    displayName: player.display_name,
+    rating: player.rating,
+    provisional: isProvisional(player.rated_games),
+    wins: player.wins,
+    losses: player.losses,
+    draws: player.draws,
+    score: player.score
+  };
+}
+
+// Look up the profile behind the browser's player token
+router.post('/players/me', (req, res) => {
+  const player = identity.findPlayerByToken(req.body.playerToken);
+  if (!player) return res.status(404).json({ error: 'Unknown player token' });
+  res.json({ ...profileOf(player), recoveryCode: identity.toRecoveryCode(req.body.playerToken) });
+});
+
+// Carry an identity over to a new browser
+router.post('/players/recover', (req, res) => {
+  const token = identity.parseRecoveryCode(req.body.recoveryCode);
+  const player = token ? identity.findPlayerByToken(token) : null;
+  if (!player) return res.status(404).json({ error: 'Recovery code not recognised' });
+  res.json({ ...profileOf(player), playerToken: token });
+});
+
+router.get('/players/:playerId/rating-history', (req, res) => {
+  const player = db.getPlayer(req.params.playerId);
+  if (!player) return res.status(404).json({ error: 'Player not found' });
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  res.json({
+    id: player.id,
+    displayName: player.display_name,
+    rating: player.rating,
+    provisional: isProvisional(player.rated_games),
+    history: db.getRatingHistory(player.id, limit)
+  });
+});
+
+// Every completed game of a player as one multi-game PGN file
+router.get('/players/:playerId/games.pgn', (req, res) => {
+  const player = db.getPlayer(req.params.playerId);
+  if (!player) return res.status(404).json({ error: 'Player not found' });
+  const site = siteOf(req);
+  const pgn = db.getPlayerGames(player.id).map(g => buildGamePgn(g, { site })).join('\n');
+  sendPgn(res, `seal-chess-${player.display_name.replace(/\s+/g, '_')}.pgn`, pgn);
+});
+
+// === TOURNAMENTS ===
+router.get('/tournaments', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  res.json(tournament.listTournaments(limit));
+});
+
+router.post('/tournaments', (req, res) => {
+  const name = sanitizeName(req.body.name);
+  if (!name) return res.status(400).json({ error: 'Valid tournament name required (letters, numbers, max 30 chars)' });
+  const organizerName = sanitizeName(req.body.playerName);
+  if (!organizerName) {
+    return res.status(400).json({ error: 'Valid player name required (letters, numbers, max 30 chars)' });
+  }
+  const format = req.body.format || 'swiss';
+  if (!tournament.FORMATS.includes(format)) return res.status(400).json({ error: 'Format must be swiss or round_robin' });
+  const rounds = Number(req.body.rounds);
+  if (format === 'swiss' && !(Number.isInteger(rounds) && rounds >= 1 && rounds <= tournament.MAX_SWISS_ROUNDS)) {
+    return res.status(400).json({ error: `A Swiss tournament needs 1-${tournament.MAX_SWISS_ROUNDS} rounds` });
+  }
+  const timeControl = req.body.timeControl ? parseTimeControl(req.body.timeControl) : null;
+  if (req.body.timeControl && !timeControl) {
+    return res.status(400).json({ error: 'Invalid time control (use minutes+increment, e.g. 10+0)' });
+  }
+  const variant = parseVariant(req.body.variant);
+  if (!variant) return res.status(400).json({ error: 'Unknown variant (use standard, chess960 or crazyhouse)' });
+
+  try {
+    res.json(tournament.createTournament({
+      name, format, rounds, timeControl, variant, organizerName,
+      playerToken: req.body.playerToken,
+      join: req.body.join !== false
+    }));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to create tournament' });
+  }
+});
+
+router.get('/tournaments/:tournamentId', (req, res) => {
+  const view = tournament.getTournament(req.params.tournamentId);
+  if (!view) return res.status(404).json({ error: 'Tournament not found' });
+  res.json(view);
+});
+
+router.post('/tournaments/:tournamentId/join', (req, res) => {
+  const playerName = sanitizeName(req.body.playerName);
+  if (!playerName) {
+    return res.status(400).json({ error: 'Valid player name required (letters, numbers, max 30 chars)' });
+  }
+  const result = tournament.joinTournament(req.params.tournamentId, playerName, req.body.playerToken);
+  if (result.error) return res.status(result.error === 'Tournament not found' ? 404 : 400).json(result);
+  res.json(result);
+});
+
+router.post('/tournaments/:tournamentId/start', (req, res) => {
+  try {
+    const result = tournament.startTournament(req.params.tournamentId, req.body.playerToken);
+    if (result.error) return res.status(result.error === 'Tournament not found' ? 404 : 400).json(result);
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to start tournament' });
+  }
+});
+
+// A session for the caller's game in the current round
+router.post('/tournaments/:tournamentId/play', async (req, res) => {
+  try {
+    const result = await tournament.playerGame(req.params.tournamentId, req.body.playerToken);
+    if (result.error) return res.status(result.error === 'Tournament not found' ? 404 : 400).json(result);
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to find your game' });
+  }
 });
 
 router.get('/recent-games', (req, res) => {
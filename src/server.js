@@ -4,14 +4,18 @@ const { Server } = require('socket.io');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const apiRoutes = require('./routes/api');
-const { setupSocketHandlers } = require('./game/socket-handler');
+const { setupSocketHandlers, resumeActiveGames, stopTakeovers } = require('./game/socket-handler');
+const { resumePendingAnalyses, stopAnalyses } = require('./game/analysis');
+const cluster = require('./cluster');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: { origin: false },
   pingTimeout: 30000,
-  pingInterval: 10000
+  pingInterval: 10000,
+  // Rooms reach sockets on every instance sharing the cluster store
+  adapter: cluster.socketAdapter()
 });
 
 // Trust Cloudflare / reverse-proxy headers
@@ -24,7 +28,7 @@ app.use(express.static(path.join(__dirname, '..', 'public')));
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 60 * 1000,
-  max: 60,
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 60,
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Too many requests, please slow down.' }
@@ -48,16 +52,38 @@ app.get('/leaderboard', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'leaderboard.html'));
 });
 
+app.get('/replay/:gameId', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'replay.html'));
+});
+
+app.get(['/tournaments', '/tournament/:tournamentId'], (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'tournament.html'));
+});
+
 // Socket.IO handlers
 setupSocketHandlers(io);
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Seal Chess server running on http://localhost:${PORT}`);
+  resumeActiveGames(io).catch(e => console.error('Resuming games failed:', e.message));
+  resumePendingAnalyses();
 });
 
 process.on('SIGTERM', () => {
-  const db = require('./db');
-  db.close();
+  stopAnalyses();
+  stopTakeovers();
+  require('./game/game-manager').stopHeartbeat();
   server.close();
+  io.of('/').adapter.close();
+  // Games in progress are picked up again on the next start, or by another
+  // instance once their leases are released, so there's no need to wait
+  // for their clocks and disconnect timers
+  cluster.close()
+    .catch(e => console.error('Releasing leases failed:', e.message))
+    .then(() => {
+      require('./db').close();
+      return require('./game/uci').closePool();
+    })
+    .finally(() => process.exit(0));
 });
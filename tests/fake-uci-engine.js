@@ -0,0 +1,87 @@
+/**
+ * Scripted UCI engine for the test suite. Speaks just enough UCI for the
+ * server's client: it plays the first legal move (in UCI notation order)
+ * and scores positions by material, after the best capture if there is one.
+ * With --stall it ignores "go" until it is told to "stop".
+ */
+const readline = require('readline');
+const { Chess } = require('chess.js');
+
+const VALUES = { p: 100, n: 300, b: 300, r: 500, q: 900, k: 0 };
+const stall = process.argv.includes('--stall');
+
+let chess = new Chess();
+let pending = null;
+
+function send(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+function material() {
+  let score = 0;
+  for (const row of chess.board()) {
+    for (const sq of row) {
+      if (sq) score += (sq.color === chess.turn() ? 1 : -1) * VALUES[sq.type];
+    }
+  }
+  return score;
+}
+
+// One ply deep: material now, or after the capture that wins the most
+function score() {
+  let best = material();
+  for (const move of chess.moves({ verbose: true }).filter(m => m.captured)) {
+    chess.move(move);
+    best = Math.max(best, -material());
+    chess.undo();
+  }
+  return best;
+}
+
+function bestMove() {
+  const moves = chess.moves({ verbose: true }).map(m => m.lan).sort();
+  if (moves.length === 0) {
+    send(`info depth 0 score ${chess.isCheckmate() ? 'mate 0' : 'cp 0'}`);
+    send('bestmove (none)');
+    return;
+  }
+  send('info depth 1 currmove ' + moves[0] + ' currmovenumber 1');
+  send(`info depth 1 seldepth 1 multipv 1 score cp ${score()} nodes ${moves.length} nps 1000 time 1 pv ${moves[0]}`);
+  send(`bestmove ${moves[0]}${moves[1] ? ` ponder ${moves[1]}` : ''}`);
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const [command, ...args] = line.trim().split(/\s+/);
+  switch (command) {
+    case 'uci':
+      send('id name Fake Engine');
+      send('id author Seal Chess tests');
+      send('option name Hash type spin default 16 min 1 max 64');
+      send('uciok');
+      break;
+    case 'isready':
+      send('readyok');
+      break;
+    case 'position': {
+      const movesAt = args.indexOf('moves');
+      const fenArgs = movesAt === -1 ? args.slice(1) : args.slice(1, movesAt);
+      chess = new Chess(args[0] === 'startpos' ? undefined : fenArgs.join(' '));
+      if (movesAt !== -1) {
+        for (const move of args.slice(movesAt + 1)) {
+          chess.move({ from: move.slice(0, 2), to: move.slice(2, 4), promotion: move[4] });
+        }
+      }
+      break;
+    }
+    case 'go':
+      if (stall) pending = bestMove;
+      else bestMove();
+      break;
+    case 'stop':
+      if (pending) pending();
+      pending = null;
+      break;
+    case 'quit':
+      process.exit(0);
+  }
+});
@@ -8,6 +8,7 @@ const http = require('http');
 const { promisify } = require('util');
 
 const BASE = 'http://localhost:3099';
+const FAKE_ENGINE = require('path').join(__dirname, 'fake-uci-engine.js');
 let serverProcess = null;
 let passed = 0;
 let failed = 0;
@@ -38,9 +39,9 @@ function fetch(url, options = {}) {
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
         try {
-          resolve({ status: res.statusCode, json: () => JSON.parse(data), text: () => data });
+          resolve({ status: res.statusCode, headers: res.headers, json: () => JSON.parse(data), text: () => data });
         } catch (e) {
-          resolve({ status: res.statusCode, json: () => ({}), text: () => data });
+          resolve({ status: res.statusCode, headers: res.headers, json: () => ({}), text: () => data });
         }
       });
     });
@@ -63,9 +64,57 @@ async function sleep(ms) {
   return new Promise(r => setTimeout(r, ms));
 }
 
+// Resolve with the next `event` payload on a socket, or null after the timeout
+function nextEvent(socket, event, timeoutMs = 5000) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+// The game-state a spectator gets on watching a game, or null
+async function watchState(gameId) {
+  const { io } = require('socket.io-client');
+  const watcher = io(BASE, { transports: ['websocket'], reconnection: false });
+  const state = nextEvent(watcher, 'game-state');
+  watcher.emit('watch-game', { gameId });
+  const result = await state;
+  watcher.disconnect();
+  return result;
+}
+
+// Connect both players to a game and have one of them resign; resolves with the game-over payload
+function finishByResignation(gameId, whiteSession, blackSession, resigningColor) {
+  const { io } = require('socket.io-client');
+  return new Promise((resolve) => {
+    const white = io(BASE, { transports: ['websocket'] });
+    const black = io(BASE, { transports: ['websocket'] });
+    const resigner = resigningColor === 'white' ? white : black;
+    let joined = 0;
+    let done = false;
+
+    function finish(data) {
+      if (done) return;
+      done = true;
+      white.disconnect();
+      black.disconnect();
+      resolve(data);
+    }
+
+    white.on('connect', () => white.emit('join-game', { gameId, sessionToken: whiteSession }));
+    black.on('connect', () => black.emit('join-game', { gameId, sessionToken: blackSession }));
+    white.on('game-state', () => { if (++joined === 2) resigner.emit('resign'); });
+    black.on('game-state', () => { if (++joined === 2) resigner.emit('resign'); });
+    white.on('game-over', finish);
+    setTimeout(() => finish(null), 5000);
+  });
+}
+
 async function startServer() {
   const path = require('path');
-  const { spawn } = require('child_process');
 
   // Clean up old test DB
   const fs = require('fs');
@@ -74,27 +123,89 @@ async function startServer() {
   try { fs.unlinkSync(dbPath + '-shm'); } catch (e) {}
   try { fs.unlinkSync(dbPath + '-wal'); } catch (e) {}
 
-  return new Promise((resolve, reject) => {
-    const env = { ...process.env, PORT: '3099' };
-    serverProcess = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'server.js')], {
-      env,
+  return launchServer();
+}
+
+// Start a server process on the test database; `env` overrides the defaults.
+// Resolves with the process once it listens.
+function spawnServer(env = {}) {
+  const path = require('path');
+  const { spawn } = require('child_process');
+
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'server.js')], {
+      env: {
+        ...process.env,
+        PORT: '3099',
+        // The suite makes more API calls per minute than the production limit allows,
+        // and plays the UCI bot and evaluations against a scripted fake engine
+        RATE_LIMIT_MAX: '1000',
+        UCI_ENGINE_PATH: process.execPath,
+        UCI_ENGINE_ARGS: FAKE_ENGINE,
+        UCI_MOVETIME_MS: '50',
+        UCI_POOL_SIZE: '1',
+        ...env
+      },
       stdio: ['ignore', 'pipe', 'pipe']
     });
 
-    serverProcess.stdout.on('data', (data) => {
+    child.stdout.on('data', (data) => {
       if (data.toString().includes('running on')) {
-        resolve();
+        resolve(child);
       }
     });
 
-    serverProcess.stderr.on('data', (data) => {
+    child.stderr.on('data', (data) => {
       console.error('Server error:', data.toString());
     });
 
-    setTimeout(() => resolve(), 3000);
+    setTimeout(() => resolve(child), 3000);
   });
 }
 
+async function launchServer() {
+  serverProcess = await spawnServer();
+}
+
+// Stop a server process the way a deploy would, and wait until it has exited
+function stopServer(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  child.kill('SIGTERM');
+  return exited;
+}
+
+// Kill the server the way a crash would (no shutdown handlers run), wait,
+// and start it again on the same database. `whileDown` may edit the database.
+async function crashAndRestartServer(downtimeMs, whileDown = null) {
+  const exited = new Promise(resolve => serverProcess.once('exit', resolve));
+  serverProcess.kill('SIGKILL');
+  await exited;
+  if (whileDown) whileDown();
+  await sleep(downtimeMs);
+  await launchServer();
+}
+
+// Seat both players over sockets and play [from, to, promotion] moves in turn,
+// then leave the game running
+async function playMoves(gameId, whiteSession, blackSession, moves) {
+  const { io } = require('socket.io-client');
+  const white = io(BASE, { transports: ['websocket'], reconnection: false });
+  const black = io(BASE, { transports: ['websocket'], reconnection: false });
+  const states = Promise.all([nextEvent(white, 'game-state'), nextEvent(black, 'game-state')]);
+  white.emit('join-game', { gameId, sessionToken: whiteSession });
+  black.emit('join-game', { gameId, sessionToken: blackSession });
+  const [state] = await states;
+  let turn = state.turn;
+  for (const [from, to, promotion] of moves) {
+    const made = nextEvent(white, 'move-made');
+    (turn === 'white' ? white : black).emit('make-move', { from, to, promotion });
+    turn = (await made).turn;
+  }
+  white.disconnect();
+  black.disconnect();
+}
+
 async function testGameCreation() {
   console.log('\n--- Game Creation Tests ---');
 
@@ -104,6 +215,7 @@ async function testGameCreation() {
   assert(res.status === 200, 'Create game returns 200');
   assert(data.gameId && data.gameId.length > 0, 'Game ID is generated');
   assert(data.playerId && data.playerId.length > 0, 'Player ID is generated');
+  assert(data.sessionToken && data.sessionToken !== data.playerId, 'Secret session token is issued');
   assert(data.color === 'white', 'Creator is assigned white');
 
   // Empty name
@@ -128,6 +240,7 @@ async function testGameJoining(game1) {
   assert(res.status === 200, 'Join game returns 200');
   assert(data.color === 'black', 'Joiner is assigned black');
   assert(data.playerId && data.playerId.length > 0, 'Joiner gets player ID');
+  assert(data.sessionToken && data.sessionToken.length > 0, 'Joiner gets session token');
 
   // Double join
   const res2 = await post(`${BASE}/api/games/${game1.gameId}/join`, { playerName: 'Charlie' });
@@ -155,7 +268,7 @@ async function testGameInfo(gameId) {
   assert(res2.status === 404, 'Nonexistent game returns 404');
 }
 
-async function testSocketMultiplayer(gameId, player1Id, player2Id) {
+async function testSocketMultiplayer(gameId, player1Session, player2Session) {
   console.log('\n--- Socket.IO Multiplayer Tests ---');
 
   // Use socket.io-client from the installed deps
@@ -169,11 +282,11 @@ async function testSocketMultiplayer(gameId, player1Id, player2Id) {
     let moveMadeCount = 0;
 
     socket1.on('connect', () => {
-      socket1.emit('join-game', { gameId, playerId: player1Id });
+      socket1.emit('join-game', { gameId, sessionToken: player1Session });
     });
 
     socket2.on('connect', () => {
-      socket2.emit('join-game', { gameId, playerId: player2Id });
+      socket2.emit('join-game', { gameId, sessionToken: player2Session });
     });
 
     socket1.on('game-state', (state) => {
@@ -236,6 +349,8 @@ async function testSocketMultiplayer(gameId, player1Id, player2Id) {
         assert(data.type === 'resignation', 'Game over by resignation');
         assert(data.winner === 'white', 'White wins on black resignation');
         assert(data.result === 'white_wins', 'Result is white_wins');
+        assert(data.ratingChanges && data.ratingChanges.white.change === 20, 'Game over reports white rating gain');
+        assert(data.ratingChanges && data.ratingChanges.black.change === -20, 'Game over reports black rating loss');
 
         // Cleanup
         socket1.disconnect();
@@ -302,6 +417,332 @@ async function testScoring() {
   }
 }
 
+async function testRatings() {
+  console.log('\n--- Rating Tests ---');
+
+  const res = await fetch(`${BASE}/api/leaderboard?sort=rating`);
+  const lb = res.json();
+  const alice = lb.find(p => p.display_name === 'Alice');
+  const bob = lb.find(p => p.display_name === 'Bob');
+
+  assert(alice && alice.rating === 1520, 'Winner rating rises from 1500 to 1520');
+  assert(bob && bob.rating === 1480, 'Loser rating falls from 1500 to 1480');
+  assert(alice && alice.provisional === true, 'Rating is provisional after one game');
+  assert(lb[0].display_name === 'Alice', 'Sorting by rating puts highest rating first');
+  assert(lb.every((p, i) => i === 0 || lb[i - 1].rating >= p.rating), 'Leaderboard ordered by rating');
+
+  if (alice) {
+    const histRes = await fetch(`${BASE}/api/players/${alice.id}/rating-history`);
+    const hist = histRes.json();
+    assert(histRes.status === 200, 'Rating history returns 200');
+    assert(hist.history.length === 1, 'One rating change recorded');
+    assert(hist.history[0].rating_before === 1500 && hist.history[0].rating_after === 1520,
+      'Rating change stores before and after');
+  }
+
+  const missing = await fetch(`${BASE}/api/players/nobody/rating-history`);
+  assert(missing.status === 404, 'Unknown player rating history returns 404');
+}
+
+async function testPgnExport(gameId) {
+  console.log('\n--- PGN Export Tests ---');
+
+  const res = await fetch(`${BASE}/api/games/${gameId}/pgn`);
+  const pgn = res.text();
+  assert(res.status === 200, 'PGN export returns 200');
+  assert(/application\/x-chess-pgn/.test(res.headers['content-type']), 'PGN served as application/x-chess-pgn');
+  assert(/attachment/.test(res.headers['content-disposition']), 'PGN served as a download');
+  for (const tag of ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result']) {
+    assert(new RegExp(`^\\[${tag} ".*"\\]$`, 'm').test(pgn), `PGN has ${tag} tag`);
+  }
+  assert(pgn.includes('[White "Alice"]') && pgn.includes('[Black "Bob"]'), 'PGN names both players');
+  assert(pgn.includes('[Result "1-0"]'), 'PGN result tag is 1-0');
+  assert(/\[Date "\d{4}\.\d{2}\.\d{2}"\]/.test(pgn), 'PGN date uses YYYY.MM.DD');
+  assert(pgn.includes('[WhiteElo "1500"]') && pgn.includes('[BlackElo "1500"]'), 'PGN records pre-game ratings');
+  assert(pgn.includes('[TimeControl "-"]'), 'Untimed game has TimeControl "-"');
+  assert(pgn.includes('[Termination "Normal"]'), 'Resignation is a normal termination');
+  assert(pgn.includes('1. e4 e5 {White wins by resignation.} 1-0'), 'Movetext ends with comment and result');
+
+  const missing = await fetch(`${BASE}/api/games/nonexistent/pgn`);
+  assert(missing.status === 404, 'PGN for unknown game returns 404');
+
+  const lb = (await fetch(`${BASE}/api/leaderboard`)).json();
+  const alice = lb.find(p => p.display_name === 'Alice');
+  const bulk = await fetch(`${BASE}/api/players/${alice.id}/games.pgn`);
+  const games = bulk.text().split(/\n(?=\[Event )/);
+  assert(bulk.status === 200, 'Player PGN export returns 200');
+  assert(games.length === 1 && games[0].includes('[White "Alice"]'), 'Player PGN contains their completed games');
+  const noPlayer = await fetch(`${BASE}/api/players/nobody/games.pgn`);
+  assert(noPlayer.status === 404, 'PGN for unknown player returns 404');
+}
+
+async function testCustomStart() {
+  console.log('\n--- Custom Start Position Tests ---');
+
+  const badFen = await post(`${BASE}/api/games`, { playerName: 'Coach', fen: 'not a fen' });
+  assert(badFen.status === 400, 'Invalid FEN returns 400');
+  const checkedFen = await post(`${BASE}/api/games`, { playerName: 'Coach', fen: '4k3/8/8/8/8/8/8/4R2K w - - 0 1' });
+  assert(checkedFen.status === 400, 'FEN with the side not to move in check returns 400');
+  const mated = await post(`${BASE}/api/games`, { playerName: 'Coach', pgn: '1. f3 e5 2. g4 Qh4#' });
+  assert(mated.status === 400, 'PGN ending in checkmate returns 400');
+  const badPgn = await post(`${BASE}/api/games`, { playerName: 'Coach', pgn: '1. e4 e5 2. Ke3' });
+  assert(badPgn.status === 400, 'PGN with an illegal move returns 400');
+  const both = await post(`${BASE}/api/games`, { playerName: 'Coach', fen: '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1', pgn: '1. e4' });
+  assert(both.status === 400, 'Giving both FEN and PGN returns 400');
+
+  // Endgame drill with Black to move
+  const fen = '4k3/8/8/8/8/8/4P3/4K3 b - - 0 40';
+  const res = await post(`${BASE}/api/games`, { playerName: 'Coach', fen });
+  const game = res.json();
+  assert(res.status === 200 && game.fen === fen, 'Game created from FEN');
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Pupil' })).json();
+
+  const info = (await fetch(`${BASE}/api/games/${game.gameId}`)).json();
+  assert(info.initialFen === fen, 'Starting position is persisted');
+
+  const { io } = require('socket.io-client');
+  await new Promise((resolve) => {
+    const white = io(BASE, { transports: ['websocket'] });
+    const black = io(BASE, { transports: ['websocket'] });
+    let joined = 0;
+
+    function done() {
+      white.disconnect();
+      black.disconnect();
+      resolve();
+    }
+
+    white.on('connect', () => white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken }));
+    black.on('connect', () => black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken }));
+    white.on('game-state', (state) => {
+      assert(state.fen === fen, 'Game state starts from the custom position');
+      assert(state.turn === 'black', 'Side to move in the FEN moves first');
+      if (++joined === 2) white.emit('make-move', { from: 'e1', to: 'd2' });
+    });
+    black.on('game-state', () => { if (++joined === 2) white.emit('make-move', { from: 'e1', to: 'd2' }); });
+    white.on('move-rejected', (data) => {
+      assert(data.error === 'Not your turn', 'White cannot move first when Black is to move');
+      black.emit('make-move', { from: 'e8', to: 'd7' });
+    });
+    white.on('move-made', (data) => {
+      assert(data.san === 'Kd7' && data.turn === 'white', 'Black makes the first move');
+      done();
+    });
+    setTimeout(done, 5000);
+  });
+
+  const reconnect = (await post(`${BASE}/api/games/${game.gameId}/reconnect`, { sessionToken: joiner.sessionToken })).json();
+  assert(reconnect.reconnected === true && reconnect.color === 'black', 'Reconnect works for a custom-position game');
+
+  const pgn = (await fetch(`${BASE}/api/games/${game.gameId}/pgn`)).text();
+  assert(pgn.includes('[SetUp "1"]') && pgn.includes(`[FEN "${fen}"]`), 'PGN export has SetUp and FEN tags');
+  assert(pgn.includes('40... Kd7 *'), 'PGN numbers moves from the starting position');
+
+  // Continue an adjourned game from a PGN
+  const adjourned = await post(`${BASE}/api/games`, { playerName: 'Coach', pgn: '[Event "Club"]\n\n1. e4 e5 2. Nf3 *' });
+  const cont = adjourned.json();
+  assert(adjourned.status === 200, 'Game created from PGN');
+  assert(cont.fen === 'rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2', 'PGN game continues from its final position');
+  const contPgn = (await fetch(`${BASE}/api/games/${cont.gameId}/pgn`)).text();
+  assert(contPgn.includes('1. e4 e5 2. Nf3 *') && !contPgn.includes('[SetUp'), 'PGN export keeps the imported moves');
+}
+
+async function testChess960() {
+  console.log('\n--- Chess960 Tests ---');
+
+  const badVariant = await post(`${BASE}/api/games`, { playerName: 'Fischer', variant: 'atomic' });
+  assert(badVariant.status === 400, 'Unknown variant returns 400');
+  const badNumber = await post(`${BASE}/api/games`, { playerName: 'Fischer', variant: 'chess960', position: 960 });
+  assert(badNumber.status === 400, 'Position number out of range returns 400');
+  const withFen = await post(`${BASE}/api/games`, { playerName: 'Fischer', variant: 'chess960', fen: '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1' });
+  assert(withFen.status === 400, 'Chess960 with a custom FEN returns 400');
+
+  const random = (await post(`${BASE}/api/games`, { playerName: 'Fischer', variant: 'chess960' })).json();
+  assert(random.variant === 'chess960' && random.variantPosition >= 0 && random.variantPosition < 960,
+    'Chess960 game gets a random start position');
+
+  // Position 96 is BBQNRNKR: with the f1 knight gone White can castle
+  const fen = 'bbqnrnkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNRNKR w KQkq - 0 1';
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Fischer', variant: 'chess960', position: 96 })).json();
+  assert(game.fen === fen, 'Explicit position number sets up that position');
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Bronstein' })).json();
+  assert(joiner.variant === 'chess960', 'Joiner sees the variant');
+  const info = (await fetch(`${BASE}/api/games/${game.gameId}`)).json();
+  assert(info.variant === 'chess960' && info.variantPosition === 96 && info.initialFen === fen,
+    'Variant and start position are persisted');
+
+  const { io } = require('socket.io-client');
+  await new Promise((resolve) => {
+    const white = io(BASE, { transports: ['websocket'] });
+    const black = io(BASE, { transports: ['websocket'] });
+    let joined = 0;
+
+    function done() {
+      white.disconnect();
+      black.disconnect();
+      resolve();
+    }
+
+    function start() {
+      if (++joined === 2) white.emit('make-move', { from: 'f1', to: 'g3' });
+    }
+
+    white.on('connect', () => white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken }));
+    black.on('connect', () => black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken }));
+    white.on('game-state', (state) => {
+      assert(state.variant === 'chess960', 'Game state reports the variant');
+      start();
+    });
+    black.on('game-state', start);
+    black.on('move-made', (data) => {
+      if (data.san === 'Ng3') black.emit('make-move', { from: 'f8', to: 'g6' });
+    });
+    white.on('move-made', (data) => {
+      if (data.san === 'Ng6') {
+        assert(data.legalMoves.g1 && data.legalMoves.g1.includes('h1'), 'King-onto-rook castling is a legal move');
+        white.emit('make-move', { from: 'g1', to: 'h1' });
+      } else if (data.san === 'O-O') {
+        assert(data.fen.split(' ')[0].endsWith('BBQNRRK1'), 'Castling puts the rook on f1 and the king on g1');
+        assert(data.fen.split(' ')[2] === 'kq', 'White loses its castling rights');
+        done();
+      }
+    });
+    white.on('move-rejected', (data) => {
+      assert(false, `Chess960 move rejected: ${data.error}`);
+      done();
+    });
+    setTimeout(done, 5000);
+  });
+
+  const pgn = (await fetch(`${BASE}/api/games/${game.gameId}/pgn`)).text();
+  assert(pgn.includes('[Variant "Chess960"]'), 'PGN has Variant tag');
+  assert(pgn.includes('[SetUp "1"]') && pgn.includes(`[FEN "${fen}"]`), 'PGN has the Chess960 start position');
+  assert(pgn.includes('1. Ng3 Ng6 2. O-O *'), 'PGN records Chess960 castling');
+  const castled = await watchState(game.gameId);
+  assert(castled && castled.pgn.includes(`[FEN "${fen}"]`) && castled.pgn.endsWith('1. Ng3 Ng6 2. O-O *'),
+    'The live PGN keeps the moves played before a castle');
+
+  // Matchmaking only pairs players asking for the same variant
+  await new Promise((resolve) => {
+    const a = io(BASE, { transports: ['websocket'] });
+    const b = io(BASE, { transports: ['websocket'] });
+    const c = io(BASE, { transports: ['websocket'] });
+    let found = 0;
+
+    function done() {
+      [a, b, c].forEach(s => s.disconnect());
+      resolve();
+    }
+
+    b.on('match-found', () => assert(false, 'Standard player is not paired with a Chess960 player'));
+    a.on('match-found', async (data) => {
+      const matched = (await fetch(`${BASE}/api/games/${data.gameId}`)).json();
+      assert(matched.variant === 'chess960', 'Matched game uses the queued variant');
+      if (++found === 2) done();
+    });
+    c.on('match-found', () => { if (++found === 2) done(); });
+
+    a.emit('join-queue', { playerName: 'Queue960A', variant: 'chess960' });
+    a.once('queue-joined', () => b.emit('join-queue', { playerName: 'QueueStd', variant: 'standard' }));
+    b.once('queue-joined', () => c.emit('join-queue', { playerName: 'Queue960B', variant: 'chess960' }));
+    setTimeout(done, 5000);
+  });
+}
+
+async function testCrazyhouse() {
+  console.log('\n--- Crazyhouse Tests ---');
+
+  const withFen = await post(`${BASE}/api/games`, { playerName: 'Zh', variant: 'crazyhouse', fen: '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1' });
+  assert(withFen.status === 400, 'Crazyhouse with a custom FEN returns 400');
+
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Zh', variant: 'crazyhouse' })).json();
+  assert(game.variant === 'crazyhouse', 'Crazyhouse game is created');
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'House' })).json();
+
+  const { io } = require('socket.io-client');
+  await new Promise((resolve) => {
+    const white = io(BASE, { transports: ['websocket'] });
+    const black = io(BASE, { transports: ['websocket'] });
+    let joined = 0;
+
+    function done() {
+      white.disconnect();
+      black.disconnect();
+      resolve();
+    }
+
+    function start() {
+      if (++joined === 2) white.emit('make-move', { from: 'e2', to: 'e4' });
+    }
+
+    white.on('connect', () => white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken }));
+    black.on('connect', () => black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken }));
+    white.on('game-state', (state) => {
+      assert(state.pockets && state.pockets.white.p === 0, 'Game state reports empty pockets');
+      start();
+    });
+    black.on('game-state', start);
+    black.on('move-made', (data) => {
+      if (data.san === 'e4') black.emit('make-move', { from: 'd7', to: 'd5' });
+      else if (data.san === 'exd5') {
+        assert(data.pockets.white.p === 1, 'Captured pawn goes to the capturer\'s pocket');
+        black.emit('make-move', { from: 'd8', to: 'd5' });
+      }
+    });
+    white.on('move-made', (data) => {
+      if (data.san === 'd5') white.emit('make-move', { from: 'e4', to: 'd5' });
+      else if (data.san === 'Qxd5') {
+        assert(data.legalDrops.p && !data.legalDrops.p.includes('d8'), 'Pawns cannot be dropped on the last rank');
+        white.emit('drop-piece', { piece: 'p', square: 'd8' });
+      } else if (data.san === 'P@e4') {
+        assert(data.from === null && data.drop === 'p' && data.to === 'e4', 'Drop is broadcast with its piece and square');
+        assert(data.pockets.white.p === 0 && data.pockets.black.p === 1, 'Dropping empties the pocket');
+        assert(data.fen.split(' ')[0].endsWith('[p]'), 'FEN carries the pockets');
+        done();
+      }
+    });
+    white.on('move-rejected', () => {
+      assert(true, 'Pawn drop on the last rank is rejected');
+      white.emit('drop-piece', { piece: 'p', square: 'e4' });
+    });
+    black.on('move-rejected', (data) => {
+      assert(false, `Crazyhouse move rejected: ${data.error}`);
+      done();
+    });
+    setTimeout(done, 5000);
+  });
+
+  const pgn = (await fetch(`${BASE}/api/games/${game.gameId}/pgn`)).text();
+  assert(pgn.includes('[Variant "Crazyhouse"]'), 'PGN has Crazyhouse Variant tag');
+  assert(pgn.includes('1. e4 d5 2. exd5 Qxd5 3. P@e4 *'), 'PGN records the drop in P@e4 notation');
+  const dropped = await watchState(game.gameId);
+  assert(dropped && dropped.pgn.endsWith('1. e4 d5 2. exd5 Qxd5 3. P@e4 *'), 'The live PGN keeps the moves played before a drop');
+
+  // Drops are only for Crazyhouse games
+  const standard = (await post(`${BASE}/api/games`, { playerName: 'Plain' })).json();
+  await post(`${BASE}/api/games/${standard.gameId}/join`, { playerName: 'Dropper' });
+  await new Promise((resolve) => {
+    const white = io(BASE, { transports: ['websocket'] });
+
+    function done() {
+      white.disconnect();
+      resolve();
+    }
+
+    white.on('connect', () => white.emit('join-game', { gameId: standard.gameId, sessionToken: standard.sessionToken }));
+    white.once('game-state', () => white.emit('drop-piece', { piece: 'p', square: 'e4' }));
+    white.on('move-made', () => {
+      assert(false, 'Drop is played in a standard game');
+      done();
+    });
+    white.on('move-rejected', (data) => {
+      assert(/Crazyhouse/.test(data.error), 'Drops are rejected outside Crazyhouse');
+      done();
+    });
+    setTimeout(done, 5000);
+  });
+}
+
 async function testStats() {
   console.log('\n--- Stats Tests ---');
 
@@ -325,19 +766,1345 @@ async function testRecentGames() {
   }
 }
 
-async function testReconnect(gameId, playerId) {
+async function testReconnect(gameId, sessionToken) {
   console.log('\n--- Reconnect Tests ---');
 
-  const res = await post(`${BASE}/api/games/${gameId}/reconnect`, { playerId });
+  const res = await post(`${BASE}/api/games/${gameId}/reconnect`, { sessionToken });
   const data = res.json();
   assert(data.completed === true || data.reconnected === true || data.gameId === gameId,
     'Reconnect returns game info');
 
   // Invalid reconnect
-  const res2 = await post(`${BASE}/api/games/${gameId}/reconnect`, { playerId: 'fake-id' });
+  const res2 = await post(`${BASE}/api/games/${gameId}/reconnect`, { sessionToken: 'fake-token' });
   assert(res2.status === 400, 'Invalid reconnect returns 400');
 }
 
+async function testSessionSecurity() {
+  console.log('\n--- Session Token Security Tests ---');
+
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Wes' })).json();
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Bea' })).json();
+
+  // Tokens are hashed at rest
+  const Database = require('better-sqlite3');
+  const crypto = require('crypto');
+  const path = require('path');
+  const dbc = new Database(path.join(__dirname, '..', 'data', 'chess.db'), { readonly: true });
+  const row = dbc.prepare('SELECT white_session_hash FROM games WHERE id = ?').get(game.gameId);
+  dbc.close();
+  assert(row.white_session_hash !== game.sessionToken, 'Session token is not stored in plain text');
+  assert(row.white_session_hash === crypto.createHash('sha256').update(game.sessionToken).digest('hex'),
+    'Session token is stored as a SHA-256 hash');
+
+  // Public IDs are not credentials
+  const recon = await post(`${BASE}/api/games/${game.gameId}/reconnect`, { playerId: game.playerId });
+  assert(recon.status === 400, 'Reconnect with public player ID is refused');
+  const recon2 = await post(`${BASE}/api/games/${game.gameId}/reconnect`, { sessionToken: game.playerId });
+  assert(recon2.status === 400, 'Public player ID is not accepted as a session token');
+  const recon3 = (await post(`${BASE}/api/games/${game.gameId}/reconnect`, { sessionToken: joiner.sessionToken })).json();
+  assert(recon3.color === 'black' && recon3.playerId === joiner.playerId, 'Reconnect with session token finds the seat');
+
+  const { io } = require('socket.io-client');
+
+  return new Promise((resolve) => {
+    const white = io(BASE, { transports: ['websocket'] });
+    const black = io(BASE, { transports: ['websocket'] });
+    const attacker = io(BASE, { transports: ['websocket'] });
+    let statesSeen = 0;
+
+    white.on('connect', () => white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken }));
+    black.on('connect', () => black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken }));
+
+    white.on('game-state', (state) => {
+      if (statesSeen++) return;
+      assert(state.whitePlayerId === game.playerId, 'Broadcast state carries public IDs');
+      assert(!JSON.stringify(state).includes(game.sessionToken), 'Broadcast state never includes session tokens');
+
+      // Opponent (black) learns white's public ID from the state and tries to impersonate white
+      attacker.emit('join-game', { gameId: game.gameId, playerId: state.whitePlayerId });
+      attacker.emit('join-game', { gameId: game.gameId, sessionToken: state.whitePlayerId });
+      attacker.emit('make-move', { from: 'e2', to: 'e4' });
+      attacker.emit('resign');
+    });
+
+    let errors = 0;
+    attacker.on('error-msg', (data) => {
+      errors++;
+      assert(data.message === 'Not a player in this game', 'Join with opponent public ID rejected');
+      if (errors === 2) {
+        setTimeout(async () => {
+          const info = (await fetch(`${BASE}/api/games/${game.gameId}`)).json();
+          assert(info.status === 'active', 'Impersonated resignation had no effect');
+          const moves = (await fetch(`${BASE}/api/games/${game.gameId}/moves`)).json();
+          assert(moves.length === 0, 'Impersonated move had no effect');
+          white.disconnect();
+          black.disconnect();
+          attacker.disconnect();
+          resolve();
+        }, 300);
+      }
+    });
+    attacker.on('game-state', () => assert(false, 'Attacker must not receive a seat'));
+
+    setTimeout(() => {
+      white.disconnect();
+      black.disconnect();
+      attacker.disconnect();
+      resolve();
+    }, 5000);
+  });
+}
+
+async function testPlayerIdentity() {
+  console.log('\n--- Player Identity Tests ---');
+
+  const g1 = (await post(`${BASE}/api/games`, { playerName: 'Ivy' })).json();
+  assert(/^[A-Z2-7]{32}$/.test(g1.playerToken || ''), 'New player is issued a player token');
+  const j1 = (await post(`${BASE}/api/games/${g1.gameId}/join`, { playerName: 'Ian' })).json();
+  assert(j1.playerToken && j1.playerToken !== g1.playerToken, 'Joiner gets their own token');
+  await finishByResignation(g1.gameId, g1.sessionToken, j1.sessionToken, 'black');
+
+  // Same people, second game, presenting their tokens
+  const g2 = (await post(`${BASE}/api/games`, { playerName: 'Ivy', playerToken: g1.playerToken })).json();
+  assert(g2.playerId === g1.playerId, 'Known token reuses the existing player');
+  assert(g2.playerToken === g1.playerToken, 'Known token is kept');
+
+  const self = await post(`${BASE}/api/games/${g2.gameId}/join`, { playerName: 'Ivy', playerToken: g1.playerToken });
+  assert(self.status === 400, 'Cannot join your own game');
+
+  const j2 = (await post(`${BASE}/api/games/${g2.gameId}/join`, { playerName: 'Ian', playerToken: j1.playerToken })).json();
+  assert(j2.playerId === j1.playerId, 'Joiner identity reused');
+  await finishByResignation(g2.gameId, g2.sessionToken, j2.sessionToken, 'black');
+
+  const lb = (await fetch(`${BASE}/api/leaderboard?limit=100`)).json();
+  const ivys = lb.filter(p => p.display_name === 'Ivy');
+  assert(ivys.length === 1, 'One leaderboard row per identity');
+  assert(ivys[0] && ivys[0].wins === 2 && ivys[0].score === 6, 'Results accumulate on one profile');
+
+  const forged = (await post(`${BASE}/api/games`, { playerName: 'Ivy', playerToken: 'not-a-real-token' })).json();
+  assert(forged.playerId !== g1.playerId && forged.playerToken !== 'not-a-real-token',
+    'Unknown token gets a fresh identity');
+
+  // Recovery code round trip
+  const me = await post(`${BASE}/api/players/me`, { playerToken: g1.playerToken });
+  const meData = me.json();
+  assert(me.status === 200 && meData.playerId === g1.playerId, 'Profile lookup by token');
+  assert(/^([A-Z2-7]{4}-){7}[A-Z2-7]{4}$/.test(meData.recoveryCode || ''), 'Recovery code is formatted');
+
+  const rec = await post(`${BASE}/api/players/recover`, { recoveryCode: meData.recoveryCode.toLowerCase() });
+  const recData = rec.json();
+  assert(rec.status === 200 && recData.playerToken === g1.playerToken, 'Recovery code restores the token');
+  assert(recData.playerId === g1.playerId && recData.wins === 2, 'Recovered profile keeps its record');
+
+  const badRec = await post(`${BASE}/api/players/recover`, { recoveryCode: 'AAAA-BBBB' });
+  assert(badRec.status === 404, 'Bad recovery code returns 404');
+}
+
+async function testBots() {
+  console.log('\n--- Bot Tests ---');
+  const { Chess } = require('chess.js');
+  const { search, MATE } = require('../src/game/engine');
+
+  // The search runs on chess.js internals; an upgrade that drops them has to fail here
+  const probe = new Chess();
+  const missing = ['_moves', '_makeMove', '_undoMove', '_board', '_hash', '_turn', '_halfMoves']
+    .filter(name => probe[name] === undefined);
+  assert(missing.length === 0, `The chess.js internals the engine uses are there${missing.length ? ` (missing ${missing.join(', ')})` : ''}`);
+  const mate = search('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', { maxDepth: 2, timeMs: 1000 });
+  assert(mate && mate.from === 'a1' && mate.to === 'a8' && mate.score > MATE - 64, 'The engine finds a mate in one');
+
+  const badLevel = await post(`${BASE}/api/games`, { playerName: 'Learner', bot: 7 });
+  assert(badLevel.status === 400, 'Unknown bot level returns 400');
+  const badVariant = await post(`${BASE}/api/games`, { playerName: 'Learner', bot: 1, variant: 'chess960' });
+  assert(badVariant.status === 400, 'Bot with a variant returns 400');
+  const badColor = await post(`${BASE}/api/games`, { playerName: 'Learner', bot: 1, color: 'green' });
+  assert(badColor.status === 400, 'Invalid color returns 400');
+
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Learner', bot: 1, color: 'black' })).json();
+  assert(game.color === 'black' && game.bot && game.bot.color === 'white', 'Player gets the chosen color against the bot');
+  const info = (await fetch(`${BASE}/api/games/${game.gameId}`)).json();
+  assert(info.status === 'active' && info.bots.white === 1 && info.bots.black === null, 'Bot game starts at once with the bot seated');
+
+  const { io } = require('socket.io-client');
+  let gameOver = null;
+  await new Promise((resolve) => {
+    const human = io(BASE, { transports: ['websocket'] });
+    let botMoves = 0;
+
+    function done() {
+      human.disconnect();
+      resolve();
+    }
+
+    human.on('connect', () => human.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken }));
+    human.on('move-made', (data) => {
+      if (data.turn !== 'black') return;
+      botMoves++;
+      if (botMoves === 1) {
+        assert(true, 'Bot plays White\'s first move');
+        const from = Object.keys(data.legalMoves)[0];
+        human.emit('make-move', { from, to: data.legalMoves[from][0] });
+      } else {
+        assert(true, 'Bot answers the player\'s move');
+        human.emit('offer-draw');
+      }
+    });
+    human.on('draw-declined', () => {
+      assert(true, 'Bot declines draw offers');
+      human.emit('resign');
+    });
+    human.on('game-over', (data) => {
+      gameOver = data;
+      done();
+    });
+    human.on('move-rejected', (data) => {
+      assert(false, `Move rejected in bot game: ${data.error}`);
+      done();
+    });
+    setTimeout(done, 10000);
+  });
+
+  assert(gameOver && gameOver.winner === 'white', 'Resigning to the bot ends the game');
+  assert(gameOver && gameOver.ratingChanges === null, 'Bot games are unrated');
+  const moves = (await fetch(`${BASE}/api/games/${game.gameId}/moves`)).json();
+  assert(moves.length === 3 && moves[0].player_id === 'bot-1', 'Bot moves are recorded');
+
+  const pgn = (await fetch(`${BASE}/api/games/${game.gameId}/pgn`)).text();
+  assert(pgn.includes('[White "Pup (bot)"]') && pgn.includes('[WhiteType "program"]') && pgn.includes('[BlackType "human"]'),
+    'PGN marks the bot as a program');
+
+  const leaderboard = (await fetch(`${BASE}/api/leaderboard?limit=100`)).json();
+  assert(!leaderboard.some(p => p.id === 'bot-1'), 'Bots are left off the leaderboard');
+  const withBots = (await fetch(`${BASE}/api/leaderboard?limit=100&bots=1`)).json();
+  assert(withBots.some(p => p.id === 'bot-1' && p.bot_level === 1), 'Leaderboard can include bots');
+}
+
+async function testUci() {
+  console.log('\n--- UCI Engine Tests ---');
+  const uci = require('../src/game/uci');
+
+  const info = uci.parseInfo('info depth 12 seldepth 18 multipv 1 score cp -35 upperbound nodes 9000 pv e7e5 g1f3');
+  assert(info.depth === 12 && info.score.cp === -35 && info.score.bound === 'upperbound' && info.pv.join(' ') === 'e7e5 g1f3',
+    'info lines are parsed');
+  assert(uci.parseInfo('info depth 20 score mate -3').score.mate === -3, 'Mate scores are parsed');
+  const best = uci.parseBestMove('bestmove e7e8q ponder a2a3');
+  assert(best.bestMove === 'e7e8q' && best.ponder === 'a2a3', 'bestmove lines are parsed');
+  assert(uci.parseBestMove('bestmove (none)').bestMove === null, 'bestmove (none) means no move');
+  assert(uci.configFromEnv({}) === null, 'No engine configured without UCI_ENGINE_PATH');
+  const config = uci.configFromEnv({ UCI_ENGINE_PATH: '/usr/bin/engine', UCI_ENGINE_OPTIONS: 'Skill Level=3; Hash=64' });
+  assert(config.options['Skill Level'] === '3' && config.options.Hash === '64', 'Engine options are read from the environment');
+
+  const engine = new uci.UciEngine({ path: process.execPath, args: [FAKE_ENGINE], options: { Hash: 32 } });
+  await engine.start();
+  assert(engine.name === 'Fake Engine', 'Handshake reads the engine name');
+  const result = await engine.go({ fen: '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', moves: ['a1a2', 'e8d8'], movetime: 20 });
+  assert(result.bestMove === 'a2a1' && result.info.score.cp === 500 && result.info.depth === 1,
+    'Search applies the moves and returns the best move with its score');
+  await engine.quit();
+  assert(engine.exited, 'Engine quits');
+
+  const stalling = new uci.UciEngine({ path: process.execPath, args: [FAKE_ENGINE, '--stall'] });
+  await stalling.start();
+  const stopped = await stalling.go({ fen: '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', movetime: 10 });
+  assert(stopped.bestMove === 'a1a2', 'An overrunning search is stopped and still answers');
+  await stalling.quit();
+
+  let startError = null;
+  await new uci.UciEngine({ path: '/nonexistent/engine' }).start().catch(e => { startError = e; });
+  assert(startError !== null, 'A missing engine binary fails to start');
+
+  const pool = new uci.UciPool({ path: process.execPath, args: [FAKE_ENGINE] }, 2);
+  const searches = await Promise.all([1, 2, 3, 4].map(() => pool.search({ fen: '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', movetime: 10 })));
+  assert(searches.every(r => r.bestMove === 'a1a2') && pool.engines.length === 2, 'Pool shares its engines between queued searches');
+  pool.engines[0].kill();
+  const afterCrash = await pool.search({ fen: '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', movetime: 10 });
+  assert(afterCrash.bestMove === 'a1a2', 'Pool replaces an engine that died');
+  await pool.close();
+  assert(pool.engines.length === 0, 'Closing the pool stops its engines');
+
+  // A background search doesn't take the last free engine from a game
+  const slowPool = new uci.UciPool({ path: process.execPath, args: [FAKE_ENGINE, '--stall'] }, 2);
+  const finished = [];
+  await Promise.all([
+    slowPool.search({ fen: '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', movetime: 150 }).then(() => finished.push('game')),
+    slowPool.search({ fen: '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', movetime: 10 }, { background: true }).then(() => finished.push('background'))
+  ]);
+  assert(finished.join() === 'game,background', 'Background searches wait for a second free engine');
+  await slowPool.close();
+
+  // Through the server, with the fake engine configured
+  const evaluation = await post(`${BASE}/api/evaluate`, { fen: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1' });
+  const data = evaluation.json();
+  assert(evaluation.status === 200 && data.bestMove === 'a7a5' && data.bestMoveSan === 'a5' && data.score.cp === 0,
+    'Evaluate endpoint uses the UCI engine');
+  assert(data.engine === 'Fake Engine', 'Evaluation names the engine');
+  const badFen = await post(`${BASE}/api/evaluate`, { fen: 'not a fen' });
+  assert(badFen.status === 400, 'Evaluate rejects an invalid FEN');
+
+  const levels = (await fetch(`${BASE}/api/bots`)).json();
+  assert(levels.length === 5 && levels[4].name === 'UCI Engine', 'UCI engine is listed as a bot level when configured');
+  const game = (await post(`${BASE}/api/games`, { playerName: 'UciFan', bot: 5, color: 'white' })).json();
+  assert(game.bot && game.bot.level === 5, 'UCI engine can take a bot seat');
+  const { io } = require('socket.io-client');
+  await new Promise((resolve) => {
+    const human = io(BASE, { transports: ['websocket'] });
+
+    function done() {
+      human.disconnect();
+      resolve();
+    }
+
+    human.on('connect', () => human.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken }));
+    human.once('game-state', () => human.emit('make-move', { from: 'e2', to: 'e4' }));
+    human.on('move-made', (move) => {
+      if (move.turn !== 'white') return;
+      assert(move.san === 'a5', 'UCI bot plays the engine\'s move');
+      done();
+    });
+    setTimeout(done, 5000);
+  });
+}
+
+async function testAnalysis() {
+  console.log('\n--- Analysis Tests ---');
+  const analysis = require('../src/game/analysis');
+  assert(analysis.classify(40) === null && analysis.classify(50) === 'inaccuracy' &&
+    analysis.classify(150) === 'mistake' && analysis.classify(300) === 'blunder', 'Centipawn loss is classified');
+  assert(Math.round(analysis.moveAccuracy(60, 60)) === 100 && analysis.moveAccuracy(90, 10) < 5,
+    'Move accuracy falls with lost winning chances');
+
+  const missing = await fetch(`${BASE}/api/games/nonexistent/analysis`);
+  assert(missing.status === 404, 'Analysis of an unknown game returns 404');
+
+  // White hangs the queen to the rook and Black takes it
+  const fen = '4k2r/8/8/8/8/8/8/3QK3 w - - 0 1';
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Hasty', fen })).json();
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Careful' })).json();
+  const unfinished = await fetch(`${BASE}/api/games/${game.gameId}/analysis`);
+  assert(unfinished.status === 409, 'Analysis of an unfinished game returns 409');
+
+  const { io } = require('socket.io-client');
+  await new Promise((resolve) => {
+    const white = io(BASE, { transports: ['websocket'] });
+    const black = io(BASE, { transports: ['websocket'] });
+    let joined = 0;
+
+    function done() {
+      white.disconnect();
+      black.disconnect();
+      resolve();
+    }
+
+    white.on('connect', () => white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken }));
+    black.on('connect', () => black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken }));
+    white.on('game-state', () => { if (++joined === 2) white.emit('make-move', { from: 'd1', to: 'h5' }); });
+    black.on('game-state', () => { if (++joined === 2) white.emit('make-move', { from: 'd1', to: 'h5' }); });
+    black.on('move-made', (data) => {
+      if (data.san === 'Qh5+') black.emit('make-move', { from: 'h8', to: 'h5' });
+      else white.emit('resign');
+    });
+    white.on('game-over', done);
+    setTimeout(done, 5000);
+  });
+
+  let res = await fetch(`${BASE}/api/games/${game.gameId}/analysis`);
+  for (let i = 0; i < 20 && res.status === 202; i++) {
+    await sleep(250);
+    res = await fetch(`${BASE}/api/games/${game.gameId}/analysis`);
+  }
+  const report = res.json();
+  assert(res.status === 200 && report.status === 'done' && report.engine === 'Fake Engine', 'Finished game is analysed');
+  assert(report.initialFen === fen && report.initialEval.cp === 400, 'Report starts from the game\'s first position');
+  const [blunder, capture] = report.moves;
+  assert(report.moves.length === 2 && blunder.san === 'Qh5+' && blunder.color === 'white', 'Every move is analysed');
+  assert(blunder.cpLoss === 900 && blunder.classification === 'blunder' && blunder.bestMove === 'Qa1',
+    'Hanging the queen is a blunder, with the engine\'s move shown');
+  assert(blunder.eval.cp === -500 && capture.eval.cp === -500, 'Evaluations are from White\'s side');
+  assert(capture.cpLoss === 0 && capture.classification === null, 'Taking the queen loses nothing');
+  assert(report.accuracy.white < 10 && report.accuracy.black > 99, 'Accuracy is computed per side');
+  assert(report.summary.white.blunders === 1 && report.summary.black.blunders === 0, 'Summary counts blunders per side');
+
+  const replay = await fetch(`${BASE}/replay/${game.gameId}`);
+  assert(replay.status === 200 && replay.text().includes('eval-graph'), 'Replay page is served');
+  assert(replay.text().includes('id="replay-play"') && replay.text().includes('id="replay-speed"'),
+    'Replay page has navigation and autoplay controls');
+  const leaderboardPage = (await fetch(`${BASE}/leaderboard`)).text();
+  assert(leaderboardPage.includes('/replay/${encodeURIComponent(g.id)}'), 'Recent games link to their replay');
+}
+
+async function testTakebacks() {
+  console.log('\n--- Takeback Tests ---');
+  const { io } = require('socket.io-client');
+
+  const conflicting = await post(`${BASE}/api/games`, { playerName: 'Undoer', rated: true, takebacks: true });
+  assert(conflicting.status === 400, 'Rated games cannot allow takebacks');
+
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Undoer', takebacks: true })).json();
+  assert(game.takebacks === true && game.rated === false, 'Allowing takebacks makes the game unrated');
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Forgiver' })).json();
+  const info = (await fetch(`${BASE}/api/games/${game.gameId}`)).json();
+  assert(info.takebacks === true && info.rated === false, 'Game info shows the takeback rule');
+
+  const white = io(BASE, { transports: ['websocket'] });
+  const black = io(BASE, { transports: ['websocket'] });
+  white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken });
+  black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken });
+  await Promise.all([nextEvent(white, 'game-state'), nextEvent(black, 'game-state')]);
+
+  // Every broadcast reaches both players, the mover included
+  const both = event => Promise.all([nextEvent(white, event), nextEvent(black, event)]);
+  async function play(socket, move) {
+    const made = both('move-made');
+    socket.emit('make-move', move);
+    return (await made)[0];
+  }
+  async function takeBack(requester, opponent) {
+    const requested = nextEvent(opponent, 'takeback-requested');
+    requester.emit('request-takeback');
+    await requested;
+    const undone = both('takeback');
+    opponent.emit('accept-takeback');
+    return (await undone)[0];
+  }
+
+  await play(white, { from: 'e2', to: 'e4' });
+  const requested = nextEvent(black, 'takeback-requested');
+  white.emit('request-takeback');
+  assert(await requested, 'Opponent is asked to allow a takeback');
+  const declined = nextEvent(white, 'takeback-declined');
+  black.emit('decline-takeback');
+  assert(await declined, 'Requester hears the takeback was declined');
+
+  const undone = await takeBack(white, black);
+  assert(undone && undone.plies === 1 && undone.turn === 'white' && undone.lastMove === null &&
+    undone.fen === 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    'Takeback on the opponent\'s turn undoes one ply');
+
+  await play(white, { from: 'd2', to: 'd4' });
+  await play(black, { from: 'd7', to: 'd5' });
+  await play(white, { from: 'c2', to: 'c4' });
+  await play(black, { from: 'e7', to: 'e6' });
+  const restored = await takeBack(black, white);
+  assert(restored && restored.plies === 1 && restored.turn === 'black' &&
+    restored.lastMove.from === 'c2' && restored.lastMove.to === 'c4', 'Both boards get the restored position');
+
+  const rejected = nextEvent(white, 'move-rejected');
+  white.emit('make-move', { from: 'g1', to: 'f3' });
+  assert((await rejected)?.error === 'Not your turn', 'Turn passes back to the side whose move was undone');
+  await play(black, { from: 'c7', to: 'c6' });
+  const back = await takeBack(black, white);
+  assert(back && back.plies === 1 && back.turn === 'black', 'Only the requester\'s own move is undone before a reply');
+  await play(black, { from: 'c7', to: 'c6' });
+  await play(white, { from: 'g1', to: 'f3' });
+  const pair = await takeBack(black, white);
+  assert(pair && pair.plies === 2 && pair.turn === 'black' && pair.lastMove.to === 'c4',
+    'Takeback on your own turn undoes your move and the reply');
+
+  const moves = (await fetch(`${BASE}/api/games/${game.gameId}/moves`)).json();
+  assert(moves.length === 3 && moves.map(m => m.san).join(' ') === 'd4 d5 c4', 'Taken-back moves are deleted');
+  const stored = (await fetch(`${BASE}/api/games/${game.gameId}/pgn`)).text();
+  assert(stored.includes('1. d4 d5 2. c4') && !stored.includes('c6'), 'Stored PGN is rolled back');
+  white.disconnect();
+  black.disconnect();
+
+  // Rated games refuse takebacks
+  const rated = (await post(`${BASE}/api/games`, { playerName: 'Serious' })).json();
+  assert(rated.rated === true && rated.takebacks === false, 'Games are rated without takebacks by default');
+  const ratedJoiner = (await post(`${BASE}/api/games/${rated.gameId}/join`, { playerName: 'Strict' })).json();
+  const ratedWhite = io(BASE, { transports: ['websocket'] });
+  ratedWhite.emit('join-game', { gameId: rated.gameId, sessionToken: rated.sessionToken });
+  await nextEvent(ratedWhite, 'game-state');
+  ratedWhite.emit('make-move', { from: 'e2', to: 'e4' });
+  await nextEvent(ratedWhite, 'move-made');
+  ratedWhite.emit('request-takeback');
+  const refused = await nextEvent(ratedWhite, 'takeback-declined');
+  assert(refused && refused.reason === 'Takeback not available', 'Takebacks are refused in rated games');
+  ratedWhite.disconnect();
+  await finishByResignation(rated.gameId, rated.sessionToken, ratedJoiner.sessionToken, 'black');
+
+  // Bots agree to takebacks and play on afterwards
+  const botGame = (await post(`${BASE}/api/games`, { playerName: 'Practice', bot: 1, color: 'white', takebacks: true })).json();
+  const human = io(BASE, { transports: ['websocket'] });
+  human.emit('join-game', { gameId: botGame.gameId, sessionToken: botGame.sessionToken });
+  await nextEvent(human, 'game-state');
+  human.emit('make-move', { from: 'e2', to: 'e4' });
+  await nextEvent(human, 'move-made');
+  await nextEvent(human, 'move-made');
+  human.emit('request-takeback');
+  const botUndo = await nextEvent(human, 'takeback');
+  assert(botUndo && botUndo.plies === 2 && botUndo.turn === 'white', 'Bot accepts a takeback at once');
+  human.emit('make-move', { from: 'd2', to: 'd4' });
+  await nextEvent(human, 'move-made');
+  const reply = await nextEvent(human, 'move-made');
+  assert(reply && reply.turn === 'white', 'Bot keeps playing after a takeback');
+  human.emit('resign');
+  await nextEvent(human, 'game-over');
+  human.disconnect();
+}
+
+async function testRematch() {
+  console.log('\n--- Rematch Tests ---');
+  const { io } = require('socket.io-client');
+
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Rema', timeControl: '3+2' })).json();
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Matchy' })).json();
+  const alice = io(BASE, { transports: ['websocket'] });
+  const bob = io(BASE, { transports: ['websocket'] });
+  const both = event => Promise.all([nextEvent(alice, event), nextEvent(bob, event)]);
+
+  let joined = both('game-state');
+  alice.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken });
+  bob.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken });
+  await joined;
+
+  const early = nextEvent(alice, 'rematch-declined');
+  alice.emit('offer-rematch');
+  assert((await early)?.reason === 'Rematch not available', 'No rematch while the game is being played');
+
+  let over = both('game-over');
+  alice.emit('resign');
+  assert((await over)[0]?.match === null, 'A single game has no match score');
+
+  const offered = nextEvent(alice, 'rematch-offered');
+  bob.emit('offer-rematch');
+  assert((await offered)?.offeredBy === 'black', 'Opponent is offered a rematch');
+  const started = both('rematch-started');
+  alice.emit('accept-rematch');
+  const [aliceSeat, bobSeat] = await started;
+  assert(aliceSeat && bobSeat && aliceSeat.gameId === bobSeat.gameId && aliceSeat.gameId !== game.gameId,
+    'Both players are moved into the same new game');
+  assert(aliceSeat.color === 'black' && bobSeat.color === 'white', 'Colors are swapped in the rematch');
+
+  const rematchId = aliceSeat.gameId;
+  joined = both('game-state');
+  alice.emit('join-game', { gameId: rematchId, sessionToken: aliceSeat.sessionToken });
+  bob.emit('join-game', { gameId: rematchId, sessionToken: bobSeat.sessionToken });
+  const [aliceState] = await joined;
+  assert(aliceState.yourColor === 'black' && aliceState.status === 'active', 'Rematch starts at once');
+  assert(aliceState.clock && aliceState.clock.white === 180000, 'Rematch keeps the time control');
+  assert(aliceState.match && aliceState.match.games === 1 && aliceState.match.white === 1 && aliceState.match.black === 0,
+    'Match score carries over, by seat in the new game');
+
+  const info = (await fetch(`${BASE}/api/games/${rematchId}`)).json();
+  assert(info.rematchOf === game.gameId && info.timeControl === '3+2', 'Rematch is linked to the previous game');
+  const previousInfo = (await fetch(`${BASE}/api/games/${game.gameId}`)).json();
+  assert(previousInfo.rematchId === rematchId, 'Previous game links to its rematch');
+
+  const moved = nextEvent(alice, 'move-made');
+  bob.emit('make-move', { from: 'e2', to: 'e4' });
+  assert((await moved)?.san === 'e4', 'Players receive moves in the rematch');
+
+  const drawOffered = nextEvent(bob, 'draw-offered');
+  alice.emit('offer-draw');
+  await drawOffered;
+  over = both('game-over');
+  bob.emit('accept-draw');
+  const [drawn] = await over;
+  assert(drawn?.match && drawn.match.games === 2 && drawn.match.white === 1.5 && drawn.match.black === 0.5,
+    'Match score adds up across the series');
+
+  const declineOffer = nextEvent(bob, 'rematch-offered');
+  alice.emit('offer-rematch');
+  await declineOffer;
+  const declined = nextEvent(alice, 'rematch-declined');
+  bob.emit('decline-rematch');
+  assert(await declined, 'Offerer hears the rematch was declined');
+  alice.disconnect();
+  bob.disconnect();
+
+  // Bots always accept, and keep their level with the colors swapped
+  const botGame = (await post(`${BASE}/api/games`, { playerName: 'Again', bot: 1, color: 'white' })).json();
+  const human = io(BASE, { transports: ['websocket'] });
+  human.emit('join-game', { gameId: botGame.gameId, sessionToken: botGame.sessionToken });
+  await nextEvent(human, 'game-state');
+  human.emit('resign');
+  await nextEvent(human, 'game-over');
+  const botRematch = nextEvent(human, 'rematch-started');
+  human.emit('offer-rematch');
+  const seat = await botRematch;
+  assert(seat && seat.color === 'black', 'Bot accepts a rematch at once');
+  const botMove = nextEvent(human, 'move-made');
+  human.emit('join-game', { gameId: seat.gameId, sessionToken: seat.sessionToken });
+  const state = await nextEvent(human, 'game-state');
+  assert(state && state.bots.white === 1 && state.rated === false, 'Bot plays White in the rematch');
+  assert(await botMove, 'Bot opens the rematch');
+  human.emit('resign');
+  await nextEvent(human, 'game-over');
+  human.disconnect();
+}
+
+async function testChat() {
+  console.log('\n--- Chat Tests ---');
+  const { io } = require('socket.io-client');
+  const chat = require('../src/game/chat');
+
+  assert(chat.filterWords('Well SHIT, shitake', ['shit']) === 'Well ****, shitake', 'Word filter masks whole words only');
+  assert(chat.blockedWordsFromEnv({ CHAT_BLOCKED_WORDS: ' Foo,bar ' }).join() === 'foo,bar', 'Blocked words can be configured');
+  assert(chat.blockedWordsFromEnv({ CHAT_BLOCKED_WORDS: '' }).length === 0, 'An empty word list turns the filter off');
+  const limiter = chat.createRateLimiter(2, 1000);
+  assert(limiter.allow(0) && limiter.allow(10) && !limiter.allow(20) && limiter.allow(1000), 'Rate limiter frees up after the window');
+
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Chatty' })).json();
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Quiet' })).json();
+  const white = io(BASE, { transports: ['websocket'] });
+  const black = io(BASE, { transports: ['websocket'] });
+  const whiteHistory = nextEvent(white, 'chat-history');
+  white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken });
+  black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken });
+  await Promise.all([nextEvent(white, 'game-state'), nextEvent(black, 'game-state')]);
+  const initial = await whiteHistory;
+  assert(initial && initial.channel === 'players' && initial.messages.length === 0 && initial.muted === false,
+    'Players get the (empty) chat history on joining');
+
+  async function say(socket, text) {
+    const received = Promise.all([nextEvent(white, 'chat-message', 500), nextEvent(black, 'chat-message', 500)]);
+    socket.emit('chat-message', { text });
+    return received;
+  }
+
+  const [echo, heard] = await say(white, 'Good luck!');
+  assert(echo && heard && heard.text === 'Good luck!' && heard.sender === 'Chatty' && heard.color === 'white' &&
+    heard.channel === 'players', 'Both players receive a chat message');
+  const [, filtered] = await say(white, 'well shit');
+  assert(filtered && filtered.text === 'well ****', 'Blocked words are masked');
+
+  const tooLong = nextEvent(white, 'chat-error');
+  white.emit('chat-message', { text: 'x'.repeat(chat.MAX_MESSAGE_LENGTH + 1) });
+  assert((await tooLong)?.message.includes('too long'), 'Overlong messages are rejected');
+
+  const muted = nextEvent(black, 'chat-muted');
+  black.emit('mute-opponent', { muted: true });
+  assert((await muted)?.muted === true, 'Player can mute their opponent');
+  const [ownCopy, mutedCopy] = await say(white, 'can you hear me');
+  assert(ownCopy && mutedCopy === null, 'Muted opponent\'s messages are not delivered');
+
+  await say(white, 'fifth');
+  const tooFast = nextEvent(white, 'chat-error');
+  white.emit('chat-message', { text: 'sixth' });
+  assert((await tooFast)?.message === 'You are sending messages too fast', 'Chat is rate limited per socket');
+
+  // Spectators have their own channel
+  const watcher = io(BASE, { transports: ['websocket'] });
+  const watcherHistory = nextEvent(watcher, 'chat-history');
+  watcher.emit('watch-game', { gameId: game.gameId, name: 'Peeker' });
+  const spectatorLog = await watcherHistory;
+  assert(spectatorLog && spectatorLog.channel === 'spectators' && spectatorLog.messages.length === 0,
+    'Spectators get their own channel history, without the players\' messages');
+  const whisper = nextEvent(black, 'chat-message', 500);
+  const spectatorEcho = nextEvent(watcher, 'chat-message');
+  watcher.emit('chat-message', { text: 'play e4!' });
+  const shown = await spectatorEcho;
+  assert(shown && shown.channel === 'spectators' && shown.sender === 'Peeker' && shown.color === null,
+    'Spectators see their own channel');
+  assert(await whisper === null, 'Players don\'t receive spectator chat');
+  const overheard = nextEvent(watcher, 'chat-message', 500);
+  await say(black, 'thanks');
+  assert(await overheard === null, 'Spectators don\'t receive player chat');
+
+  // History on rejoin keeps the mute setting
+  black.disconnect();
+  const rejoined = io(BASE, { transports: ['websocket'] });
+  const history = nextEvent(rejoined, 'chat-history');
+  rejoined.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken });
+  const log = await history;
+  assert(log && log.messages.length === 5 && log.messages[1].text === 'well ****' && log.muted === true,
+    'Rejoining player gets the chat history and mute setting');
+
+  const early = await fetch(`${BASE}/api/games/${game.gameId}/chat`);
+  assert(early.status === 409, 'Chat log is not available during the game');
+  assert((await fetch(`${BASE}/api/games/no-such-game/chat`)).status === 404, 'Chat log of unknown game is 404');
+  rejoined.emit('resign');
+  await nextEvent(white, 'game-over');
+  const saved = (await fetch(`${BASE}/api/games/${game.gameId}/chat`)).json();
+  assert(saved.players.length === 5 && saved.players[0].sender === 'Chatty' && saved.players[4].color === 'black',
+    'Chat log of a finished game has the players\' channel');
+  assert(saved.spectators.length === 1 && saved.spectators[0].text === 'play e4!', 'Chat log has the spectators\' channel');
+  white.disconnect();
+  rejoined.disconnect();
+  watcher.disconnect();
+}
+
+async function testSpectators() {
+  console.log('\n--- Spectator Tests ---');
+
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Sam' })).json();
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Sue' })).json();
+
+  const { io } = require('socket.io-client');
+
+  return new Promise((resolve) => {
+    const white = io(BASE, { transports: ['websocket'] });
+    const black = io(BASE, { transports: ['websocket'] });
+    let watcher = null;
+    let step = 0;
+
+    white.on('connect', () => white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken }));
+    black.on('connect', () => black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken }));
+
+    black.on('game-state', () => {
+      if (watcher) return;
+      watcher = io(BASE, { transports: ['websocket'] });
+      watcher.on('connect', () => watcher.emit('watch-game', { gameId: game.gameId }));
+
+      watcher.on('game-state', (state) => {
+        if (step !== 0) return;
+        step = 1;
+        assert(state.spectator === true, 'Watcher receives spectator game state');
+        assert(state.yourColor === null, 'Watcher has no color');
+        assert(state.whiteName === 'Sam' && state.blackName === 'Sue', 'Watcher sees player names');
+
+        // Watchers can't act on the game
+        watcher.emit('make-move', { from: 'e2', to: 'e4' });
+        watcher.emit('resign');
+        watcher.emit('offer-draw');
+      });
+
+      watcher.on('move-rejected', (data) => {
+        assert(data.error === 'Spectators cannot move', 'Watcher move rejected');
+        setTimeout(() => white.emit('make-move', { from: 'd2', to: 'd4' }), 200);
+      });
+
+      watcher.on('move-made', (data) => {
+        assert(data.san === 'd4', 'Watcher receives live moves');
+        black.emit('resign');
+      });
+
+      watcher.on('game-over', (data) => {
+        assert(data.type === 'resignation' && data.winner === 'white', 'Watcher receives game over');
+        watcher.disconnect();
+      });
+    });
+
+    white.on('spectator-count', (data) => {
+      if (data.count === 1) assert(true, 'Players see live spectator count');
+      if (data.count === 0 && step === 1) {
+        assert(true, 'Spectator count drops when watcher leaves');
+        step = 2;
+        white.disconnect();
+        black.disconnect();
+        setTimeout(resolve, 300);
+      }
+    });
+
+    white.on('draw-offered', () => assert(false, 'Watcher cannot offer draws'));
+
+    setTimeout(() => {
+      white.disconnect();
+      black.disconnect();
+      if (watcher) watcher.disconnect();
+      resolve();
+    }, 10000);
+  });
+}
+
+async function testTimeControls() {
+  console.log('\n--- Time Control Tests ---');
+
+  const bad = await post(`${BASE}/api/games`, { playerName: 'Tina', timeControl: '99999+0' });
+  assert(bad.status === 400, 'Invalid time control returns 400');
+
+  const res = await post(`${BASE}/api/games`, { playerName: 'Tina', timeControl: '0.25+1' });
+  const game = res.json();
+  assert(res.status === 200, 'Create timed game returns 200');
+  assert(game.timeControl === '0.25+1', 'Time control echoed back');
+
+  const joinRes = await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Tom' });
+  const joiner = joinRes.json();
+  assert(joiner.timeControl === '0.25+1', 'Joiner sees time control');
+
+  const { io } = require('socket.io-client');
+
+  // Black flags against a lone knight: with only a queen, which would take the knight,
+  // nothing can be mated, so it's a draw; a pawn could block its own king in, so it loses.
+  // Runs alongside the game below, which flags at the same time.
+  async function flagAgainstKnight(fen) {
+    const knight = (await post(`${BASE}/api/games`, { playerName: 'Knight', timeControl: '0.25+0', fen })).json();
+    const knightJoin = (await post(`${BASE}/api/games/${knight.gameId}/join`, { playerName: 'Flagger' })).json();
+    await playMoves(knight.gameId, knight.sessionToken, knightJoin.sessionToken, [['a1', 'a2']]);
+    const watcher = io(BASE, { transports: ['websocket'] });
+    const over = nextEvent(watcher, 'game-over', 20000);
+    watcher.emit('watch-game', { gameId: knight.gameId });
+    return { watcher, over };
+  }
+  const knightVsQueen = await flagAgainstKnight('kq6/8/8/8/8/8/8/KN6 w - - 0 1');
+  const knightVsPawn = await flagAgainstKnight('k7/p7/8/8/8/8/8/KN6 w - - 0 1');
+
+  await new Promise((resolve) => {
+    const white = io(BASE, { transports: ['websocket'] });
+    const black = io(BASE, { transports: ['websocket'] });
+    let moved = false;
+
+    white.on('connect', () => white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken }));
+    black.on('connect', () => black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken }));
+
+    white.on('game-state', (state) => {
+      if (moved) return;
+      moved = true;
+      assert(state.clock && state.clock.white === 15000 && state.clock.black === 15000,
+        'Both clocks start at the initial time');
+      assert(state.clock.running === null, 'Clock does not run before the first move');
+      setTimeout(() => white.emit('make-move', { from: 'e2', to: 'e4' }), 300);
+    });
+
+    black.on('move-made', (data) => {
+      assert(data.clock.white === 16000, 'Increment added to white after first move');
+      assert(data.clock.running === 'black', 'Black clock running after white moves');
+      // Black never replies and should flag
+    });
+
+    black.on('game-over', (data) => {
+      assert(data.type === 'timeout', 'Game ends on flag fall');
+      assert(data.flagged === 'black', 'Black flagged');
+      assert(data.winner === 'white' && data.result === 'white_wins', 'White wins on time');
+      assert(data.clock.black === 0, 'Flagged clock reads zero');
+      white.disconnect();
+      black.disconnect();
+      fetch(`${BASE}/api/games/${game.gameId}/pgn`).then(pgnRes => {
+        const pgn = pgnRes.text();
+        assert(pgn.includes('[TimeControl "15+1"]'), 'PGN TimeControl is in seconds');
+        assert(pgn.includes('[Termination "Time forfeit"]'), 'PGN records time forfeit');
+        assert(pgn.includes('1. e4 {[%clk 0:00:16]} {White wins on time.} 1-0'), 'PGN has clock comment after each move');
+        resolve();
+      });
+    });
+
+    setTimeout(() => {
+      white.disconnect();
+      black.disconnect();
+      resolve();
+    }, 20000);
+  });
+
+  const drawn = await knightVsQueen.over;
+  assert(drawn && drawn.result === 'draw' && drawn.reason === 'timeout vs insufficient material',
+    'Running out of time with a queen against a lone knight is a draw');
+  const lost = await knightVsPawn.over;
+  assert(lost && lost.result === 'white_wins' && lost.flagged === 'black',
+    'Running out of time with a pawn against a lone knight loses');
+  knightVsQueen.watcher.disconnect();
+  knightVsPawn.watcher.disconnect();
+}
+
+async function testMatchmaking() {
+  console.log('\n--- Matchmaking Tests ---');
+  const { io } = require('socket.io-client');
+  const { Matchmaker, RATING_WINDOW_BASE, REPEAT_PAIRING_GRACE_MS, MAX_WAIT_POOLS } = require('../src/game/matchmaking');
+
+  const entry = (socketId, fields = {}) => ({
+    socketId, playerName: socketId, playerToken: null, playerId: null, rating: 1500, colorBalance: 0,
+    timeControl: '5+0', variant: 'standard', joinedAt: 0, ...fields
+  });
+
+  const mm = new Matchmaker();
+  mm.add(entry('strong', { rating: 1500 + RATING_WINDOW_BASE + 100 }));
+  mm.add(entry('weak'));
+  mm.add(entry('other-pool', { timeControl: '10+0' }));
+  assert(mm.match(0).length === 0, 'Players far apart in rating are not paired at once');
+  assert(mm.status(mm.find('weak'), 0).queueSize === 2 && mm.status(mm.find('weak'), 0).pools.length === 2,
+    'Status reports the pool size and every pool');
+  const widened = mm.match(10000);
+  assert(widened.length === 1 && mm.find('other-pool') && !mm.find('weak'),
+    'The rating window widens with waiting, and pools stay separate');
+  assert(mm.status(mm.find('other-pool'), 10000).estimatedWaitMs === null, 'No wait estimate without history');
+
+  const balanced = new Matchmaker();
+  balanced.add(entry('had-white', { colorBalance: 2 }));
+  balanced.add(entry('had-black', { colorBalance: -1 }));
+  const [pair] = balanced.match(0);
+  assert(pair.white.socketId === 'had-black' && pair.black.socketId === 'had-white', 'Colors balance recent history');
+
+  balanced.add(entry('x', { playerId: 'p1' }));
+  balanced.add(entry('y', { playerId: 'p2' }));
+  balanced.match(0);
+  balanced.recordOpponents('p1', 'p2', 0);
+  balanced.add(entry('x2', { playerId: 'p1', joinedAt: 1000 }));
+  balanced.add(entry('y2', { playerId: 'p2', joinedAt: 1000 }));
+  assert(balanced.match(2000).length === 0, 'The same two players are not paired again straight away');
+  assert(balanced.match(1000 + REPEAT_PAIRING_GRACE_MS).length === 1, 'They are paired once nobody else turns up');
+  assert(!balanced.lastOpponent.has('p1') && !balanced.lastOpponent.has('p2'), 'Pairings are forgotten after the grace period');
+  balanced.add(entry('z', { joinedAt: 5000 }));
+  assert(balanced.status(balanced.find('z'), 5000).estimatedWaitMs >= 0, 'Wait is estimated from recent pairings');
+
+  const manyPools = new Matchmaker();
+  for (let i = 0; i <= MAX_WAIT_POOLS; i++) {
+    manyPools.add(entry(`w${i}`, { timeControl: `${i + 1}+0` }));
+    manyPools.add(entry(`b${i}`, { timeControl: `${i + 1}+0` }));
+    manyPools.match(0);
+  }
+  assert(manyPools.waits.size === MAX_WAIT_POOLS && !manyPools.waits.has('standard:1+0') &&
+    manyPools.waits.has(`standard:${MAX_WAIT_POOLS + 1}+0`), 'Wait history is kept for the most recent pools only');
+
+  // Over sockets: two players meet, queue again, and a newcomer is preferred
+  const queue = () => io(BASE, { transports: ['websocket'] });
+  const [first, second] = [queue(), queue()];
+  const firstMatch = nextEvent(first, 'match-found');
+  const secondMatch = nextEvent(second, 'match-found');
+  first.emit('join-queue', { playerName: 'PoolA', timeControl: '7+3' });
+  await nextEvent(first, 'queue-joined');
+  second.emit('join-queue', { playerName: 'PoolB', timeControl: '7+3' });
+  const [a, b] = await Promise.all([firstMatch, secondMatch]);
+  assert(a && b && a.gameId === b.gameId && a.color !== b.color, 'Queued players are matched into one game');
+  first.disconnect();
+  second.disconnect();
+
+  const [again1, again2, newcomer] = [queue(), queue(), queue()];
+  again1.emit('join-queue', { playerName: 'PoolA', playerToken: a.playerToken, timeControl: '7+3' });
+  await nextEvent(again1, 'queue-joined');
+  again2.emit('join-queue', { playerName: 'PoolB', playerToken: b.playerToken, timeControl: '7+3' });
+  const waiting = await nextEvent(again2, 'queue-joined');
+  assert(waiting && waiting.queueSize === 2 && waiting.timeControl === '7+3' && waiting.ratingWindow >= RATING_WINDOW_BASE &&
+    typeof waiting.estimatedWaitMs === 'number' && waiting.pools.some(p => p.timeControl === '7+3' && p.players === 2),
+  'Last opponents wait in the pool, with a wait estimate and pool sizes');
+
+  const rematched = nextEvent(again1, 'match-found');
+  newcomer.emit('join-queue', { playerName: 'PoolC', timeControl: '7+3' });
+  const [paired, newcomerMatch] = await Promise.all([rematched, nextEvent(newcomer, 'match-found')]);
+  assert(paired && newcomerMatch && paired.gameId === newcomerMatch.gameId, 'A newcomer is paired with the longest-waiting player');
+  assert(paired && paired.color !== a.color, 'The player gets the other color this time');
+
+  [again1, again2, newcomer].forEach(s => s.disconnect());
+}
+
+async function testTournaments() {
+  console.log('\n--- Tournament Tests ---');
+  const { roundRobinSchedule, pairSwiss } = require('../src/game/tournament-pairing');
+
+  const schedule = roundRobinSchedule(4);
+  const meetings = schedule.flat().map(pair => [...pair].sort().join('-'));
+  assert(schedule.length === 3 && new Set(meetings).size === 6, 'A 4-player round robin has 3 rounds and every pair meets once');
+  assert(roundRobinSchedule(3).every(round => round.some(pair => pair.includes(null))),
+    'With an odd count someone sits out every round');
+
+  const fresh = [1, 2, 3, 4].map(rank => ({ id: `p${rank}`, rank, score: 0, opponents: [], colors: [], hadBye: false, floats: [] }));
+  const round1 = pairSwiss(fresh);
+  assert(round1.bye === null && round1.pairings.length === 2 &&
+    round1.pairings[0].white === 'p1' && round1.pairings[0].black === 'p3' &&
+    round1.pairings[1].white === 'p4' && round1.pairings[1].black === 'p2',
+  'Swiss round 1 pairs the top half against the bottom half with alternating colors');
+  const afterRound1 = [
+    { ...fresh[0], score: 1, opponents: ['p3'], colors: ['white'], floats: [null] },
+    { ...fresh[1], score: 1, opponents: ['p4'], colors: ['black'], floats: [null] },
+    { ...fresh[2], score: 0, opponents: ['p1'], colors: ['black'], floats: [null] },
+    { ...fresh[3], score: 0, opponents: ['p2'], colors: ['white'], floats: [null] }
+  ];
+  const round2 = pairSwiss(afterRound1);
+  assert(round2.pairings[0].white === 'p2' && round2.pairings[0].black === 'p1' &&
+    round2.pairings[1].white === 'p3' && round2.pairings[1].black === 'p4',
+  'Swiss round 2 pairs winners with winners and alternates colors');
+  const odd = pairSwiss(fresh.slice(0, 3).map((p, i) => ({ ...p, hadBye: i === 2 })));
+  assert(odd.bye === 'p2' && odd.pairings.length === 1, 'The bye goes to the lowest player who has not had one');
+
+  // Validation
+  const noName = await post(`${BASE}/api/tournaments`, { playerName: 'Org', rounds: 3 });
+  assert(noName.status === 400, 'A tournament needs a name');
+  const badFormat = await post(`${BASE}/api/tournaments`, { name: 'Cup', playerName: 'Org', format: 'knockout' });
+  assert(badFormat.status === 400, 'Unknown formats are rejected');
+  const badRounds = await post(`${BASE}/api/tournaments`, { name: 'Cup', playerName: 'Org', format: 'swiss', rounds: 0 });
+  assert(badRounds.status === 400, 'A Swiss tournament needs a valid number of rounds');
+  const missing = await fetch(`${BASE}/api/tournaments/nope`);
+  assert(missing.status === 404, 'Unknown tournaments 404');
+
+  const getTournament = async id => (await fetch(`${BASE}/api/tournaments/${id}`)).json();
+  const play = async (id, token) => (await post(`${BASE}/api/tournaments/${id}/play`, { playerToken: token })).json();
+  // Play out the current round: White wins every game
+  async function finishRound(id, tokens) {
+    const t = await getTournament(id);
+    const round = t.rounds.find(r => r.number === t.currentRound);
+    for (const pairing of round.pairings.filter(p => p.black)) {
+      const white = await play(id, tokens[pairing.white.id]);
+      const black = await play(id, tokens[pairing.black.id]);
+      await finishByResignation(pairing.gameId, white.sessionToken, black.sessionToken, 'black');
+    }
+    return getTournament(id);
+  }
+
+  // A 3-player, 2-round Swiss
+  const createRes = await post(`${BASE}/api/tournaments`, {
+    name: 'Seal Open', playerName: 'SwissOrg', format: 'swiss', rounds: 2, timeControl: '5+0'
+  });
+  const swiss = await createRes.json();
+  assert(createRes.status === 200 && swiss.tournamentId && swiss.playerToken, 'A tournament is created with the organizer in it');
+  const tokens = { [swiss.playerId]: swiss.playerToken };
+  for (const playerName of ['SwissTwo', 'SwissThree']) {
+    const joined = await (await post(`${BASE}/api/tournaments/${swiss.tournamentId}/join`, { playerName })).json();
+    tokens[joined.playerId] = joined.playerToken;
+  }
+  const outsider = Object.keys(tokens).find(id => id !== swiss.playerId);
+  const notOrganizer = await post(`${BASE}/api/tournaments/${swiss.tournamentId}/start`, { playerToken: tokens[outsider] });
+  assert(notOrganizer.status === 400, 'Only the organizer can start the tournament');
+  const started = await post(`${BASE}/api/tournaments/${swiss.tournamentId}/start`, { playerToken: swiss.playerToken });
+  assert(started.status === 200, 'The organizer starts the tournament');
+  const lateJoin = await post(`${BASE}/api/tournaments/${swiss.tournamentId}/join`, { playerName: 'Latecomer' });
+  assert(lateJoin.status === 400, 'Registration closes once the tournament starts');
+
+  let view = await getTournament(swiss.tournamentId);
+  const firstRound = view.rounds[0];
+  const firstBye = firstRound.pairings.find(p => !p.black);
+  assert(view.status === 'in_progress' && view.currentRound === 1 && firstRound.pairings.length === 2 && firstBye,
+    'Round 1 has one game and a bye');
+  const game = await (await fetch(`${BASE}/api/games/${firstRound.pairings[0].gameId}`)).json();
+  assert(game.timeControl === '5+0' && game.rated, 'Tournament games use its time control and are rated');
+  const byePlay = await post(`${BASE}/api/tournaments/${swiss.tournamentId}/play`, { playerToken: tokens[firstBye.white.id] });
+  assert(byePlay.status === 400, 'A player with a bye has no game to play');
+
+  // Nobody has opened the game yet: both players are already on the clock to turn up
+  const Database = require('better-sqlite3');
+  const path = require('path');
+  let deadlines = null;
+  for (let i = 0; i < 20 && !deadlines?.white_disconnect_deadline; i++) {
+    await sleep(50);
+    const dbc = new Database(path.join(__dirname, '..', 'data', 'chess.db'), { readonly: true });
+    deadlines = dbc.prepare('SELECT white_disconnect_deadline, black_disconnect_deadline FROM games WHERE id = ?')
+      .get(firstRound.pairings[0].gameId);
+    dbc.close();
+  }
+  assert(deadlines.white_disconnect_deadline > Date.now() + 50000 && deadlines.black_disconnect_deadline > Date.now() + 50000,
+    'Tournament players have the usual 60 seconds to turn up once the round is paired');
+
+  view = await finishRound(swiss.tournamentId, tokens);
+  assert(view.currentRound === 2 && view.rounds[0].status === 'completed' && view.rounds[0].pairings[0].result === 'white_wins',
+    'Round 2 is paired when the last game of round 1 ends');
+  const secondBye = view.rounds[1].pairings.find(p => !p.black);
+  assert(secondBye && secondBye.white.id !== firstBye.white.id, 'Nobody gets a second bye');
+
+  view = await finishRound(swiss.tournamentId, tokens);
+  const totalPoints = view.standings.reduce((sum, s) => sum + s.points, 0);
+  assert(view.status === 'completed' && totalPoints === 4, 'The tournament completes, with a point per game and per bye');
+  assert(view.standings[0].points >= view.standings[1].points &&
+    view.standings.every(s => typeof s.buchholz === 'number' && typeof s.sonnebornBerger === 'number'),
+  'Standings are sorted and carry tie-breaks');
+  const leader = view.standings[0];
+  const expectedBuchholz = leader.games.filter(g => g.opponentId)
+    .reduce((sum, g) => sum + view.standings.find(s => s.playerId === g.opponentId).points, 0);
+  assert(leader.buchholz === expectedBuchholz, 'Buchholz sums the opponents\' scores');
+
+  // A 3-player round robin: everyone meets everyone, and sitting out scores nothing
+  const rr = await (await post(`${BASE}/api/tournaments`, { name: 'Seal Round', playerName: 'RrOrg', format: 'round_robin' })).json();
+  const rrTokens = { [rr.playerId]: rr.playerToken };
+  for (const playerName of ['RrTwo', 'RrThree']) {
+    const joined = await (await post(`${BASE}/api/tournaments/${rr.tournamentId}/join`, { playerName })).json();
+    rrTokens[joined.playerId] = joined.playerToken;
+  }
+  await post(`${BASE}/api/tournaments/${rr.tournamentId}/start`, { playerToken: rr.playerToken });
+  let rrView = await getTournament(rr.tournamentId);
+  assert(rrView.totalRounds === 3, 'A 3-player round robin has 3 rounds');
+  for (let i = 0; i < 3; i++) rrView = await finishRound(rr.tournamentId, rrTokens);
+  const games = rrView.rounds.flatMap(r => r.pairings).filter(p => p.black);
+  const opponents = new Set(games.map(p => [p.white.id, p.black.id].sort().join('-')));
+  assert(rrView.status === 'completed' && games.length === 3 && opponents.size === 3, 'Every pair plays once');
+  assert(rrView.standings.reduce((sum, s) => sum + s.points, 0) === 3, 'Round-robin byes score nothing');
+
+  const list = await (await fetch(`${BASE}/api/tournaments`)).json();
+  assert(list.some(t => t.id === rr.tournamentId && t.participants === 3 && t.status === 'completed'),
+    'Tournaments are listed with their player count');
+
+  // Neither player turns up: both run out of time at once, across a restart
+  const noShow = await (await post(`${BASE}/api/tournaments`, { name: 'Seal Empty', playerName: 'NoShowOrg', format: 'round_robin' })).json();
+  const noShowJoin = await (await post(`${BASE}/api/tournaments/${noShow.tournamentId}/join`, { playerName: 'NoShowTwo' })).json();
+  await post(`${BASE}/api/tournaments/${noShow.tournamentId}/start`, { playerToken: noShow.playerToken });
+  const noShowGame = (await getTournament(noShow.tournamentId)).rounds[0].pairings[0].gameId;
+  await crashAndRestartServer(500, () => {
+    const dbc = new Database(path.join(__dirname, '..', 'data', 'chess.db'));
+    const passed = Date.now() - 1000;
+    dbc.prepare('UPDATE games SET white_disconnect_deadline = ?, black_disconnect_deadline = ? WHERE id = ?')
+      .run(passed, passed, noShowGame);
+    dbc.close();
+  });
+  let noShowView = null;
+  for (let i = 0; i < 20 && noShowView?.status !== 'completed'; i++) {
+    await sleep(250);
+    noShowView = await getTournament(noShow.tournamentId);
+  }
+  assert(noShowView.status === 'completed' && noShowView.rounds[0].pairings[0].result === 'double_forfeit' &&
+    noShowView.standings.every(s => s.points === 0),
+  'A game neither player turns up for is a double forfeit, scoring nothing for either');
+  const histories = await Promise.all([noShow.playerId, noShowJoin.playerId]
+    .map(async id => (await fetch(`${BASE}/api/players/${id}/rating-history`)).json()));
+  assert(histories.every(h => h.history.length === 0), 'A double forfeit is not rated');
+}
+
+async function testCrashRecovery() {
+  console.log('\n--- Crash Recovery Tests ---');
+  const { io } = require('socket.io-client');
+  const connect = () => io(BASE, { transports: ['websocket'], reconnection: false });
+
+  const game = (await post(`${BASE}/api/games`, { playerName: 'Crashy', timeControl: '5+0' })).json();
+  const joiner = (await post(`${BASE}/api/games/${game.gameId}/join`, { playerName: 'Restarty' })).json();
+  const white = connect();
+  const black = connect();
+  const joined = Promise.all([nextEvent(white, 'game-state'), nextEvent(black, 'game-state')]);
+  white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken });
+  black.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken });
+  await joined;
+
+  const moves = [[white, 'e2', 'e4'], [black, 'e7', 'e5'], [white, 'g1', 'f3']];
+  for (const [socket, from, to] of moves) {
+    const made = nextEvent(white, 'move-made');
+    socket.emit('make-move', { from, to });
+    await made;
+  }
+  const blackTurnStarted = Date.now();
+  const offered = nextEvent(black, 'draw-offered');
+  white.emit('offer-draw');
+  await offered;
+  // White leaves before the crash, so their reconnection deadline is already running
+  const left = nextEvent(black, 'player-disconnected');
+  white.disconnect();
+  await left;
+  const whiteLeftAt = Date.now();
+  black.disconnect();
+
+  const downtime = 2000;
+  await crashAndRestartServer(downtime);
+
+  const blackAgain = connect();
+  const blackState = nextEvent(blackAgain, 'game-state');
+  const blackNotice = nextEvent(blackAgain, 'game-recovered');
+  blackAgain.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken });
+  const state = await blackState;
+  assert(state && state.status === 'active' && state.moveCount === 3 && state.turn === 'black',
+    'An active game is back after a crash, without calling reconnect first');
+  assert(state && state.pgn.includes('1. e4 e5 2. Nf3'), 'The move history is replayed from the moves table');
+  assert(state && state.drawOffer === game.playerId, 'An open draw offer survives the restart');
+
+  const notice = await blackNotice;
+  assert(notice && notice.downtimeMs >= downtime && notice.drawOffer === 'white' && notice.moveCount === 3,
+    'Reconnecting players are told the server was down and what is pending');
+  const whiteLeft = notice && notice.disconnectTimeLeft.white;
+  assert(whiteLeft !== null && whiteLeft <= 60000 && whiteLeft > 60000 - (Date.now() - whiteLeftAt) + downtime - 500,
+    'A player who had already left keeps their reconnection deadline, moved on by the downtime');
+  assert(notice && notice.disconnectTimeLeft.black === null, 'The player who is back has no deadline');
+  const charged = notice && 300000 - notice.clock.black;
+  assert(notice && notice.clock.running === 'black' && charged < Date.now() - blackTurnStarted - downtime + 500,
+    'The clock of the side to move does not run while the server is down');
+
+  const whiteAgain = connect();
+  const whiteNotice = nextEvent(whiteAgain, 'game-recovered');
+  whiteAgain.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken });
+  const second = await whiteNotice;
+  assert(second && second.disconnectTimeLeft.white === null && second.disconnectTimeLeft.black === null,
+    'Once both players are back nobody is on a deadline');
+  const again = nextEvent(blackAgain, 'game-recovered', 500);
+  blackAgain.emit('join-game', { gameId: game.gameId, sessionToken: joiner.sessionToken });
+  assert(await again === null, 'Each player is told about the restart once');
+
+  const over = nextEvent(whiteAgain, 'game-over');
+  blackAgain.emit('accept-draw');
+  const result = await over;
+  assert(result && result.result === 'draw', 'The restored draw offer can be accepted');
+  whiteAgain.disconnect();
+  blackAgain.disconnect();
+}
+
+async function testMoveReplay() {
+  console.log('\n--- Move Replay Tests ---');
+  const { io } = require('socket.io-client');
+  const Database = require('better-sqlite3');
+  const path = require('path');
+
+  // Underpromotion: the piece has to come from the stored move, not a default queen
+  const promo = (await post(`${BASE}/api/games`, { playerName: 'Promo', fen: '7k/P7/8/8/8/8/8/K7 w - - 0 1' })).json();
+  const promoJoin = (await post(`${BASE}/api/games/${promo.gameId}/join`, { playerName: 'Tion' })).json();
+  await playMoves(promo.gameId, promo.sessionToken, promoJoin.sessionToken, [['a7', 'a8', 'r'], ['h8', 'h7']]);
+  const promoMoves = await (await fetch(`${BASE}/api/games/${promo.gameId}/moves`)).json();
+  assert(promoMoves[0].promotion === 'r' && promoMoves[1].promotion === null, 'The promotion piece is stored with the move');
+
+  // Two repetitions before the restart, the third after it
+  const rep = (await post(`${BASE}/api/games`, { playerName: 'Repeat' })).json();
+  const repJoin = (await post(`${BASE}/api/games/${rep.gameId}/join`, { playerName: 'Again' })).json();
+  const shuffle = [['g1', 'f3'], ['g8', 'f6'], ['f3', 'g1'], ['f6', 'g8']];
+  await playMoves(rep.gameId, rep.sessionToken, repJoin.sessionToken, [...shuffle, ...shuffle.slice(0, 3)]);
+
+  // A game whose stored moves no longer add up
+  const broken = (await post(`${BASE}/api/games`, { playerName: 'Broken' })).json();
+  const brokenJoin = (await post(`${BASE}/api/games/${broken.gameId}/join`, { playerName: 'Record' })).json();
+  await playMoves(broken.gameId, broken.sessionToken, brokenJoin.sessionToken, [['e2', 'e4'], ['e7', 'e5']]);
+
+  await crashAndRestartServer(500, () => {
+    const dbc = new Database(path.join(__dirname, '..', 'data', 'chess.db'));
+    dbc.prepare("UPDATE moves SET to_square = 'e3' WHERE game_id = ? AND move_number = 1").run(broken.gameId);
+    dbc.close();
+  });
+
+  const promoSocket = io(BASE, { transports: ['websocket'], reconnection: false });
+  const promoState = nextEvent(promoSocket, 'game-state');
+  promoSocket.emit('join-game', { gameId: promo.gameId, sessionToken: promo.sessionToken });
+  const restored = await promoState;
+  assert(restored && restored.fen.startsWith('R7/7k/'), 'An underpromotion is replayed as stored');
+  promoSocket.disconnect();
+
+  const white = io(BASE, { transports: ['websocket'], reconnection: false });
+  const black = io(BASE, { transports: ['websocket'], reconnection: false });
+  const states = Promise.all([nextEvent(white, 'game-state'), nextEvent(black, 'game-state')]);
+  white.emit('join-game', { gameId: rep.gameId, sessionToken: rep.sessionToken });
+  black.emit('join-game', { gameId: rep.gameId, sessionToken: repJoin.sessionToken });
+  const [repState] = await states;
+  assert(repState && repState.pgn.includes('1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1'), 'The PGN keeps the moves from before the restart');
+  const over = nextEvent(white, 'game-over');
+  black.emit('make-move', { from: 'f6', to: 'g8' });
+  const result = await over;
+  assert(result && result.result === 'draw' && result.reason === 'threefold repetition',
+    'Threefold repetition counts positions from before the restart');
+  white.disconnect();
+  black.disconnect();
+
+  const info = await (await fetch(`${BASE}/api/games/${broken.gameId}`)).json();
+  assert(info.status === 'corrupted' && /move 1 \(e4\)/.test(info.integrityError),
+    'A game whose moves do not replay is flagged as corrupted, naming the move');
+  const recon = await post(`${BASE}/api/games/${broken.gameId}/reconnect`, { sessionToken: broken.sessionToken });
+  assert(recon.status === 400 && /could not be restored/.test(recon.json().error), 'A corrupted game cannot be resumed');
+}
+
+async function testCluster() {
+  console.log('\n--- Cluster Tests ---');
+  const { io } = require('socket.io-client');
+  const { MemoryStore } = require('../src/cluster/store');
+  const Database = require('better-sqlite3');
+  const path = require('path');
+
+  const store = new MemoryStore();
+  assert(await store.claim('game:x', 'a', 1000, 0) === 'a' && await store.claim('game:x', 'b', 1000, 500) === 'a',
+    'A lease belongs to the first instance to claim it');
+  await store.renew('a', 1000, 800);
+  assert(await store.holder('game:x', 1500) === 'a' && await store.claim('game:x', 'b', 1000, 1800) === 'b',
+    'Renewing extends a lease, and another instance takes it once it runs out');
+  await store.release('game:x', 'a');
+  assert(await store.holder('game:x', 1900) === 'b', 'Only the holder can release a lease');
+  const message = { moves: ['e4'] };
+  const received = new Promise(resolve => store.subscribe('channel', resolve));
+  await store.publish('channel', message);
+  message.moves.push('e5');
+  assert((await received).moves.length === 1, 'Subscribers get a copy of each message');
+  await store.close();
+
+  // Two instances on one database, instead of the suite's single server
+  await stopServer(serverProcess);
+  serverProcess = null;
+  // Finished games are let go after a second rather than five minutes
+  const shared = { CLUSTER_STORE: 'sqlite', FINISHED_GAME_KEEP_MS: '1000' };
+  const instanceA = await spawnServer({ ...shared, PORT: '3101', INSTANCE_ID: 'cluster-a' });
+  const instanceB = await spawnServer({ ...shared, PORT: '3102', INSTANCE_ID: 'cluster-b' });
+  const [urlA, urlB] = ['http://localhost:3101', 'http://localhost:3102'];
+
+  try {
+    const game = (await post(`${urlA}/api/games`, { playerName: 'NodeA' })).json();
+    const joinRes = await post(`${urlB}/api/games/${game.gameId}/join`, { playerName: 'NodeB' });
+    const joined = joinRes.json();
+    assert(joinRes.status === 200 && joined.color === 'black', 'A player joins through another instance than the game\'s');
+
+    const dbc = new Database(path.join(__dirname, '..', 'data', 'chess.db'), { readonly: true });
+    const lease = dbc.prepare('SELECT owner FROM cluster_leases WHERE key = ?').get(`game:${game.gameId}`);
+    const owner = dbc.prepare('SELECT owner_instance FROM games WHERE id = ?').get(game.gameId).owner_instance;
+    const heartbeats = dbc.prepare("SELECT key FROM server_state WHERE key LIKE 'heartbeat:cluster-%' ORDER BY key").all();
+    dbc.close();
+    assert(lease && lease.owner === 'cluster-a' && owner === 'cluster-a', 'The instance that created the game owns it');
+    assert(heartbeats.map(h => h.key).join() === 'heartbeat:cluster-a,heartbeat:cluster-b', 'Each instance keeps its own heartbeat');
+
+    const white = io(urlA, { transports: ['websocket'], reconnection: false });
+    const black = io(urlB, { transports: ['websocket'], reconnection: false });
+    const states = Promise.all([nextEvent(white, 'game-state'), nextEvent(black, 'game-state')]);
+    white.emit('join-game', { gameId: game.gameId, sessionToken: game.sessionToken });
+    black.emit('join-game', { gameId: game.gameId, sessionToken: joined.sessionToken });
+    const [whiteState, blackState] = await states;
+    assert(whiteState?.yourColor === 'white' && blackState?.yourColor === 'black',
+      'Players on different instances both join the game');
+
+    // Fool's mate, with Black's moves sent to the instance that doesn't own the game
+    const overWhite = nextEvent(white, 'game-over');
+    const overBlack = nextEvent(black, 'game-over');
+    let seen = 0;
+    for (const [mover, from, to] of [[white, 'f2', 'f3'], [black, 'e7', 'e5'], [white, 'g2', 'g4'], [black, 'd8', 'h4']]) {
+      const made = Promise.all([nextEvent(white, 'move-made'), nextEvent(black, 'move-made')]);
+      mover.emit('make-move', { from, to });
+      const [a, b] = await made;
+      if (a?.to === to && b?.to === to) seen++;
+    }
+    assert(seen === 4, 'Each move reaches both players, whichever instance it was played on');
+    const [endWhite, endBlack] = await Promise.all([overWhite, overBlack]);
+    assert(endWhite?.result === 'black_wins' && endBlack?.result === 'black_wins', 'Both players see the checkmate');
+    white.disconnect();
+    black.disconnect();
+
+    const info = await (await fetch(`${urlB}/api/games/${game.gameId}`)).json();
+    assert(info.status === 'completed' && info.result === 'black_wins', 'The finished game is stored once');
+
+    // A game that ends by resignation is let go like any other
+    const resigned = (await post(`${urlA}/api/games`, { playerName: 'Resigner' })).json();
+    await post(`${urlA}/api/games/${resigned.gameId}/join`, { playerName: 'Winner' });
+    const resigner = io(urlA, { transports: ['websocket'], reconnection: false });
+    const joinedResigned = nextEvent(resigner, 'game-state');
+    resigner.emit('join-game', { gameId: resigned.gameId, sessionToken: resigned.sessionToken });
+    await joinedResigned;
+    const resignedOver = nextEvent(resigner, 'game-over');
+    resigner.emit('resign');
+    await resignedOver;
+    resigner.disconnect();
+    let resignedLease;
+    for (let i = 0; i < 10; i++) {
+      await sleep(500);
+      const check = new Database(path.join(__dirname, '..', 'data', 'chess.db'), { readonly: true });
+      resignedLease = check.prepare('SELECT owner FROM cluster_leases WHERE key = ?').get(`game:${resigned.gameId}`);
+      check.close();
+      if (!resignedLease) break;
+    }
+    assert(!resignedLease, 'The lease on a game is released after a resignation');
+
+    // One player queues on each instance
+    const queuedA = io(urlA, { transports: ['websocket'], reconnection: false });
+    const queuedB = io(urlB, { transports: ['websocket'], reconnection: false });
+    const matches = Promise.all([nextEvent(queuedA, 'match-found'), nextEvent(queuedB, 'match-found')]);
+    queuedA.emit('join-queue', { playerName: 'QueueA', timeControl: '4+0' });
+    await nextEvent(queuedA, 'queue-joined');
+    queuedB.emit('join-queue', { playerName: 'QueueB', timeControl: '4+0' });
+    const [matchA, matchB] = await matches;
+    assert(matchA && matchB && matchA.gameId === matchB.gameId && matchA.color !== matchB.color,
+      'Players queued on different instances are matched');
+    queuedA.disconnect();
+    queuedB.disconnect();
+
+    // A player waits on B in the queue, which A keeps since QueueA joined it first
+    const waiter = io(urlB, { transports: ['websocket'], reconnection: false });
+    waiter.emit('join-queue', { playerName: 'Waiter', timeControl: '10+0' });
+    assert(await nextEvent(waiter, 'queue-joined'), 'A player queues on an instance other than the queue\'s');
+
+    // The owner of a game nobody is playing crashes; another instance takes it over unasked
+    const orphan = (await post(`${urlA}/api/games`, { playerName: 'Orphan', timeControl: '5+0' })).json();
+    const foster = (await post(`${urlA}/api/games/${orphan.gameId}/join`, { playerName: 'Foster' })).json();
+    const killed = new Promise(resolve => instanceA.once('exit', resolve));
+    instanceA.kill('SIGKILL');
+    await killed;
+    let takenOver = null;
+    for (let i = 0; i < 40 && takenOver?.owner !== 'cluster-b'; i++) {
+      await sleep(500);
+      const check = new Database(path.join(__dirname, '..', 'data', 'chess.db'), { readonly: true });
+      takenOver = check.prepare('SELECT owner FROM cluster_leases WHERE key = ?').get(`game:${orphan.gameId}`);
+      check.close();
+    }
+    assert(takenOver?.owner === 'cluster-b', 'Another instance takes over the games of one that crashed');
+
+    const back = io(urlB, { transports: ['websocket'], reconnection: false });
+    const recovered = nextEvent(back, 'game-recovered');
+    back.emit('join-game', { gameId: orphan.gameId, sessionToken: foster.sessionToken });
+    const notice = await recovered;
+    assert(notice && notice.downtimeMs >= 5000 && notice.disconnectTimeLeft.white > 0,
+      'The takeover counts the time since the crashed instance\'s last heartbeat as downtime, and starts the disconnect timers');
+    back.disconnect();
+
+    assert(await nextEvent(waiter, 'queue-joined'), 'A player still waiting when the queue\'s instance crashed is queued again');
+    const partner = io(urlB, { transports: ['websocket'], reconnection: false });
+    const paired = Promise.all([nextEvent(waiter, 'match-found'), nextEvent(partner, 'match-found')]);
+    partner.emit('join-queue', { playerName: 'Partner', timeControl: '10+0' });
+    const [matchWaiter, matchPartner] = await paired;
+    assert(matchWaiter && matchPartner && matchWaiter.gameId === matchPartner.gameId,
+      'The player queued again is matched by the instance that took the queue over');
+    waiter.disconnect();
+    partner.disconnect();
+  } finally {
+    await stopServer(instanceA);
+    await stopServer(instanceB);
+  }
+}
+
 async function runAll() {
   console.log('=== Seal Chess Integration Tests ===\n');
   console.log('Starting test server on port 3099...');
@@ -350,13 +2117,33 @@ async function runAll() {
     const game = await testGameCreation();
     const joiner = await testGameJoining(game);
     await testGameInfo(game.gameId);
-    await testSocketMultiplayer(game.gameId, game.playerId, joiner.playerId);
+    await testSocketMultiplayer(game.gameId, game.sessionToken, joiner.sessionToken);
     await sleep(500);
     await testPersistence(game.gameId);
     await testScoring();
+    await testRatings();
+    await testPgnExport(game.gameId);
+    await testCustomStart();
+    await testChess960();
+    await testCrazyhouse();
     await testStats();
     await testRecentGames();
-    await testReconnect(game.gameId, game.playerId);
+    await testReconnect(game.gameId, game.sessionToken);
+    await testSessionSecurity();
+    await testPlayerIdentity();
+    await testSpectators();
+    await testBots();
+    await testUci();
+    await testAnalysis();
+    await testTakebacks();
+    await testChat();
+    await testRematch();
+    await testTimeControls();
+    await testMatchmaking();
+    await testTournaments();
+    await testCrashRecovery();
+    await testMoveReplay();
+    await testCluster();
 
     console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
 